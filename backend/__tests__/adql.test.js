@@ -0,0 +1,172 @@
+import { describe, it, expect } from "vitest";
+import {
+  parseQueryParams,
+  buildAdqlQuery,
+  buildQueryCacheKey,
+  QueryValidationError,
+  DEFAULT_COLUMNS,
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+} from "../lib/adql.js";
+
+describe("ADQL Query Builder", () => {
+  describe("parseQueryParams", () => {
+    it("should use default columns and limit when no parameters are given", () => {
+      const spec = parseQueryParams({});
+
+      expect(spec.columns).toEqual(DEFAULT_COLUMNS);
+      expect(spec.limit).toBe(DEFAULT_LIMIT);
+      expect(spec.ranges).toEqual([]);
+      expect(spec.equals).toEqual([]);
+      expect(spec.order).toBeNull();
+    });
+
+    it("should accept whitelisted columns", () => {
+      const spec = parseQueryParams({ columns: "pl_name,pl_rade,pl_name" });
+      expect(spec.columns).toEqual(["pl_name", "pl_rade"]);
+    });
+
+    it("should reject unknown columns", () => {
+      expect(() => parseQueryParams({ columns: "pl_name,password" })).toThrow(
+        QueryValidationError
+      );
+      expect(() =>
+        parseQueryParams({ columns: "pl_name FROM ps; --" })
+      ).toThrow(QueryValidationError);
+    });
+
+    it("should parse numeric range filters", () => {
+      const spec = parseQueryParams({
+        max: { pl_rade: "2" },
+        min: { disc_year: "2021" },
+      });
+
+      expect(spec.ranges).toEqual([
+        { column: "disc_year", value: 2021, op: ">=" },
+        { column: "pl_rade", value: 2, op: "<=" },
+      ]);
+    });
+
+    it("should reject non-numeric range values and string columns", () => {
+      expect(() => parseQueryParams({ min: { pl_rade: "1 OR 1=1" } })).toThrow(
+        QueryValidationError
+      );
+      expect(() => parseQueryParams({ min: { pl_rade: "" } })).toThrow(
+        QueryValidationError
+      );
+      expect(() => parseQueryParams({ min: { hostname: "5" } })).toThrow(
+        QueryValidationError
+      );
+      expect(() => parseQueryParams({ min: "5" })).toThrow(
+        QueryValidationError
+      );
+    });
+
+    it("should parse equality and IN filters from repeated or comma-separated values", () => {
+      const spec = parseQueryParams({
+        discoverymethod: ["Transit", "Radial Velocity,Transit"],
+      });
+
+      expect(spec.equals).toEqual([
+        { column: "discoverymethod", values: ["Radial Velocity", "Transit"] },
+      ]);
+    });
+
+    it("should reject filter values with unsafe characters", () => {
+      expect(() =>
+        parseQueryParams({ discoverymethod: "Transit' OR '1'='1" })
+      ).toThrow(QueryValidationError);
+      expect(() => parseQueryParams({ disc_facility: "TESS;--" })).toThrow(
+        QueryValidationError
+      );
+    });
+
+    it("should parse ascending and descending order", () => {
+      expect(parseQueryParams({ order: "pl_rade" }).order).toEqual({
+        column: "pl_rade",
+        direction: "ASC",
+      });
+      expect(parseQueryParams({ order: "-disc_year" }).order).toEqual({
+        column: "disc_year",
+        direction: "DESC",
+      });
+      expect(() => parseQueryParams({ order: "-pl_rade DESC" })).toThrow(
+        QueryValidationError
+      );
+    });
+
+    it("should validate limit bounds", () => {
+      expect(parseQueryParams({ limit: "50" }).limit).toBe(50);
+      expect(() => parseQueryParams({ limit: "0" })).toThrow(
+        QueryValidationError
+      );
+      expect(() => parseQueryParams({ limit: String(MAX_LIMIT + 1) })).toThrow(
+        QueryValidationError
+      );
+      expect(() => parseQueryParams({ limit: "10.5" })).toThrow(
+        QueryValidationError
+      );
+    });
+  });
+
+  describe("buildAdqlQuery", () => {
+    it("should build a query for small transiting planets discovered after 2020", () => {
+      const spec = parseQueryParams({
+        columns: "pl_name,pl_rade,disc_year",
+        discoverymethod: "Transit",
+        max: { pl_rade: "2" },
+        min: { disc_year: "2021" },
+        order: "-disc_year",
+        limit: "100",
+      });
+
+      expect(buildAdqlQuery(spec)).toBe(
+        "SELECT TOP 100 pl_name, pl_rade, disc_year FROM ps " +
+          "WHERE default_flag = 1 AND disc_year >= 2021 AND pl_rade <= 2 " +
+          "AND discoverymethod = 'Transit' ORDER BY disc_year DESC"
+      );
+    });
+
+    it("should use IN for multiple equality values", () => {
+      const spec = parseQueryParams({
+        columns: "pl_name",
+        disc_facility: "Kepler,K2",
+      });
+
+      expect(buildAdqlQuery(spec)).toContain(
+        "disc_facility IN ('K2', 'Kepler')"
+      );
+    });
+
+    it("should always restrict to default parameter sets", () => {
+      const query = buildAdqlQuery(parseQueryParams({}));
+      expect(query).toContain("WHERE default_flag = 1");
+      expect(query).not.toContain("\n");
+    });
+  });
+
+  describe("buildQueryCacheKey", () => {
+    it("should produce the same key for equivalent requests", () => {
+      const a = parseQueryParams({
+        discoverymethod: "Transit,Radial Velocity",
+        min: { disc_year: "2021" },
+        max: { pl_rade: "2" },
+      });
+      const b = parseQueryParams({
+        max: { pl_rade: "2.0" },
+        min: { disc_year: "2021" },
+        discoverymethod: ["Radial Velocity", "Transit", "Transit"],
+      });
+
+      expect(buildQueryCacheKey(a)).toBe(buildQueryCacheKey(b));
+      expect(buildQueryCacheKey(a)).toMatch(/^query_/);
+    });
+
+    it("should produce different keys for different requests", () => {
+      const a = parseQueryParams({ limit: "10" });
+      const b = parseQueryParams({ limit: "20" });
+
+      expect(buildQueryCacheKey(a)).not.toBe(buildQueryCacheKey(b));
+    });
+  });
+});
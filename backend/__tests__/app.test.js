@@ -0,0 +1,265 @@
+import { describe, it, expect, vi } from "vitest";
+import express from "express";
+import request from "supertest";
+import { createApp } from "../app.js";
+import { DEFAULT_CACHE_DIR, loadConfig } from "../lib/config.js";
+import { Logger } from "../lib/logger.js";
+import { PersistentCache } from "../lib/persistentCache.js";
+import { parseSchedule } from "../lib/scheduler.js";
+
+const rows = [
+  { pl_name: "TOI-700 d", hostname: "TOI-700", pl_rade: 1.19 },
+  { pl_name: "Kepler-452 b", hostname: "Kepler-452", pl_rade: 1.63 },
+];
+
+const silentLogger = () => new Logger({ write: () => {} });
+
+const fakeFetch = (body = rows) =>
+  vi.fn(async () => ({
+    ok: true,
+    status: 200,
+    statusText: "OK",
+    json: async () => body,
+  }));
+
+describe("createApp", () => {
+  const create = (config) =>
+    createApp({ cacheDir: null, logger: silentLogger(), ...config });
+
+  it("should query the configured upstream with the injected fetch", async () => {
+    const fetch = fakeFetch();
+    const { app } = await create({
+      fetch,
+      upstreamUrl: "http://tap.test/sync",
+    });
+
+    const response = await request(app)
+      .get("/api/v1/exoplanets")
+      .set("X-Request-Id", "test-1");
+
+    expect(response.status).toBe(200);
+    expect(response.headers["x-request-id"]).toBe("test-1");
+    expect(response.body).toEqual(rows);
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+    const [url, options] = fetch.mock.calls[0];
+    expect(url).toMatch(/^http:\/\/tap\.test\/sync\?query=SELECT/);
+    expect(decodeURIComponent(url)).toContain("pl_radeerr1, pl_radeerr2");
+    expect(options.headers).toEqual({ "X-Request-Id": "test-1" });
+
+    // Served from the cache afterwards
+    await request(app).get("/api/v1/exoplanets");
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it("should serve entries from an injected cache", async () => {
+    const cache = new PersistentCache({ ttl: 3600 });
+    cache.set("all_exoplanets", rows.slice(0, 1), { source: "archive" });
+    const fetch = fakeFetch();
+    const { app } = await create({ cache, fetch });
+
+    const response = await request(app).get("/api/v1/exoplanets");
+
+    expect(response.body).toEqual(rows.slice(0, 1));
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  it("should select and sort on the uncertainty columns", async () => {
+    const fetch = fakeFetch([
+      { ...rows[0], pl_radeerr1: 0.07, pl_radeerr2: -0.06 },
+      { ...rows[1], pl_radeerr1: 0.23, pl_radeerr2: -0.2 },
+    ]);
+    const { app } = await create({ fetch });
+
+    const response = await request(app).get(
+      "/api/v1/exoplanets?fields=pl_name,pl_radeerr1&sort=-pl_radeerr1"
+    );
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual([
+      { pl_name: "Kepler-452 b", pl_radeerr1: 0.23 },
+      { pl_name: "TOI-700 d", pl_radeerr1: 0.07 },
+    ]);
+  });
+
+  it("should serve planet candidates by source and disposition", async () => {
+    const fetch = fakeFetch([
+      { toi: 700.04, tid: 150428135, tfopwg_disp: "PC", st_dist: 31.1 },
+      { toi: 1234.01, tid: 1, tfopwg_disp: "FP", st_dist: 120 },
+    ]);
+    const { app } = await create({ fetch });
+
+    const response = await request(app).get(
+      "/api/v1/candidates/toi?disposition=PC"
+    );
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject([
+      { pl_name: "TOI-700.04", hostname: "TOI-700", disposition: "PC" },
+    ]);
+    expect(decodeURIComponent(fetch.mock.calls[0][0])).toMatch(/ FROM toi&/);
+
+    const invalid = await request(app).get("/api/v1/candidates/ctoi");
+    expect(invalid.status).toBe(400);
+  });
+
+  it("should restrict stats and exports to a type of the detailed scheme", async () => {
+    const fetch = fakeFetch([
+      ...rows,
+      { pl_name: "51 Peg b", hostname: "51 Peg", pl_rade: 14, pl_orbper: 4.23 },
+    ]);
+    const { app } = await create({ fetch });
+    const filters = "scheme=detailed&type=hot-jupiter";
+
+    const stats = await request(app).get(`/api/v1/stats?${filters}`);
+    expect(stats.status).toBe(200);
+    expect(stats.body.total).toBe(1);
+    expect(stats.body.counts.type).toEqual([
+      { value: "hot-jupiter", count: 1 },
+    ]);
+
+    const csv = await request(app).get(
+      `/api/v1/export?${filters}&format=csv&columns=pl_name`
+    );
+    expect(csv.status).toBe(200);
+    expect(csv.text).toContain("scheme=detailed, type=hot-jupiter");
+    expect(csv.text).toContain("51 Peg b");
+    expect(csv.text).not.toContain("TOI-700 d");
+
+    // Basic types are not categories of the detailed scheme
+    const invalid = await request(app).get(
+      "/api/v1/stats?scheme=detailed&type=jupiter"
+    );
+    expect(invalid.status).toBe(400);
+  });
+
+  it("should not cache solutions of unknown planets", async () => {
+    const cache = new PersistentCache({ ttl: 3600 });
+    const fetch = fakeFetch([]);
+    const { app } = await create({ cache, fetch });
+
+    const response = await request(app).get(
+      "/api/v1/planet/Nowhere%20b/solutions"
+    );
+    expect(response.status).toBe(404);
+    expect(cache.peek("solutions_Nowhere b")).toBeUndefined();
+
+    await request(app).get("/api/v1/planet/Nowhere%20b/solutions");
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it("should mount inside another express app", async () => {
+    const { app } = await create({ fetch: fakeFetch() });
+    const host = express();
+    host.use("/exoplanet-explorer", app);
+
+    const response = await request(host).get("/exoplanet-explorer/api/v1/ping");
+
+    expect(response.body).toMatchObject({ status: "ok" });
+  });
+
+  it("should default to production behavior and a memory-only cache", async () => {
+    const { app, cache } = await createApp({ logger: silentLogger() });
+
+    expect(cache.dir).toBeNull();
+    const response = await request(app).post("/api/v1/cache/clear");
+    expect(response.status).toBe(403);
+  });
+
+  it("should start and stop the scheduled jobs and flush writes", async () => {
+    const cache = new PersistentCache({ ttl: 3600 });
+    const api = await createApp({
+      cache,
+      logger: silentLogger(),
+      fetch: fakeFetch(),
+      refreshSchedule: parseSchedule("1h"),
+    });
+    const flushed = vi.spyOn(cache, "flush");
+
+    api.start();
+    api.stop();
+    await api.flush();
+
+    expect(flushed).toHaveBeenCalled();
+  });
+});
+
+describe("loadConfig", () => {
+  const warnings = () => {
+    const records = [];
+    const logger = new Logger({
+      write: (line) => records.push(JSON.parse(line)),
+    });
+    return { logger, records };
+  };
+
+  it("should read the environment", () => {
+    const { logger, records } = warnings();
+    const config = loadConfig(
+      {
+        PORT: "8080",
+        NODE_ENV: "production",
+        CORS_ORIGIN: "https://app.example.org",
+        CACHE_PERSIST: "false",
+        NASA_API_BASE: "https://tap.example.org/sync",
+        SNAPSHOT_MODE: "fallback",
+        REFRESH_SCHEDULE: "6h",
+        ENABLE_SELF_PING: "true",
+        VALIDATE_RESPONSES: "false",
+      },
+      { logger }
+    );
+
+    expect(config).toMatchObject({
+      logger,
+      port: 8080,
+      nodeEnv: "production",
+      corsOrigin: "https://app.example.org",
+      appUrl: null,
+      cacheDir: null,
+      upstreamUrl: "https://tap.example.org/sync",
+      snapshotMode: "fallback",
+      refreshSchedule: { expression: "6h" },
+      selfPing: true,
+      validateResponses: false,
+      rateLimitMax: 100,
+    });
+    expect(records).toEqual([]);
+  });
+
+  it("should fall back to defaults for invalid values, with a warning", () => {
+    const { logger, records } = warnings();
+    const config = loadConfig(
+      {
+        CORS_ORIGIN: "*",
+        CACHE_TTL: "-1",
+        NASA_API_BASE: "ftp://tap.example.org",
+        SNAPSHOT_MODE: "sometimes",
+        REFRESH_SCHEDULE: "every day",
+      },
+      { logger }
+    );
+
+    expect(config).toMatchObject({
+      nodeEnv: "development",
+      corsOrigin: "*",
+      cacheTtl: 86400,
+      cacheDir: DEFAULT_CACHE_DIR,
+      upstreamUrl: "https://exoplanetarchive.ipac.caltech.edu/TAP/sync",
+      snapshotMode: "off",
+      refreshSchedule: null,
+    });
+    expect(records.map((record) => record.msg)).toEqual([
+      "Invalid SNAPSHOT_MODE, using default",
+      "Invalid CACHE_TTL, using default",
+      "Invalid NASA_API_BASE, using default",
+      "Invalid REFRESH_SCHEDULE, job disabled",
+    ]);
+  });
+
+  it("should reject invalid ports", () => {
+    expect(() =>
+      loadConfig({ PORT: "70000" }, { logger: silentLogger() })
+    ).toThrow("Invalid PORT value");
+  });
+});
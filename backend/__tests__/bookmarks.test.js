@@ -0,0 +1,242 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import {
+  BookmarkStore,
+  SYNC_KEY_PATTERN,
+  TOMBSTONE_TTL,
+  mergeBookmarkSets,
+  parseBookmarkSet,
+  toTime,
+} from "../lib/bookmarks.js";
+import { QueryValidationError } from "../lib/adql.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const bookmark = (name, timestamp, type = "planet") => ({
+  type,
+  name,
+  timestamp,
+  data: { name },
+});
+const removal = (name, timestamp, type = "planet") => ({
+  type,
+  name,
+  timestamp,
+});
+
+describe("Bookmark Sync", () => {
+  describe("toTime", () => {
+    it("should accept epoch milliseconds and date strings", () => {
+      expect(toTime(1700000000000)).toBe(1700000000000);
+      expect(toTime("2024-01-15T10:00:00.000Z")).toBe(
+        Date.parse("2024-01-15T10:00:00.000Z")
+      );
+      expect(toTime("yesterday")).toBeNaN();
+      expect(toTime(-5)).toBeNaN();
+    });
+  });
+
+  describe("parseBookmarkSet", () => {
+    it("should default missing lists and reject invalid timestamps", () => {
+      expect(parseBookmarkSet({})).toEqual({ bookmarks: [], removed: [] });
+      expect(() =>
+        parseBookmarkSet({ removed: [removal("TOI-700 d", "soon")] })
+      ).toThrow(QueryValidationError);
+    });
+  });
+
+  describe("mergeBookmarkSets", () => {
+    const now = 100 * DAY;
+
+    it("should keep bookmarks from both devices, newest first", () => {
+      const merged = mergeBookmarkSets(
+        { bookmarks: [bookmark("TOI-700 d", 3 * DAY)] },
+        {
+          bookmarks: [
+            bookmark("Kepler-452 b", 5 * DAY),
+            bookmark("TRAPPIST-1", 4 * DAY, "system"),
+          ],
+        },
+        now
+      );
+
+      expect(merged.bookmarks.map((b) => b.name)).toEqual([
+        "Kepler-452 b",
+        "TRAPPIST-1",
+        "TOI-700 d",
+      ]);
+      expect(merged.removed).toEqual([]);
+    });
+
+    it("should let the latest bookmark or removal win", () => {
+      const laptop = {
+        bookmarks: [bookmark("TOI-700 d", 90 * DAY)],
+        removed: [removal("Kepler-452 b", 95 * DAY)],
+      };
+      const tablet = {
+        bookmarks: [bookmark("Kepler-452 b", 80 * DAY)],
+        removed: [removal("TOI-700 d", 85 * DAY)],
+      };
+
+      expect(mergeBookmarkSets(laptop, tablet, now)).toEqual({
+        bookmarks: [bookmark("TOI-700 d", 90 * DAY)],
+        removed: [removal("Kepler-452 b", 95 * DAY)],
+      });
+      expect(mergeBookmarkSets(tablet, laptop, now)).toEqual(
+        mergeBookmarkSets(laptop, tablet, now)
+      );
+    });
+
+    it("should compare ISO and numeric timestamps and keep bookmarks on ties", () => {
+      const added = bookmark("TOI-700 d", new Date(90 * DAY).toISOString());
+
+      expect(
+        mergeBookmarkSets(
+          { bookmarks: [added] },
+          { removed: [removal("TOI-700 d", 90 * DAY)] },
+          now
+        ).bookmarks
+      ).toEqual([added]);
+    });
+
+    it("should bring timestamps in the future back to now", () => {
+      const merged = mergeBookmarkSets(
+        { bookmarks: [bookmark("TOI-700 d", now + 365 * DAY)] },
+        { removed: [removal("TOI-700 d", now - DAY)] },
+        now
+      );
+      expect(merged.bookmarks).toEqual([
+        bookmark("TOI-700 d", new Date(now).toISOString()),
+      ]);
+
+      // A removal made after the sync now wins over the clamped bookmark
+      expect(
+        mergeBookmarkSets(
+          merged,
+          { removed: [removal("TOI-700 d", now + DAY)] },
+          now + DAY
+        ).bookmarks
+      ).toEqual([]);
+    });
+
+    it("should forget old removals", () => {
+      const merged = mergeBookmarkSets(
+        {
+          removed: [
+            removal("TOI-700 d", now - TOMBSTONE_TTL),
+            removal("Kepler-452 b", now - DAY),
+          ],
+        },
+        {},
+        now
+      );
+
+      expect(merged.removed.map((r) => r.name)).toEqual(["Kepler-452 b"]);
+    });
+  });
+
+  describe("BookmarkStore", () => {
+    let dir;
+
+    beforeEach(async () => {
+      dir = await mkdtemp(path.join(tmpdir(), "exoplanet-bookmarks-"));
+    });
+
+    afterEach(async () => {
+      await rm(dir, { recursive: true, force: true });
+    });
+
+    it("should create keys and merge pushed bookmarks", () => {
+      const store = new BookmarkStore();
+      const created = store.create(
+        { bookmarks: [bookmark("TOI-700 d", 1000)] },
+        2000
+      );
+
+      expect(created).toEqual({
+        syncKey: expect.stringMatching(new RegExp(SYNC_KEY_PATTERN)),
+        bookmarks: [bookmark("TOI-700 d", 1000)],
+        removed: [],
+        updatedAt: new Date(2000).toISOString(),
+      });
+
+      const merged = store.merge(
+        created.syncKey,
+        { removed: [removal("TOI-700 d", 3000)] },
+        4000
+      );
+      expect(merged.bookmarks).toEqual([]);
+      expect(store.get(created.syncKey)).toEqual(merged);
+      expect(store.merge("unknown", {})).toBeNull();
+      expect(store.get("unknown")).toBeNull();
+    });
+
+    it("should drop the least recently updated sets beyond the limit", () => {
+      const store = new BookmarkStore({ maxSets: 2 });
+      const first = store.create({}, 1000);
+      const second = store.create({}, 2000);
+      store.merge(first.syncKey, {}, 3000);
+      store.create({}, 4000);
+
+      expect(store.size).toBe(2);
+      expect(store.get(second.syncKey)).toBeNull();
+      expect(store.get(first.syncKey)).not.toBeNull();
+    });
+
+    it("should reject sets over the size limit", () => {
+      const store = new BookmarkStore({ maxSetBytes: 2000 });
+      const { syncKey } = store.create(
+        { bookmarks: [bookmark("TOI-700 d", 1000)] },
+        2000
+      );
+      const large = {
+        bookmarks: [
+          { ...bookmark("Kepler-452 b", 3000), data: "x".repeat(2000) },
+        ],
+      };
+
+      expect(() => store.merge(syncKey, large, 4000)).toThrow(
+        QueryValidationError
+      );
+      expect(() => store.create(large)).toThrow("Bookmark set too large");
+      expect(store.get(syncKey).bookmarks).toEqual([
+        bookmark("TOI-700 d", 1000),
+      ]);
+      expect(store.size).toBe(1);
+    });
+
+    it("should drop the least recently updated sets beyond the total size", () => {
+      const store = new BookmarkStore({ maxTotalBytes: 2500 });
+      const set = (name) => ({
+        bookmarks: [{ ...bookmark(name, 1000), data: "x".repeat(1000) }],
+      });
+      const first = store.create(set("TOI-700 d"), 1000);
+      const second = store.create(set("Kepler-452 b"), 2000);
+      store.merge(first.syncKey, {}, 3000);
+      const third = store.create(set("TRAPPIST-1 e"), 4000);
+
+      expect(store.size).toBe(2);
+      expect(store.get(second.syncKey)).toBeNull();
+      expect(store.get(first.syncKey)).not.toBeNull();
+      expect(store.get(third.syncKey)).not.toBeNull();
+      expect(store.totalBytes).toBeLessThanOrEqual(2500);
+    });
+
+    it("should persist sets", async () => {
+      const file = path.join(dir, "bookmarks", "bookmarks.json");
+      const store = new BookmarkStore({ file });
+      const { syncKey } = store.create({
+        bookmarks: [bookmark("TOI-700 d", 1000)],
+      });
+      await store.flush();
+
+      const restored = new BookmarkStore({ file });
+      expect(await restored.load()).toBe(1);
+      expect(restored.get(syncKey).bookmarks).toEqual([
+        bookmark("TOI-700 d", 1000),
+      ]);
+    });
+  });
+});
@@ -0,0 +1,162 @@
+import { describe, it, expect } from "vitest";
+import {
+  buildCandidatesQuery,
+  filterCandidates,
+  normalizeCandidates,
+  parseCandidateParams,
+} from "../lib/candidates.js";
+import { QueryValidationError } from "../lib/adql.js";
+
+const toiRows = [
+  {
+    toi: 700.04,
+    tid: 150428135,
+    tfopwg_disp: "PC",
+    ra: 97.1,
+    dec: -65.58,
+    st_dist: 31.13,
+    pl_rade: 1.07,
+    pl_orbper: 27.8,
+    pl_eqt: 320,
+    pl_insol: 1.9,
+    st_teff: 3459,
+    st_rad: 0.42,
+  },
+  { toi: 1234.01, tid: 1, tfopwg_disp: "FA", st_dist: 120 },
+  { toi: 101.01, tid: 2, tfopwg_disp: "KP", st_dist: 375 },
+  { toi: 2000.02, tid: 3, tfopwg_disp: null, st_dist: 50 },
+];
+
+const koiRows = [
+  {
+    kepid: 10797460,
+    kepoi_name: "K00752.01",
+    kepler_name: "Kepler-227 b",
+    koi_disposition: "CONFIRMED",
+    ra: 291.93,
+    dec: 48.14,
+    koi_prad: 2.26,
+    koi_period: 9.49,
+    koi_teq: 793,
+    koi_insol: 93.59,
+    koi_steff: 5455,
+    koi_srad: 0.93,
+  },
+  { kepid: 10811496, kepoi_name: "K00753.01", koi_disposition: "CANDIDATE" },
+  {
+    kepid: 10848459,
+    kepoi_name: "K00754.01",
+    koi_disposition: "FALSE POSITIVE",
+  },
+  {
+    kepid: 1,
+    kepoi_name: "K09999.01",
+    koi_disposition: "NOT DISPOSITIONED",
+  },
+];
+
+describe("Planet Candidates", () => {
+  describe("buildCandidatesQuery", () => {
+    it("should query the TOI and KOI tables", () => {
+      expect(buildCandidatesQuery("toi")).toMatch(
+        /^SELECT toi, tid, tfopwg_disp, .* FROM toi$/
+      );
+      expect(buildCandidatesQuery("koi")).toMatch(
+        /^SELECT kepid, kepoi_name, .* FROM cumulative$/
+      );
+    });
+  });
+
+  describe("normalizeCandidates", () => {
+    it("should shape TOIs like catalog rows", () => {
+      const candidates = normalizeCandidates("toi", toiRows);
+
+      expect(candidates[0]).toEqual({
+        pl_name: "TOI-700.04",
+        hostname: "TOI-700",
+        tic_id: "TIC 150428135",
+        confirmed_name: null,
+        sy_dist: 31.13,
+        pl_rade: 1.07,
+        pl_orbper: 27.8,
+        pl_eqt: 320,
+        pl_insol: 1.9,
+        st_teff: 3459,
+        st_rad: 0.42,
+        ra: 97.1,
+        dec: -65.58,
+        source: "toi",
+        disposition: "PC",
+        archive_disposition: "PC",
+      });
+    });
+
+    it("should reduce TFOPWG dispositions and drop undispositioned TOIs", () => {
+      expect(
+        normalizeCandidates("toi", toiRows).map((c) => [
+          c.pl_name,
+          c.disposition,
+        ])
+      ).toEqual([
+        ["TOI-700.04", "PC"],
+        ["TOI-1234.01", "FP"],
+        ["TOI-101.01", "CP"],
+      ]);
+    });
+
+    it("should shape KOIs without a distance", () => {
+      const candidates = normalizeCandidates("koi", koiRows);
+
+      expect(candidates).toHaveLength(3);
+      expect(candidates[0]).toMatchObject({
+        pl_name: "K00752.01",
+        hostname: "KIC 10797460",
+        confirmed_name: "Kepler-227 b",
+        sy_dist: null,
+        pl_rade: 2.26,
+        st_teff: 5455,
+        source: "koi",
+        disposition: "CP",
+        archive_disposition: "CONFIRMED",
+      });
+      expect(candidates.map((c) => c.disposition)).toEqual(["CP", "PC", "FP"]);
+      expect(candidates[1].confirmed_name).toBeNull();
+    });
+  });
+
+  describe("parseCandidateParams", () => {
+    it("should default to every disposition", () => {
+      expect(parseCandidateParams({})).toEqual({ dispositions: null });
+      expect(parseCandidateParams({ disposition: "" })).toEqual({
+        dispositions: null,
+      });
+    });
+
+    it("should parse comma-separated dispositions", () => {
+      expect(parseCandidateParams({ disposition: "pc, CP" })).toEqual({
+        dispositions: ["PC", "CP"],
+      });
+    });
+
+    it("should reject unknown dispositions", () => {
+      expect(() => parseCandidateParams({ disposition: "PC,KP" })).toThrow(
+        QueryValidationError
+      );
+    });
+  });
+
+  describe("filterCandidates", () => {
+    it("should keep the requested dispositions", () => {
+      const candidates = normalizeCandidates("koi", koiRows);
+
+      expect(
+        filterCandidates(candidates, { dispositions: ["PC", "FP"] }).map(
+          (c) => c.pl_name
+        )
+      ).toEqual(["K00753.01", "K00754.01"]);
+      expect(filterCandidates(candidates, { dispositions: null })).toBe(
+        candidates
+      );
+    });
+  });
+});
@@ -0,0 +1,179 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import {
+  ChangeFeed,
+  buildBaseline,
+  diffBaselines,
+  parseSince,
+} from "../lib/changes.js";
+
+const kepler = {
+  pl_name: "Kepler-452 b",
+  hostname: "Kepler-452",
+  pl_rade: 1.63,
+  disc_year: 2015,
+  discoverymethod: "Transit",
+  disc_facility: "Kepler",
+};
+const toi = {
+  pl_name: "TOI-700 d",
+  hostname: "TOI-700",
+  pl_rade: 1.19,
+  disc_year: 2020,
+  discoverymethod: "Transit",
+  disc_facility: "Transiting Exoplanet Survey Satellite (TESS)",
+};
+const wasp = { pl_name: "WASP-12 b", hostname: "WASP-12", pl_rade: 21.3 };
+
+describe("Catalog Changes", () => {
+  describe("diffBaselines", () => {
+    it("should report added, removed and revised planets", () => {
+      const diff = diffBaselines(
+        buildBaseline([kepler, wasp]),
+        buildBaseline([{ ...kepler, pl_rade: 1.5 }, toi])
+      );
+
+      expect(diff.added).toEqual([
+        {
+          pl_name: "TOI-700 d",
+          hostname: "TOI-700",
+          discoverymethod: "Transit",
+          disc_year: 2020,
+          disc_facility: "Transiting Exoplanet Survey Satellite (TESS)",
+        },
+      ]);
+      expect(diff.removed).toEqual(["WASP-12 b"]);
+      expect(diff.changed).toEqual([
+        {
+          pl_name: "Kepler-452 b",
+          changes: { pl_rade: { from: 1.63, to: 1.5 } },
+        },
+      ]);
+    });
+
+    it("should treat missing and null values as equal", () => {
+      const { pl_rade: _radius, ...withoutRadius } = wasp;
+      const diff = diffBaselines(
+        buildBaseline([{ ...wasp, pl_rade: null }]),
+        buildBaseline([withoutRadius])
+      );
+
+      expect(diff.changed).toEqual([]);
+    });
+  });
+
+  describe("parseSince", () => {
+    it("should accept epoch milliseconds and ISO dates", () => {
+      expect(parseSince("1700000000000")).toBe(1700000000000);
+      expect(parseSince("2024-01-01T00:00:00Z")).toBe(
+        Date.parse("2024-01-01T00:00:00Z")
+      );
+      expect(parseSince(undefined)).toBe(0);
+    });
+
+    it("should reject anything else", () => {
+      expect(() => parseSince("yesterday")).toThrow("since must be");
+    });
+  });
+
+  describe("ChangeFeed", () => {
+    let dir;
+
+    beforeEach(async () => {
+      dir = await mkdtemp(path.join(tmpdir(), "exoplanet-changes-"));
+    });
+
+    afterEach(async () => {
+      await rm(dir, { recursive: true, force: true });
+    });
+
+    it("should use the first catalog as the baseline", () => {
+      const feed = new ChangeFeed();
+
+      expect(feed.record([kepler], 1000)).toBeNull();
+      expect(feed.hasBaseline()).toBe(true);
+      expect(feed.since(0)).toMatchObject({
+        refreshes: 0,
+        complete: false,
+        added: [],
+      });
+      expect(feed.since(1000).complete).toBe(true);
+    });
+
+    it("should log only refreshes that changed something", () => {
+      const feed = new ChangeFeed();
+      feed.record([kepler], 1000);
+
+      expect(feed.record([kepler], 2000)).toBeNull();
+      expect(feed.record([kepler, toi], 3000)).toMatchObject({
+        at: 3000,
+        previousAt: 2000,
+      });
+      expect(feed.since(2500).added.map((p) => p.pl_name)).toEqual([
+        "TOI-700 d",
+      ]);
+      expect(feed.since(3000).refreshes).toBe(0);
+    });
+
+    it("should merge the net changes of several refreshes", () => {
+      const feed = new ChangeFeed();
+      feed.record([kepler, wasp], 1000);
+      feed.record([{ ...kepler, pl_rade: 1.5 }, wasp, toi], 2000);
+      feed.record(
+        [
+          { ...kepler, pl_rade: 1.63 },
+          { ...toi, disc_year: 2021 },
+        ],
+        3000
+      );
+
+      const changes = feed.since(1000);
+      expect(changes.refreshes).toBe(2);
+      expect(changes.added).toEqual([
+        expect.objectContaining({ pl_name: "TOI-700 d", disc_year: 2021 }),
+      ]);
+      expect(changes.removed).toEqual(["WASP-12 b"]);
+      // Kepler-452 b went back to its original radius
+      expect(changes.changed).toEqual([]);
+      // The logged entries are left untouched
+      expect(feed.since(1500).added[0].disc_year).toBe(2021);
+      expect(feed.entries[0].added[0].disc_year).toBe(2020);
+    });
+
+    it("should flag windows older than the entries kept", () => {
+      const feed = new ChangeFeed({ maxEntries: 1 });
+      feed.record([kepler], 1000);
+      feed.record([kepler, toi], 2000);
+      feed.record([toi], 3000);
+
+      expect(feed.entries).toHaveLength(1);
+      expect(feed.since(1000).complete).toBe(false);
+      expect(feed.since(2000)).toMatchObject({
+        complete: true,
+        removed: ["Kepler-452 b"],
+      });
+    });
+
+    it("should persist the baseline and log", async () => {
+      const file = path.join(dir, "changes", "feed.json");
+      const feed = new ChangeFeed({ file });
+      feed.record([kepler], 1000);
+      feed.record([kepler, toi], 2000);
+      await feed.flush();
+
+      const restored = new ChangeFeed({ file });
+      expect(await restored.load()).toBe(true);
+      expect(restored.since(1000).added).toHaveLength(1);
+      expect(restored.record([kepler, toi], 3000)).toBeNull();
+    });
+
+    it("should start empty when there is no saved feed", async () => {
+      const feed = new ChangeFeed({ file: path.join(dir, "missing.json") });
+
+      expect(await feed.load()).toBe(false);
+      expect(feed.hasBaseline()).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,112 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import { CircuitBreaker, CircuitOpenError } from "../lib/circuitBreaker.js";
+
+const fail = () => Promise.reject(new Error("NASA API error: 503"));
+const succeed = () => Promise.resolve("rows");
+
+describe("CircuitBreaker", () => {
+  let clock;
+  let breaker;
+
+  beforeEach(() => {
+    clock = 0;
+    breaker = new CircuitBreaker({
+      failureThreshold: 2,
+      resetTimeout: 1000,
+      now: () => clock,
+    });
+  });
+
+  it("should pass calls through while closed", async () => {
+    await expect(breaker.run(succeed)).resolves.toBe("rows");
+    expect(breaker.getState()).toBe("closed");
+  });
+
+  it("should open after consecutive failures and reject fast", async () => {
+    await expect(breaker.run(fail)).rejects.toThrow("NASA API error");
+    expect(breaker.getState()).toBe("closed");
+    await expect(breaker.run(fail)).rejects.toThrow("NASA API error");
+    expect(breaker.getState()).toBe("open");
+
+    let called = false;
+    await expect(
+      breaker.run(() => {
+        called = true;
+        return succeed();
+      })
+    ).rejects.toBeInstanceOf(CircuitOpenError);
+    expect(called).toBe(false);
+    expect(breaker.toJSON().rejected).toBe(1);
+  });
+
+  it("should reset the failure count after a success", async () => {
+    await breaker.run(fail).catch(() => {});
+    await breaker.run(succeed);
+    await breaker.run(fail).catch(() => {});
+
+    expect(breaker.getState()).toBe("closed");
+  });
+
+  it("should allow one trial call after the cool-off", async () => {
+    await breaker.run(fail).catch(() => {});
+    await breaker.run(fail).catch(() => {});
+
+    clock = 400;
+    await expect(breaker.run(succeed)).rejects.toMatchObject({
+      retryAfterMs: 600,
+    });
+
+    clock = 1000;
+    expect(breaker.getState()).toBe("half-open");
+
+    let release;
+    const trial = breaker.run(
+      () =>
+        new Promise((resolve) => {
+          release = resolve;
+        })
+    );
+    // Only the trial goes through while it is running
+    await expect(breaker.run(succeed)).rejects.toBeInstanceOf(CircuitOpenError);
+
+    release("rows");
+    await expect(trial).resolves.toBe("rows");
+    expect(breaker.getState()).toBe("closed");
+  });
+
+  it("should reopen when the trial call fails", async () => {
+    await breaker.run(fail).catch(() => {});
+    await breaker.run(fail).catch(() => {});
+
+    clock = 1000;
+    await breaker.run(fail).catch(() => {});
+
+    expect(breaker.getState()).toBe("open");
+    expect(breaker.toJSON().openedAt).toBe(new Date(1000).toISOString());
+  });
+
+  it("should not count errors the upstream is not responsible for", async () => {
+    breaker.isFailure = (error) => error.status !== 400;
+    const rejected = () =>
+      Promise.reject(Object.assign(new Error("bad query"), { status: 400 }));
+
+    await breaker.run(rejected).catch(() => {});
+    await breaker.run(rejected).catch(() => {});
+
+    expect(breaker.getState()).toBe("closed");
+  });
+
+  it("should report its state", async () => {
+    await breaker.run(fail).catch(() => {});
+
+    expect(breaker.toJSON()).toMatchObject({
+      state: "closed",
+      consecutiveFailures: 1,
+      failureThreshold: 2,
+      resetTimeoutMs: 1000,
+      lastError: "NASA API error: 503",
+      retryAfterMs: 0,
+      failures: 1,
+    });
+  });
+});
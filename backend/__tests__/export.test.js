@@ -0,0 +1,152 @@
+import { describe, it, expect } from "vitest";
+import {
+  COLUMN_METADATA,
+  describeFilters,
+  exportRows,
+  parseExportParams,
+  toCSV,
+  toTSV,
+  toVOTable,
+} from "../lib/export.js";
+import { DEFAULT_COLUMNS, QueryValidationError } from "../lib/adql.js";
+import { parsePlanetFilters } from "../lib/stats.js";
+
+const rows = [
+  {
+    pl_name: "HD 209458 b",
+    pl_rade: 15.6,
+    disc_year: 1999,
+    disc_facility: "Multiple Observatories",
+  },
+  {
+    pl_name: 'Planet <A> & "B"',
+    pl_rade: null,
+    disc_year: 2020,
+    disc_facility: "Keck, Mauna Kea\tSummit",
+  },
+];
+
+const columns = ["pl_name", "pl_rade", "disc_year", "disc_facility"];
+const info = {
+  description: "Test export",
+  created: "2024-10-28T10:00:00.000Z",
+  filters: "type=jupiter",
+};
+
+describe("Export", () => {
+  it("should describe every queryable column", () => {
+    DEFAULT_COLUMNS.forEach((column) => {
+      expect(COLUMN_METADATA[column]).toMatchObject({
+        description: expect.any(String),
+        ucd: expect.any(String),
+        type: expect.stringMatching(/^(char|double|int)$/),
+      });
+    });
+  });
+
+  describe("parseExportParams", () => {
+    it("should default to CSV with every column", () => {
+      expect(parseExportParams({})).toEqual({
+        format: "csv",
+        columns: DEFAULT_COLUMNS,
+      });
+    });
+
+    it("should keep the planet name as first column", () => {
+      expect(
+        parseExportParams({ format: "votable", columns: "pl_rade, pl_name" })
+      ).toEqual({ format: "votable", columns: ["pl_name", "pl_rade"] });
+    });
+
+    it("should reject unknown formats and columns", () => {
+      expect(() => parseExportParams({ format: "fits" })).toThrow(
+        QueryValidationError
+      );
+      expect(() => parseExportParams({ columns: "pl_rade,secret" })).toThrow(
+        "Unknown column in columns: secret"
+      );
+      expect(() => parseExportParams({ columns: ["pl_rade"] })).toThrow(
+        QueryValidationError
+      );
+    });
+  });
+
+  describe("toVOTable", () => {
+    const xml = toVOTable(rows, columns, info);
+
+    it("should declare fields with units and UCDs", () => {
+      expect(xml).toContain(
+        '<FIELD name="pl_name" datatype="char" arraysize="*" ucd="meta.id;meta.main">'
+      );
+      expect(xml).toContain(
+        '<FIELD name="pl_rade" datatype="double" unit="earthRad" ucd="phys.size.radius">'
+      );
+      expect(xml).toContain("<DESCRIPTION>Planet radius</DESCRIPTION>");
+      expect(xml).toContain('<TABLE name="exoplanets" nrows="2">');
+      expect(xml).toContain('<INFO name="filters" value="type=jupiter"/>');
+    });
+
+    it("should escape values and leave missing cells empty", () => {
+      expect(xml).toContain(
+        "<TR><TD>HD 209458 b</TD><TD>15.6</TD><TD>1999</TD><TD>Multiple Observatories</TD></TR>"
+      );
+      expect(xml).toContain(
+        "<TD>Planet &lt;A&gt; &amp; &quot;B&quot;</TD><TD/><TD>2020</TD>"
+      );
+    });
+  });
+
+  describe("toCSV", () => {
+    const lines = toCSV(rows, columns, info).split("\n");
+
+    it("should write an ECSV header", () => {
+      expect(lines[0]).toBe("# %ECSV 1.0");
+      expect(lines).toContain(
+        '# - {name: pl_rade, unit: "earthRad", datatype: float64, description: "Planet radius", meta: {ucd: "phys.size.radius"}}'
+      );
+      expect(lines).toContain('#   filters: "type=jupiter"');
+    });
+
+    it("should quote values containing separators or quotes", () => {
+      const body = lines.filter((line) => !line.startsWith("#"));
+
+      expect(body[0]).toBe("pl_name,pl_rade,disc_year,disc_facility");
+      expect(body[1]).toBe("HD 209458 b,15.6,1999,Multiple Observatories");
+      expect(body[2]).toBe(
+        '"Planet <A> & ""B""",,2020,"Keck, Mauna Kea\tSummit"'
+      );
+    });
+  });
+
+  describe("toTSV", () => {
+    it("should describe columns in the header and strip tabs from values", () => {
+      const lines = toTSV(rows, columns, info).split("\n");
+
+      expect(lines).toContain(
+        "#   pl_rade [earthRad] (phys.size.radius): Planet radius"
+      );
+      expect(lines).toContain("# Rows: 2");
+      expect(lines).toContain(
+        'Planet <A> & "B"\t\t2020\tKeck, Mauna Kea Summit'
+      );
+    });
+  });
+
+  it("should pick the serializer from the format", () => {
+    expect(exportRows(rows, { format: "tsv", columns })).toBe(
+      toTSV(rows, columns)
+    );
+  });
+
+  it("should describe only the active filters", () => {
+    expect(describeFilters(parsePlanetFilters({}))).toBe("");
+    expect(
+      describeFilters(parsePlanetFilters({ type: "jupiter", distMax: "100" }))
+    ).toBe("type=jupiter, distMax=100");
+    expect(
+      describeFilters(
+        parsePlanetFilters({ scheme: "detailed", type: "hot-jupiter" })
+      )
+    ).toBe("scheme=detailed, type=hot-jupiter");
+  });
+});
@@ -0,0 +1,142 @@
+import { describe, it, expect } from "vitest";
+import {
+  Logger,
+  classifyStatus,
+  currentContext,
+  resolveRequestId,
+  runWithContext,
+  setErrorClass,
+  summarizeContext,
+} from "../lib/logger.js";
+
+const capture = (options = {}) => {
+  const lines = [];
+  const logger = new Logger({
+    ...options,
+    write: (line, level) => lines.push({ line, level }),
+  });
+  return { logger, lines };
+};
+
+describe("Structured Logging", () => {
+  describe("Logger", () => {
+    it("should write one JSON record per line", () => {
+      const { logger, lines } = capture();
+      logger.info("Cache cleared", { keysDeleted: 3, skipped: undefined });
+
+      expect(lines).toHaveLength(1);
+      const record = JSON.parse(lines[0].line);
+      expect(record).toEqual({
+        time: expect.any(String),
+        level: "info",
+        msg: "Cache cleared",
+        keysDeleted: 3,
+      });
+      expect(Date.parse(record.time)).not.toBeNaN();
+    });
+
+    it("should skip records below the level", () => {
+      const { logger, lines } = capture({ level: "warn" });
+      logger.debug("Cache lookup");
+      logger.info("Cache cleared");
+      logger.warn("Revalidation failed");
+      logger.error("Unhandled error");
+
+      expect(lines.map(({ level }) => level)).toEqual(["warn", "error"]);
+    });
+
+    it("should serialize errors", () => {
+      const { logger, lines } = capture();
+      const error = new Error("NASA API error: 500 Internal Server Error");
+      error.status = 500;
+      logger.error("Error fetching exoplanets", { error });
+
+      expect(JSON.parse(lines[0].line).error).toEqual({
+        name: "Error",
+        message: "NASA API error: 500 Internal Server Error",
+        status: 500,
+        stack: expect.stringContaining("NASA API error"),
+      });
+    });
+
+    it("should add child fields and the request id", () => {
+      const { logger, lines } = capture();
+      const child = logger.child({ component: "scheduler" });
+
+      runWithContext("req-1", () => child.info("Warmed cache entries"));
+      child.info("Warmed cache entries");
+
+      expect(JSON.parse(lines[0].line)).toMatchObject({
+        requestId: "req-1",
+        component: "scheduler",
+      });
+      expect(JSON.parse(lines[1].line)).not.toHaveProperty("requestId");
+    });
+
+    it("should write key=value lines in pretty format", () => {
+      const { logger, lines } = capture({ format: "pretty" });
+      logger.warn("Revalidation failed", {
+        cacheKey: "planet_TOI-700 d",
+        status: 503,
+      });
+
+      expect(lines[0].line).toMatch(
+        /^\S+ WARN Revalidation failed cacheKey="planet_TOI-700 d" status=503$/
+      );
+    });
+  });
+
+  describe("request context", () => {
+    it("should reuse safe incoming ids and generate the others", () => {
+      expect(resolveRequestId("frontend-42:a.b")).toBe("frontend-42:a.b");
+      expect(resolveRequestId("has space")).toMatch(/^[0-9a-f-]{36}$/);
+      expect(resolveRequestId("x".repeat(129))).toMatch(/^[0-9a-f-]{36}$/);
+      expect(resolveRequestId(undefined)).toMatch(/^[0-9a-f-]{36}$/);
+    });
+
+    it("should follow async work started by the request", async () => {
+      const seen = await runWithContext("req-2", async () => {
+        await new Promise((resolve) => setTimeout(resolve, 1));
+        setErrorClass("upstream_timeout");
+        return currentContext();
+      });
+
+      expect(seen).toMatchObject({
+        id: "req-2",
+        errorClass: "upstream_timeout",
+      });
+      expect(currentContext()).toBeUndefined();
+    });
+
+    it("should summarize cache outcomes and upstream calls", () => {
+      expect(
+        summarizeContext({
+          cache: ["hit", "miss", "stale"],
+          upstream: [
+            { service: "tap", ms: 120, errorType: null },
+            { service: "alias_lookup", ms: 30, errorType: "timeout" },
+          ],
+        })
+      ).toEqual({
+        cache: "miss",
+        upstreamCalls: 2,
+        upstreamMs: 150,
+        upstreamErrors: ["timeout"],
+      });
+      expect(summarizeContext({ cache: [], upstream: [] })).toEqual({
+        cache: null,
+        upstreamCalls: 0,
+        upstreamMs: 0,
+      });
+    });
+
+    it("should classify failed responses by status", () => {
+      expect(classifyStatus(200)).toBeNull();
+      expect(classifyStatus(304)).toBeNull();
+      expect(classifyStatus(400)).toBe("invalid_request");
+      expect(classifyStatus(429)).toBe("rate_limited");
+      expect(classifyStatus(413)).toBe("client_error");
+      expect(classifyStatus(503)).toBe("server_error");
+    });
+  });
+});
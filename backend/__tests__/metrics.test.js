@@ -0,0 +1,120 @@
+import { describe, it, expect } from "vitest";
+import { Counter, Gauge, Histogram, Registry } from "../lib/metrics.js";
+
+describe("Metrics", () => {
+  describe("Counter", () => {
+    it("should count per label set in declaration order", () => {
+      const counter = new Counter({
+        name: "http_requests_total",
+        help: "Requests",
+        labelNames: ["method", "status"],
+      });
+      counter.inc({ status: 200, method: "GET" });
+      counter.inc({ method: "GET", status: 200 }, 2);
+      counter.inc({ method: "GET", status: 404 });
+
+      expect(counter.render()).toEqual([
+        "# HELP http_requests_total Requests",
+        "# TYPE http_requests_total counter",
+        'http_requests_total{method="GET",status="200"} 3',
+        'http_requests_total{method="GET",status="404"} 1',
+      ]);
+    });
+
+    it("should refuse to decrease", () => {
+      const counter = new Counter({ name: "c", help: "c" });
+      expect(() => counter.inc({}, -1)).toThrow("cannot decrease");
+    });
+
+    it("should escape label values", () => {
+      const counter = new Counter({
+        name: "c",
+        help: "c",
+        labelNames: ["route"],
+      });
+      counter.inc({ route: 'a"b\\c\nd' });
+
+      expect(counter.render()[2]).toBe('c{route="a\\"b\\\\c\\nd"} 1');
+    });
+  });
+
+  describe("Gauge", () => {
+    it("should read values at scrape time through collect", () => {
+      let bytes = 10;
+      const gauge = new Gauge({
+        name: "cache_payload_bytes",
+        help: "Bytes",
+        labelNames: ["family"],
+        collect: () => [{ labels: { family: "catalog" }, value: bytes }],
+      });
+
+      expect(gauge.render()[2]).toBe(
+        'cache_payload_bytes{family="catalog"} 10'
+      );
+      bytes = 20;
+      expect(gauge.render()[2]).toBe(
+        'cache_payload_bytes{family="catalog"} 20'
+      );
+    });
+
+    it("should render values that were set", () => {
+      const gauge = new Gauge({ name: "g", help: "g" });
+      gauge.set({}, 0.5);
+
+      expect(gauge.render()).toEqual(["# HELP g g", "# TYPE g gauge", "g 0.5"]);
+    });
+  });
+
+  describe("Histogram", () => {
+    it("should render cumulative buckets, sum and count", () => {
+      const histogram = new Histogram({
+        name: "latency_seconds",
+        help: "Latency",
+        labelNames: ["route"],
+        buckets: [1, 0.1],
+      });
+      histogram.observe({ route: "/a" }, 0.05);
+      histogram.observe({ route: "/a" }, 0.5);
+      histogram.observe({ route: "/a" }, 5);
+
+      expect(histogram.render().slice(2)).toEqual([
+        'latency_seconds_bucket{route="/a",le="0.1"} 1',
+        'latency_seconds_bucket{route="/a",le="1"} 2',
+        'latency_seconds_bucket{route="/a",le="+Inf"} 3',
+        'latency_seconds_sum{route="/a"} 5.55',
+        'latency_seconds_count{route="/a"} 3',
+      ]);
+    });
+
+    it("should time calls with extra labels added at the end", () => {
+      const histogram = new Histogram({
+        name: "h",
+        help: "h",
+        labelNames: ["method", "route"],
+      });
+      const end = histogram.startTimer({ method: "GET" });
+      const seconds = end({ route: "/api/ping" });
+
+      expect(seconds).toBeGreaterThanOrEqual(0);
+      expect(histogram.render()).toContain(
+        'h_count{method="GET",route="/api/ping"} 1'
+      );
+    });
+  });
+
+  describe("Registry", () => {
+    it("should render every metric and reject duplicate names", () => {
+      const registry = new Registry();
+      const counter = registry.register(new Counter({ name: "a", help: "A" }));
+      registry.register(new Gauge({ name: "b", help: "B" }));
+      counter.inc();
+
+      expect(registry.render()).toBe(
+        "# HELP a A\n# TYPE a counter\na 1\n# HELP b B\n# TYPE b gauge\n"
+      );
+      expect(() =>
+        registry.register(new Counter({ name: "a", help: "A" }))
+      ).toThrow("already registered");
+    });
+  });
+});
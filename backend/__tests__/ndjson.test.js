@@ -0,0 +1,108 @@
+import { describe, it, expect } from "vitest";
+import { Writable } from "node:stream";
+import { negotiateFormat, writeNdjson, NDJSON_TYPE } from "../lib/ndjson.js";
+import { QueryValidationError } from "../lib/adql.js";
+
+/**
+ * Minimal request stand-in with Express-style content negotiation
+ */
+const request = (query = {}, accept = "*/*") => ({
+  query,
+  accepts: (types) =>
+    accept === "*/*" ? types[0] : types.find((type) => accept.includes(type)),
+});
+
+/**
+ * Writable collecting chunks; `highWaterMark` forces backpressure
+ */
+const collector = (highWaterMark = 16384) => {
+  const chunks = [];
+  const stream = new Writable({
+    highWaterMark,
+    write(chunk, encoding, callback) {
+      chunks.push(chunk.toString());
+      setImmediate(callback);
+    },
+  });
+  stream.flushes = 0;
+  stream.flush = () => {
+    stream.flushes++;
+  };
+  return { stream, chunks };
+};
+
+describe("NDJSON streaming", () => {
+  describe("negotiateFormat", () => {
+    it("should default to JSON", () => {
+      expect(negotiateFormat(request())).toBe("json");
+      expect(negotiateFormat(request({}, "application/json"))).toBe("json");
+    });
+
+    it("should stream when the client asks for NDJSON", () => {
+      expect(negotiateFormat(request({}, NDJSON_TYPE))).toBe("ndjson");
+      expect(negotiateFormat(request({ format: "ndjson" }))).toBe("ndjson");
+    });
+
+    it("should let format override the Accept header", () => {
+      expect(negotiateFormat(request({ format: "json" }, NDJSON_TYPE))).toBe(
+        "json"
+      );
+    });
+
+    it("should reject unknown formats", () => {
+      expect(() => negotiateFormat(request({ format: "xml" }))).toThrow(
+        QueryValidationError
+      );
+    });
+  });
+
+  describe("writeNdjson", () => {
+    it("should write one JSON document per line in chunks", async () => {
+      const { stream, chunks } = collector();
+      const rows = [{ pl_name: "a" }, { pl_name: "b" }, { pl_name: "c" }];
+
+      const finished = new Promise((resolve) => stream.on("finish", resolve));
+      await expect(writeNdjson(stream, rows, 2)).resolves.toBe(true);
+      await finished;
+
+      expect(chunks).toHaveLength(2);
+      expect(stream.flushes).toBe(2);
+      const lines = chunks.join("").split("\n");
+      expect(lines.pop()).toBe("");
+      expect(lines.map((line) => JSON.parse(line).pl_name)).toEqual([
+        "a",
+        "b",
+        "c",
+      ]);
+    });
+
+    it("should wait for the stream to drain", async () => {
+      const { stream, chunks } = collector(1);
+      const rows = Array.from({ length: 5 }, (_, i) => ({ i }));
+
+      await writeNdjson(stream, rows, 1);
+
+      expect(chunks).toHaveLength(5);
+    });
+
+    it("should stop when the client disconnects", async () => {
+      const { stream, chunks } = collector(1);
+      stream.on("error", () => {});
+      const rows = Array.from({ length: 5 }, (_, i) => ({ i }));
+
+      const writing = writeNdjson(stream, rows, 1);
+      stream.destroy();
+
+      await expect(writing).resolves.toBe(false);
+      expect(chunks.length).toBeLessThan(5);
+    });
+
+    it("should end the stream for an empty list", async () => {
+      const { stream, chunks } = collector();
+
+      await expect(writeNdjson(stream, [])).resolves.toBe(true);
+      expect(chunks).toEqual([]);
+      expect(stream.writableEnded).toBe(true);
+    });
+  });
+});
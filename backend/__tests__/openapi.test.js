@@ -0,0 +1,351 @@
+import { describe, it, expect, vi } from "vitest";
+import {
+  OPENAPI_DOCUMENT,
+  findOperation,
+  validateOperation,
+  validateRequest,
+  validateResponse,
+} from "../lib/openapi.js";
+import { PROBLEM_TYPE } from "../lib/problem.js";
+import { resolveRef } from "../lib/schema.js";
+import { computeStats } from "../lib/stats.js";
+import { buildSystem } from "../lib/systems.js";
+import { mergeStellarRows } from "../lib/stars.js";
+import { formatSolutions } from "../lib/solutions.js";
+import { ChangeFeed } from "../lib/changes.js";
+import { buildSearchIndex } from "../lib/search.js";
+import { ShareStore } from "../lib/shares.js";
+import { normalizeCandidates } from "../lib/candidates.js";
+
+const rows = [
+  {
+    pl_name: "TOI-700 d",
+    hostname: "TOI-700",
+    pl_rade: 1.19,
+    pl_radeerr1: 0.07,
+    pl_radeerr2: -0.06,
+    pl_eqt: 269,
+    sy_dist: 31.1,
+    sy_snum: 1,
+    sy_pnum: 4,
+    disc_year: 2020,
+    discoverymethod: "Transit",
+    st_spectype: "M2 V",
+  },
+  {
+    pl_name: "TOI-700 b",
+    hostname: "TOI-700",
+    pl_rade: null,
+    sy_dist: 31.1,
+    disc_year: 2020,
+    pl_refname:
+      "<a refstr=GILBERT_ET_AL__2020 href=https://ui.adsabs.harvard.edu/abs/2020AJ....160..116G/abstract target=ref>Gilbert et al. 2020</a>",
+  },
+];
+
+const request = (
+  operationId,
+  { params = {}, query = {}, headers = {}, body = {} } = {}
+) =>
+  validateRequest(
+    OPENAPI_DOCUMENT,
+    findOperation(OPENAPI_DOCUMENT, operationId),
+    {
+      params,
+      query,
+      headers,
+      body,
+    }
+  );
+
+const responseErrors = (operationId, body, status = 200, contentType) =>
+  validateResponse(
+    OPENAPI_DOCUMENT,
+    findOperation(OPENAPI_DOCUMENT, operationId),
+    status,
+    contentType,
+    body
+  );
+
+/**
+ * Minimal Express response stand-in recording what was sent
+ */
+const response = () => {
+  const headers = {};
+  const res = {
+    req: { originalUrl: "/api/v1/planet/x?y=1" },
+    statusCode: 200,
+    status: (code) => {
+      res.statusCode = code;
+      return res;
+    },
+    type: (type) => {
+      headers["content-type"] = type;
+      return res;
+    },
+    get: (name) => headers[name.toLowerCase()],
+    json: vi.fn((body) => {
+      res.body = body;
+      return res;
+    }),
+  };
+  return res;
+};
+
+describe("OpenAPI", () => {
+  it("should resolve every reference and use unique operation ids", () => {
+    const ids = [];
+    const walk = (node) => {
+      if (!node || typeof node !== "object") return;
+      if (typeof node.$ref === "string") {
+        expect(() => resolveRef(OPENAPI_DOCUMENT, node.$ref)).not.toThrow();
+      }
+      if (typeof node.operationId === "string") ids.push(node.operationId);
+      Object.values(node).forEach(walk);
+    };
+    walk(OPENAPI_DOCUMENT);
+
+    expect(OPENAPI_DOCUMENT.openapi).toMatch(/^3\./);
+    expect(ids.length).toBeGreaterThan(10);
+    expect(new Set(ids).size).toBe(ids.length);
+    expect(() => findOperation(OPENAPI_DOCUMENT, "nope")).toThrow(
+      "Unknown operation"
+    );
+  });
+
+  describe("validateRequest", () => {
+    it("should accept archive planet and host star names", () => {
+      ["TRAPPIST-1 e", "Kepler-452 b", "2MASS J0249-0557 (AB) c"].forEach(
+        (name) => expect(request("getPlanet", { params: { name } })).toEqual([])
+      );
+      expect(
+        request("getStar", { params: { hostname: "BD+20 2457" } })
+      ).toEqual([]);
+    });
+
+    it("should reject unsafe or overlong names", () => {
+      [
+        "Planet'; DROP TABLE--",
+        " Kepler-452 b",
+        "a\nb",
+        "x".repeat(101),
+      ].forEach((name) =>
+        expect(request("getPlanet", { params: { name } })).toEqual([
+          expect.objectContaining({ in: "path", name: "name" }),
+        ])
+      );
+      expect(
+        request("getSystem", { params: { hostname: "   " } })
+      ).toHaveLength(1);
+    });
+
+    it("should coerce and check query parameters", () => {
+      expect(
+        request("listExoplanets", {
+          query: { limit: "50", offset: "0", sort: "-pl_rade,pl_name" },
+        })
+      ).toEqual([]);
+      expect(
+        request("listExoplanets", {
+          query: { limit: "50.5", fields: "pl_name,secret", format: "xml" },
+        }).map(({ name }) => name)
+      ).toEqual(["fields[1]", "limit", "format"]);
+      expect(
+        request("queryArchive", { query: { min: { pl_rade: "abc" } } })
+      ).toEqual([
+        { in: "query", name: "min.pl_rade", message: "must be number" },
+      ]);
+    });
+
+    it("should treat empty filter values as absent", () => {
+      expect(
+        request("getStats", { query: { type: "", tempMin: "", distMax: "10" } })
+      ).toEqual([]);
+      expect(request("getStats", { query: { tempMin: "-1" } })).toEqual([
+        { in: "query", name: "tempMin", message: "must be >= 0" },
+      ]);
+    });
+
+    it("should require required parameters", () => {
+      expect(request("searchCatalog")).toEqual([
+        { in: "query", name: "q", message: "is required" },
+      ]);
+    });
+
+    it("should check header parameters, ignoring their case", () => {
+      expect(
+        request("getBookmarks", {
+          headers: { "x-sync-key": "AbCdEfGhIjKlMnOpQrStUv" },
+        })
+      ).toEqual([]);
+      expect(request("getBookmarks")).toEqual([
+        { in: "header", name: "X-Sync-Key", message: "is required" },
+      ]);
+      expect(
+        request("getBookmarks", { headers: { "X-Sync-Key": "../etc" } })
+      ).toEqual([expect.objectContaining({ in: "header" })]);
+    });
+
+    it("should check JSON request bodies", () => {
+      expect(
+        request("createShare", {
+          body: {
+            state: { mode: "system", system: "BD+20 2457", camera: { x: 1 } },
+            expiresIn: 3600,
+          },
+        })
+      ).toEqual([]);
+      expect(request("createShare")).toEqual([
+        { in: "body", name: "body", message: "is required" },
+      ]);
+      expect(
+        request("createShare", {
+          body: {
+            state: { mode: "orbit", planet: "x'y", camera: { x: "1" } },
+            expiresIn: 1,
+          },
+        }).map(({ name }) => name)
+      ).toEqual(["state.mode", "state.planet", "state.camera.x", "expiresIn"]);
+    });
+  });
+
+  describe("response schemas", () => {
+    it("should describe the route payloads", () => {
+      const index = buildSearchIndex(rows);
+
+      expect(responseErrors("listExoplanets", rows)).toEqual([]);
+      expect(responseErrors("getStats", computeStats(rows))).toEqual([]);
+      expect(responseErrors("getSystem", buildSystem("TOI-700", rows))).toEqual(
+        []
+      );
+      expect(
+        responseErrors("getStar", mergeStellarRows("TOI-700", rows))
+      ).toEqual([]);
+      expect(
+        responseErrors(
+          "getPlanetSolutions",
+          formatSolutions("TOI-700 b", [{ default_flag: 1, ...rows[1] }])
+        )
+      ).toEqual([]);
+      expect(responseErrors("getChanges", new ChangeFeed().since(0))).toEqual(
+        []
+      );
+      expect(
+        responseErrors(
+          "listCandidates",
+          normalizeCandidates("toi", [
+            {
+              toi: 700.04,
+              tid: 150428135,
+              tfopwg_disp: "PC",
+              ra: 97.1,
+              dec: -65.58,
+              st_dist: 31.13,
+              pl_rade: 1.07,
+              pl_orbper: 27.8,
+              pl_eqt: 320,
+              pl_insol: null,
+              st_teff: 3459,
+              st_rad: 0.42,
+            },
+          ])
+        )
+      ).toEqual([]);
+      const share = new ShareStore().create({ mode: "galaxy" });
+      expect(
+        responseErrors(
+          "createShare",
+          {
+            ...share,
+            url: `http://localhost/s/${share.id}`,
+            createdAt: new Date(share.createdAt).toISOString(),
+            expiresAt: new Date(share.expiresAt).toISOString(),
+          },
+          201
+        )
+      ).toEqual([]);
+      expect(
+        responseErrors("searchCatalog", {
+          query: "toi 700",
+          normalized: "toi700",
+          results: index.search("toi 700"),
+        })
+      ).toEqual([]);
+    });
+
+    it("should check problem responses and report mismatches", () => {
+      expect(
+        responseErrors(
+          "getPlanet",
+          { type: "about:blank", title: "Not Found", status: 404 },
+          404,
+          `${PROBLEM_TYPE}; charset=utf-8`
+        )
+      ).toEqual([]);
+      expect(
+        responseErrors(
+          "getPlanet",
+          { error: "Planet not found" },
+          404,
+          PROBLEM_TYPE
+        )
+      ).toHaveLength(3);
+      expect(responseErrors("getStats", { total: "3" })).toEqual(
+        expect.arrayContaining([{ path: "total", message: "must be integer" }])
+      );
+      expect(
+        responseErrors("listExoplanets", [{ pl_name: "x", pl_radeerr1: "0.1" }])
+      ).toEqual([
+        { path: "[0].pl_radeerr1", message: "must be number or null" },
+      ]);
+    });
+  });
+
+  describe("validateOperation", () => {
+    it("should answer invalid requests with problem details", () => {
+      const res = response();
+      const next = vi.fn();
+
+      validateOperation(OPENAPI_DOCUMENT, "getPlanet")(
+        { params: { name: "x'y" }, query: {} },
+        res,
+        next
+      );
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.statusCode).toBe(400);
+      expect(res.get("Content-Type")).toBe(PROBLEM_TYPE);
+      expect(res.body).toEqual({
+        type: "about:blank",
+        title: "Bad Request",
+        status: 400,
+        detail: expect.stringMatching(/^name must match pattern/),
+        instance: "/api/v1/planet/x",
+        errors: [expect.objectContaining({ in: "path", name: "name" })],
+      });
+    });
+
+    it("should pass valid requests on and check their responses", () => {
+      const res = response();
+      const next = vi.fn();
+      const onInvalidResponse = vi.fn();
+
+      validateOperation(OPENAPI_DOCUMENT, "getStats", {
+        responses: true,
+        onInvalidResponse,
+      })({ params: {}, query: {} }, res, next);
+      expect(next).toHaveBeenCalled();
+
+      res.json({ total: 1, counts: {}, histograms: {} });
+      expect(onInvalidResponse).not.toHaveBeenCalled();
+
+      res.json({ total: "1" });
+      expect(onInvalidResponse).toHaveBeenCalledWith(
+        "getStats",
+        200,
+        expect.arrayContaining([{ path: "total", message: "must be integer" }])
+      );
+      expect(res.body).toEqual({ total: "1" });
+    });
+  });
+});
@@ -0,0 +1,178 @@
+import { describe, it, expect } from "vitest";
+import {
+  parseListParams,
+  applyListParams,
+  buildLinkHeader,
+} from "../lib/pagination.js";
+import { QueryValidationError } from "../lib/adql.js";
+
+const rows = [
+  { pl_name: "b", pl_rade: 2.0, disc_year: 2015 },
+  { pl_name: "a", pl_rade: null, disc_year: 2020 },
+  { pl_name: "c", pl_rade: 1.0, disc_year: 2020 },
+  { pl_name: "d", pl_rade: 11.2, disc_year: 1995 },
+];
+
+describe("Exoplanet List Parameters", () => {
+  describe("parseListParams", () => {
+    it("should return the full list when no parameters are given", () => {
+      expect(parseListParams({})).toEqual({
+        fields: [],
+        sort: [],
+        limit: null,
+        offset: 0,
+      });
+    });
+
+    it("should parse fields, sort, limit and offset", () => {
+      const spec = parseListParams({
+        fields: "pl_name, pl_rade",
+        sort: "-disc_year,pl_name",
+        limit: "2",
+        offset: "4",
+      });
+
+      expect(spec.fields).toEqual(["pl_name", "pl_rade"]);
+      expect(spec.sort).toEqual([
+        { column: "disc_year", descending: true },
+        { column: "pl_name", descending: false },
+      ]);
+      expect(spec.limit).toBe(2);
+      expect(spec.offset).toBe(4);
+    });
+
+    it("should accept the uncertainty columns served with the catalog", () => {
+      const spec = parseListParams({
+        fields: "pl_name,pl_rade,pl_radeerr1,pl_radeerr2",
+        sort: "-pl_bmasseerr1",
+      });
+
+      expect(spec.fields).toEqual([
+        "pl_name",
+        "pl_rade",
+        "pl_radeerr1",
+        "pl_radeerr2",
+      ]);
+      expect(spec.sort).toEqual([
+        { column: "pl_bmasseerr1", descending: true },
+      ]);
+      expect(() => parseListParams({ fields: "pl_radjerr1" })).toThrow(
+        QueryValidationError
+      );
+    });
+
+    it("should reject unknown fields and sort columns", () => {
+      expect(() => parseListParams({ fields: "pl_name,secret" })).toThrow(
+        QueryValidationError
+      );
+      expect(() => parseListParams({ sort: "-secret" })).toThrow(
+        QueryValidationError
+      );
+    });
+
+    it("should reject invalid limit and offset values", () => {
+      expect(() => parseListParams({ limit: "0" })).toThrow(
+        QueryValidationError
+      );
+      expect(() => parseListParams({ limit: "abc" })).toThrow(
+        QueryValidationError
+      );
+      expect(() => parseListParams({ offset: "-1" })).toThrow(
+        QueryValidationError
+      );
+      expect(() => parseListParams({ limit: ["1", "2"] })).toThrow(
+        QueryValidationError
+      );
+    });
+  });
+
+  describe("applyListParams", () => {
+    it("should return all rows unchanged without parameters", () => {
+      const { items, total } = applyListParams(rows, parseListParams({}));
+      expect(items).toEqual(rows);
+      expect(total).toBe(4);
+    });
+
+    it("should sort with missing values last and not mutate the input", () => {
+      const original = [...rows];
+      const { items } = applyListParams(
+        rows,
+        parseListParams({ sort: "-pl_rade" })
+      );
+
+      expect(items.map((r) => r.pl_name)).toEqual(["d", "b", "c", "a"]);
+      expect(rows).toEqual(original);
+    });
+
+    it("should sort by multiple keys", () => {
+      const { items } = applyListParams(
+        rows,
+        parseListParams({ sort: "-disc_year,pl_name" })
+      );
+      expect(items.map((r) => r.pl_name)).toEqual(["a", "c", "b", "d"]);
+    });
+
+    it("should paginate and select fields", () => {
+      const { items, total } = applyListParams(
+        rows,
+        parseListParams({
+          fields: "pl_name",
+          sort: "pl_name",
+          limit: "2",
+          offset: "1",
+        })
+      );
+
+      expect(items).toEqual([{ pl_name: "b" }, { pl_name: "c" }]);
+      expect(total).toBe(4);
+    });
+  });
+
+  describe("buildLinkHeader", () => {
+    const baseUrl = "http://localhost:5000/api/exoplanets";
+
+    it("should not build a header without a limit", () => {
+      expect(buildLinkHeader(baseUrl, {}, parseListParams({}), 10)).toBeNull();
+    });
+
+    it("should build first, prev, next and last links", () => {
+      const query = { limit: "2", offset: "2", fields: "pl_name" };
+      const header = buildLinkHeader(baseUrl, query, parseListParams(query), 7);
+
+      expect(header).toContain(
+        `<${baseUrl}?limit=2&fields=pl_name&offset=0>; rel="first"`
+      );
+      expect(header).toContain(
+        `<${baseUrl}?limit=2&fields=pl_name&offset=0>; rel="prev"`
+      );
+      expect(header).toContain(
+        `<${baseUrl}?limit=2&fields=pl_name&offset=4>; rel="next"`
+      );
+      expect(header).toContain(
+        `<${baseUrl}?limit=2&fields=pl_name&offset=6>; rel="last"`
+      );
+    });
+
+    it("should omit next on the last page and prev on the first", () => {
+      const first = { limit: "5" };
+      const firstHeader = buildLinkHeader(
+        baseUrl,
+        first,
+        parseListParams(first),
+        7
+      );
+      expect(firstHeader).not.toContain('rel="prev"');
+      expect(firstHeader).toContain('rel="next"');
+
+      const last = { limit: "5", offset: "5" };
+      const lastHeader = buildLinkHeader(
+        baseUrl,
+        last,
+        parseListParams(last),
+        7
+      );
+      expect(lastHeader).toContain('rel="prev"');
+      expect(lastHeader).not.toContain('rel="next"');
+    });
+  });
+});
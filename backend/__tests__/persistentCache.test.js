@@ -0,0 +1,139 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { mkdtemp, readdir, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { PersistentCache, computeEtag } from "../lib/persistentCache.js";
+
+describe("PersistentCache", () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), "exoplanet-cache-"));
+  });
+
+  afterEach(async () => {
+    vi.useRealTimers();
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it("should store values with an ETag and source metadata", () => {
+    const cache = new PersistentCache({ ttl: 60 });
+    const entry = cache.set("all_exoplanets", [{ pl_name: "a" }], {
+      source: "archive",
+    });
+
+    expect(entry.etag).toBe(computeEtag([{ pl_name: "a" }]));
+    expect(entry.source).toBe("archive");
+    expect(cache.get("all_exoplanets")).toEqual([{ pl_name: "a" }]);
+  });
+
+  it("should produce different ETags for different values", () => {
+    expect(computeEtag([1])).not.toBe(computeEtag([2]));
+    expect(computeEtag({ a: 1 })).toMatch(/^".+"$/);
+  });
+
+  it("should keep expired entries as stale instead of evicting them", () => {
+    vi.useFakeTimers();
+    const cache = new PersistentCache({ ttl: 10 });
+    cache.set("planet_x", { pl_name: "x" });
+
+    vi.advanceTimersByTime(11000);
+
+    expect(cache.get("planet_x")).toBeUndefined();
+    const entry = cache.getEntry("planet_x");
+    expect(entry.stale).toBe(true);
+    expect(entry.value).toEqual({ pl_name: "x" });
+    expect(cache.staleCount()).toBe(1);
+  });
+
+  it("should never mark entries stale with a TTL of 0", () => {
+    vi.useFakeTimers();
+    const cache = new PersistentCache({ ttl: 0 });
+    cache.set("planet_x", { pl_name: "x" });
+
+    vi.advanceTimersByTime(365 * 86400 * 1000);
+
+    expect(cache.get("planet_x")).toEqual({ pl_name: "x" });
+    expect(cache.getEntry("planet_x").stale).toBe(false);
+    expect(cache.staleCount()).toBe(0);
+  });
+
+  it("should track hits, stale hits and misses", () => {
+    vi.useFakeTimers();
+    const cache = new PersistentCache({ ttl: 10 });
+    cache.set("a", 1);
+
+    cache.getEntry("a");
+    cache.getEntry("missing");
+    vi.advanceTimersByTime(11000);
+    cache.getEntry("a");
+
+    expect(cache.getStats()).toEqual({ hits: 1, misses: 1, stale: 1 });
+  });
+
+  it("should persist entries and restore them after a restart", async () => {
+    const first = new PersistentCache({ ttl: 60, dir });
+    first.set("all_exoplanets", [{ pl_name: "a" }], { source: "archive" });
+    await first.flush();
+
+    const second = new PersistentCache({ ttl: 60, dir });
+    expect(await second.load()).toBe(1);
+
+    const entry = second.getEntry("all_exoplanets");
+    expect(entry.value).toEqual([{ pl_name: "a" }]);
+    expect(entry.source).toBe("archive");
+    expect(entry.stale).toBe(false);
+  });
+
+  it("should skip corrupt cache files on load", async () => {
+    await writeFile(path.join(dir, "broken.json"), "{not json");
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+
+    const cache = new PersistentCache({ ttl: 60, dir });
+    expect(await cache.load()).toBe(0);
+    expect(warn).toHaveBeenCalled();
+
+    warn.mockRestore();
+  });
+
+  it("should remove files when entries are deleted or flushed", async () => {
+    const cache = new PersistentCache({ ttl: 60, dir });
+    cache.set("a", 1);
+    cache.set("b", 2);
+    await cache.flush();
+    expect(await readdir(dir)).toHaveLength(2);
+
+    cache.del("a");
+    await cache.flush();
+    expect(await readdir(dir)).toHaveLength(1);
+
+    cache.flushAll();
+    await cache.flush();
+    expect(await readdir(dir)).toHaveLength(0);
+    expect(cache.keys()).toEqual([]);
+  });
+
+  it("should evict the oldest entries beyond maxKeys", () => {
+    vi.useFakeTimers();
+    const cache = new PersistentCache({ ttl: 60, maxKeys: 2 });
+
+    cache.set("a", 1);
+    vi.advanceTimersByTime(10);
+    cache.set("b", 2);
+    vi.advanceTimersByTime(10);
+    cache.set("c", 3);
+
+    expect(cache.keys().sort()).toEqual(["b", "c"]);
+  });
+
+  it("should report the serialized size of each entry", () => {
+    const cache = new PersistentCache({ ttl: 60 });
+    cache.set("planet_a", { pl_name: "ä" });
+    cache.set("planet_b", [1, 2, 3]);
+
+    expect(cache.sizes()).toEqual([
+      { key: "planet_a", bytes: Buffer.byteLength('{"pl_name":"ä"}') },
+      { key: "planet_b", bytes: 7 },
+    ]);
+  });
+});
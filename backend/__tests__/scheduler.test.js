@@ -0,0 +1,189 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { ScheduledJob, nextRunAt, parseSchedule } from "../lib/scheduler.js";
+
+const at = (iso) => Date.parse(iso);
+const next = (expression, after) =>
+  new Date(nextRunAt(parseSchedule(expression), at(after))).toISOString();
+
+describe("Scheduler", () => {
+  describe("parseSchedule", () => {
+    it("should parse intervals with units", () => {
+      expect(parseSchedule("6h")).toEqual({
+        type: "interval",
+        intervalMs: 6 * 60 * 60 * 1000,
+        expression: "6h",
+      });
+      expect(parseSchedule("90s").intervalMs).toBe(90000);
+      expect(parseSchedule("1d").intervalMs).toBe(86400000);
+      expect(parseSchedule("120000").intervalMs).toBe(120000);
+    });
+
+    it("should reject intervals under a minute", () => {
+      expect(() => parseSchedule("30s")).toThrow("at least 60s");
+    });
+
+    it("should parse cron fields", () => {
+      const { type, fields } = parseSchedule("*/15 2,14 1-3 * 7");
+
+      expect(type).toBe("cron");
+      expect([...fields.minute.values]).toEqual([0, 15, 30, 45]);
+      expect([...fields.hour.values]).toEqual([2, 14]);
+      expect([...fields.dayOfMonth.values]).toEqual([1, 2, 3]);
+      expect(fields.month.restricted).toBe(false);
+      expect(fields.dayOfWeek.values.has(0)).toBe(true);
+    });
+
+    it("should reject invalid expressions", () => {
+      expect(() => parseSchedule("0 * * *")).toThrow("5-field cron");
+      expect(() => parseSchedule("60 * * * *")).toThrow("Invalid cron minute");
+      expect(() => parseSchedule("0 5-1 * * *")).toThrow("Invalid cron hour");
+      expect(() => parseSchedule("0 0 * JAN *")).toThrow("Invalid cron month");
+      expect(() => parseSchedule("soon")).toThrow();
+    });
+  });
+
+  describe("nextRunAt", () => {
+    it("should add intervals", () => {
+      expect(nextRunAt(parseSchedule("2m"), 1000)).toBe(121000);
+    });
+
+    it("should find the next matching minute in UTC", () => {
+      expect(next("0 */6 * * *", "2024-10-28T10:15:30Z")).toBe(
+        "2024-10-28T12:00:00.000Z"
+      );
+      expect(next("30 2 * * *", "2024-10-28T02:30:00Z")).toBe(
+        "2024-10-29T02:30:00.000Z"
+      );
+      expect(next("@monthly", "2024-12-15T00:00:00Z")).toBe(
+        "2025-01-01T00:00:00.000Z"
+      );
+    });
+
+    it("should match either day field when both are restricted", () => {
+      // 2024-10-28 is a Monday; the next Friday or 1st of the month wins
+      expect(next("0 0 1 * 5", "2024-10-28T00:00:00Z")).toBe(
+        "2024-11-01T00:00:00.000Z"
+      );
+      expect(next("0 0 * * 5", "2024-10-28T00:00:00Z")).toBe(
+        "2024-11-01T00:00:00.000Z"
+      );
+      expect(next("0 0 15 * *", "2024-10-28T00:00:00Z")).toBe(
+        "2024-11-15T00:00:00.000Z"
+      );
+    });
+
+    it("should give up on dates that never occur", () => {
+      expect(nextRunAt(parseSchedule("0 0 30 2 *"), 0)).toBeNull();
+    });
+  });
+
+  describe("ScheduledJob", () => {
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it("should record the outcome and duration of runs", async () => {
+      let time = 1000;
+      const job = new ScheduledJob({
+        name: "test",
+        schedule: parseSchedule("1m"),
+        now: () => time,
+        run: async () => {
+          time += 250;
+          return { status: "partial", refreshed: 1 };
+        },
+      });
+
+      const run = await job.runNow();
+
+      expect(run).toEqual({
+        status: "partial",
+        startedAt: new Date(1000).toISOString(),
+        finishedAt: new Date(1250).toISOString(),
+        durationMs: 250,
+        refreshed: 1,
+      });
+      expect(job.toJSON()).toMatchObject({
+        schedule: "1m",
+        running: false,
+        lastRun: run,
+        runs: 1,
+        failures: 1,
+      });
+    });
+
+    it("should record failed runs without rejecting", async () => {
+      const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+      const job = new ScheduledJob({
+        name: "test",
+        schedule: parseSchedule("1m"),
+        run: async () => {
+          throw new Error("archive down");
+        },
+      });
+
+      await expect(job.runNow()).resolves.toMatchObject({
+        status: "failed",
+        error: "archive down",
+      });
+      warn.mockRestore();
+    });
+
+    it("should not overlap runs", async () => {
+      let finish;
+      const run = vi.fn(() => new Promise((resolve) => (finish = resolve)));
+      const job = new ScheduledJob({
+        name: "test",
+        schedule: parseSchedule("1m"),
+        run,
+      });
+
+      const first = job.runNow();
+      const second = job.runNow();
+      expect(job.toJSON().running).toBe(true);
+      await Promise.resolve();
+      finish();
+
+      expect(await first).toBe(await second);
+      expect(run).toHaveBeenCalledTimes(1);
+    });
+
+    it("should run on schedule until stopped", async () => {
+      vi.useFakeTimers({ now: at("2024-10-28T10:00:00Z") });
+      const run = vi.fn(async () => ({ status: "ok" }));
+      const job = new ScheduledJob({
+        name: "test",
+        schedule: parseSchedule("*/5 * * * *"),
+        run,
+      }).start();
+
+      expect(job.toJSON().nextRunAt).toBe("2024-10-28T10:05:00.000Z");
+
+      await vi.advanceTimersByTimeAsync(10 * 60 * 1000);
+      expect(run).toHaveBeenCalledTimes(2);
+      expect(job.toJSON().nextRunAt).toBe("2024-10-28T10:15:00.000Z");
+
+      job.stop();
+      await vi.advanceTimersByTimeAsync(10 * 60 * 1000);
+      expect(run).toHaveBeenCalledTimes(2);
+      expect(job.toJSON().nextRunAt).toBeNull();
+    });
+
+    it("should wait out delays beyond the timer limit", async () => {
+      vi.useFakeTimers({ now: at("2024-01-02T00:00:00Z") });
+      const run = vi.fn(async () => ({ status: "ok" }));
+      new ScheduledJob({
+        name: "test",
+        schedule: parseSchedule("0 0 1 3 *"),
+        run,
+      }).start();
+
+      // ~25 days: past the timer limit, but not yet March 1st
+      await vi.advanceTimersByTimeAsync(2 ** 31);
+      expect(run).not.toHaveBeenCalled();
+
+      await vi.advanceTimersByTimeAsync(60 * 86400000);
+      expect(run).toHaveBeenCalledTimes(1);
+    });
+  });
+});
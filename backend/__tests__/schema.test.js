@@ -0,0 +1,137 @@
+import { describe, it, expect } from "vitest";
+import { coerceQueryValue, resolveRef, validateSchema } from "../lib/schema.js";
+
+const document = {
+  components: {
+    schemas: {
+      Reference: {
+        type: "object",
+        required: ["label"],
+        properties: { label: { type: "string" }, url: { type: "string" } },
+        additionalProperties: false,
+      },
+    },
+  },
+};
+
+describe("Schema", () => {
+  describe("validateSchema", () => {
+    it("should check types, with null as its own type", () => {
+      expect(validateSchema({ type: "integer" }, 3)).toEqual([]);
+      expect(validateSchema({ type: "integer" }, 3.5)).toEqual([
+        { path: "", message: "must be integer" },
+      ]);
+      expect(validateSchema({ type: ["number", "null"] }, null)).toEqual([]);
+      expect(validateSchema({ type: "number" }, NaN)).toHaveLength(1);
+      expect(validateSchema({ type: "object" }, [])).toHaveLength(1);
+    });
+
+    it("should check bounds, lengths, patterns and enums", () => {
+      const check = (schema, value) =>
+        validateSchema(schema, value).map((error) => error.message);
+
+      expect(check({ minimum: 1, maximum: 10 }, 11)).toEqual(["must be <= 10"]);
+      expect(check({ maxLength: 3 }, "abcd")).toEqual([
+        "must be at most 3 characters",
+      ]);
+      expect(check({ pattern: "^[a-z]+$" }, "a'b")).toEqual([
+        "must match pattern ^[a-z]+$",
+      ]);
+      expect(check({ enum: ["json", "ndjson"] }, "xml")).toEqual([
+        'must be one of: "json", "ndjson"',
+      ]);
+      expect(
+        check({ enum: [...Array(20).keys()].map(String) }, "secret")
+      ).toEqual(['must be one of the documented values, got "secret"']);
+    });
+
+    it("should report the path of nested errors", () => {
+      const schema = {
+        type: "array",
+        items: { $ref: "#/components/schemas/Reference" },
+      };
+
+      expect(
+        validateSchema(schema, [{ label: "A" }, { url: 1, extra: true }], {
+          root: document,
+        })
+      ).toEqual([
+        { path: "[1]", message: "must have property label" },
+        { path: "[1].url", message: "must be string" },
+        { path: "[1].extra", message: "is not allowed" },
+      ]);
+    });
+
+    it("should check additional properties and property names", () => {
+      const schema = {
+        type: "object",
+        propertyNames: { enum: ["pl_rade", "sy_dist"] },
+        additionalProperties: { type: "number" },
+      };
+
+      expect(validateSchema(schema, { pl_rade: 1 })).toEqual([]);
+      expect(validateSchema(schema, { pl_name: 1, sy_dist: "x" })).toEqual([
+        {
+          path: "pl_name",
+          message: 'property name must be one of: "pl_rade", "sy_dist"',
+        },
+        { path: "sy_dist", message: "must be number" },
+      ]);
+    });
+
+    it("should accept a value matching any anyOf branch", () => {
+      const schema = {
+        anyOf: [{ type: "null" }, { $ref: "#/components/schemas/Reference" }],
+      };
+
+      expect(validateSchema(schema, null, { root: document })).toEqual([]);
+      expect(
+        validateSchema(schema, { label: "A" }, { root: document })
+      ).toEqual([]);
+      expect(validateSchema(schema, {}, { root: document })).toEqual([
+        { path: "", message: "must have property label" },
+      ]);
+    });
+  });
+
+  describe("coerceQueryValue", () => {
+    it("should convert numbers and booleans that parse cleanly", () => {
+      expect(coerceQueryValue({ type: "integer" }, "42")).toBe(42);
+      expect(coerceQueryValue({ type: "number" }, "1.5e3")).toBe(1500);
+      expect(coerceQueryValue({ type: "number" }, "12abc")).toBe("12abc");
+      expect(coerceQueryValue({ type: "number" }, " ")).toBe(" ");
+      expect(coerceQueryValue({ type: "boolean" }, "true")).toBe(true);
+    });
+
+    it("should split comma-separated and repeated array values", () => {
+      const schema = { type: "array", items: { type: "integer" } };
+
+      expect(coerceQueryValue(schema, "1, 2,,3")).toEqual([1, 2, 3]);
+      expect(coerceQueryValue(schema, ["1", "2,3"])).toEqual([1, 2, 3]);
+    });
+
+    it("should coerce deepObject properties", () => {
+      const schema = {
+        type: "object",
+        additionalProperties: { type: "number" },
+      };
+
+      expect(coerceQueryValue(schema, { pl_rade: "1.5" })).toEqual({
+        pl_rade: 1.5,
+      });
+      expect(coerceQueryValue(schema, "1.5")).toBe("1.5");
+    });
+  });
+
+  it("should resolve local references", () => {
+    expect(resolveRef(document, "#/components/schemas/Reference")).toBe(
+      document.components.schemas.Reference
+    );
+    expect(() => resolveRef(document, "#/components/schemas/Nope")).toThrow(
+      "Unresolvable reference"
+    );
+    expect(() => resolveRef(document, "other.json#/Reference")).toThrow(
+      "Only local references"
+    );
+  });
+});
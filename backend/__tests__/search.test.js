@@ -0,0 +1,196 @@
+import { describe, it, expect } from "vitest";
+import {
+  IDENTIFIERS_QUERY,
+  buildSearchIndex,
+  normalizeName,
+  parseAliasLookup,
+  parseSearchParams,
+  prefixEditDistance,
+} from "../lib/search.js";
+
+const catalog = [
+  { pl_name: "HD 209458 b", hostname: "HD 209458" },
+  { pl_name: "Kepler-452 b", hostname: "Kepler-452" },
+  { pl_name: "GJ 581 c", hostname: "GJ 581" },
+  { pl_name: "GJ 581 d", hostname: "GJ 581" },
+  { pl_name: "TOI-700 d", hostname: "TOI-700" },
+];
+
+const identifiers = [
+  {
+    pl_name: "HD 209458 b",
+    hostname: "HD 209458",
+    pl_letter: "b",
+    hd_name: "HD 209458",
+    hip_name: "HIP 108859",
+    tic_id: "TIC 420814525",
+    gaia_id: null,
+  },
+];
+
+const names = (results) => results.map((result) => result.name);
+
+describe("Search", () => {
+  describe("normalizeName", () => {
+    it("should ignore case, spacing and punctuation", () => {
+      expect(normalizeName("HD 209458 b").key).toBe("hd209458b");
+      expect(normalizeName("hd-209458b").key).toBe("hd209458b");
+      expect(normalizeName("  Kepler–452  ").key).toBe("kepler452");
+    });
+
+    it("should fold diacritics and catalog prefix spellings", () => {
+      expect(normalizeName("Élan").key).toBe("elan");
+      expect(normalizeName("Gliese 581").key).toBe("gj581");
+      expect(normalizeName("Gl581").key).toBe("gj581");
+      expect(normalizeName("Gliesenberg").key).toBe("gliesenberg");
+    });
+
+    it("should map key characters back to the original text", () => {
+      const { key, spans } = normalizeName("Gliese 581");
+      expect(key).toBe("gj581");
+      // Both replacement characters cover the whole prefix
+      expect(spans).toEqual([0, 6, 0, 6, 7, 8, 8, 9, 9, 10]);
+    });
+  });
+
+  describe("prefixEditDistance", () => {
+    it("should match partially typed names with typos", () => {
+      expect(prefixEditDistance("kepelr", "kepler452")).toEqual({
+        distance: 1,
+        end: 6,
+      });
+      expect(prefixEditDistance("toi", "kepler452").distance).toBe(Infinity);
+    });
+  });
+
+  describe("SearchIndex", () => {
+    const index = buildSearchIndex(
+      catalog,
+      identifiers,
+      new Map([["planet:HD 209458 b", ["Osiris"]]])
+    );
+
+    it("should rank exact matches before prefix matches", () => {
+      const results = index.search("HD209458");
+
+      expect(names(results)).toEqual(["HD 209458", "HD 209458 b"]);
+      expect(results[0]).toMatchObject({
+        type: "system",
+        planetCount: 1,
+        score: 1,
+      });
+      expect(results[1].type).toBe("planet");
+    });
+
+    it("should resolve aliases and star identifiers", () => {
+      expect(index.search("Osiris")[0]).toMatchObject({
+        name: "HD 209458 b",
+        match: { field: "alias", text: "Osiris" },
+      });
+      expect(names(index.search("HIP 108859 b"))[0]).toBe("HD 209458 b");
+      expect(names(index.search("Gliese 581", { type: "system" }))).toEqual([
+        "GJ 581",
+      ]);
+    });
+
+    it("should tolerate typos", () => {
+      expect(names(index.search("Keplr-452"))).toEqual([
+        "Kepler-452",
+        "Kepler-452 b",
+      ]);
+      expect(names(index.search("osirus"))).toEqual(["HD 209458 b"]);
+    });
+
+    it("should match inside names", () => {
+      const [result] = index.search("700 d");
+
+      expect(result.name).toBe("TOI-700 d");
+      expect(result.match.ranges).toEqual([
+        [4, 7],
+        [8, 9],
+      ]);
+    });
+
+    it("should highlight the matched characters", () => {
+      expect(index.search("hd 2094")[0].match.ranges).toEqual([
+        [0, 2],
+        [3, 7],
+      ]);
+    });
+
+    it("should filter by type and honor the limit", () => {
+      expect(
+        names(index.search("gj581", { type: "planet", limit: 1 }))
+      ).toEqual(["GJ 581 c"]);
+      expect(index.search("--")).toEqual([]);
+    });
+
+    it("should accept names added later", () => {
+      const later = buildSearchIndex(catalog);
+      expect(later.search("Osiris")).toEqual([]);
+
+      expect(later.addName("planet:HD 209458 b", "Osiris")).toBe(true);
+      expect(later.addName("planet:HD 209458 b", "OSIRIS")).toBe(false);
+      expect(later.addName("planet:Unknown b", "Nobody")).toBe(false);
+      expect(names(later.search("Osiris"))).toEqual(["HD 209458 b"]);
+    });
+  });
+
+  describe("parseAliasLookup", () => {
+    it("should extract star and planet aliases", () => {
+      const aliases = parseAliasLookup({
+        system: {
+          objects: {
+            stellar_set: {
+              stars: {
+                "HD 209458": {
+                  alias_set: { aliases: ["HD 209458", "V376 Peg"] },
+                },
+              },
+            },
+            planet_set: {
+              planets: {
+                "HD 209458 b": {
+                  alias_set: { aliases: ["HD 209458 b", "Osiris"] },
+                },
+              },
+            },
+          },
+        },
+      });
+
+      expect([...aliases]).toEqual([
+        ["system:HD 209458", ["V376 Peg"]],
+        ["planet:HD 209458 b", ["Osiris"]],
+      ]);
+    });
+
+    it("should return no aliases for unresolved names", () => {
+      expect(parseAliasLookup({ manifest: {} }).size).toBe(0);
+    });
+  });
+
+  describe("parseSearchParams", () => {
+    it("should apply defaults", () => {
+      expect(parseSearchParams({ q: " kepler " })).toEqual({
+        q: "kepler",
+        limit: 10,
+        type: null,
+      });
+    });
+
+    it("should reject invalid parameters", () => {
+      expect(() => parseSearchParams({})).toThrow("q is required");
+      expect(() => parseSearchParams({ q: "x".repeat(101) })).toThrow(
+        "at most 100"
+      );
+      expect(() => parseSearchParams({ q: "a", limit: "0" })).toThrow("limit");
+      expect(() => parseSearchParams({ q: "a", type: "star" })).toThrow("type");
+    });
+  });
+
+  it("should query the star identifiers of every planet", () => {
+    expect(IDENTIFIERS_QUERY).toContain("FROM pscomppars");
+    expect(IDENTIFIERS_QUERY).toContain("pl_letter");
+  });
+});
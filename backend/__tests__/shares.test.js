@@ -0,0 +1,124 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import {
+  SHARE_ID_PATTERN,
+  ShareStore,
+  buildShareRedirect,
+} from "../lib/shares.js";
+
+const state = {
+  mode: "planet",
+  planet: "TOI-700 d",
+  system: "TOI-700",
+  camera: { x: 1.5, y: 0, z: -20 },
+};
+
+describe("Share Links", () => {
+  describe("ShareStore", () => {
+    let dir;
+
+    beforeEach(async () => {
+      dir = await mkdtemp(path.join(tmpdir(), "exoplanet-shares-"));
+    });
+
+    afterEach(async () => {
+      await rm(dir, { recursive: true, force: true });
+    });
+
+    it("should store views under short unique ids", () => {
+      const store = new ShareStore();
+      const share = store.create(state, { ttl: 60, now: 1000 });
+
+      expect(share).toEqual({
+        id: expect.stringMatching(new RegExp(SHARE_ID_PATTERN)),
+        state,
+        createdAt: 1000,
+        expiresAt: 61000,
+        views: 0,
+      });
+      expect(store.create(state, { now: 1000 }).id).not.toBe(share.id);
+      expect(store.size).toBe(2);
+    });
+
+    it("should count views but not lookups", () => {
+      const store = new ShareStore();
+      const { id } = store.create(state, { now: 1000 });
+
+      expect(store.view(id, 2000)).toMatchObject({
+        views: 1,
+        lastViewedAt: 2000,
+      });
+      store.view(id, 3000);
+      expect(store.get(id, 4000).views).toBe(2);
+      expect(store.view("missing1")).toBeNull();
+    });
+
+    it("should expire links", () => {
+      const store = new ShareStore();
+      const short = store.create(state, { ttl: 60, now: 0 });
+      const long = store.create(state, { ttl: 3600, now: 0 });
+
+      expect(store.get(short.id, 59999)).not.toBeNull();
+      expect(store.view(short.id, 60000)).toBeNull();
+      expect(store.prune(3600000)).toBe(1);
+      expect(store.get(long.id, 0)).toBeNull();
+      expect(store.size).toBe(0);
+    });
+
+    it("should drop the links expiring first beyond the limit", () => {
+      const store = new ShareStore({ maxShares: 2 });
+      const first = store.create(state, { ttl: 600, now: 0 });
+      const second = store.create(state, { ttl: 60, now: 0 });
+      const third = store.create(state, { ttl: 600, now: 0 });
+
+      expect(store.size).toBe(2);
+      expect(store.get(second.id, 0)).toBeNull();
+      expect(store.get(first.id, 0)).not.toBeNull();
+      expect(store.get(third.id, 0)).not.toBeNull();
+    });
+
+    it("should persist links and view counts", async () => {
+      const file = path.join(dir, "shares", "shares.json");
+      const store = new ShareStore({ file });
+      const kept = store.create(state, { ttl: 3600 });
+      store.create(state, { ttl: 60, now: 0 });
+      store.view(kept.id);
+      store.view(kept.id);
+      await store.flush();
+
+      const saved = JSON.parse(await readFile(file, "utf8"));
+      expect(saved.shares).toHaveLength(2);
+
+      const restored = new ShareStore({ file });
+      expect(await restored.load()).toBe(1);
+      expect(restored.get(kept.id)).toMatchObject({ state, views: 2 });
+    });
+
+    it("should start empty without a readable file", async () => {
+      const file = path.join(dir, "shares.json");
+      expect(await new ShareStore({ file }).load()).toBe(0);
+
+      await writeFile(file, "{not json", "utf8");
+      expect(await new ShareStore({ file }).load()).toBe(0);
+    });
+  });
+
+  describe("buildShareRedirect", () => {
+    it("should put the view in the app's query string", () => {
+      const url = new URL(buildShareRedirect("https://example.org/app", state));
+
+      expect(url.origin + url.pathname).toBe("https://example.org/app");
+      expect(Object.fromEntries(url.searchParams)).toEqual({
+        mode: "planet",
+        planet: "TOI-700 d",
+        system: "TOI-700",
+        camera: JSON.stringify(state.camera),
+      });
+      expect(
+        buildShareRedirect("http://localhost:5173", { mode: "galaxy" })
+      ).toBe("http://localhost:5173/?mode=galaxy");
+    });
+  });
+});
@@ -0,0 +1,46 @@
+import { describe, it, expect } from "vitest";
+import { SingleFlight } from "../lib/singleFlight.js";
+
+describe("SingleFlight", () => {
+  it("should share one call between concurrent callers", async () => {
+    const flights = new SingleFlight();
+    let calls = 0;
+    const load = async () => {
+      calls++;
+      return "rows";
+    };
+
+    const results = await Promise.all([
+      flights.run("all_exoplanets", load),
+      flights.run("all_exoplanets", load),
+      flights.run("all_exoplanets", load),
+    ]);
+
+    expect(results).toEqual(["rows", "rows", "rows"]);
+    expect(calls).toBe(1);
+    expect(flights.coalesced).toBe(2);
+    expect(flights.size).toBe(0);
+  });
+
+  it("should keep different keys separate", async () => {
+    const flights = new SingleFlight();
+
+    const [a, b] = await Promise.all([
+      flights.run("planet_a", async () => "a"),
+      flights.run("planet_b", async () => "b"),
+    ]);
+
+    expect([a, b]).toEqual(["a", "b"]);
+  });
+
+  it("should not remember failures", async () => {
+    const flights = new SingleFlight();
+
+    await expect(
+      flights.run("key", async () => {
+        throw new Error("timeout");
+      })
+    ).rejects.toThrow("timeout");
+    await expect(flights.run("key", async () => "ok")).resolves.toBe("ok");
+  });
+});
@@ -0,0 +1,127 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { mkdtemp, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import {
+  SNAPSHOT_FORMAT_VERSION,
+  SnapshotError,
+  createSnapshot,
+  parseCsvSnapshot,
+  formatCsvSnapshot,
+  loadSnapshot,
+  writeSnapshot,
+  findSnapshotPlanet,
+} from "../lib/snapshot.js";
+
+const rows = [
+  {
+    pl_name: "Kepler-452 b",
+    pl_rade: 1.63,
+    pl_bmasse: null,
+    disc_facility: "Kepler",
+  },
+  {
+    pl_name: "HD 209458 b",
+    pl_rade: 15.6,
+    pl_bmasse: 219,
+    disc_facility: 'Multiple "Observatories", Inc',
+  },
+];
+
+describe("Catalog Snapshots", () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), "exoplanet-snapshot-"));
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  describe("createSnapshot", () => {
+    it("should stamp version, creation time and count", () => {
+      const snapshot = createSnapshot(rows, { source: "http://tap" });
+
+      expect(snapshot.version).toBe(SNAPSHOT_FORMAT_VERSION);
+      expect(snapshot.source).toBe("http://tap");
+      expect(snapshot.count).toBe(2);
+      expect(new Date(snapshot.createdAt).toString()).not.toBe("Invalid Date");
+    });
+  });
+
+  describe("CSV format", () => {
+    it("should round-trip rows and metadata", () => {
+      const snapshot = createSnapshot(rows, { source: "http://tap" });
+      const parsed = parseCsvSnapshot(formatCsvSnapshot(snapshot));
+
+      expect(parsed.version).toBe(SNAPSHOT_FORMAT_VERSION);
+      expect(parsed.source).toBe("http://tap");
+      expect(parsed.createdAt).toBe(snapshot.createdAt);
+      expect(parsed.rows).toEqual(rows);
+    });
+
+    it("should parse CSV exported from the archive without metadata", () => {
+      const parsed = parseCsvSnapshot(
+        'pl_name,pl_rade,sy_dist\r\n"TOI-700 d",1.19,31.1\r\n"K2-18 b",,38.1\r\n'
+      );
+
+      expect(parsed.version).toBeUndefined();
+      expect(parsed.rows).toEqual([
+        { pl_name: "TOI-700 d", pl_rade: 1.19, sy_dist: 31.1 },
+        { pl_name: "K2-18 b", pl_rade: null, sy_dist: 38.1 },
+      ]);
+    });
+  });
+
+  describe("loadSnapshot and writeSnapshot", () => {
+    it("should write and load JSON snapshots", async () => {
+      const filePath = path.join(dir, "nested", "snapshot.json");
+      await writeSnapshot(filePath, createSnapshot(rows));
+
+      const loaded = await loadSnapshot(filePath);
+      expect(loaded.rows).toEqual(rows);
+    });
+
+    it("should write and load CSV snapshots", async () => {
+      const filePath = path.join(dir, "snapshot.csv");
+      await writeSnapshot(filePath, createSnapshot(rows));
+
+      const loaded = await loadSnapshot(filePath);
+      expect(loaded.rows).toEqual(rows);
+    });
+
+    it("should reject missing files", async () => {
+      await expect(
+        loadSnapshot(path.join(dir, "missing.json"))
+      ).rejects.toBeInstanceOf(SnapshotError);
+    });
+
+    it("should reject unsupported versions", async () => {
+      const filePath = path.join(dir, "old.json");
+      await writeFile(filePath, JSON.stringify({ version: 99, rows: [] }));
+
+      await expect(loadSnapshot(filePath)).rejects.toThrow(
+        "Unsupported snapshot version"
+      );
+    });
+
+    it("should reject malformed JSON", async () => {
+      const filePath = path.join(dir, "broken.json");
+      await writeFile(filePath, "{not json");
+
+      await expect(loadSnapshot(filePath)).rejects.toBeInstanceOf(
+        SnapshotError
+      );
+    });
+  });
+
+  describe("findSnapshotPlanet", () => {
+    it("should find planets by exact name", () => {
+      const snapshot = createSnapshot(rows);
+
+      expect(findSnapshotPlanet(snapshot, "HD 209458 b").pl_rade).toBe(15.6);
+      expect(findSnapshotPlanet(snapshot, "HD 209458")).toBeNull();
+    });
+  });
+});
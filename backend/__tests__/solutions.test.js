@@ -0,0 +1,116 @@
+import { describe, it, expect } from "vitest";
+import {
+  SOLUTION_VALUE_COLUMNS,
+  buildSolutionsQuery,
+  parseReference,
+  formatSolutions,
+} from "../lib/solutions.js";
+
+const rows = [
+  {
+    pl_name: "Kepler-452 b",
+    default_flag: 0,
+    pl_refname:
+      "<a refstr=JENKINS_ET_AL__2015 href=https://ui.adsabs.harvard.edu/abs/2015AJ....150...56J/abstract target=ref>Jenkins et al. 2015</a>",
+    pl_pubdate: "2015-07",
+    pl_rade: 1.63,
+    pl_radeerr1: 0.23,
+    pl_radeerr2: -0.2,
+  },
+  {
+    pl_name: "Kepler-452 b",
+    default_flag: 0,
+    pl_refname:
+      "<a refstr=MATHUR_ET_AL__2017 href=https://ui.adsabs.harvard.edu/abs/2017ApJS..229...30M/abstract target=ref>Mathur et al. 2017</a>",
+    pl_pubdate: "2017-03",
+    pl_rade: 1.5,
+    pl_radeerr1: 0.32,
+    pl_radeerr2: -0.14,
+  },
+  {
+    pl_name: "Kepler-452 b",
+    default_flag: 1,
+    pl_refname:
+      "<a refstr=BERGER_ET_AL__2018 href=https://ui.adsabs.harvard.edu/abs/2018ApJ...866...99B/abstract target=ref>Berger et al. 2018</a>",
+    pl_pubdate: "2018-11",
+    pl_rade: 1.86,
+    pl_radeerr1: 0.46,
+    pl_radeerr2: -0.26,
+  },
+];
+
+describe("Planet Solutions", () => {
+  describe("buildSolutionsQuery", () => {
+    it("should select every parameter set with uncertainties", () => {
+      const query = buildSolutionsQuery("Kepler-452 b");
+
+      expect(query).toContain("FROM ps WHERE pl_name = 'Kepler-452 b'");
+      expect(query).not.toContain("default_flag =");
+      expect(query).toContain("pl_refname");
+      expect(query).toContain("pl_pubdate");
+      SOLUTION_VALUE_COLUMNS.forEach((column) => {
+        expect(query).toContain(`${column}err1`);
+        expect(query).toContain(`${column}err2`);
+      });
+    });
+
+    it("should escape single quotes", () => {
+      expect(buildSolutionsQuery("a'b")).toContain("pl_name = 'a''b'");
+    });
+  });
+
+  describe("parseReference", () => {
+    it("should extract the citation and link from an archive anchor", () => {
+      expect(parseReference(rows[0].pl_refname)).toEqual({
+        label: "Jenkins et al. 2015",
+        url: "https://ui.adsabs.harvard.edu/abs/2015AJ....150...56J/abstract",
+      });
+    });
+
+    it("should handle plain text and missing references", () => {
+      expect(parseReference("Calculated Value")).toEqual({
+        label: "Calculated Value",
+        url: null,
+      });
+      expect(parseReference(null)).toBeNull();
+      expect(parseReference("")).toBeNull();
+    });
+
+    it("should drop non-http links", () => {
+      const reference = parseReference(
+        "<a href=javascript:alert(1)>Bad et al. 2020</a>"
+      );
+      expect(reference.url).toBeNull();
+    });
+  });
+
+  describe("formatSolutions", () => {
+    it("should list the default set first, then newest publications", () => {
+      const result = formatSolutions("Kepler-452 b", rows);
+
+      expect(result.pl_name).toBe("Kepler-452 b");
+      expect(result.count).toBe(3);
+      expect(result.solutions.map((s) => s.pl_pubdate)).toEqual([
+        "2018-11",
+        "2017-03",
+        "2015-07",
+      ]);
+      expect(result.solutions[0].reference.label).toBe("Berger et al. 2018");
+    });
+
+    it("should list the value columns of the solutions", () => {
+      const { valueColumns } = formatSolutions("Kepler-452 b", rows);
+
+      expect(valueColumns).toEqual(SOLUTION_VALUE_COLUMNS);
+      expect(valueColumns).toContain("pl_bmasse");
+    });
+
+    it("should keep archive columns and not mutate the input", () => {
+      const input = [...rows];
+      const result = formatSolutions("Kepler-452 b", input);
+
+      expect(input[0].pl_pubdate).toBe("2015-07");
+      expect(result.solutions[2].pl_radeerr2).toBe(-0.2);
+    });
+  });
+});
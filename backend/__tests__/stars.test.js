@@ -0,0 +1,125 @@
+import { describe, it, expect } from "vitest";
+import {
+  STAR_VALUE_COLUMNS,
+  STAR_MAGNITUDE_COLUMNS,
+  buildStarQuery,
+  mergeStellarRows,
+} from "../lib/stars.js";
+
+const rows = [
+  {
+    hostname: "Kepler-452",
+    st_refname:
+      "<a refstr=JENKINS_ET_AL__2015 href=https://ui.adsabs.harvard.edu/abs/2015AJ....150...56J/abstract target=ref>Jenkins et al. 2015</a>",
+    sy_snum: 1,
+    sy_pnum: 1,
+    st_teff: 5757,
+    st_tefferr1: 85,
+    st_tefferr2: -85,
+    st_met: 0.21,
+    st_meterr1: 0.09,
+    st_meterr2: -0.09,
+    st_metratio: "[Fe/H]",
+    st_logg: 4.32,
+  },
+  {
+    hostname: "Kepler-452",
+    st_refname:
+      "<a refstr=BERGER_ET_AL__2018 href=https://ui.adsabs.harvard.edu/abs/2018ApJ...866...99B/abstract target=ref>Berger et al. 2018</a>",
+    sy_snum: 1,
+    sy_pnum: 1,
+    st_teff: 5788,
+    st_tefferr1: 110,
+    st_tefferr2: -103,
+    st_rad: 1.13,
+    st_raderr1: 0.06,
+    st_raderr2: -0.05,
+    st_lum: 0.119,
+    sy_vmag: 13.43,
+    sy_vmagerr1: 0.08,
+    sy_vmagerr2: -0.08,
+    sy_kmag: 11.7,
+  },
+];
+
+describe("Host Stars", () => {
+  describe("buildStarQuery", () => {
+    it("should select every stellar solution with uncertainties", () => {
+      const query = buildStarQuery("Kepler-452");
+
+      expect(query).toContain(
+        "FROM stellarhosts WHERE hostname = 'Kepler-452'"
+      );
+      expect(query).toContain("st_refname");
+      expect(query).toContain("sy_snum");
+      [...STAR_VALUE_COLUMNS, ...STAR_MAGNITUDE_COLUMNS].forEach((column) => {
+        expect(query).toContain(`${column}err1`);
+        expect(query).toContain(`${column}err2`);
+      });
+    });
+
+    it("should escape single quotes", () => {
+      expect(buildStarQuery("a'b")).toContain("hostname = 'a''b'");
+    });
+  });
+
+  describe("mergeStellarRows", () => {
+    it("should prefer the most complete solution for each value", () => {
+      const result = mergeStellarRows("Kepler-452", rows);
+
+      expect(result.hostname).toBe("Kepler-452");
+      expect(result.star.st_teff).toBe(5788);
+      expect(result.star.st_tefferr1).toBe(110);
+      expect(result.sources.st_teff).toBe("Berger et al. 2018");
+    });
+
+    it("should fill gaps from other solutions with their own uncertainties", () => {
+      const { star, sources } = mergeStellarRows("Kepler-452", rows);
+
+      expect(star.st_met).toBe(0.21);
+      expect(star.st_meterr2).toBe(-0.09);
+      expect(star.st_metratio).toBe("[Fe/H]");
+      expect(sources.st_met).toBe("Jenkins et al. 2015");
+      expect(star.st_logg).toBe(4.32);
+      expect(star.st_loggerr1).toBeNull();
+      expect(star.sy_vmag).toBe(13.43);
+      expect(star.st_rotp).toBeNull();
+    });
+
+    it("should report multiplicity and unique references", () => {
+      const result = mergeStellarRows("Kepler-452", rows);
+
+      expect(result.multiplicity).toEqual({
+        stars: 1,
+        planets: 1,
+        moons: null,
+        type: "single",
+      });
+      expect(result.references.map((r) => r.label)).toEqual([
+        "Berger et al. 2018",
+        "Jenkins et al. 2015",
+      ]);
+    });
+
+    it("should accept catalog rows without references", () => {
+      const result = mergeStellarRows("Kepler-16", [
+        {
+          hostname: "Kepler-16",
+          pl_name: "Kepler-16 b",
+          st_teff: 4450,
+          sy_snum: 2,
+        },
+      ]);
+
+      expect(result.star.st_teff).toBe(4450);
+      expect(result.star).not.toHaveProperty("pl_name");
+      expect(result.multiplicity.type).toBe("binary");
+      expect(result.sources).toEqual({});
+      expect(result.references).toEqual([]);
+    });
+
+    it("should return null when there are no rows", () => {
+      expect(mergeStellarRows("Nowhere", [])).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,288 @@
+import { describe, it, expect } from "vitest";
+import {
+  classifyPlanet,
+  classifyPlanetDetailed,
+  estimateRadius,
+  spectralClass,
+  parsePlanetFilters,
+  filterPlanets,
+  computeStats,
+} from "../lib/stats.js";
+import { QueryValidationError } from "../lib/adql.js";
+
+const rows = [
+  {
+    pl_name: "TRAPPIST-1 e",
+    pl_rade: 0.92,
+    pl_bmasse: 0.69,
+    pl_orbper: 6.1,
+    pl_eqt: 250,
+    sy_dist: 12.4,
+    disc_year: 2017,
+    discoverymethod: "Transit",
+    disc_facility: "Spitzer Space Telescope",
+    st_spectype: "M8 V",
+  },
+  {
+    pl_name: "51 Peg b",
+    pl_rade: null,
+    pl_bmasse: 150,
+    pl_orbper: 4.23,
+    pl_eqt: 1260,
+    sy_dist: 15.5,
+    disc_year: 1995,
+    discoverymethod: "Radial Velocity",
+    disc_facility: "Haute-Provence Observatory",
+    st_spectype: "G2 IV",
+  },
+  {
+    pl_name: "HD 209458 b",
+    pl_rade: 15.6,
+    pl_bmasse: 219,
+    pl_dens: 0.33,
+    pl_orbper: 3.52,
+    pl_eqt: 1459,
+    sy_dist: 48.3,
+    disc_year: 1999,
+    discoverymethod: "Radial Velocity",
+    disc_facility: "W. M. Keck Observatory",
+    st_spectype: null,
+  },
+];
+
+describe("Discovery Statistics", () => {
+  describe("classifyPlanet", () => {
+    it("should match the frontend classification", () => {
+      expect(classifyPlanet({ pl_rade: 1.0, pl_dens: 5.5 })).toBe(
+        "terrestrial"
+      );
+      expect(classifyPlanet({ pl_rade: 1.5 })).toBe("super-earth");
+      expect(classifyPlanet({ pl_rade: 3.5, pl_dens: 1.5 })).toBe("neptune");
+      expect(classifyPlanet({ pl_rade: 11 })).toBe("jupiter");
+      expect(classifyPlanet({ pl_rade: 5.0, pl_dens: 4.5 })).toBe(
+        "super-earth"
+      );
+      // Missing radius defaults to 1 R⊕
+      expect(classifyPlanet({})).toBe("terrestrial");
+    });
+
+    it("should estimate a missing radius from the mass", () => {
+      expect(classifyPlanet({ pl_bmasse: 317.8 })).toBe("jupiter");
+      expect(classifyPlanet({ pl_bmasse: 1 })).toBe("terrestrial");
+      expect(classifyPlanet({ pl_bmasse: 17.1 })).toBe("neptune");
+    });
+  });
+
+  describe("classifyPlanetDetailed", () => {
+    it("should match the frontend's detailed scheme", () => {
+      expect(classifyPlanetDetailed(rows[1])).toBe("hot-jupiter");
+      expect(classifyPlanetDetailed({ pl_rade: 13, pl_orbper: 50 })).toBe(
+        "warm-jupiter"
+      );
+      // Giants without a period: missing temperatures are not 288 K
+      expect(classifyPlanetDetailed({ pl_rade: 13, pl_eqt: 600 })).toBe(
+        "warm-jupiter"
+      );
+      expect(classifyPlanetDetailed({ pl_rade: 13 })).toBe("cold-jupiter");
+      expect(classifyPlanetDetailed({ pl_rade: 1.5, pl_eqt: 2100 })).toBe(
+        "lava-world"
+      );
+      expect(classifyPlanetDetailed({ pl_rade: 1.9, pl_orbper: 0.74 })).toBe(
+        "ultra-short-period"
+      );
+      expect(classifyPlanetDetailed({ pl_rade: 2.2 })).toBe("mini-neptune");
+      expect(classifyPlanetDetailed({ pl_rade: 3.0 })).toBe("sub-neptune");
+      expect(classifyPlanetDetailed(rows[0])).toBe("terrestrial");
+    });
+
+    it("should only flag ocean worlds with measured radius and mass", () => {
+      const candidate = {
+        pl_rade: 1.6,
+        pl_bmasse: 4,
+        pl_dens: 3.0,
+        pl_eqt: 320,
+      };
+
+      expect(classifyPlanetDetailed(candidate)).toBe("ocean-world");
+      expect(
+        classifyPlanetDetailed({
+          ...candidate,
+          pl_bmassprov: "M-R relationship",
+        })
+      ).toBe("super-earth");
+      expect(classifyPlanetDetailed({ ...candidate, pl_bmasse: null })).toBe(
+        "super-earth"
+      );
+    });
+  });
+
+  describe("estimateRadius", () => {
+    it("should follow the piecewise mass-radius relation", () => {
+      expect(estimateRadius(1)).toBeCloseTo(1.0, 1);
+      expect(estimateRadius(17.1)).toBeGreaterThan(3.5);
+      expect(estimateRadius(317.8)).toBeGreaterThan(11);
+      expect(estimateRadius(null)).toBeNull();
+      expect(estimateRadius(0)).toBeNull();
+    });
+  });
+
+  describe("spectralClass", () => {
+    it("should reduce spectral types to their main class", () => {
+      expect(spectralClass("G2 V")).toBe("G");
+      expect(spectralClass("m3.5")).toBe("M");
+      expect(spectralClass("DA")).toBe("Other");
+      expect(spectralClass(null)).toBe("Unknown");
+    });
+  });
+
+  describe("parsePlanetFilters", () => {
+    it("should default to no filtering", () => {
+      expect(parsePlanetFilters({})).toEqual({
+        scheme: "basic",
+        type: null,
+        tempMin: 0,
+        tempMax: Infinity,
+        distMax: Infinity,
+        discoveryMethod: null,
+        discoveryFacility: null,
+        excludeDefaulted: null,
+      });
+    });
+
+    it("should ignore empty values like the filter form sends", () => {
+      expect(parsePlanetFilters({ type: "", tempMin: "" }).type).toBeNull();
+    });
+
+    it("should reject invalid values", () => {
+      expect(() => parsePlanetFilters({ type: "gas" })).toThrow(
+        QueryValidationError
+      );
+      expect(() => parsePlanetFilters({ tempMax: "hot" })).toThrow(
+        "tempMax must be a non-negative number"
+      );
+      expect(() => parsePlanetFilters({ discoveryMethod: ["a", "b"] })).toThrow(
+        "Invalid discoveryMethod"
+      );
+      expect(() => parsePlanetFilters({ excludeDefaulted: "pl_rade" })).toThrow(
+        "excludeDefaulted must be one of: radius, mass"
+      );
+      expect(() => parsePlanetFilters({ scheme: "fancy" })).toThrow(
+        "scheme must be one of: basic, detailed"
+      );
+    });
+
+    it("should check the type against the scheme", () => {
+      expect(() => parsePlanetFilters({ type: "hot-jupiter" })).toThrow(
+        "type must be one of: terrestrial, super-earth, neptune, jupiter"
+      );
+      expect(
+        parsePlanetFilters({ scheme: "detailed", type: "hot-jupiter" })
+      ).toMatchObject({ scheme: "detailed", type: "hot-jupiter" });
+    });
+  });
+
+  describe("filterPlanets", () => {
+    it("should filter by type, temperature, distance and discovery", () => {
+      const names = (filters) =>
+        filterPlanets(rows, { ...parsePlanetFilters({}), ...filters }).map(
+          (row) => row.pl_name
+        );
+
+      expect(names({ type: "jupiter" })).toEqual(["51 Peg b", "HD 209458 b"]);
+      expect(names({ tempMin: 1000, tempMax: 1300 })).toEqual(["51 Peg b"]);
+      expect(names({ distMax: 100 })).toEqual(["TRAPPIST-1 e", "51 Peg b"]);
+      expect(names({ discoveryMethod: "Radial" })).toEqual([
+        "51 Peg b",
+        "HD 209458 b",
+      ]);
+      expect(names({ discoveryFacility: "Keck" })).toEqual(["HD 209458 b"]);
+    });
+
+    it("should filter by a type of the detailed scheme", () => {
+      const names = filterPlanets(
+        rows,
+        parsePlanetFilters({ scheme: "detailed", type: "hot-jupiter" })
+      ).map((row) => row.pl_name);
+
+      expect(names).toEqual(["51 Peg b", "HD 209458 b"]);
+      expect(
+        filterPlanets(
+          rows,
+          parsePlanetFilters({ scheme: "detailed", type: "cold-jupiter" })
+        )
+      ).toEqual([]);
+    });
+
+    it("should leave out planets shown with a default value", () => {
+      const names = filterPlanets(
+        [...rows, { pl_name: "KOI-123 b", pl_rade: null, pl_bmasse: null }],
+        parsePlanetFilters({ excludeDefaulted: "radius" })
+      ).map((row) => row.pl_name);
+
+      // 51 Peg b has no radius, but one is estimated from its mass
+      expect(names).toEqual(["TRAPPIST-1 e", "51 Peg b", "HD 209458 b"]);
+    });
+  });
+
+  describe("computeStats", () => {
+    it("should count by year, method, facility, type and spectral class", () => {
+      const stats = computeStats(rows);
+
+      expect(stats.total).toBe(3);
+      expect(stats.counts.year.map((c) => c.value)).toEqual([1995, 1999, 2017]);
+      expect(stats.counts.method[0]).toEqual({
+        value: "Radial Velocity",
+        count: 2,
+      });
+      expect(stats.counts.facility).toHaveLength(3);
+      expect(stats.counts.type).toEqual([
+        { value: "jupiter", count: 2 },
+        { value: "terrestrial", count: 1 },
+      ]);
+      expect(stats.counts.spectralType).toEqual([
+        { value: "G", count: 1 },
+        { value: "M", count: 1 },
+        { value: "Unknown", count: 1 },
+      ]);
+    });
+
+    it("should count types of the chosen scheme", () => {
+      const filters = parsePlanetFilters({
+        scheme: "detailed",
+        type: "hot-jupiter",
+      });
+      const stats = computeStats(filterPlanets(rows, filters), filters.scheme);
+
+      expect(stats.total).toBe(2);
+      expect(stats.counts.type).toEqual([{ value: "hot-jupiter", count: 2 }]);
+      expect(computeStats(rows, "detailed").counts.type).toEqual([
+        { value: "hot-jupiter", count: 2 },
+        { value: "terrestrial", count: 1 },
+      ]);
+    });
+
+    it("should build histograms and count missing values", () => {
+      const { radius, distance } = computeStats(rows).histograms;
+
+      expect(radius.unit).toBe("R⊕");
+      expect(radius.missing).toBe(1);
+      expect(radius.bins.find((b) => b.min === 0.5).count).toBe(1);
+      expect(radius.bins.at(-1)).toEqual({ min: 20, max: null, count: 0 });
+      expect(radius.bins.find((b) => b.min === 15).count).toBe(1);
+
+      // Distances are binned in light-years
+      expect(distance.unit).toBe("ly");
+      expect(distance.bins.find((b) => b.min === 0).count).toBe(1);
+      expect(distance.bins.find((b) => b.min === 50).count).toBe(1);
+      expect(distance.bins.find((b) => b.min === 100).count).toBe(1);
+    });
+
+    it("should handle an empty catalog", () => {
+      const stats = computeStats([]);
+
+      expect(stats.total).toBe(0);
+      expect(stats.counts.year).toEqual([]);
+      expect(stats.histograms.mass.bins.every((b) => b.count === 0)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,161 @@
+import { describe, it, expect } from "vitest";
+import {
+  buildSystem,
+  groupSystems,
+  parseSystemFilters,
+  filterSystems,
+  PARSEC_TO_LIGHT_YEARS,
+} from "../lib/systems.js";
+import { QueryValidationError } from "../lib/adql.js";
+
+const rows = [
+  {
+    pl_name: "TRAPPIST-1 c",
+    hostname: "TRAPPIST-1",
+    pl_orbper: 2.42,
+    sy_dist: 12.4,
+    sy_snum: 1,
+    sy_pnum: 7,
+    st_teff: 2566,
+    st_spectype: "M8 V",
+  },
+  {
+    pl_name: "TRAPPIST-1 b",
+    hostname: "TRAPPIST-1",
+    pl_orbper: 1.51,
+    sy_dist: 12.4,
+    sy_snum: 1,
+    sy_pnum: 7,
+    st_teff: null,
+    st_spectype: null,
+  },
+  {
+    pl_name: "Kepler-16 b",
+    hostname: "Kepler-16",
+    pl_orbper: 228.8,
+    sy_dist: 75.2,
+    sy_snum: 2,
+    sy_pnum: 1,
+    st_teff: 4450,
+    st_spectype: "K",
+  },
+  {
+    pl_name: "HD 209458 b",
+    hostname: "HD 209458",
+    pl_orbper: 3.52,
+    sy_dist: 48.3,
+    sy_snum: 1,
+    sy_pnum: 1,
+    st_teff: 6091,
+    st_spectype: "G0 V",
+  },
+];
+
+describe("Star System Aggregation", () => {
+  describe("buildSystem", () => {
+    it("should aggregate star properties, counts and distance", () => {
+      const system = buildSystem("TRAPPIST-1", rows.slice(0, 2));
+
+      expect(system.planetCount).toBe(2);
+      expect(system.knownPlanetCount).toBe(7);
+      expect(system.starCount).toBe(1);
+      expect(system.multiplicity).toBe("single");
+      expect(system.distance).toBeCloseTo(12.4);
+      expect(system.distanceLightYears).toBeCloseTo(
+        12.4 * PARSEC_TO_LIGHT_YEARS
+      );
+      expect(system.star).toMatchObject({
+        hostname: "TRAPPIST-1",
+        st_teff: 2566,
+        st_spectype: "M8 V",
+      });
+    });
+
+    it("should sort planets by orbital period", () => {
+      const system = buildSystem("TRAPPIST-1", rows.slice(0, 2));
+      expect(system.planets.map((p) => p.pl_name)).toEqual([
+        "TRAPPIST-1 b",
+        "TRAPPIST-1 c",
+      ]);
+    });
+
+    it("should report binary systems and missing distances", () => {
+      expect(buildSystem("Kepler-16", [rows[2]]).multiplicity).toBe("binary");
+
+      const system = buildSystem("Nowhere", [{ pl_name: "x", sy_dist: null }]);
+      expect(system.distance).toBeNull();
+      expect(system.distanceLightYears).toBeNull();
+    });
+  });
+
+  describe("groupSystems", () => {
+    it("should group rows by hostname", () => {
+      const systems = groupSystems(rows);
+
+      expect(systems.size).toBe(3);
+      expect(systems.get("TRAPPIST-1").planetCount).toBe(2);
+    });
+  });
+
+  describe("parseSystemFilters", () => {
+    it("should default to all systems", () => {
+      expect(parseSystemFilters({})).toEqual({
+        minPlanets: 1,
+        distMax: Infinity,
+        spectralType: null,
+      });
+    });
+
+    it("should reject invalid values", () => {
+      expect(() => parseSystemFilters({ minPlanets: "0" })).toThrow(
+        QueryValidationError
+      );
+      expect(() => parseSystemFilters({ distMax: "far" })).toThrow(
+        QueryValidationError
+      );
+      expect(() => parseSystemFilters({ spectralType: "G'; --" })).toThrow(
+        QueryValidationError
+      );
+    });
+  });
+
+  describe("filterSystems", () => {
+    const systems = groupSystems(rows);
+
+    it("should sort by planet count, then distance", () => {
+      const result = filterSystems(systems, parseSystemFilters({}));
+      expect(result.map((s) => s.hostname)).toEqual([
+        "TRAPPIST-1",
+        "HD 209458",
+        "Kepler-16",
+      ]);
+    });
+
+    it("should filter by minimum planet count", () => {
+      const result = filterSystems(
+        systems,
+        parseSystemFilters({ minPlanets: "2" })
+      );
+      expect(result.map((s) => s.hostname)).toEqual(["TRAPPIST-1"]);
+    });
+
+    it("should filter by maximum distance in light-years", () => {
+      const result = filterSystems(
+        systems,
+        parseSystemFilters({ distMax: "200" })
+      );
+      expect(result.map((s) => s.hostname)).toEqual([
+        "TRAPPIST-1",
+        "HD 209458",
+      ]);
+    });
+
+    it("should filter by spectral type prefix", () => {
+      const result = filterSystems(
+        systems,
+        parseSystemFilters({ spectralType: "g" })
+      );
+      expect(result.map((s) => s.hostname)).toEqual(["HD 209458"]);
+    });
+  });
+});
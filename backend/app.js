@@ -0,0 +1,1832 @@
+import express from "express";
+import path from "node:path";
+import cors from "cors";
+import nodeFetch from "node-fetch";
+import rateLimit from "express-rate-limit";
+import compression from "compression";
+import helmet from "helmet";
+import {
+  parseQueryParams,
+  buildAdqlQuery,
+  buildQueryCacheKey,
+  QueryValidationError,
+} from "./lib/adql.js";
+import {
+  parseListParams,
+  applyListParams,
+  buildLinkHeader,
+} from "./lib/pagination.js";
+import { CATALOG_QUERY, lookupAliases, queryArchive } from "./lib/archive.js";
+import {
+  loadSnapshot,
+  findSnapshotPlanet,
+  SnapshotError,
+} from "./lib/snapshot.js";
+import { PersistentCache, computeEtag } from "./lib/persistentCache.js";
+import {
+  buildSystem,
+  groupSystems,
+  parseSystemFilters,
+  filterSystems,
+} from "./lib/systems.js";
+import { buildSolutionsQuery, formatSolutions } from "./lib/solutions.js";
+import { buildStarQuery, mergeStellarRows } from "./lib/stars.js";
+import {
+  buildCandidatesQuery,
+  filterCandidates,
+  normalizeCandidates,
+  parseCandidateParams,
+} from "./lib/candidates.js";
+import { NDJSON_TYPE, negotiateFormat, writeNdjson } from "./lib/ndjson.js";
+import { CircuitBreaker, CircuitOpenError } from "./lib/circuitBreaker.js";
+import { SingleFlight } from "./lib/singleFlight.js";
+import { ChangeFeed, parseSince } from "./lib/changes.js";
+import { BookmarkStore, parseBookmarkSet } from "./lib/bookmarks.js";
+import {
+  SHARE_ID_PATTERN,
+  ShareStore,
+  buildShareRedirect,
+} from "./lib/shares.js";
+import { ScheduledJob, parseSchedule } from "./lib/scheduler.js";
+import {
+  EXPORT_FORMATS,
+  describeFilters,
+  exportRows,
+  parseExportParams,
+} from "./lib/export.js";
+import {
+  IDENTIFIERS_QUERY,
+  buildSearchIndex,
+  normalizeName,
+  parseAliasLookup,
+  parseSearchParams,
+} from "./lib/search.js";
+import { OPENAPI_DOCUMENT, validateOperation } from "./lib/openapi.js";
+import { sendProblem } from "./lib/problem.js";
+import {
+  Logger,
+  classifyStatus,
+  currentContext,
+  resolveRequestId,
+  runWithContext,
+  setErrorClass,
+  summarizeContext,
+} from "./lib/logger.js";
+import {
+  Counter,
+  Gauge,
+  Histogram,
+  METRICS_CONTENT_TYPE,
+  Registry,
+} from "./lib/metrics.js";
+import {
+  parsePlanetFilters,
+  filterPlanets,
+  computeStats,
+} from "./lib/stats.js";
+import { DEFAULT_CONFIG } from "./lib/config.js";
+
+/**
+ * Create the exoplanet API
+ * Builds the express app with its cache, stores and background jobs, and
+ * restores persisted data, without binding a port: listen on `app`, or
+ * mount it in another express app.
+ * @param {Object} config - Options overriding DEFAULT_CONFIG (see
+ *   lib/config.js; loadConfig builds them from environment variables), plus:
+ * @param {Function} config.fetch - fetch implementation used for archive
+ *   queries, alias lookups and the self-ping
+ * @param {PersistentCache} config.cache - Cache to use instead of one built
+ *   from cacheTtl and cacheDir (used as is, not loaded)
+ * @param {Logger} config.logger - Logger (JSON records at info level by
+ *   default)
+ * @returns {Promise<Object>} {app, cache, logger, start, stop, flush}:
+ *   `start()` starts the scheduled refresh and self-ping, `stop()` stops
+ *   them and `flush()` waits for pending cache and store writes
+ */
+export async function createApp(config = {}) {
+  const settings = { ...DEFAULT_CONFIG, ...config };
+  const { fetch = nodeFetch, logger = new Logger() } = settings;
+
+  const app = express();
+  const NODE_ENV = settings.nodeEnv;
+
+  // Initialize cache (TTL in seconds, default 24 hours)
+  // Entries are persisted to CACHE_DIR so they survive restarts; expired entries
+  // are kept and served stale while they are refreshed in the background
+  const CACHE_DIR = settings.cache ? settings.cache.dir : settings.cacheDir;
+  const cache =
+    settings.cache ||
+    new PersistentCache({ ttl: settings.cacheTtl, dir: CACHE_DIR, logger });
+
+  // Planets added, removed and revised between catalog refreshes, kept next
+  // to the cache entries (in memory only when the cache is)
+  const CATALOG_KEY = "all_exoplanets";
+  const changeFeed = new ChangeFeed({
+    file: CACHE_DIR ? path.join(CACHE_DIR, "changes", "feed.json") : null,
+    logger,
+  });
+
+  // Short share links, also kept next to the cache unless SHARE_STORE_PATH
+  // points elsewhere
+  const shareStore = new ShareStore({
+    file:
+      settings.shareStorePath ||
+      (CACHE_DIR ? path.join(CACHE_DIR, "shares", "shares.json") : null),
+    logger,
+  });
+  // Bookmarks synced between devices under a sync key, stored the same way
+  const bookmarkStore = new BookmarkStore({
+    file:
+      settings.bookmarkStorePath ||
+      (CACHE_DIR ? path.join(CACHE_DIR, "bookmarks", "bookmarks.json") : null),
+    logger,
+  });
+  // Default link lifetime in seconds
+  const SHARE_TTL = settings.shareTtl;
+
+  // Prometheus metrics, exposed at /metrics
+  const metrics = new Registry();
+
+  const httpRequests = metrics.register(
+    new Counter({
+      name: "http_requests_total",
+      help: "HTTP requests by method, route and status code",
+      labelNames: ["method", "route", "status"],
+    })
+  );
+  const httpDuration = metrics.register(
+    new Histogram({
+      name: "http_request_duration_seconds",
+      help: "HTTP request latency in seconds",
+      labelNames: ["method", "route"],
+    })
+  );
+  const upstreamDuration = metrics.register(
+    new Histogram({
+      name: "upstream_request_duration_seconds",
+      help: "Exoplanet Archive TAP query latency in seconds",
+      labelNames: ["outcome"],
+    })
+  );
+  const upstreamErrors = metrics.register(
+    new Counter({
+      name: "upstream_errors_total",
+      help: "Failed TAP queries by type (timeout, network, http, circuit_open)",
+      labelNames: ["type"],
+    })
+  );
+  const cacheRequests = metrics.register(
+    new Counter({
+      name: "cache_requests_total",
+      help: "Cache lookups by key family and outcome (hit, stale, miss)",
+      labelNames: ["family", "outcome"],
+    })
+  );
+
+  /**
+   * Group cache keys into a small set of families for metric labels
+   * (e.g. every `planet_<name>` key is counted as "planet")
+   */
+  const cacheKeyFamily = (key) =>
+    key === CATALOG_KEY ? "catalog" : key.split("_")[0];
+
+  metrics.register(
+    new Gauge({
+      name: "cache_hit_ratio",
+      help: "Share of cache lookups served from cache (fresh or stale) by key family",
+      labelNames: ["family"],
+      collect: () => {
+        const totals = new Map();
+        cacheRequests.series.forEach(({ labels, value }) => {
+          const total = totals.get(labels.family) || { served: 0, all: 0 };
+          total.all += value;
+          if (labels.outcome !== "miss") total.served += value;
+          totals.set(labels.family, total);
+        });
+        return [...totals].map(([family, { served, all }]) => ({
+          labels: { family },
+          value: all > 0 ? served / all : 0,
+        }));
+      },
+    })
+  );
+
+  /**
+   * Sum cached entries per key family
+   * @param {Function} measure - Value counted for each {key, bytes} entry
+   */
+  const collectCacheFamilies = (measure) => () => {
+    const totals = new Map();
+    cache.sizes().forEach((entry) => {
+      const family = cacheKeyFamily(entry.key);
+      totals.set(family, (totals.get(family) || 0) + measure(entry));
+    });
+    return [...totals].map(([family, value]) => ({
+      labels: { family },
+      value,
+    }));
+  };
+
+  metrics.register(
+    new Gauge({
+      name: "cache_entries",
+      help: "Cached entries by key family",
+      labelNames: ["family"],
+      collect: collectCacheFamilies(() => 1),
+    })
+  );
+  metrics.register(
+    new Gauge({
+      name: "cache_payload_bytes",
+      help: "Serialized size of cached payloads in bytes by key family",
+      labelNames: ["family"],
+      collect: collectCacheFamilies((entry) => entry.bytes),
+    })
+  );
+  const rateLimitRejections = metrics.register(
+    new Counter({
+      name: "rate_limit_rejections_total",
+      help: "Requests rejected by the rate limiter by route",
+      labelNames: ["route"],
+    })
+  );
+
+  /**
+   * Route label for a request: the matched route pattern, so that
+   * `/api/planet/Kepler-22 b` and `/api/planet/TOI-700 d` share one series
+   */
+  const routeLabel = (req) =>
+    req.route ? `${req.baseUrl}${req.route.path}` : "unmatched";
+
+  // Request ids and access logs: each request runs in a context carrying its
+  // id (the client's X-Request-Id or a new one, sent back and passed on to
+  // archive calls), and one record is logged per request once it is sent,
+  // with the cache outcome, upstream calls and error class it collected
+  app.use((req, res, next) => {
+    const started = performance.now();
+    runWithContext(resolveRequestId(req.get("X-Request-Id")), (context) => {
+      res.set("X-Request-Id", context.id);
+      res.on("finish", () => {
+        logger.log(res.statusCode >= 500 ? "error" : "info", "request", {
+          requestId: context.id,
+          method: req.method,
+          url: req.originalUrl,
+          route: routeLabel(req),
+          status: res.statusCode,
+          durationMs: Math.round(performance.now() - started),
+          ...summarizeContext(context),
+          errorClass: context.errorClass || classifyStatus(res.statusCode),
+          ip: req.ip,
+          userAgent: req.get("User-Agent"),
+        });
+      });
+      next();
+    });
+  });
+
+  // Request count and latency, recorded once the response is sent
+  app.use((req, res, next) => {
+    const endTimer = httpDuration.startTimer({ method: req.method });
+    res.on("finish", () => {
+      const route = routeLabel(req);
+      endTimer({ route });
+      httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    });
+    next();
+  });
+
+  // Security middleware with Content Security Policy
+  app.use(
+    helmet({
+      contentSecurityPolicy: {
+        directives: {
+          defaultSrc: ["'self'"],
+          scriptSrc: ["'self'"],
+          styleSrc: ["'self'"],
+          imgSrc: ["'self'", "data:"],
+          connectSrc: ["'self'", "https://exoplanetarchive.ipac.caltech.edu"],
+          fontSrc: ["'self'"],
+          objectSrc: ["'none'"],
+          mediaSrc: ["'self'"],
+          frameSrc: ["'none'"],
+        },
+      },
+      crossOriginEmbedderPolicy: false, // Allow cross-origin requests from frontend
+    })
+  );
+
+  // Compression middleware
+  app.use(compression());
+
+  // CORS middleware
+  const corsOptions = {
+    origin: settings.corsOrigin,
+    optionsSuccessStatus: 200,
+    exposedHeaders: [
+      "X-Total-Count",
+      "Link",
+      "X-Data-Source",
+      "ETag",
+      "Warning",
+      "Location",
+      "X-Request-Id",
+    ],
+  };
+  app.use(cors(corsOptions));
+
+  // Frontend that share links redirect to (usually the CORS origin)
+  const APP_URL =
+    settings.appUrl ||
+    (corsOptions.origin === "*"
+      ? DEFAULT_CONFIG.corsOrigin
+      : corsOptions.origin);
+
+  // Body parser middleware (synced bookmark sets carry each planet's details,
+  // so bodies may exceed the default 100kb)
+  app.use(express.json({ limit: "1mb" }));
+
+  // Rate limiting middleware
+  const rateLimitOptions = {
+    windowMs: settings.rateLimitWindowMs,
+    message: "Too many requests from this IP, please try again later.",
+    standardHeaders: true, // Return rate limit info in the `RateLimit-*` headers
+    legacyHeaders: false, // Disable the `X-RateLimit-*` headers
+    handler: (req, res, next, options) => {
+      rateLimitRejections.inc({ route: routeLabel(req) });
+      sendProblem(res, options.statusCode, options.message);
+    },
+  };
+  const limiter = rateLimit({
+    ...rateLimitOptions,
+    max: settings.rateLimitMax,
+  });
+  // Autocomplete sends a request whenever typing pauses, so search has its
+  // own, larger budget
+  const searchLimiter = rateLimit({
+    ...rateLimitOptions,
+    max: settings.searchRateLimitMax,
+  });
+
+  // NASA Exoplanet Archive API endpoint (any TAP sync endpoint serving the ps table)
+  const NASA_API_BASE = settings.upstreamUrl;
+
+  // Upstream resilience:
+  // - every TAP call is aborted after UPSTREAM_TIMEOUT_MS
+  // - after BREAKER_FAILURE_THRESHOLD consecutive failures the circuit opens and
+  //   archive calls fail fast for BREAKER_RESET_MS, so routes serve stale cache
+  //   entries or the snapshot instead of waiting on a broken archive
+  const UPSTREAM_TIMEOUT_MS = settings.upstreamTimeoutMs;
+  const archiveBreaker = new CircuitBreaker({
+    failureThreshold: settings.breakerFailureThreshold,
+    resetTimeout: settings.breakerResetMs,
+    // A rejected query (4xx other than 429) means the archive is up
+    isFailure: (error) =>
+      !(error.status >= 400 && error.status < 500 && error.status !== 429),
+  });
+
+  /**
+   * Classify a failed archive call for the upstream_errors_total metric
+   */
+  const upstreamErrorType = (error) => {
+    if (error instanceof CircuitOpenError) return "circuit_open";
+    if (error.code === "ETIMEDOUT") return "timeout";
+    if (error.status) return "http";
+    return "network";
+  };
+
+  /**
+   * Headers passing the current request's id on to an upstream service
+   */
+  const upstreamHeaders = (context) =>
+    context ? { "X-Request-Id": context.id } : {};
+
+  /**
+   * Record a finished upstream call in the request context and the log
+   * @param {Object|undefined} context - Context of the request making the call
+   * @param {number} started - performance.now() when the call started
+   * @param {Object} fields - {service, errorType, error, ...} for the record
+   */
+  const traceUpstream = (
+    context,
+    started,
+    { service, errorType = null, error, ...fields }
+  ) => {
+    const durationMs = Math.round(performance.now() - started);
+    context?.upstream.push({ service, ms: durationMs, errorType });
+    logger.log(errorType ? "warn" : "info", "upstream call", {
+      service,
+      durationMs,
+      errorType: errorType || undefined,
+      error: error?.message,
+      ...fields,
+    });
+  };
+
+  /**
+   * Query the archive through the circuit breaker, with a timeout
+   * @param {string} query - Single-line ADQL query
+   * @returns {Promise<Array>} Parsed JSON rows
+   * @throws {CircuitOpenError} While the archive is considered down
+   */
+  const queryUpstream = (query) => {
+    const context = currentContext();
+    const started = performance.now();
+
+    return archiveBreaker
+      .run(async () => {
+        const endTimer = upstreamDuration.startTimer();
+        try {
+          const rows = await queryArchive(NASA_API_BASE, query, {
+            timeout: UPSTREAM_TIMEOUT_MS,
+            headers: upstreamHeaders(context),
+            fetch,
+          });
+          endTimer({ outcome: "success" });
+          return rows;
+        } catch (error) {
+          endTimer({ outcome: "error" });
+          throw error;
+        }
+      })
+      .then(
+        (rows) => {
+          traceUpstream(context, started, {
+            service: "tap",
+            query,
+            rows: rows.length,
+          });
+          return rows;
+        },
+        (error) => {
+          const errorType = upstreamErrorType(error);
+          upstreamErrors.inc({ type: errorType });
+          traceUpstream(context, started, {
+            service: "tap",
+            query,
+            errorType,
+            error,
+          });
+          throw error;
+        }
+      );
+  };
+
+  // Snapshot mode:
+  // - off:      always query the archive
+  // - fallback: query the archive, serve the local snapshot if it fails
+  // - offline:  never query the archive, serve only the local snapshot
+  const SNAPSHOT_MODE = settings.snapshotMode;
+  const SNAPSHOT_PATH = settings.snapshotPath;
+
+  // Snapshot is read lazily on first use and kept in memory
+  let snapshotPromise = null;
+
+  const getSnapshot = () => {
+    if (!snapshotPromise) {
+      snapshotPromise = loadSnapshot(SNAPSHOT_PATH)
+        .then((snapshot) => {
+          logger.info("Loaded snapshot", {
+            version: snapshot.version,
+            planets: snapshot.rows.length,
+            createdAt: snapshot.createdAt || null,
+          });
+          return snapshot;
+        })
+        .catch((error) => {
+          // Allow a later request to retry (e.g. after the refresh script ran)
+          snapshotPromise = null;
+          throw error;
+        });
+    }
+    return snapshotPromise;
+  };
+
+  /**
+   * Run an upstream lookup, honoring the snapshot mode
+   * @param {Function} fromArchive - Async lookup against the archive
+   * @param {Function} fromSnapshot - Lookup against a loaded snapshot
+   * @returns {Promise<{data: *, source: string}>} Result and where it came from
+   */
+  const withSnapshot = async (fromArchive, fromSnapshot) => {
+    if (SNAPSHOT_MODE === "offline") {
+      return { data: fromSnapshot(await getSnapshot()), source: "snapshot" };
+    }
+
+    try {
+      return { data: await fromArchive(), source: "archive" };
+    } catch (error) {
+      if (SNAPSHOT_MODE !== "fallback") {
+        throw error;
+      }
+      const snapshot = await getSnapshot().catch((snapshotError) => {
+        logger.warn("Snapshot fallback unavailable", {
+          error: snapshotError.message,
+        });
+        return null;
+      });
+      if (!snapshot) {
+        throw error;
+      }
+      logger.warn("Archive request failed, serving snapshot", {
+        error: error.message,
+      });
+      return { data: fromSnapshot(snapshot), source: "snapshot" };
+    }
+  };
+
+  // Refreshes in progress, by cache key
+  const refreshes = new Map();
+  // Keys whose last background refresh failed
+  const revalidationFailures = new Set();
+
+  // Snapshot fallbacks are not cached so the archive is retried
+  const isCacheable = (source) =>
+    source === "archive" || SNAPSHOT_MODE === "offline";
+
+  /**
+   * Store a loaded value, recording catalog refreshes in the change feed
+   * @returns {Object} Stored entry
+   */
+  const storeEntry = (cacheKey, data, source) => {
+    const entry = cache.set(cacheKey, data, { source });
+    if (cacheKey === CATALOG_KEY) {
+      const changes = changeFeed.record(data, entry.storedAt);
+      if (changes) {
+        logger.info("Catalog changed", {
+          added: changes.added.length,
+          removed: changes.removed.length,
+          revised: changes.changed.length,
+        });
+      }
+    }
+    return entry;
+  };
+
+  /**
+   * Reload a cache entry, or join the reload already in progress
+   * The new value replaces the entry in one step once it has fully loaded;
+   * on failure the current entry is kept (and served with a Warning header)
+   * @returns {Promise<void>} Rejects when the upstream could not be reached
+   */
+  const refreshEntry = (cacheKey, loader) => {
+    if (refreshes.has(cacheKey)) return refreshes.get(cacheKey);
+
+    const refresh = loader()
+      .then(({ data, source }) => {
+        if (data === null) {
+          // No longer exists upstream
+          cache.del(cacheKey);
+        } else if (isCacheable(source)) {
+          storeEntry(cacheKey, data, source);
+        } else {
+          throw new Error(`Upstream unavailable, got ${source} data instead`);
+        }
+        revalidationFailures.delete(cacheKey);
+      })
+      .catch((error) => {
+        revalidationFailures.add(cacheKey);
+        throw error;
+      })
+      .finally(() => {
+        refreshes.delete(cacheKey);
+      });
+
+    refreshes.set(cacheKey, refresh);
+    return refresh;
+  };
+
+  /**
+   * Refresh a stale cache entry without blocking the current request
+   */
+  const revalidate = (cacheKey, loader) => {
+    if (refreshes.has(cacheKey)) return;
+    logger.info("Revalidating stale cache entry", { cacheKey });
+
+    refreshEntry(cacheKey, loader).then(
+      () => logger.info("Revalidated cache entry", { cacheKey }),
+      (error) =>
+        logger.warn("Revalidation failed", { cacheKey, error: error.message })
+    );
+  };
+
+  // Cache misses currently being loaded, by cache key
+  const missFlights = new SingleFlight();
+
+  /**
+   * Get a value through the cache with stale-while-revalidate
+   * Fresh entries are returned as-is, stale entries are returned immediately
+   * and refreshed in the background, and misses call the loader (once per key,
+   * however many requests are waiting on it)
+   * @param {string} cacheKey - Cache key
+   * @param {Function} loader - Async function resolving to {data, source}
+   * @returns {Promise<Object>} Entry ({value, etag, storedAt, source, stale})
+   */
+  const getCached = async (cacheKey, loader) => {
+    const entry = cache.getEntry(cacheKey);
+    const outcome = !entry ? "miss" : entry.stale ? "stale" : "hit";
+    cacheRequests.inc({ family: cacheKeyFamily(cacheKey), outcome });
+    // Misses joining another request's load are reported as coalesced
+    currentContext()?.cache.push(
+      outcome === "miss" && missFlights.inflight.has(cacheKey)
+        ? "coalesced"
+        : outcome
+    );
+    logger.debug("Cache lookup", { cacheKey, outcome });
+    if (entry) {
+      if (entry.stale) {
+        revalidate(cacheKey, loader);
+      }
+      return entry;
+    }
+
+    // Concurrent misses for the same key share one upstream query
+    return missFlights.run(cacheKey, async () => {
+      const { data, source } = await loader();
+      if (data !== null && isCacheable(source)) {
+        return storeEntry(cacheKey, data, source);
+      }
+      return {
+        key: cacheKey,
+        value: data,
+        etag: computeEtag(data),
+        storedAt: Date.now(),
+        source,
+        stale: false,
+      };
+    });
+  };
+
+  /**
+   * Send a cached entry with validators
+   * Sets ETag / Last-Modified, answers conditional requests with 304 and
+   * marks stale responses with a Warning header
+   * @param {Function} render - Maps the cached value to the response body
+   * @param {string} format - "json", "ndjson" to stream an array body, or
+   *   "text" to send a rendered string as is (set the content type first)
+   * @returns {Promise|undefined} Resolves when an NDJSON stream has been written
+   */
+  const sendCached = (
+    req,
+    res,
+    entry,
+    render = (value) => value,
+    format = "json"
+  ) => {
+    // Each representation needs its own validator
+    res.set(
+      "ETag",
+      format === "ndjson" ? entry.etag.replace(/"$/, '-ndjson"') : entry.etag
+    );
+    res.set("Last-Modified", new Date(entry.storedAt).toUTCString());
+    if (entry.source) {
+      res.set("X-Data-Source", entry.source);
+    }
+    if (entry.stale) {
+      res.set(
+        "Warning",
+        revalidationFailures.has(entry.key)
+          ? '111 - "Revalidation Failed"'
+          : '110 - "Response is Stale"'
+      );
+    }
+
+    // Honors If-None-Match / If-Modified-Since against the headers above
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+    if (format === "ndjson") {
+      res.type(NDJSON_TYPE);
+      return writeNdjson(res, render(entry.value));
+    }
+    if (format === "text") {
+      return res.send(render(entry.value));
+    }
+    res.json(render(entry.value));
+  };
+
+  /**
+   * Send a problem details response for a failed route
+   * Differentiates between network errors, upstream HTTP errors and others;
+   * the error message is only included outside production
+   * @param {string} fallbackType - Error label when the error is not upstream-related
+   */
+  const sendRouteError = (res, error, fallbackType) => {
+    // A streamed response can fail after the headers went out
+    if (res.headersSent) {
+      setErrorClass("response_aborted");
+      res.destroy(error);
+      return;
+    }
+
+    let statusCode = 500;
+    let errorType = fallbackType;
+    let errorClass = "internal";
+
+    // Network/upstream errors
+    if (
+      error.code === "ECONNREFUSED" ||
+      error.code === "ENOTFOUND" ||
+      error.code === "ETIMEDOUT" ||
+      error.type === "system"
+    ) {
+      statusCode = 503; // Service Unavailable
+      errorType = "Upstream service unavailable";
+      errorClass =
+        error.code === "ETIMEDOUT"
+          ? "upstream_timeout"
+          : "upstream_unavailable";
+    }
+    // Archive considered down: fail fast until the breaker allows a retry
+    else if (error instanceof CircuitOpenError) {
+      statusCode = 503; // Service Unavailable
+      errorType = "Upstream service unavailable";
+      errorClass = "circuit_open";
+      res.set(
+        "Retry-After",
+        String(Math.max(1, Math.ceil(error.retryAfterMs / 1000)))
+      );
+    }
+    // HTTP errors from NASA API
+    else if (error.message && error.message.includes("NASA API error")) {
+      statusCode = 502; // Bad Gateway
+      errorType = "Upstream service error";
+      errorClass = "upstream_error";
+    }
+    // Offline snapshot missing or unreadable
+    else if (error instanceof SnapshotError) {
+      statusCode = 503; // Service Unavailable
+      errorType = "Snapshot unavailable";
+      errorClass = "snapshot_unavailable";
+    }
+
+    setErrorClass(errorClass);
+    sendProblem(
+      res,
+      statusCode,
+      NODE_ENV === "production" ? errorType : `${errorType}: ${error.message}`
+    );
+  };
+
+  /**
+   * Parse request parameters, answering 400 on validation errors
+   * @param {Function} parse - Parser that may throw QueryValidationError
+   * @returns {*} Parsed value, or undefined when a 400 response was sent
+   */
+  const parseOrReject = (res, parse) => {
+    try {
+      return parse();
+    } catch (error) {
+      if (error instanceof QueryValidationError) {
+        sendProblem(res, 400, error.message);
+        return undefined;
+      }
+      throw error;
+    }
+  };
+
+  /**
+   * Load the default-flag catalog from the archive (or snapshot)
+   * @returns {Promise<{data: Array, source: string}>}
+   */
+  const loadCatalog = () => {
+    // Using TAP (Table Access Protocol) to query the exoplanet catalog
+    return withSnapshot(
+      () => queryUpstream(CATALOG_QUERY),
+      (snapshot) => snapshot.rows
+    );
+  };
+
+  /**
+   * Get the default-flag catalog through the cache
+   * @returns {Promise<Object>} Cache entry whose value is the array of rows
+   */
+  const getCatalog = () => getCached(CATALOG_KEY, loadCatalog);
+
+  // Alias lookup service for queries the index cannot resolve on its own
+  // (e.g. IAU names such as "Osiris"); empty disables it
+  const ALIAS_LOOKUP_URL = settings.aliasLookupUrl;
+  const ALIAS_LOOKUP_TIMEOUT_MS = Math.min(UPSTREAM_TIMEOUT_MS, 5000);
+  // Aliases learned from lookups, by search document id (kept across rebuilds)
+  const resolvedAliases = new Map();
+  // Normalized queries already looked up, oldest first
+  const aliasLookups = new Set();
+  const MAX_ALIAS_LOOKUPS = 1000;
+  const aliasFlights = new SingleFlight();
+
+  /**
+   * Resolve a query through the alias lookup service and add the aliases it
+   * returns to the index
+   * Each query is looked up at most once (failures are retried later)
+   * @returns {Promise<boolean>} Whether new aliases were added
+   */
+  const resolveQueryAliases = (index, query) => {
+    const { key } = normalizeName(query);
+    if (
+      !ALIAS_LOOKUP_URL ||
+      SNAPSHOT_MODE === "offline" ||
+      key.length < 4 ||
+      aliasLookups.has(key)
+    ) {
+      return Promise.resolve(false);
+    }
+
+    return aliasFlights.run(key, async () => {
+      const context = currentContext();
+      const started = performance.now();
+      try {
+        const document = await lookupAliases(ALIAS_LOOKUP_URL, query, {
+          timeout: ALIAS_LOOKUP_TIMEOUT_MS,
+          headers: upstreamHeaders(context),
+          fetch,
+        });
+        traceUpstream(context, started, { service: "alias_lookup", query });
+        aliasLookups.add(key);
+        if (aliasLookups.size > MAX_ALIAS_LOOKUPS) {
+          aliasLookups.delete(aliasLookups.values().next().value);
+        }
+
+        let added = false;
+        parseAliasLookup(document).forEach((aliases, id) => {
+          resolvedAliases.set(id, [
+            ...new Set([...(resolvedAliases.get(id) || []), ...aliases]),
+          ]);
+          aliases.forEach((alias) => {
+            added = index.addName(id, alias) || added;
+          });
+        });
+        return added;
+      } catch (error) {
+        traceUpstream(context, started, {
+          service: "alias_lookup",
+          query,
+          errorType: upstreamErrorType(error),
+          error,
+        });
+        return false;
+      }
+    });
+  };
+
+  // Search index, rebuilt when the catalog or the star identifiers change
+  let searchIndex = null;
+  let searchIndexVersion = null;
+
+  /**
+   * Get the search index over catalog names and star identifiers
+   * Identifiers only add aliases, so the index is built without them when
+   * they cannot be loaded
+   * @returns {Promise<SearchIndex>} Index
+   */
+  const getSearchIndex = async () => {
+    const catalog = await getCatalog();
+    const identifiers = await getCached("search_identifiers", () =>
+      withSnapshot(
+        () => queryUpstream(IDENTIFIERS_QUERY),
+        // Snapshots hold the catalog columns only
+        () => []
+      )
+    ).catch((error) => {
+      logger.warn("Star identifiers unavailable", { error: error.message });
+      return null;
+    });
+
+    const version = `${catalog.etag}:${identifiers?.etag ?? "none"}`;
+    if (searchIndexVersion !== version) {
+      const started = Date.now();
+      searchIndex = buildSearchIndex(
+        catalog.value,
+        identifiers?.value || [],
+        resolvedAliases
+      );
+      searchIndexVersion = version;
+      logger.info("Built search index", {
+        names: searchIndex.size,
+        durationMs: Date.now() - started,
+      });
+    }
+    return searchIndex;
+  };
+
+  // API routes, served under /api/v1 (and /api, kept for existing clients)
+  const api = express.Router();
+
+  // Response bodies are checked against the OpenAPI document outside
+  // production (or with VALIDATE_RESPONSES=true); mismatches are only logged
+  const VALIDATE_RESPONSES =
+    settings.validateResponses ?? NODE_ENV !== "production";
+
+  /**
+   * Validate a route against its OpenAPI operation
+   * @param {string} operationId - Operation the route implements
+   * @returns {Function} Express middleware answering 400 for invalid parameters
+   */
+  const validate = (operationId) =>
+    validateOperation(OPENAPI_DOCUMENT, operationId, {
+      responses: VALIDATE_RESPONSES,
+      onInvalidResponse: (operation, status, errors) =>
+        logger.warn("Response does not match the OpenAPI document", {
+          operation,
+          status,
+          errors: errors
+            .slice(0, 5)
+            .map(({ path, message }) => `${path || "body"} ${message}`),
+        }),
+    });
+
+  /**
+   * GET /api/v1/ping
+   * Ultra-lightweight keep-alive endpoint
+   * Optimized for frequent pings, not rate limited
+   */
+  api.get("/ping", validate("ping"), (req, res) => {
+    res.json({
+      status: "ok",
+      timestamp: new Date().toISOString(),
+    });
+  });
+
+  // Friendly root route for quick backend verification
+  app.get("/", (req, res) => {
+    res.json({
+      service: "nasa-exoplanet-backend",
+      status: "ok",
+      openapi: "/api/v1/openapi.json",
+      endpoints: [
+        "/api/v1/ping",
+        "/api/v1/health",
+        "/api/v1/exoplanets",
+        "/api/v1/planet/:name",
+        "/api/v1/planet/:name/solutions",
+        "/api/v1/query",
+        "/api/v1/systems",
+        "/api/v1/systems/:hostname",
+        "/api/v1/stats",
+        "/api/v1/star/:hostname",
+        "/api/v1/candidates/:source",
+        "/api/v1/changes",
+        "/api/v1/search",
+        "/api/v1/export",
+        "/api/v1/bookmarks",
+        "/api/v1/share",
+        "/api/v1/share/:id",
+        "/s/:id",
+        "/metrics",
+      ],
+    });
+  });
+
+  /**
+   * Send a page of the exoplanet catalog
+   * Applies field selection, sorting and pagination and sets the
+   * `X-Total-Count` and `Link` headers; `format` "ndjson" streams the rows
+   */
+  const sendExoplanetList = (req, res, entry, listSpec, format = "json") => {
+    const total = entry.value.length;
+    const baseUrl = `${req.protocol}://${req.get("host")}${req.baseUrl}${req.path}`;
+    const link = buildLinkHeader(baseUrl, req.query, listSpec, total);
+
+    res.set("X-Total-Count", String(total));
+    if (link) {
+      res.set("Link", link);
+    }
+    res.vary("Accept");
+    return sendCached(
+      req,
+      res,
+      entry,
+      (rows) => applyListParams(rows, listSpec).items,
+      format
+    );
+  };
+
+  /**
+   * GET /api/v1/exoplanets
+   * Fetches exoplanet data from NASA Exoplanet Archive
+   * Proxies the request to avoid CORS issues on the frontend
+   * Implements caching and rate limiting
+   * Supports `fields`, `sort`, `limit` and `offset` query parameters,
+   * served from the cached catalog
+   * Streams one row per line (NDJSON) for `Accept: application/x-ndjson`
+   * or `format=ndjson`
+   */
+  api.get(
+    "/exoplanets",
+    limiter,
+    validate("listExoplanets"),
+    async (req, res) => {
+      try {
+        const listSpec = parseOrReject(res, () => parseListParams(req.query));
+        if (!listSpec) return;
+
+        const format = parseOrReject(res, () => negotiateFormat(req));
+        if (!format) return;
+
+        const entry = await getCatalog();
+
+        await sendExoplanetList(req, res, entry, listSpec, format);
+      } catch (error) {
+        logger.error("Error fetching exoplanets", { error });
+        sendRouteError(res, error, "Failed to fetch exoplanet data");
+      }
+    }
+  );
+
+  const PLANET_KEY_PREFIX = "planet_";
+
+  /**
+   * Loader for one planet's default parameter set (validated name)
+   * @returns {Function} Async loader resolving to {data, source}; data is null
+   *   for unknown planets
+   */
+  const planetLoader = (planetName) => () => {
+    const sanitizedName = planetName.replace(/'/g, "''");
+
+    const query = `
+    SELECT *
+    FROM ps
+    WHERE pl_name = '${sanitizedName}' AND default_flag = 1
+  `
+      .replace(/\s+/g, " ")
+      .trim();
+
+    return withSnapshot(
+      async () => (await queryUpstream(query))[0] || null,
+      (snapshot) => findSnapshotPlanet(snapshot, planetName)
+    );
+  };
+
+  // Requests per planet, for warming the most requested ones; counts are
+  // halved after each scheduled refresh so interest fades over time
+  const planetRequests = new Map();
+  const MAX_TRACKED_PLANETS = 10000;
+
+  const countPlanetRequest = (planetName) => {
+    if (
+      planetRequests.has(planetName) ||
+      planetRequests.size < MAX_TRACKED_PLANETS
+    ) {
+      planetRequests.set(planetName, (planetRequests.get(planetName) || 0) + 1);
+    }
+  };
+
+  /**
+   * GET /api/v1/planet/:name
+   * Get detailed information about a specific planet
+   * Implements caching and input validation
+   */
+  api.get("/planet/:name", limiter, validate("getPlanet"), async (req, res) => {
+    try {
+      const planetName = req.params.name;
+
+      countPlanetRequest(planetName);
+      const entry = await getCached(
+        `${PLANET_KEY_PREFIX}${planetName}`,
+        planetLoader(planetName)
+      );
+
+      if (!entry.value) {
+        return sendProblem(res, 404, "Planet not found");
+      }
+
+      sendCached(req, res, entry);
+    } catch (error) {
+      logger.error("Error fetching planet details", { error });
+      sendRouteError(res, error, "Failed to fetch planet details");
+    }
+  });
+
+  /**
+   * GET /api/v1/planet/:name/solutions
+   * Every published parameter set for a planet, not just the default one,
+   * each with its reference, publication date and uncertainties.
+   * Snapshots only hold the default set, so they yield a single solution.
+   */
+  api.get(
+    "/planet/:name/solutions",
+    limiter,
+    validate("getPlanetSolutions"),
+    async (req, res) => {
+      try {
+        const planetName = req.params.name;
+        // Unknown planets resolve to null, which is not cached
+        const solutionsOrNull = (rows) =>
+          rows.length > 0 ? formatSolutions(planetName, rows) : null;
+
+        const entry = await getCached(`solutions_${planetName}`, () =>
+          withSnapshot(
+            async () =>
+              solutionsOrNull(
+                await queryUpstream(buildSolutionsQuery(planetName))
+              ),
+            (snapshot) => {
+              const planet = findSnapshotPlanet(snapshot, planetName);
+              return solutionsOrNull(
+                planet ? [{ default_flag: 1, ...planet }] : []
+              );
+            }
+          )
+        );
+
+        if (!entry.value) {
+          return sendProblem(res, 404, "Planet not found");
+        }
+
+        sendCached(req, res, entry);
+      } catch (error) {
+        logger.error("Error fetching planet solutions", { error });
+        sendRouteError(res, error, "Failed to fetch planet solutions");
+      }
+    }
+  );
+
+  /**
+   * GET /api/v1/query
+   * Structured query against the planetary systems table
+   * Accepts whitelisted columns, numeric range filters (min[col], max[col]),
+   * equality/IN filters on discoverymethod and disc_facility, order and limit,
+   * and builds the ADQL query server-side
+   */
+  api.get("/query", limiter, validate("queryArchive"), async (req, res) => {
+    try {
+      const spec = parseOrReject(res, () => parseQueryParams(req.query));
+      if (!spec) return;
+
+      if (SNAPSHOT_MODE === "offline") {
+        return sendProblem(
+          res,
+          503,
+          "Structured queries are not available in offline snapshot mode"
+        );
+      }
+
+      const cacheKey = buildQueryCacheKey(spec);
+
+      const entry = await getCached(cacheKey, async () => {
+        const query = buildAdqlQuery(spec);
+        return {
+          data: await queryUpstream(query),
+          source: "archive",
+        };
+      });
+
+      sendCached(req, res, entry);
+    } catch (error) {
+      logger.error("Error running archive query", { error });
+      sendRouteError(res, error, "Failed to run archive query");
+    }
+  });
+
+  /**
+   * GET /api/v1/systems
+   * Star systems built from the cached catalog, grouped by hostname
+   * Supports the same filters as the frontend system search:
+   * `minPlanets`, `distMax` (light-years) and `spectralType`
+   */
+  api.get("/systems", limiter, validate("listSystems"), async (req, res) => {
+    try {
+      const filters = parseOrReject(res, () => parseSystemFilters(req.query));
+      if (!filters) return;
+
+      const entry = await getCatalog();
+
+      sendCached(req, res, entry, (rows) =>
+        filterSystems(groupSystems(rows), filters)
+      );
+    } catch (error) {
+      logger.error("Error building star systems", { error });
+      sendRouteError(res, error, "Failed to build star systems");
+    }
+  });
+
+  /**
+   * GET /api/v1/stats
+   * Discovery statistics computed from the cached catalog: counts by
+   * discovery year, method, facility, planet type and spectral class, plus
+   * radius, mass, period and distance histograms.
+   * Accepts the frontend planet filters (`scheme`, `type`, `tempMin`,
+   * `tempMax`, `distMax`, `discoveryMethod`, `discoveryFacility`); type
+   * counts use the categories of `scheme`
+   */
+  api.get("/stats", limiter, validate("getStats"), async (req, res) => {
+    try {
+      const filters = parseOrReject(res, () => parsePlanetFilters(req.query));
+      if (!filters) return;
+
+      const entry = await getCatalog();
+
+      sendCached(req, res, entry, (rows) =>
+        computeStats(filterPlanets(rows, filters), filters.scheme)
+      );
+    } catch (error) {
+      logger.error("Error computing statistics", { error });
+      sendRouteError(res, error, "Failed to compute statistics");
+    }
+  });
+
+  /**
+   * GET /api/v1/export
+   * The cached catalog, optionally filtered like /api/stats, as a VOTable,
+   * CSV (ECSV) or TSV download with column units and UCDs
+   * (`format`, `columns`)
+   */
+  api.get("/export", limiter, validate("exportCatalog"), async (req, res) => {
+    try {
+      const options = parseOrReject(res, () => parseExportParams(req.query));
+      if (!options) return;
+      const filters = parseOrReject(res, () => parsePlanetFilters(req.query));
+      if (!filters) return;
+
+      const entry = await getCatalog();
+      const { contentType, extension } = EXPORT_FORMATS[options.format];
+
+      res.type(contentType);
+      res.attachment(`exoplanets.${extension}`);
+      sendCached(
+        req,
+        res,
+        entry,
+        (rows) =>
+          exportRows(filterPlanets(rows, filters), options, {
+            description:
+              "NASA Exoplanet Archive Planetary Systems table (default parameter sets)",
+            created: new Date(entry.storedAt).toISOString(),
+            filters: describeFilters(filters),
+          }),
+        "text"
+      );
+    } catch (error) {
+      logger.error("Error exporting the catalog", { error });
+      sendRouteError(res, error, "Failed to export the catalog");
+    }
+  });
+
+  /**
+   * GET /api/v1/systems/:hostname
+   * A single star system with its star properties and sorted planets
+   */
+  api.get(
+    "/systems/:hostname",
+    limiter,
+    validate("getSystem"),
+    async (req, res) => {
+      try {
+        const hostname = req.params.hostname;
+
+        const entry = await getCatalog();
+        const planets = entry.value.filter((row) => row.hostname === hostname);
+
+        if (planets.length === 0) {
+          return sendProblem(res, 404, "System not found");
+        }
+
+        sendCached(req, res, entry, () => buildSystem(hostname, planets));
+      } catch (error) {
+        logger.error("Error fetching star system", { error });
+        sendRouteError(res, error, "Failed to fetch star system");
+      }
+    }
+  );
+
+  /**
+   * GET /api/v1/star/:hostname
+   * Full stellar parameter set for a host star from the `stellarhosts` table:
+   * metallicity, log g, rotation, magnitudes, multiplicity and uncertainties,
+   * merged across published solutions with the reference of each value.
+   * Snapshots only carry the catalog star columns, so they yield a subset.
+   */
+  api.get("/star/:hostname", limiter, validate("getStar"), async (req, res) => {
+    try {
+      const hostname = req.params.hostname;
+
+      const entry = await getCached(`star_${hostname}`, () =>
+        withSnapshot(
+          async () =>
+            mergeStellarRows(
+              hostname,
+              await queryUpstream(buildStarQuery(hostname))
+            ),
+          (snapshot) =>
+            mergeStellarRows(
+              hostname,
+              snapshot.rows.filter((row) => row.hostname === hostname)
+            )
+        )
+      );
+
+      if (!entry.value) {
+        return sendProblem(res, 404, "Star not found");
+      }
+
+      sendCached(req, res, entry);
+    } catch (error) {
+      logger.error("Error fetching host star", { error });
+      sendRouteError(res, error, "Failed to fetch host star");
+    }
+  });
+
+  /**
+   * GET /api/v1/candidates/:source
+   * Planet candidates from the TESS (`toi`) or Kepler (`koi`) candidate
+   * table, shaped like catalog rows with a PC / FP / CP `disposition`
+   * (`disposition` filters, e.g. "PC,CP"). Snapshots carry no candidates, so
+   * the list is empty when served from one.
+   */
+  api.get(
+    "/candidates/:source",
+    limiter,
+    validate("listCandidates"),
+    async (req, res) => {
+      try {
+        const params = parseOrReject(res, () =>
+          parseCandidateParams(req.query)
+        );
+        if (!params) return;
+        const source = req.params.source;
+
+        const entry = await getCached(`candidates_${source}`, () =>
+          withSnapshot(
+            async () =>
+              normalizeCandidates(
+                source,
+                await queryUpstream(buildCandidatesQuery(source))
+              ),
+            () => []
+          )
+        );
+
+        sendCached(req, res, entry, (candidates) =>
+          filterCandidates(candidates, params)
+        );
+      } catch (error) {
+        logger.error("Error fetching planet candidates", { error });
+        sendRouteError(res, error, "Failed to fetch planet candidates");
+      }
+    }
+  );
+
+  /**
+   * GET /api/v1/changes
+   * Planets added, removed and revised by catalog refreshes after `since`
+   * (epoch milliseconds or ISO 8601; omitted = every refresh still logged)
+   */
+  api.get("/changes", limiter, validate("getChanges"), async (req, res) => {
+    try {
+      const since = parseOrReject(res, () => parseSince(req.query.since));
+      if (since === undefined) return;
+
+      // The first catalog load becomes the baseline later refreshes are diffed against
+      if (!changeFeed.hasBaseline()) {
+        await getCatalog();
+      }
+
+      res.json(changeFeed.since(since));
+    } catch (error) {
+      logger.error("Error fetching catalog changes", { error });
+      sendRouteError(res, error, "Failed to fetch catalog changes");
+    }
+  });
+
+  /**
+   * GET /api/v1/search
+   * Ranked, typo-tolerant search over planet and host star names and aliases
+   * Queries without an exact or prefix match are also resolved through the
+   * archive's alias lookup service
+   */
+  api.get(
+    "/search",
+    searchLimiter,
+    validate("searchCatalog"),
+    async (req, res) => {
+      try {
+        const params = parseOrReject(res, () => parseSearchParams(req.query));
+        if (!params) return;
+
+        const index = await getSearchIndex();
+        let results = index.search(params.q, params);
+
+        // Below 0.9 there is no exact or prefix match on any name
+        if (
+          (results.length === 0 || results[0].score < 0.9) &&
+          (await resolveQueryAliases(index, params.q))
+        ) {
+          results = index.search(params.q, params);
+        }
+
+        res.json({
+          query: params.q,
+          normalized: normalizeName(params.q).key,
+          results,
+        });
+      } catch (error) {
+        logger.error("Error searching the catalog", { error });
+        sendRouteError(res, error, "Failed to search the catalog");
+      }
+    }
+  );
+
+  // Background refresh: keeps the catalog and the most requested planets warm
+  // so no request has to wait on the archive after the cache expires
+  const REFRESH_TOP_PLANETS = settings.refreshTopPlanets;
+
+  /**
+   * Cache keys worth keeping warm: the catalog, then the most requested planets
+   */
+  const warmKeys = () => [
+    CATALOG_KEY,
+    ...[...planetRequests]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, REFRESH_TOP_PLANETS)
+      .map(([planetName]) => `${PLANET_KEY_PREFIX}${planetName}`),
+  ];
+
+  const loaderFor = (cacheKey) =>
+    cacheKey === CATALOG_KEY
+      ? loadCatalog
+      : planetLoader(cacheKey.slice(PLANET_KEY_PREFIX.length));
+
+  /**
+   * Reload the warm keys one at a time (sparing the archive)
+   * @param {Object} options
+   * @param {boolean} options.staleOnly - Only reload missing or stale entries
+   * @returns {Promise<Object>} {status, refreshed, failed: [{key, error}]}
+   */
+  const warmCache = async ({ staleOnly = false } = {}) => {
+    const keys = warmKeys().filter((key) => {
+      if (!staleOnly) return true;
+      const entry = cache.peek(key);
+      return !entry || entry.stale;
+    });
+
+    const failed = [];
+    for (const key of keys) {
+      try {
+        await refreshEntry(key, loaderFor(key));
+      } catch (error) {
+        logger.warn("Warming cache entry failed", {
+          cacheKey: key,
+          error: error.message,
+        });
+        failed.push({ key, error: error.message });
+      }
+    }
+
+    if (keys.length > 0) {
+      logger.info("Warmed cache entries", {
+        refreshed: keys.length - failed.length,
+        total: keys.length,
+      });
+    }
+    return {
+      status:
+        failed.length === 0
+          ? "ok"
+          : failed.length === keys.length
+            ? "failed"
+            : "partial",
+      refreshed: keys.length - failed.length,
+      failed,
+    };
+  };
+
+  // Interval ("6h") or cron expression in UTC ("0 */6 * * *"), parsed
+  const refreshSchedule =
+    SNAPSHOT_MODE === "offline" ? null : settings.refreshSchedule;
+  const refreshJob = refreshSchedule
+    ? new ScheduledJob({
+        name: "cache refresh",
+        schedule: refreshSchedule,
+        logger,
+        run: async () => {
+          const summary = await warmCache();
+          // Let interest in planets fade so the warm set follows demand
+          planetRequests.forEach((count, planetName) => {
+            if (count > 1) {
+              planetRequests.set(planetName, Math.floor(count / 2));
+            } else {
+              planetRequests.delete(planetName);
+            }
+          });
+          return summary;
+        },
+      })
+    : null;
+
+  // Self-ping keep-alive (e.g. Render free tier, which sleeps after 15 minutes
+  // without traffic); each ping also refills missing or stale warm entries
+  const BACKEND_URL =
+    settings.backendUrl || `http://localhost:${settings.port}`;
+  const keepAliveJob = settings.selfPing
+    ? new ScheduledJob({
+        name: "keep-alive",
+        schedule: parseSchedule("14m"),
+        logger,
+        run: async () => {
+          const response = await fetch(`${BACKEND_URL}/api/v1/ping`, {
+            method: "GET",
+            headers: { "User-Agent": "Backend-Self-Ping/1.0" },
+            signal: AbortSignal.timeout(10000),
+          });
+          if (!response.ok) {
+            throw new Error(`Self-ping returned status ${response.status}`);
+          }
+          return SNAPSHOT_MODE === "offline"
+            ? { status: "ok" }
+            : warmCache({ staleOnly: true });
+        },
+      })
+    : null;
+
+  /**
+   * GET /api/v1/health
+   * Health check endpoint with cache statistics
+   */
+  api.get("/health", validate("getHealth"), (req, res) => {
+    const stats = cache.getStats();
+    const served = stats.hits + stats.stale;
+    res.json({
+      status: "ok",
+      timestamp: new Date().toISOString(),
+      environment: NODE_ENV,
+      upstream: NASA_API_BASE,
+      upstreamTimeoutMs: UPSTREAM_TIMEOUT_MS,
+      circuitBreaker: archiveBreaker.toJSON(),
+      snapshot: {
+        mode: SNAPSHOT_MODE,
+        path: SNAPSHOT_PATH,
+      },
+      refresh: refreshJob ? refreshJob.toJSON() : null,
+      keepAlive: keepAliveJob ? keepAliveJob.toJSON() : null,
+      cache: {
+        keys: cache.keys().length,
+        staleKeys: cache.staleCount(),
+        hits: stats.hits,
+        staleHits: stats.stale,
+        misses: stats.misses,
+        hitRate:
+          served + stats.misses > 0
+            ? ((served / (served + stats.misses)) * 100).toFixed(2) + "%"
+            : "N/A",
+        persistent: CACHE_DIR !== null,
+        revalidating: refreshes.size,
+        loading: missFlights.size,
+        coalescedRequests: missFlights.coalesced,
+      },
+    });
+  });
+
+  /**
+   * GET /metrics
+   * Prometheus metrics in the text exposition format, not rate limited
+   * Requires `Authorization: Bearer <METRICS_TOKEN>` when METRICS_TOKEN is set
+   */
+  app.get("/metrics", (req, res) => {
+    const token = settings.metricsToken;
+    if (token && req.headers.authorization !== `Bearer ${token}`) {
+      return sendProblem(res, 403, "This endpoint requires authentication");
+    }
+
+    res.type(METRICS_CONTENT_TYPE).send(metrics.render());
+  });
+
+  /**
+   * POST /api/v1/cache/clear
+   * Clear the cache (useful for development/testing)
+   * Restricted to development environment or requires API key
+   */
+  api.post("/cache/clear", validate("clearCache"), (req, res) => {
+    // Security: Only allow in development or with valid API key
+    const apiKey = req.headers["x-api-key"];
+    const validApiKey = settings.adminApiKey;
+
+    if (NODE_ENV !== "development" && apiKey !== validApiKey) {
+      return sendProblem(res, 403, "This endpoint requires authentication");
+    }
+
+    const keysDeleted = cache.keys().length;
+    cache.flushAll();
+    // Re-read the snapshot on next use (picks up a refreshed file)
+    snapshotPromise = null;
+    logger.info("Cache cleared", { keysDeleted });
+    res.json({
+      success: true,
+      message: "Cache cleared successfully",
+      keysDeleted,
+    });
+  });
+
+  /**
+   * Share link as returned by the API
+   * Links use BACKEND_URL when set, since behind a proxy the request may not
+   * show the public protocol and host
+   */
+  const describeShare = (req, share) => {
+    const origin =
+      settings.backendUrl || `${req.protocol}://${req.get("host")}`;
+    return {
+      id: share.id,
+      url: `${origin}/s/${share.id}`,
+      state: share.state,
+      createdAt: new Date(share.createdAt).toISOString(),
+      expiresAt: new Date(share.expiresAt).toISOString(),
+      views: share.views,
+    };
+  };
+
+  /**
+   * POST /api/v1/share
+   * Store a view state ({state, expiresIn}) and return its short link
+   */
+  api.post("/share", limiter, validate("createShare"), (req, res) => {
+    const share = shareStore.create(req.body.state, {
+      ttl: req.body.expiresIn ?? SHARE_TTL,
+    });
+    const body = describeShare(req, share);
+    res.status(201).location(body.url).json(body);
+  });
+
+  /**
+   * GET /api/v1/share/:id
+   * A share link's view state and view count
+   */
+  api.get("/share/:id", limiter, validate("getShare"), (req, res) => {
+    const share = shareStore.get(req.params.id);
+    if (!share) {
+      return sendProblem(res, 404, "Share link not found or expired");
+    }
+    res.json(describeShare(req, share));
+  });
+
+  /**
+   * GET /s/:id
+   * Short link: counts a view and redirects to the app with the shared view
+   * in its query string
+   */
+  const shareIdRegex = new RegExp(SHARE_ID_PATTERN);
+  app.get("/s/:id", limiter, (req, res) => {
+    const share = shareIdRegex.test(req.params.id)
+      ? shareStore.view(req.params.id)
+      : null;
+    if (!share) {
+      return sendProblem(res, 404, "Share link not found or expired");
+    }
+    // Every visit has to reach the server to be counted
+    res.set("Cache-Control", "no-store");
+    res.redirect(302, buildShareRedirect(APP_URL, share.state));
+  });
+
+  /**
+   * POST /api/v1/bookmarks
+   * Create a sync key, optionally starting from a device's bookmarks
+   * ({bookmarks, removed})
+   */
+  api.post(
+    "/bookmarks",
+    limiter,
+    validate("createBookmarkSync"),
+    (req, res) => {
+      const initial = parseOrReject(res, () => parseBookmarkSet(req.body));
+      if (!initial) return;
+
+      // Sets over the size limit are rejected like invalid bodies
+      const created = parseOrReject(res, () => bookmarkStore.create(initial));
+      if (!created) return;
+
+      res.status(201).json(created);
+    }
+  );
+
+  /**
+   * GET /api/v1/bookmarks
+   * Bookmarks synced under the `X-Sync-Key` header's key
+   */
+  api.get("/bookmarks", limiter, validate("getBookmarks"), (req, res) => {
+    const synced = bookmarkStore.get(req.get("X-Sync-Key"));
+    if (!synced) {
+      return sendProblem(res, 404, "Unknown sync key");
+    }
+    res.json(synced);
+  });
+
+  /**
+   * PUT /api/v1/bookmarks
+   * Merge a device's bookmarks ({bookmarks, removed}) into those synced under
+   * the `X-Sync-Key` header's key and return the merged set; the latest
+   * bookmark or removal of each planet and system wins
+   */
+  api.put("/bookmarks", limiter, validate("syncBookmarks"), (req, res) => {
+    const pushed = parseOrReject(res, () => parseBookmarkSet(req.body));
+    if (!pushed) return;
+
+    // undefined when rejected as too large, null for unknown keys
+    const synced = parseOrReject(res, () =>
+      bookmarkStore.merge(req.get("X-Sync-Key"), pushed)
+    );
+    if (synced === undefined) return;
+    if (!synced) {
+      return sendProblem(res, 404, "Unknown sync key");
+    }
+    res.json(synced);
+  });
+
+  /**
+   * GET /api/v1/openapi.json
+   * OpenAPI 3.1 description of the API, which requests are validated against
+   */
+  api.get("/openapi.json", (req, res) => {
+    res.json(OPENAPI_DOCUMENT);
+  });
+
+  // Unknown API routes
+  api.use((req, res) => {
+    sendProblem(res, 404, `No route for ${req.method} ${req.originalUrl}`);
+  });
+
+  app.use("/api/v1", api);
+  // Unversioned alias of v1 for existing clients
+  app.use("/api", api);
+
+  // Errors not handled by a route (e.g. a malformed JSON body)
+  app.use((error, req, res, _next) => {
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+    if (error.status >= 400 && error.status < 500) {
+      return sendProblem(res, error.status, error.message);
+    }
+    logger.error("Unhandled error", { error });
+    sendProblem(
+      res,
+      500,
+      NODE_ENV === "production" ? "Internal server error" : error.message
+    );
+  });
+
+  // Restore persisted cache entries before accepting requests (an injected
+  // cache is used as is)
+  try {
+    const restored = settings.cache ? 0 : await cache.load();
+    if (restored > 0) {
+      logger.info("Restored cache entries", {
+        entries: restored,
+        dir: CACHE_DIR,
+      });
+    }
+  } catch (error) {
+    logger.warn("Could not load persisted cache", { error: error.message });
+  }
+
+  // Restore the change feed, or start it from the restored catalog
+  if (!(await changeFeed.load())) {
+    const catalog = cache.peek(CATALOG_KEY);
+    if (catalog) {
+      changeFeed.record(catalog.value, catalog.storedAt);
+    }
+  }
+
+  const restoredBookmarks = await bookmarkStore.load();
+  if (restoredBookmarks > 0) {
+    logger.info("Restored synced bookmark sets", { sets: restoredBookmarks });
+  }
+
+  const restoredShares = await shareStore.load();
+  if (restoredShares > 0) {
+    logger.info("Restored share links", { shares: restoredShares });
+  }
+
+  return {
+    app,
+    cache,
+    logger,
+    start() {
+      if (refreshJob) {
+        refreshJob.start();
+        logger.info("Scheduled cache refresh", {
+          schedule: refreshSchedule.expression,
+          nextRun: new Date(refreshJob.nextRun).toISOString(),
+        });
+      }
+
+      // Optional self-ping keep-alive, enabled with ENABLE_SELF_PING=true
+      if (keepAliveJob) {
+        keepAliveJob.start();
+        logger.info("Self-ping enabled", {
+          url: `${BACKEND_URL}/api/v1/ping`,
+          interval: "14m",
+        });
+      }
+    },
+    stop() {
+      refreshJob?.stop();
+      keepAliveJob?.stop();
+    },
+    async flush() {
+      await Promise.all([
+        cache.flush(),
+        changeFeed.flush(),
+        shareStore.flush(),
+        bookmarkStore.flush(),
+      ]);
+    },
+  };
+}
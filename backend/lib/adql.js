@@ -0,0 +1,249 @@
+/**
+ * ADQL query builder
+ * Turns structured request parameters into a safe TAP/ADQL query against
+ * the `ps` (Planetary Systems) table. Only whitelisted columns can be
+ * selected, filtered or sorted on, and every value is validated before it
+ * is interpolated into the query string.
+ */
+
+/**
+ * Columns that may be selected, range-filtered and sorted on
+ * Maps column name to its value type ("number" or "string")
+ */
+export const QUERYABLE_COLUMNS = {
+  pl_name: "string",
+  pl_rade: "number",
+  pl_bmasse: "number",
+  pl_eqt: "number",
+  pl_dens: "number",
+  pl_orbper: "number",
+  pl_orbeccen: "number",
+  pl_orbsmax: "number",
+  pl_insol: "number",
+  pl_orbincl: "number",
+  pl_orblper: "number",
+  pl_radj: "number",
+  pl_massj: "number",
+  hostname: "string",
+  sy_dist: "number",
+  sy_snum: "number",
+  sy_pnum: "number",
+  disc_year: "number",
+  discoverymethod: "string",
+  disc_facility: "string",
+  st_teff: "number",
+  st_rad: "number",
+  st_mass: "number",
+  st_lum: "number",
+  st_spectype: "string",
+  st_age: "number",
+  ra: "number",
+  dec: "number",
+};
+
+/**
+ * Columns that accept equality / IN filters
+ */
+export const EQUALITY_FILTER_COLUMNS = ["discoverymethod", "disc_facility"];
+
+/**
+ * Columns returned by default (same set as /api/exoplanets)
+ */
+export const DEFAULT_COLUMNS = Object.keys(QUERYABLE_COLUMNS);
+
+export const DEFAULT_LIMIT = 1000;
+export const MAX_LIMIT = 10000;
+const MAX_IN_VALUES = 20;
+const MAX_VALUE_LENGTH = 100;
+
+// Same character set accepted for planet names in /api/v1/planet/:name
+const SAFE_VALUE_PATTERN = /^[a-zA-Z0-9 \-_.()]+$/;
+
+/**
+ * Error thrown when request parameters cannot be turned into a safe query
+ */
+export class QueryValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "QueryValidationError";
+  }
+}
+
+/**
+ * Normalize a query parameter that may be repeated or comma-separated
+ * @param {string|string[]|undefined} value - Raw query parameter
+ * @returns {string[]} Trimmed, non-empty values
+ */
+function toList(value) {
+  if (value === undefined || value === null) return [];
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .flatMap((v) => String(v).split(","))
+    .map((v) => v.trim())
+    .filter((v) => v.length > 0);
+}
+
+/**
+ * Ensure a column is in the whitelist
+ * @param {string} column - Column name
+ * @param {string} context - Parameter name for error messages
+ */
+function assertQueryable(column, context) {
+  if (!Object.prototype.hasOwnProperty.call(QUERYABLE_COLUMNS, column)) {
+    throw new QueryValidationError(`Unknown column in ${context}: ${column}`);
+  }
+}
+
+/**
+ * Parse and validate the numeric range filters (`min[col]` / `max[col]`)
+ * @param {Object} bounds - Parsed `min` or `max` query object
+ * @param {string} name - "min" or "max"
+ * @returns {Array<{column: string, value: number}>}
+ */
+function parseBounds(bounds, name) {
+  if (bounds === undefined) return [];
+  if (typeof bounds !== "object" || Array.isArray(bounds)) {
+    throw new QueryValidationError(
+      `${name} must be given as ${name}[column]=value`
+    );
+  }
+
+  return Object.keys(bounds)
+    .sort()
+    .map((column) => {
+      assertQueryable(column, name);
+      if (QUERYABLE_COLUMNS[column] !== "number") {
+        throw new QueryValidationError(
+          `Range filters are only supported on numeric columns: ${column}`
+        );
+      }
+      const value = Number(bounds[column]);
+      if (
+        typeof bounds[column] !== "string" ||
+        bounds[column].trim() === "" ||
+        !Number.isFinite(value)
+      ) {
+        throw new QueryValidationError(
+          `Invalid ${name} value for ${column}: ${bounds[column]}`
+        );
+      }
+      return { column, value };
+    });
+}
+
+/**
+ * Validate a string filter value
+ * @param {string} value - Raw string value
+ * @returns {string} The value, unchanged
+ */
+function validateLiteral(value) {
+  if (value.length > MAX_VALUE_LENGTH) {
+    throw new QueryValidationError(`Filter value too long: ${value}`);
+  }
+  if (!SAFE_VALUE_PATTERN.test(value)) {
+    throw new QueryValidationError(
+      `Filter value contains invalid characters: ${value}`
+    );
+  }
+  return value;
+}
+
+/**
+ * Quote a string literal for ADQL
+ * @param {string} value - Validated string value
+ * @returns {string} Quoted ADQL literal
+ */
+function quoteLiteral(value) {
+  return `'${value.replace(/'/g, "''")}'`;
+}
+
+/**
+ * Parse structured query parameters into a normalized query description
+ * @param {Object} params - Express `req.query`
+ * @returns {Object} Normalized description ({columns, ranges, equals, order, limit})
+ * @throws {QueryValidationError} When any parameter is invalid
+ */
+export function parseQueryParams(params = {}) {
+  const requestedColumns = toList(params.columns);
+  requestedColumns.forEach((column) => assertQueryable(column, "columns"));
+  const columns =
+    requestedColumns.length > 0
+      ? [...new Set(requestedColumns)]
+      : DEFAULT_COLUMNS;
+
+  const ranges = [
+    ...parseBounds(params.min, "min").map((r) => ({ ...r, op: ">=" })),
+    ...parseBounds(params.max, "max").map((r) => ({ ...r, op: "<=" })),
+  ];
+
+  const equals = EQUALITY_FILTER_COLUMNS.map((column) => {
+    const values = [...new Set(toList(params[column]))]
+      .map(validateLiteral)
+      .sort();
+    if (values.length > MAX_IN_VALUES) {
+      throw new QueryValidationError(
+        `Too many values for ${column} (max ${MAX_IN_VALUES})`
+      );
+    }
+    return { column, values };
+  }).filter((filter) => filter.values.length > 0);
+
+  let order = null;
+  if (params.order !== undefined) {
+    const raw = String(params.order).trim();
+    const descending = raw.startsWith("-");
+    const column = descending ? raw.slice(1) : raw;
+    assertQueryable(column, "order");
+    order = { column, direction: descending ? "DESC" : "ASC" };
+  }
+
+  let limit = DEFAULT_LIMIT;
+  if (params.limit !== undefined) {
+    limit = Number(params.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      throw new QueryValidationError(
+        `limit must be an integer between 1 and ${MAX_LIMIT}`
+      );
+    }
+  }
+
+  return { columns, ranges, equals, order, limit };
+}
+
+/**
+ * Build an ADQL query string from a normalized query description
+ * @param {Object} spec - Output of parseQueryParams
+ * @returns {string} Single-line ADQL query
+ */
+export function buildAdqlQuery(spec) {
+  const conditions = ["default_flag = 1"];
+
+  spec.ranges.forEach(({ column, op, value }) => {
+    conditions.push(`${column} ${op} ${value}`);
+  });
+
+  spec.equals.forEach(({ column, values }) => {
+    const literals = values.map(quoteLiteral);
+    conditions.push(
+      literals.length === 1
+        ? `${column} = ${literals[0]}`
+        : `${column} IN (${literals.join(", ")})`
+    );
+  });
+
+  let query = `SELECT TOP ${spec.limit} ${spec.columns.join(", ")} FROM ps WHERE ${conditions.join(" AND ")}`;
+  if (spec.order) {
+    query += ` ORDER BY ${spec.order.column} ${spec.order.direction}`;
+  }
+  return query;
+}
+
+/**
+ * Build a deterministic cache key for a normalized query description
+ * Equivalent requests (different parameter order, duplicate values) share a key
+ * @param {Object} spec - Output of parseQueryParams
+ * @returns {string} Cache key
+ */
+export function buildQueryCacheKey(spec) {
+  return `query_${JSON.stringify(spec)}`;
+}
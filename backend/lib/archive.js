@@ -0,0 +1,134 @@
+/**
+ * NASA Exoplanet Archive client
+ * Thin wrapper around the TAP (Table Access Protocol) sync endpoint,
+ * shared by the API server and the snapshot refresh script.
+ */
+import nodeFetch from "node-fetch";
+
+// NASA Exoplanet Archive API endpoint
+export const DEFAULT_NASA_API_BASE =
+  "https://exoplanetarchive.ipac.caltech.edu/TAP/sync";
+
+// Alias lookup service (resolves alternative names of planets and stars)
+export const DEFAULT_ALIAS_LOOKUP_URL =
+  "https://exoplanetarchive.ipac.caltech.edu/cgi-bin/Lookup/nph-aliaslookup.py";
+
+/**
+ * Catalog columns served with their uncertainties: `<column>err1` (upper,
+ * positive) and `<column>err2` (lower, negative)
+ */
+export const UNCERTAINTY_COLUMNS = [
+  "pl_rade",
+  "pl_bmasse",
+  "pl_orbper",
+  "pl_orbsmax",
+  "pl_orbeccen",
+  "pl_eqt",
+  "st_teff",
+  "st_rad",
+  "st_mass",
+  "st_lum",
+  "st_age",
+];
+
+/**
+ * Query for the default-flag catalog served by /api/exoplanets
+ */
+export const CATALOG_QUERY = `
+  SELECT
+    pl_name, pl_rade, pl_bmasse, pl_bmassprov, pl_eqt, pl_dens, pl_orbper,
+    pl_orbeccen, pl_orbsmax, pl_insol, pl_orbincl, pl_orblper,
+    pl_radj, pl_massj,
+    hostname, sy_dist, sy_snum, sy_pnum,
+    disc_year, discoverymethod, disc_facility,
+    st_teff, st_rad, st_mass, st_lum, st_spectype, st_age,
+    ra, dec,
+    ${UNCERTAINTY_COLUMNS.map((column) => `${column}err1, ${column}err2`).join(", ")}
+  FROM ps
+  WHERE default_flag = 1
+`
+  .replace(/\s+/g, " ")
+  .trim();
+
+/**
+ * Fetch a JSON document from the archive with an optional timeout
+ * @param {string} url - Request URL
+ * @param {number} timeout - Abort after this many ms (0 = no timeout)
+ * @param {Object} headers - Extra request headers (e.g. X-Request-Id)
+ * @param {Function} fetch - fetch implementation
+ * @returns {Promise<*>} Parsed JSON body
+ * @throws {Error} `code` "ETIMEDOUT" on timeout; `status` set for HTTP errors
+ */
+const fetchArchiveJson = async (url, { timeout, headers, fetch }) => {
+  // The timeout covers the whole exchange, including reading the body
+  const controller = new AbortController();
+  const timeoutId =
+    timeout > 0 ? setTimeout(() => controller.abort(), timeout) : null;
+
+  try {
+    const response = await fetch(url, { headers, signal: controller.signal });
+
+    if (!response.ok) {
+      const error = new Error(
+        `NASA API error: ${response.status} ${response.statusText}`
+      );
+      error.status = response.status;
+      throw error;
+    }
+
+    return await response.json();
+  } catch (error) {
+    if (error.name === "AbortError") {
+      const timeoutError = new Error(
+        `NASA API request timed out after ${timeout}ms`
+      );
+      timeoutError.code = "ETIMEDOUT";
+      throw timeoutError;
+    }
+    throw error;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+};
+
+/**
+ * Run an ADQL query against a TAP sync endpoint
+ * @param {string} baseUrl - TAP sync endpoint URL
+ * @param {string} query - Single-line ADQL query
+ * @param {Object} options
+ * @param {number} options.timeout - Abort after this many ms (0 = no timeout)
+ * @param {Object} options.headers - Extra request headers
+ * @param {Function} options.fetch - fetch implementation (node-fetch)
+ * @returns {Promise<Array>} Parsed JSON rows
+ * @throws {Error} `code` "ETIMEDOUT" on timeout; `status` set for HTTP errors
+ */
+export const queryArchive = (
+  baseUrl,
+  query,
+  { timeout = 0, headers = {}, fetch = nodeFetch } = {}
+) =>
+  fetchArchiveJson(
+    `${baseUrl}?query=${encodeURIComponent(query)}&format=json`,
+    { timeout, headers, fetch }
+  );
+
+/**
+ * Resolve an object name with the archive's alias lookup service
+ * @param {string} lookupUrl - Alias lookup service URL
+ * @param {string} name - Planet, star or alias to resolve
+ * @param {Object} options
+ * @param {number} options.timeout - Abort after this many ms (0 = no timeout)
+ * @param {Object} options.headers - Extra request headers
+ * @param {Function} options.fetch - fetch implementation (node-fetch)
+ * @returns {Promise<Object>} Lookup document (see parseAliasLookup)
+ */
+export const lookupAliases = (
+  lookupUrl,
+  name,
+  { timeout = 0, headers = {}, fetch = nodeFetch } = {}
+) =>
+  fetchArchiveJson(`${lookupUrl}?objname=${encodeURIComponent(name)}`, {
+    timeout,
+    headers,
+    fetch,
+  });
@@ -0,0 +1,304 @@
+/**
+ * Bookmark sync
+ * Bookmarks are synced between devices without accounts: a device creates a
+ * random sync key, and every device holding the key pushes its bookmarks
+ * and gets back the merged set. Removals are kept as tombstones so they
+ * reach the other devices, and each planet or system is decided by its
+ * latest timestamp (when it was bookmarked or removed).
+ */
+import { randomBytes } from "node:crypto";
+import { mkdir, readFile, rename, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { QueryValidationError } from "./adql.js";
+
+// Keys are 16 random bytes, base64url encoded
+const KEY_BYTES = 16;
+export const SYNC_KEY_PATTERN = "^[A-Za-z0-9_-]{22}$";
+
+export const MAX_BOOKMARKS = 1000;
+// Removals older than this are forgotten
+export const TOMBSTONE_TTL = 90 * 24 * 60 * 60 * 1000;
+
+// Serialized size of one set, and of all sets together (the store file is
+// rewritten on every change)
+export const MAX_SET_BYTES = 1024 * 1024;
+export const MAX_TOTAL_BYTES = 64 * 1024 * 1024;
+
+const bookmarkKey = ({ type, name }) => `${type}:${name}`;
+const byteSize = (set) => Buffer.byteLength(JSON.stringify(set), "utf8");
+
+/**
+ * Convert a bookmark timestamp (epoch ms or date string) to epoch ms
+ * @returns {number} Epoch milliseconds, NaN when invalid
+ */
+export function toTime(timestamp) {
+  const time =
+    typeof timestamp === "number" ? timestamp : Date.parse(String(timestamp));
+  return Number.isFinite(time) && time > 0 ? time : NaN;
+}
+
+/**
+ * Check a pushed bookmark set
+ * @param {Object} body - {bookmarks, removed} (schema-validated)
+ * @returns {Object} {bookmarks, removed}
+ * @throws {QueryValidationError} For timestamps that are not dates
+ */
+export function parseBookmarkSet(body = {}) {
+  const bookmarks = body.bookmarks || [];
+  const removed = body.removed || [];
+
+  [...bookmarks, ...removed].forEach((entry) => {
+    if (Number.isNaN(toTime(entry.timestamp))) {
+      throw new QueryValidationError(
+        `Invalid timestamp for ${entry.type} ${entry.name}: must be epoch milliseconds or an ISO 8601 date`
+      );
+    }
+  });
+  return { bookmarks, removed };
+}
+
+/**
+ * Merge two bookmark sets
+ * For every planet or system the latest entry wins, whether a bookmark or
+ * a removal; on a tie the bookmark is kept. Timestamps in the future are
+ * brought back to `now`, so a device with a fast clock can't win every
+ * later sync. Bookmarks come newest first and removals older than
+ * TOMBSTONE_TTL are dropped.
+ * @param {Object} a - {bookmarks, removed}
+ * @param {Object} b - {bookmarks, removed}
+ * @param {number} now - Current time (epoch ms)
+ * @returns {Object} {bookmarks, removed}
+ */
+export function mergeBookmarkSets(a, b, now = Date.now()) {
+  const latest = new Map();
+  const consider = (original, removed) => {
+    const key = bookmarkKey(original);
+    const originalTime = toTime(original.timestamp);
+    const time = Math.min(originalTime, now);
+    const entry =
+      time < originalTime
+        ? { ...original, timestamp: new Date(time).toISOString() }
+        : original;
+    const current = latest.get(key);
+    if (
+      !current ||
+      time > current.time ||
+      (time === current.time && current.removed && !removed)
+    ) {
+      latest.set(key, { entry, time, removed });
+    }
+  };
+
+  [a, b].forEach((set) => {
+    (set.bookmarks || []).forEach((entry) => consider(entry, false));
+    (set.removed || []).forEach((entry) => consider(entry, true));
+  });
+
+  const winners = [...latest.values()].sort((x, y) => y.time - x.time);
+  return {
+    bookmarks: winners
+      .filter(({ removed }) => !removed)
+      .slice(0, MAX_BOOKMARKS)
+      .map(({ entry }) => entry),
+    removed: winners
+      .filter(({ removed, time }) => removed && now - time < TOMBSTONE_TTL)
+      .map(({ entry }) => ({
+        type: entry.type,
+        name: entry.name,
+        timestamp: entry.timestamp,
+      })),
+  };
+}
+
+export class BookmarkStore {
+  /**
+   * @param {Object} options
+   * @param {string|null} options.file - JSON file for the sets (null = memory only)
+   * @param {number} options.maxSets - Sets kept; the least recently
+   *   updated are dropped beyond this
+   * @param {number} options.maxSetBytes - Largest serialized set accepted
+   * @param {number} options.maxTotalBytes - Serialized size of all sets;
+   *   the least recently updated are dropped beyond this
+   * @param {Object} options.logger - Receives warnings (`warn(msg, fields)`)
+   */
+  constructor({
+    file = null,
+    maxSets = 10000,
+    maxSetBytes = MAX_SET_BYTES,
+    maxTotalBytes = MAX_TOTAL_BYTES,
+    logger = console,
+  } = {}) {
+    this.file = file;
+    this.maxSets = maxSets;
+    this.maxSetBytes = maxSetBytes;
+    this.maxTotalBytes = maxTotalBytes;
+    this.logger = logger;
+    this.sets = new Map();
+    // Serialized size by sync key, and their sum
+    this.bytes = new Map();
+    this.totalBytes = 0;
+    this.writing = Promise.resolve();
+    this.writeQueued = false;
+  }
+
+  /**
+   * Load the persisted sets
+   * @returns {Promise<number>} Sets restored
+   */
+  async load() {
+    if (!this.file) return 0;
+
+    try {
+      const saved = JSON.parse(await readFile(this.file, "utf8"));
+      Object.entries(saved.sets || {}).forEach(([key, set]) => {
+        this.sets.set(key, set);
+        this.bytes.set(key, byteSize(set));
+        this.totalBytes += this.bytes.get(key);
+      });
+      this.evict();
+      return this.sets.size;
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        this.logger.warn("Could not read synced bookmarks", {
+          error: error.message,
+        });
+      }
+      return 0;
+    }
+  }
+
+  get size() {
+    return this.sets.size;
+  }
+
+  /**
+   * Create a sync key, optionally starting from a device's bookmarks
+   * @param {Object} initial - {bookmarks, removed}
+   * @returns {Object} {syncKey, bookmarks, removed, updatedAt}
+   * @throws {QueryValidationError} When the set exceeds maxSetBytes
+   */
+  create(initial = {}, now = Date.now()) {
+    let syncKey;
+    do {
+      syncKey = randomBytes(KEY_BYTES).toString("base64url");
+    } while (this.sets.has(syncKey));
+
+    this.save(syncKey, {
+      ...mergeBookmarkSets(initial, {}, now),
+      updatedAt: now,
+    });
+    return this.describe(syncKey);
+  }
+
+  /**
+   * @returns {Object|null} {syncKey, bookmarks, removed, updatedAt}, or
+   *   null for unknown keys
+   */
+  get(syncKey) {
+    return this.sets.has(syncKey) ? this.describe(syncKey) : null;
+  }
+
+  /**
+   * Merge a device's bookmarks into the stored set
+   * @param {string} syncKey - Sync key
+   * @param {Object} pushed - {bookmarks, removed}
+   * @returns {Object|null} Merged set, or null for unknown keys
+   * @throws {QueryValidationError} When the merged set exceeds maxSetBytes
+   *   (the stored set is left unchanged)
+   */
+  merge(syncKey, pushed, now = Date.now()) {
+    const stored = this.sets.get(syncKey);
+    if (!stored) return null;
+
+    this.save(syncKey, {
+      ...mergeBookmarkSets(stored, pushed, now),
+      updatedAt: now,
+    });
+    return this.describe(syncKey);
+  }
+
+  /**
+   * Store a set, drop the least recently updated ones beyond the limits and
+   * persist
+   * @throws {QueryValidationError} When the set exceeds maxSetBytes
+   */
+  save(syncKey, set) {
+    const bytes = byteSize(set);
+    if (bytes > this.maxSetBytes) {
+      throw new QueryValidationError(
+        `Bookmark set too large: ${bytes} bytes, at most ${this.maxSetBytes}`
+      );
+    }
+
+    this.totalBytes += bytes - (this.bytes.get(syncKey) || 0);
+    this.sets.set(syncKey, set);
+    this.bytes.set(syncKey, bytes);
+    this.evict(syncKey);
+    this.persist();
+  }
+
+  /**
+   * Drop the least recently updated sets while over maxSets or
+   * maxTotalBytes
+   * @param {string} keep - Sync key never dropped (the one just saved)
+   */
+  evict(keep = null) {
+    const byAge = [...this.sets]
+      .filter(([key]) => key !== keep)
+      .sort(([, a], [, b]) => a.updatedAt - b.updatedAt);
+
+    while (
+      byAge.length > 0 &&
+      (this.sets.size > this.maxSets || this.totalBytes > this.maxTotalBytes)
+    ) {
+      const [key] = byAge.shift();
+      this.totalBytes -= this.bytes.get(key);
+      this.sets.delete(key);
+      this.bytes.delete(key);
+    }
+  }
+
+  /**
+   * Stored set as returned by the API
+   */
+  describe(syncKey) {
+    const { bookmarks, removed, updatedAt } = this.sets.get(syncKey);
+    return {
+      syncKey,
+      bookmarks,
+      removed,
+      updatedAt: new Date(updatedAt).toISOString(),
+    };
+  }
+
+  /**
+   * Write the sets atomically (temp file + rename), one write at a time
+   * Writes requested while one is waiting are coalesced into it
+   */
+  persist() {
+    if (!this.file || this.writeQueued) return;
+
+    this.writeQueued = true;
+    const temp = `${this.file}.${process.pid}.tmp`;
+    this.writing = this.writing
+      .then(async () => {
+        this.writeQueued = false;
+        const data = JSON.stringify({ sets: Object.fromEntries(this.sets) });
+        await mkdir(path.dirname(this.file), { recursive: true });
+        await writeFile(temp, data, "utf8");
+        await rename(temp, this.file);
+      })
+      .catch((error) => {
+        this.logger.warn("Bookmark sync persistence failed", {
+          error: error.message,
+        });
+      });
+  }
+
+  /**
+   * Wait for pending writes
+   */
+  flush() {
+    return this.writing;
+  }
+}
@@ -0,0 +1,174 @@
+/**
+ * Planet candidates
+ * The archive keeps candidates in their own tables: TESS Objects of Interest
+ * in `toi` and Kepler Objects of Interest in `cumulative`. These helpers
+ * query both and shape their rows like catalog rows (pl_name, hostname,
+ * sy_dist, ...), with a disposition reduced to PC (planet candidate), FP
+ * (false positive) or CP (confirmed planet).
+ */
+import { QueryValidationError } from "./adql.js";
+
+export const DISPOSITIONS = ["PC", "FP", "CP"];
+
+/**
+ * Candidate tables by source
+ * - table / columns: what is queried
+ * - dispositions: archive disposition -> PC, FP or CP (others are dropped)
+ * - normalize: archive row -> candidate row (disposition added afterwards)
+ */
+export const CANDIDATE_SOURCES = {
+  toi: {
+    table: "toi",
+    dispositionColumn: "tfopwg_disp",
+    columns: [
+      "toi",
+      "tid",
+      "tfopwg_disp",
+      "ra",
+      "dec",
+      "st_dist",
+      "pl_rade",
+      "pl_orbper",
+      "pl_eqt",
+      "pl_insol",
+      "st_teff",
+      "st_rad",
+    ],
+    // TFOPWG dispositions; ambiguous candidates count as candidates, false
+    // alarms as false positives and known planets as confirmed
+    dispositions: {
+      PC: "PC",
+      APC: "PC",
+      FP: "FP",
+      FA: "FP",
+      CP: "CP",
+      KP: "CP",
+    },
+    normalize: (row) => ({
+      pl_name: `TOI-${row.toi}`,
+      hostname: `TOI-${Math.floor(row.toi)}`,
+      tic_id: row.tid === null ? null : `TIC ${row.tid}`,
+      confirmed_name: null,
+      sy_dist: row.st_dist,
+      pl_rade: row.pl_rade,
+      pl_orbper: row.pl_orbper,
+      pl_eqt: row.pl_eqt,
+      pl_insol: row.pl_insol,
+      st_teff: row.st_teff,
+      st_rad: row.st_rad,
+      ra: row.ra,
+      dec: row.dec,
+    }),
+  },
+  koi: {
+    table: "cumulative",
+    dispositionColumn: "koi_disposition",
+    columns: [
+      "kepid",
+      "kepoi_name",
+      "kepler_name",
+      "koi_disposition",
+      "ra",
+      "dec",
+      "koi_prad",
+      "koi_period",
+      "koi_teq",
+      "koi_insol",
+      "koi_steff",
+      "koi_srad",
+    ],
+    // Dispositions from the archive ("NOT DISPOSITIONED" rows are dropped)
+    dispositions: {
+      CANDIDATE: "PC",
+      "FALSE POSITIVE": "FP",
+      CONFIRMED: "CP",
+    },
+    // The cumulative table has no distances, so KOIs carry sy_dist = null
+    normalize: (row) => ({
+      pl_name: row.kepoi_name,
+      hostname: `KIC ${row.kepid}`,
+      tic_id: null,
+      confirmed_name: row.kepler_name || null,
+      sy_dist: null,
+      pl_rade: row.koi_prad,
+      pl_orbper: row.koi_period,
+      pl_eqt: row.koi_teq,
+      pl_insol: row.koi_insol,
+      st_teff: row.koi_steff,
+      st_rad: row.koi_srad,
+      ra: row.ra,
+      dec: row.dec,
+    }),
+  },
+};
+
+/**
+ * Build the ADQL query returning every candidate of a source
+ * @param {string} source - "toi" or "koi"
+ * @returns {string} Single-line ADQL query
+ */
+export function buildCandidatesQuery(source) {
+  const { table, columns } = CANDIDATE_SOURCES[source];
+  return `SELECT ${columns.join(", ")} FROM ${table}`;
+}
+
+/**
+ * Shape archive rows into candidate rows
+ * @param {string} source - "toi" or "koi"
+ * @param {Array<Object>} rows - Rows of the source's table
+ * @returns {Array<Object>} Candidate rows with `source`, `disposition` (PC,
+ *   FP or CP) and `archive_disposition`, in archive order
+ */
+export function normalizeCandidates(source, rows) {
+  const { dispositionColumn, dispositions, normalize } =
+    CANDIDATE_SOURCES[source];
+
+  return rows.flatMap((row) => {
+    const archiveDisposition = row[dispositionColumn];
+    const disposition = dispositions[archiveDisposition];
+    if (!disposition) return [];
+
+    return [
+      {
+        ...normalize(row),
+        source,
+        disposition,
+        archive_disposition: archiveDisposition,
+      },
+    ];
+  });
+}
+
+/**
+ * Parse /api/candidates query parameters
+ * @param {Object} params - Raw query (`disposition`: comma-separated list)
+ * @returns {{dispositions: Array<string>|null}} null = every disposition
+ * @throws {QueryValidationError} For unknown dispositions
+ */
+export function parseCandidateParams(params = {}) {
+  const { disposition } = params;
+  if (disposition === undefined || disposition === "") {
+    return { dispositions: null };
+  }
+
+  const dispositions = String(disposition)
+    .split(",")
+    .map((value) => value.trim().toUpperCase());
+  const invalid = dispositions.find((value) => !DISPOSITIONS.includes(value));
+  if (invalid !== undefined) {
+    throw new QueryValidationError(
+      `Invalid disposition: ${invalid}. Use ${DISPOSITIONS.join(", ")}`
+    );
+  }
+  return { dispositions };
+}
+
+/**
+ * Keep the candidates matching parsed parameters
+ */
+export function filterCandidates(candidates, { dispositions }) {
+  if (!dispositions) return candidates;
+  return candidates.filter((candidate) =>
+    dispositions.includes(candidate.disposition)
+  );
+}
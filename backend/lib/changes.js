@@ -0,0 +1,329 @@
+/**
+ * Catalog change feed
+ * Every time the catalog is refreshed it is compared with the previous copy,
+ * and the planets added, removed and revised are recorded. Only the compared
+ * columns of the previous copy are kept (the baseline), and both the baseline
+ * and the change log are persisted so the feed survives restarts.
+ */
+import { mkdir, readFile, rename, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { QueryValidationError } from "./adql.js";
+
+// Catalog columns compared between refreshes
+export const TRACKED_COLUMNS = [
+  "pl_rade",
+  "pl_bmasse",
+  "pl_eqt",
+  "pl_dens",
+  "pl_orbper",
+  "pl_orbeccen",
+  "pl_orbsmax",
+  "pl_insol",
+  "pl_orbincl",
+  "pl_orblper",
+  "pl_radj",
+  "pl_massj",
+  "hostname",
+  "sy_dist",
+  "sy_snum",
+  "sy_pnum",
+  "disc_year",
+  "discoverymethod",
+  "disc_facility",
+  "st_teff",
+  "st_rad",
+  "st_mass",
+  "st_lum",
+  "st_spectype",
+  "st_age",
+  "ra",
+  "dec",
+];
+
+// Columns describing a newly added planet in the feed
+const SUMMARY_COLUMNS = [
+  "hostname",
+  "discoverymethod",
+  "disc_year",
+  "disc_facility",
+];
+
+const normalize = (value) => (value === undefined ? null : value);
+
+/**
+ * Reduce catalog rows to the compared columns, by planet name
+ * @param {Array<Object>} rows - Catalog rows
+ * @returns {Object} {[pl_name]: {column: value}}
+ */
+export function buildBaseline(rows) {
+  const planets = {};
+  rows.forEach((row) => {
+    if (!row.pl_name) return;
+    const values = {};
+    TRACKED_COLUMNS.forEach((column) => {
+      values[column] = normalize(row[column]);
+    });
+    planets[row.pl_name] = values;
+  });
+  return planets;
+}
+
+const summarize = (name, values) => {
+  const summary = { pl_name: name };
+  SUMMARY_COLUMNS.forEach((column) => {
+    summary[column] = normalize(values[column]);
+  });
+  return summary;
+};
+
+/**
+ * Compare two baselines
+ * @param {Object} previous - Baseline of the previous catalog
+ * @param {Object} current - Baseline of the new catalog
+ * @returns {Object} {added, removed, changed}; `changed` lists
+ *   {pl_name, changes: {column: {from, to}}}
+ */
+export function diffBaselines(previous, current) {
+  const added = [];
+  const removed = [];
+  const changed = [];
+
+  Object.entries(current).forEach(([name, values]) => {
+    const before = previous[name];
+    if (!before) {
+      added.push(summarize(name, values));
+      return;
+    }
+
+    const changes = {};
+    TRACKED_COLUMNS.forEach((column) => {
+      const from = normalize(before[column]);
+      const to = normalize(values[column]);
+      if (from !== to) {
+        changes[column] = { from, to };
+      }
+    });
+    if (Object.keys(changes).length > 0) {
+      changed.push({ pl_name: name, changes });
+    }
+  });
+
+  Object.keys(previous).forEach((name) => {
+    if (!current[name]) {
+      removed.push(name);
+    }
+  });
+
+  return { added, removed, changed };
+}
+
+/**
+ * Parse the `since` query parameter
+ * Accepts epoch milliseconds or an ISO 8601 date; missing means "everything"
+ * @param {string|undefined} value - Raw parameter
+ * @returns {number} Epoch milliseconds
+ * @throws {QueryValidationError} For anything else
+ */
+export function parseSince(value) {
+  if (value === undefined || value === "") return 0;
+
+  const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  if (!Number.isFinite(time)) {
+    throw new QueryValidationError(
+      "since must be a timestamp in milliseconds or an ISO 8601 date"
+    );
+  }
+  return time;
+}
+
+export class ChangeFeed {
+  /**
+   * @param {Object} options
+   * @param {string|null} options.file - JSON file for the feed (null = memory only)
+   * @param {number} options.maxEntries - Refreshes kept in the log
+   * @param {Object} options.logger - Receives warnings (`warn(msg, fields)`)
+   */
+  constructor({ file = null, maxEntries = 100, logger = console } = {}) {
+    this.file = file;
+    this.maxEntries = maxEntries;
+    this.logger = logger;
+    this.baseline = null;
+    this.baselineAt = null;
+    // Changes after this time are all in the log (first baseline, moved
+    // forward when old entries are dropped)
+    this.coveredFrom = null;
+    this.entries = [];
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Load the persisted feed; a missing or unreadable file starts a new one
+   * @returns {Promise<boolean>} Whether a feed was restored
+   */
+  async load() {
+    if (!this.file) return false;
+
+    try {
+      const saved = JSON.parse(await readFile(this.file, "utf8"));
+      this.baseline = saved.baseline || null;
+      this.baselineAt = saved.baselineAt || null;
+      this.coveredFrom = saved.coveredFrom || this.baselineAt;
+      this.entries = Array.isArray(saved.entries) ? saved.entries : [];
+      return this.baseline !== null;
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        this.logger.warn("Could not read change feed", {
+          error: error.message,
+        });
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Whether a previous catalog is known
+   */
+  hasBaseline() {
+    return this.baseline !== null;
+  }
+
+  /**
+   * Record a refreshed catalog
+   * The first catalog only becomes the baseline; later ones are diffed
+   * against it. Refreshes without any difference are not logged.
+   * @param {Array<Object>} rows - Catalog rows
+   * @param {number} at - Refresh time (epoch ms)
+   * @returns {Object|null} Logged entry {at, previousAt, added, removed, changed}
+   */
+  record(rows, at = Date.now()) {
+    const current = buildBaseline(rows);
+    let entry = null;
+
+    if (this.baseline) {
+      const diff = diffBaselines(this.baseline, current);
+      if (diff.added.length + diff.removed.length + diff.changed.length > 0) {
+        entry = { at, previousAt: this.baselineAt, ...diff };
+        this.entries.push(entry);
+        const dropped = this.entries.splice(
+          0,
+          Math.max(0, this.entries.length - this.maxEntries)
+        );
+        if (dropped.length > 0) {
+          this.coveredFrom = dropped[dropped.length - 1].at;
+        }
+      }
+    } else {
+      this.coveredFrom = at;
+    }
+
+    this.baseline = current;
+    this.baselineAt = at;
+    this.persist();
+    return entry;
+  }
+
+  /**
+   * Net changes of every refresh after `since`
+   * A planet added and revised later is reported as added with its latest
+   * summary; one added and removed again is left out
+   * @param {number} since - Epoch milliseconds
+   * @returns {Object} {since, until, complete, refreshes, added, removed, changed}
+   */
+  since(since) {
+    const added = new Map();
+    const removed = new Set();
+    const changed = new Map();
+    const entries = this.entries.filter((entry) => entry.at > since);
+
+    entries.forEach((entry) => {
+      entry.added.forEach((planet) => {
+        if (removed.has(planet.pl_name)) {
+          removed.delete(planet.pl_name);
+        } else {
+          added.set(planet.pl_name, { ...planet });
+        }
+      });
+
+      entry.removed.forEach((name) => {
+        changed.delete(name);
+        if (added.has(name)) {
+          added.delete(name);
+        } else {
+          removed.add(name);
+        }
+      });
+
+      entry.changed.forEach(({ pl_name: name, changes }) => {
+        if (added.has(name)) {
+          const summary = added.get(name);
+          Object.entries(changes).forEach(([column, { to }]) => {
+            if (column in summary) summary[column] = to;
+          });
+          return;
+        }
+
+        const merged = changed.get(name) || {};
+        Object.entries(changes).forEach(([column, { from, to }]) => {
+          const start = column in merged ? merged[column].from : from;
+          if (start === to) {
+            delete merged[column];
+          } else {
+            merged[column] = { from: start, to };
+          }
+        });
+        if (Object.keys(merged).length > 0) {
+          changed.set(name, merged);
+        } else {
+          changed.delete(name);
+        }
+      });
+    });
+
+    return {
+      since: new Date(since).toISOString(),
+      until: this.baselineAt ? new Date(this.baselineAt).toISOString() : null,
+      // False when `since` predates the feed or the entries still kept
+      complete: this.coveredFrom !== null && since >= this.coveredFrom,
+      refreshes: entries.length,
+      added: [...added.values()],
+      removed: [...removed],
+      changed: [...changed].map(([name, changes]) => ({
+        pl_name: name,
+        changes,
+      })),
+    };
+  }
+
+  /**
+   * Write the feed atomically (temp file + rename), one write at a time
+   */
+  persist() {
+    if (!this.file) return;
+
+    const data = JSON.stringify({
+      coveredFrom: this.coveredFrom,
+      baselineAt: this.baselineAt,
+      baseline: this.baseline,
+      entries: this.entries,
+    });
+    const temp = `${this.file}.${process.pid}.tmp`;
+    this.writing = this.writing
+      .then(async () => {
+        await mkdir(path.dirname(this.file), { recursive: true });
+        await writeFile(temp, data, "utf8");
+        await rename(temp, this.file);
+      })
+      .catch((error) => {
+        this.logger.warn("Change feed persistence failed", {
+          error: error.message,
+        });
+      });
+  }
+
+  /**
+   * Wait for pending writes
+   */
+  flush() {
+    return this.writing;
+  }
+}
@@ -0,0 +1,151 @@
+/**
+ * Circuit breaker for upstream calls
+ * After repeated failures the archive is treated as down for a cool-off
+ * period: calls fail immediately instead of each request waiting on a slow
+ * or broken TAP service, so routes fall back to cached or snapshot data.
+ *
+ * States:
+ * - closed:    calls go through; consecutive failures are counted
+ * - open:      calls are rejected with CircuitOpenError until the cool-off ends
+ * - half-open: one trial call is let through; success closes the circuit,
+ *              failure opens it again
+ */
+
+/**
+ * Error thrown when a call is short-circuited by an open breaker
+ */
+export class CircuitOpenError extends Error {
+  constructor(retryAfterMs) {
+    super("Upstream circuit is open");
+    this.name = "CircuitOpenError";
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+export class CircuitBreaker {
+  /**
+   * @param {Object} options
+   * @param {number} options.failureThreshold - Consecutive failures that open the circuit
+   * @param {number} options.resetTimeout - Cool-off before a trial call (ms)
+   * @param {Function} options.isFailure - Whether an error counts against the
+   *   upstream (e.g. not for rejected queries); defaults to every error
+   * @param {Function} options.now - Clock, injectable for tests
+   */
+  constructor({
+    failureThreshold = 5,
+    resetTimeout = 30000,
+    isFailure = () => true,
+    now = Date.now,
+  }) {
+    this.failureThreshold = failureThreshold;
+    this.resetTimeout = resetTimeout;
+    this.isFailure = isFailure;
+    this.now = now;
+
+    this.state = "closed";
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.lastError = null;
+    this.lastFailureAt = null;
+    this.stats = { successes: 0, failures: 0, rejected: 0 };
+  }
+
+  /**
+   * Current state, moving from open to half-open once the cool-off is over
+   */
+  getState() {
+    if (
+      this.state === "open" &&
+      this.now() - this.openedAt >= this.resetTimeout
+    ) {
+      this.state = "half-open";
+    }
+    return this.state;
+  }
+
+  /**
+   * Run an async call through the breaker
+   * @param {Function} fn - Upstream call
+   * @returns {Promise<*>} Result of the call
+   * @throws {CircuitOpenError} When the circuit is open (or a trial call is running)
+   */
+  async run(fn) {
+    const state = this.getState();
+
+    if (state === "open" || (state === "half-open" && this.trialInFlight)) {
+      this.stats.rejected++;
+      throw new CircuitOpenError(this.retryAfter());
+    }
+
+    const isTrial = state === "half-open";
+    if (isTrial) {
+      this.trialInFlight = true;
+    }
+
+    try {
+      const result = await fn();
+      this.onSuccess();
+      return result;
+    } catch (error) {
+      if (this.isFailure(error)) {
+        this.onFailure(error);
+      } else {
+        // The upstream answered; the request itself was at fault
+        this.onSuccess();
+      }
+      throw error;
+    } finally {
+      if (isTrial) {
+        this.trialInFlight = false;
+      }
+    }
+  }
+
+  onSuccess() {
+    this.stats.successes++;
+    this.state = "closed";
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  onFailure(error) {
+    this.stats.failures++;
+    this.failures++;
+    this.lastError = error.message;
+    this.lastFailureAt = this.now();
+
+    if (this.state === "half-open" || this.failures >= this.failureThreshold) {
+      this.state = "open";
+      this.openedAt = this.now();
+    }
+  }
+
+  /**
+   * Milliseconds until a trial call will be allowed (0 when not open)
+   */
+  retryAfter() {
+    if (this.state !== "open") return 0;
+    return Math.max(0, this.openedAt + this.resetTimeout - this.now());
+  }
+
+  /**
+   * Snapshot of the breaker for /api/health
+   */
+  toJSON() {
+    const state = this.getState();
+    return {
+      state,
+      consecutiveFailures: this.failures,
+      failureThreshold: this.failureThreshold,
+      resetTimeoutMs: this.resetTimeout,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAfterMs: this.retryAfter(),
+      lastError: this.lastError,
+      lastFailureAt: this.lastFailureAt
+        ? new Date(this.lastFailureAt).toISOString()
+        : null,
+      ...this.stats,
+    };
+  }
+}
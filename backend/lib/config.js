@@ -0,0 +1,269 @@
+/**
+ * API configuration
+ * createApp takes a plain config object; loadConfig builds one from
+ * environment variables (see .env.example), warning about invalid values
+ * and falling back to their defaults.
+ */
+import { fileURLToPath } from "node:url";
+import { DEFAULT_ALIAS_LOOKUP_URL, DEFAULT_NASA_API_BASE } from "./archive.js";
+import { DEFAULT_SNAPSHOT_PATH } from "./snapshot.js";
+import { DEFAULT_SHARE_TTL, MAX_SHARE_TTL } from "./shares.js";
+import { parseSchedule } from "./scheduler.js";
+import { LOG_FORMATS, LOG_LEVELS, Logger } from "./logger.js";
+
+export const SNAPSHOT_MODES = ["off", "fallback", "offline"];
+
+// Persistent cache directory (backend/.cache)
+export const DEFAULT_CACHE_DIR = fileURLToPath(
+  new URL("../.cache", import.meta.url)
+);
+
+const DEFAULT_APP_URL = "http://localhost:5173";
+
+/**
+ * Defaults for every createApp option
+ * Paths left null are derived from cacheDir (null cacheDir = memory only).
+ * An embedded app gets production behavior (no error details, admin
+ * endpoints behind the API key) and writes nothing to disk unless asked;
+ * loadConfig defaults to development and the backend/.cache directory.
+ */
+export const DEFAULT_CONFIG = {
+  nodeEnv: "production",
+  // Only used to build the self-ping URL when backendUrl is not set
+  port: 5000,
+  // Public URL of the API, for self-ping and share links (null = derived
+  // from the request)
+  backendUrl: null,
+  corsOrigin: DEFAULT_APP_URL,
+  // Frontend that share links redirect to (null = corsOrigin)
+  appUrl: null,
+  cacheTtl: 86400,
+  cacheDir: null,
+  shareStorePath: null,
+  bookmarkStorePath: null,
+  shareTtl: DEFAULT_SHARE_TTL,
+  rateLimitWindowMs: 15 * 60 * 1000,
+  rateLimitMax: 100,
+  searchRateLimitMax: 600,
+  upstreamUrl: DEFAULT_NASA_API_BASE,
+  upstreamTimeoutMs: 30000,
+  breakerFailureThreshold: 5,
+  breakerResetMs: 30000,
+  snapshotMode: "off",
+  snapshotPath: DEFAULT_SNAPSHOT_PATH,
+  // Empty disables alias lookups
+  aliasLookupUrl: DEFAULT_ALIAS_LOOKUP_URL,
+  // null = outside production
+  validateResponses: null,
+  // Output of parseSchedule, null = no scheduled refresh
+  refreshSchedule: null,
+  refreshTopPlanets: 20,
+  selfPing: false,
+  metricsToken: null,
+  adminApiKey: null,
+  // Time given to open connections on shutdown before they are closed
+  shutdownTimeoutMs: 10000,
+};
+
+const isHttpUrl = (url) => /^https?:\/\//.test(url);
+
+/**
+ * Logger from LOG_LEVEL and LOG_FORMAT
+ * @returns {Logger}
+ */
+export function createLogger(env = process.env) {
+  const level = env.LOG_LEVEL || "info";
+  const format = env.LOG_FORMAT || "json";
+  const logger = new Logger({
+    level: level in LOG_LEVELS ? level : "info",
+    format: LOG_FORMATS.includes(format) ? format : "json",
+  });
+
+  if (!(level in LOG_LEVELS)) {
+    logger.warn("Invalid LOG_LEVEL, using default", {
+      value: level,
+      default: "info",
+      allowed: Object.keys(LOG_LEVELS),
+    });
+  }
+  if (!LOG_FORMATS.includes(format)) {
+    logger.warn("Invalid LOG_FORMAT, using default", {
+      value: format,
+      default: "json",
+      allowed: LOG_FORMATS,
+    });
+  }
+  return logger;
+}
+
+/**
+ * @throws {Error} For ports outside 1-65535
+ */
+export const validatePort = (port) => {
+  const parsed = parseInt(port);
+  if (isNaN(parsed) || parsed < 1 || parsed > 65535) {
+    throw new Error(
+      `Invalid PORT value: ${port}. Must be a number between 1 and 65535.`
+    );
+  }
+  return parsed;
+};
+
+/**
+ * Build the config from environment variables
+ * @param {Object} env - Variables (process.env)
+ * @param {Object} options
+ * @param {Logger} options.logger - Receives warnings about invalid values
+ *   (created from LOG_LEVEL and LOG_FORMAT by default)
+ * @returns {Object} Config for createApp, including the logger
+ * @throws {Error} For an invalid PORT
+ */
+export function loadConfig(env = process.env, { logger } = {}) {
+  logger = logger || createLogger(env);
+
+  const fallback = (name, value, defaultValue, details = {}) => {
+    logger.warn(`Invalid ${name}, using default`, {
+      value,
+      default: defaultValue,
+      ...details,
+    });
+    return defaultValue;
+  };
+
+  const nonNegativeInt = (name, defaultValue) => {
+    const value = env[name];
+    if (value === undefined) return defaultValue;
+    const parsed = parseInt(value);
+    return isNaN(parsed) || parsed < 0
+      ? fallback(name, value, defaultValue)
+      : parsed;
+  };
+
+  const positiveInt = (name, defaultValue) => {
+    const value = env[name];
+    if (value === undefined) return defaultValue;
+    const parsed = parseInt(value);
+    return isNaN(parsed) || parsed <= 0
+      ? fallback(name, value, defaultValue)
+      : parsed;
+  };
+
+  const httpUrl = (name, defaultValue) => {
+    const value = env[name];
+    if (!value) return defaultValue;
+    return isHttpUrl(value)
+      ? value
+      : fallback(name, value, defaultValue, {
+          reason: "must start with http:// or https://",
+        });
+  };
+
+  // Invalid schedules disable the job
+  const schedule = (name) => {
+    const value = env[name];
+    if (!value || value === "off") return null;
+    try {
+      return parseSchedule(value);
+    } catch (error) {
+      logger.warn(`Invalid ${name}, job disabled`, {
+        value,
+        error: error.message,
+      });
+      return null;
+    }
+  };
+
+  const nodeEnv = env.NODE_ENV || "development";
+
+  let corsOrigin = env.CORS_ORIGIN;
+  if (!corsOrigin) {
+    logger.warn("CORS_ORIGIN not set, using default", {
+      default: DEFAULT_CONFIG.corsOrigin,
+    });
+    corsOrigin = DEFAULT_CONFIG.corsOrigin;
+  } else if (corsOrigin !== "*" && !isHttpUrl(corsOrigin)) {
+    corsOrigin = fallback(
+      "CORS_ORIGIN",
+      corsOrigin,
+      DEFAULT_CONFIG.corsOrigin,
+      {
+        reason: "must start with http:// or https://, or be *",
+      }
+    );
+  }
+
+  let snapshotMode = env.SNAPSHOT_MODE || DEFAULT_CONFIG.snapshotMode;
+  if (!SNAPSHOT_MODES.includes(snapshotMode)) {
+    snapshotMode = fallback(
+      "SNAPSHOT_MODE",
+      snapshotMode,
+      DEFAULT_CONFIG.snapshotMode,
+      { allowed: SNAPSHOT_MODES }
+    );
+  }
+
+  return {
+    logger,
+    nodeEnv,
+    port: validatePort(env.PORT || String(DEFAULT_CONFIG.port)),
+    backendUrl: env.BACKEND_URL || null,
+    corsOrigin,
+    appUrl: httpUrl("APP_URL", null),
+    cacheTtl: nonNegativeInt("CACHE_TTL", DEFAULT_CONFIG.cacheTtl),
+    cacheDir:
+      env.CACHE_PERSIST === "false" ? null : env.CACHE_DIR || DEFAULT_CACHE_DIR,
+    shareStorePath: env.SHARE_STORE_PATH || null,
+    bookmarkStorePath: env.BOOKMARK_STORE_PATH || null,
+    shareTtl: Math.min(
+      positiveInt("SHARE_TTL", DEFAULT_CONFIG.shareTtl),
+      MAX_SHARE_TTL
+    ),
+    rateLimitWindowMs: nonNegativeInt(
+      "RATE_LIMIT_WINDOW_MS",
+      DEFAULT_CONFIG.rateLimitWindowMs
+    ),
+    rateLimitMax: nonNegativeInt(
+      "RATE_LIMIT_MAX_REQUESTS",
+      DEFAULT_CONFIG.rateLimitMax
+    ),
+    searchRateLimitMax: positiveInt(
+      "SEARCH_RATE_LIMIT_MAX_REQUESTS",
+      DEFAULT_CONFIG.searchRateLimitMax
+    ),
+    upstreamUrl: httpUrl("NASA_API_BASE", DEFAULT_CONFIG.upstreamUrl),
+    upstreamTimeoutMs: positiveInt(
+      "UPSTREAM_TIMEOUT_MS",
+      DEFAULT_CONFIG.upstreamTimeoutMs
+    ),
+    breakerFailureThreshold: positiveInt(
+      "BREAKER_FAILURE_THRESHOLD",
+      DEFAULT_CONFIG.breakerFailureThreshold
+    ),
+    breakerResetMs: positiveInt(
+      "BREAKER_RESET_MS",
+      DEFAULT_CONFIG.breakerResetMs
+    ),
+    snapshotMode,
+    snapshotPath: env.SNAPSHOT_PATH || DEFAULT_CONFIG.snapshotPath,
+    aliasLookupUrl:
+      env.ALIAS_LOOKUP_URL === undefined
+        ? DEFAULT_CONFIG.aliasLookupUrl
+        : env.ALIAS_LOOKUP_URL,
+    validateResponses:
+      env.VALIDATE_RESPONSES === undefined
+        ? null
+        : env.VALIDATE_RESPONSES === "true",
+    refreshSchedule: schedule("REFRESH_SCHEDULE"),
+    refreshTopPlanets: positiveInt(
+      "REFRESH_TOP_PLANETS",
+      DEFAULT_CONFIG.refreshTopPlanets
+    ),
+    selfPing: env.ENABLE_SELF_PING === "true",
+    metricsToken: env.METRICS_TOKEN || null,
+    adminApiKey: env.ADMIN_API_KEY || null,
+    shutdownTimeoutMs: positiveInt(
+      "SHUTDOWN_TIMEOUT_MS",
+      DEFAULT_CONFIG.shutdownTimeoutMs
+    ),
+  };
+}
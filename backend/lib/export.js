@@ -0,0 +1,417 @@
+/**
+ * Catalog exports
+ * Serializes catalog rows as VOTable, CSV or TSV with column descriptions,
+ * units and UCDs, so exported selections open directly in TOPCAT and
+ * astropy with their metadata intact.
+ *
+ * CSV is written as ECSV (astropy's "Enhanced CSV"): a commented YAML header
+ * followed by plain CSV, which other tools read with `#` as comment marker.
+ * TSV carries the same metadata as a free-form commented header.
+ */
+import {
+  DEFAULT_COLUMNS,
+  QUERYABLE_COLUMNS,
+  QueryValidationError,
+} from "./adql.js";
+
+/**
+ * Description, unit and UCD of every exportable column
+ * Units use astropy's names (IVOA VOUnit has no Earth or Jupiter radius);
+ * `type` is the VOTable datatype
+ */
+export const COLUMN_METADATA = {
+  pl_name: {
+    description: "Planet name",
+    ucd: "meta.id;meta.main",
+    type: "char",
+  },
+  pl_rade: {
+    description: "Planet radius",
+    unit: "earthRad",
+    ucd: "phys.size.radius",
+    type: "double",
+  },
+  pl_bmasse: {
+    description: "Planet mass or minimum mass (M sin i)",
+    unit: "earthMass",
+    ucd: "phys.mass",
+    type: "double",
+  },
+  pl_eqt: {
+    description: "Planet equilibrium temperature",
+    unit: "K",
+    ucd: "phys.temperature",
+    type: "double",
+  },
+  pl_dens: {
+    description: "Planet density",
+    unit: "g/cm3",
+    ucd: "phys.density",
+    type: "double",
+  },
+  pl_orbper: {
+    description: "Orbital period",
+    unit: "d",
+    ucd: "time.period",
+    type: "double",
+  },
+  pl_orbeccen: {
+    description: "Orbital eccentricity",
+    ucd: "src.orbital.eccentricity",
+    type: "double",
+  },
+  pl_orbsmax: {
+    description: "Orbit semi-major axis",
+    unit: "AU",
+    ucd: "phys.size.smajAxis",
+    type: "double",
+  },
+  pl_insol: {
+    description: "Insolation flux relative to Earth",
+    ucd: "phys.flux",
+    type: "double",
+  },
+  pl_orbincl: {
+    description: "Orbital inclination",
+    unit: "deg",
+    ucd: "src.orbital.inclination",
+    type: "double",
+  },
+  pl_orblper: {
+    description: "Argument of periastron",
+    unit: "deg",
+    ucd: "src.orbital.periastron",
+    type: "double",
+  },
+  pl_radj: {
+    description: "Planet radius",
+    unit: "jupiterRad",
+    ucd: "phys.size.radius",
+    type: "double",
+  },
+  pl_massj: {
+    description: "Planet mass or minimum mass (M sin i)",
+    unit: "jupiterMass",
+    ucd: "phys.mass",
+    type: "double",
+  },
+  hostname: {
+    description: "Host star name",
+    ucd: "meta.id.parent",
+    type: "char",
+  },
+  sy_dist: {
+    description: "Distance to the system",
+    unit: "pc",
+    ucd: "pos.distance",
+    type: "double",
+  },
+  sy_snum: {
+    description: "Number of stars in the system",
+    ucd: "meta.number",
+    type: "int",
+  },
+  sy_pnum: {
+    description: "Number of planets in the system",
+    ucd: "meta.number",
+    type: "int",
+  },
+  disc_year: {
+    description: "Discovery year",
+    ucd: "time.epoch",
+    type: "int",
+  },
+  discoverymethod: {
+    description: "Discovery method",
+    ucd: "meta.code.class",
+    type: "char",
+  },
+  disc_facility: {
+    description: "Discovery facility",
+    ucd: "instr.obsty",
+    type: "char",
+  },
+  st_teff: {
+    description: "Stellar effective temperature",
+    unit: "K",
+    ucd: "phys.temperature.effective",
+    type: "double",
+  },
+  st_rad: {
+    description: "Stellar radius",
+    unit: "solRad",
+    ucd: "phys.size.radius",
+    type: "double",
+  },
+  st_mass: {
+    description: "Stellar mass",
+    unit: "solMass",
+    ucd: "phys.mass",
+    type: "double",
+  },
+  st_lum: {
+    description: "Stellar luminosity (log10)",
+    unit: "dex(solLum)",
+    ucd: "phys.luminosity",
+    type: "double",
+  },
+  st_spectype: {
+    description: "Stellar spectral type",
+    ucd: "src.spType",
+    type: "char",
+  },
+  st_age: {
+    description: "Stellar age",
+    unit: "Gyr",
+    ucd: "time.age",
+    type: "double",
+  },
+  ra: {
+    description: "Right ascension (ICRS)",
+    unit: "deg",
+    ucd: "pos.eq.ra;meta.main",
+    type: "double",
+  },
+  dec: {
+    description: "Declination (ICRS)",
+    unit: "deg",
+    ucd: "pos.eq.dec;meta.main",
+    type: "double",
+  },
+};
+
+/**
+ * Supported formats with their content type and file extension
+ */
+export const EXPORT_FORMATS = {
+  votable: { contentType: "application/x-votable+xml", extension: "vot" },
+  csv: { contentType: "text/csv", extension: "csv" },
+  tsv: { contentType: "text/tab-separated-values", extension: "tsv" },
+};
+
+// ECSV datatypes for the VOTable datatypes above
+const ECSV_TYPES = { char: "string", double: "float64", int: "int64" };
+
+const isMissing = (value) =>
+  value === null ||
+  value === undefined ||
+  value === "" ||
+  (typeof value === "number" && !Number.isFinite(value));
+
+/**
+ * Parse the export parameters (`format` and `columns`)
+ * Planet filters are parsed separately with parsePlanetFilters
+ * @param {Object} params - Express `req.query`
+ * @returns {Object} {format, columns}
+ * @throws {QueryValidationError} When any parameter is invalid
+ */
+export function parseExportParams(params = {}) {
+  const format = params.format === undefined ? "csv" : params.format;
+  if (!Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, format)) {
+    throw new QueryValidationError(
+      `format must be one of: ${Object.keys(EXPORT_FORMATS).join(", ")}`
+    );
+  }
+
+  let columns = DEFAULT_COLUMNS;
+  if (params.columns !== undefined) {
+    if (typeof params.columns !== "string") {
+      throw new QueryValidationError("columns must be a comma-separated list");
+    }
+    const requested = params.columns
+      .split(",")
+      .map((column) => column.trim())
+      .filter((column) => column.length > 0);
+    requested.forEach((column) => {
+      if (!Object.prototype.hasOwnProperty.call(QUERYABLE_COLUMNS, column)) {
+        throw new QueryValidationError(`Unknown column in columns: ${column}`);
+      }
+    });
+    // Rows are always identified by planet name
+    columns = [...new Set(["pl_name", ...requested])];
+  }
+
+  return { format, columns };
+}
+
+/**
+ * Escape text for XML content and attribute values
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+/**
+ * Serialize rows as a VOTable 1.4 document (TABLEDATA serialization)
+ * Missing values are written as empty cells, which VOTable 1.3+ reads as null
+ * @param {Array<Object>} rows - Catalog rows
+ * @param {Array<string>} columns - Columns to include, in order
+ * @param {Object} info - {description, created (ISO date), filters}
+ * @returns {string} VOTable XML
+ */
+export function toVOTable(rows, columns, info = {}) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<VOTABLE version="1.4" xmlns="http://www.ivoa.net/xml/VOTable/v1.3" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">',
+    `  <DESCRIPTION>${escapeXml(info.description || "")}</DESCRIPTION>`,
+    '  <RESOURCE type="results">',
+    '    <INFO name="QUERY_STATUS" value="OK"/>',
+  ];
+  if (info.created) {
+    lines.push(`    <INFO name="created" value="${escapeXml(info.created)}"/>`);
+  }
+  if (info.filters) {
+    lines.push(`    <INFO name="filters" value="${escapeXml(info.filters)}"/>`);
+  }
+  lines.push(`    <TABLE name="exoplanets" nrows="${rows.length}">`);
+
+  columns.forEach((column) => {
+    const meta = COLUMN_METADATA[column];
+    const attributes = [
+      `name="${column}"`,
+      `datatype="${meta.type}"`,
+      meta.type === "char" ? 'arraysize="*"' : null,
+      meta.unit ? `unit="${escapeXml(meta.unit)}"` : null,
+      `ucd="${meta.ucd}"`,
+    ].filter(Boolean);
+    lines.push(
+      `      <FIELD ${attributes.join(" ")}>`,
+      `        <DESCRIPTION>${escapeXml(meta.description)}</DESCRIPTION>`,
+      "      </FIELD>"
+    );
+  });
+
+  lines.push("      <DATA>", "        <TABLEDATA>");
+  rows.forEach((row) => {
+    const cells = columns
+      .map((column) =>
+        isMissing(row[column]) ? "<TD/>" : `<TD>${escapeXml(row[column])}</TD>`
+      )
+      .join("");
+    lines.push(`          <TR>${cells}</TR>`);
+  });
+  lines.push(
+    "        </TABLEDATA>",
+    "      </DATA>",
+    "    </TABLE>",
+    "  </RESOURCE>",
+    "</VOTABLE>",
+    ""
+  );
+
+  return lines.join("\n");
+}
+
+/**
+ * Quote a CSV field when it contains a separator, quote or line break
+ */
+function csvField(value) {
+  if (isMissing(value)) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * TSV has no quoting, so tabs and line breaks inside values become spaces
+ */
+function tsvField(value) {
+  return isMissing(value) ? "" : String(value).replace(/[\t\r\n]+/g, " ");
+}
+
+/**
+ * Serialize rows as ECSV 1.0 (CSV with a commented YAML header)
+ * Header values are written as JSON strings, which are valid YAML
+ * @param {Array<Object>} rows - Catalog rows
+ * @param {Array<string>} columns - Columns to include, in order
+ * @param {Object} info - {description, created (ISO date), filters}
+ * @returns {string} CSV text
+ */
+export function toCSV(rows, columns, info = {}) {
+  const header = ["%ECSV 1.0", "---", "delimiter: ','", "datatype:"];
+  columns.forEach((column) => {
+    const meta = COLUMN_METADATA[column];
+    const fields = [
+      `name: ${column}`,
+      meta.unit ? `unit: ${JSON.stringify(meta.unit)}` : null,
+      `datatype: ${ECSV_TYPES[meta.type]}`,
+      `description: ${JSON.stringify(meta.description)}`,
+      `meta: {ucd: ${JSON.stringify(meta.ucd)}}`,
+    ].filter(Boolean);
+    header.push(`- {${fields.join(", ")}}`);
+  });
+  header.push("meta:");
+  ["description", "created", "filters"].forEach((key) => {
+    if (info[key]) header.push(`  ${key}: ${JSON.stringify(info[key])}`);
+  });
+  header.push("schema: astropy-2.0");
+
+  return [
+    ...header.map((line) => `# ${line}`),
+    columns.join(","),
+    ...rows.map((row) => columns.map((c) => csvField(row[c])).join(",")),
+    "",
+  ].join("\n");
+}
+
+/**
+ * Serialize rows as tab-separated values with a commented header
+ * describing each column as `name [unit] (ucd): description`
+ * @param {Array<Object>} rows - Catalog rows
+ * @param {Array<string>} columns - Columns to include, in order
+ * @param {Object} info - {description, created (ISO date), filters}
+ * @returns {string} TSV text
+ */
+export function toTSV(rows, columns, info = {}) {
+  const header = [info.description];
+  if (info.created) header.push(`Created: ${info.created}`);
+  if (info.filters) header.push(`Filters: ${info.filters}`);
+  header.push(`Rows: ${rows.length}`, "Columns:");
+  columns.forEach((column) => {
+    const meta = COLUMN_METADATA[column];
+    const unit = meta.unit ? ` [${meta.unit}]` : "";
+    header.push(`  ${column}${unit} (${meta.ucd}): ${meta.description}`);
+  });
+
+  return [
+    ...header.filter(Boolean).map((line) => `# ${line}`),
+    columns.join("\t"),
+    ...rows.map((row) => columns.map((c) => tsvField(row[c])).join("\t")),
+    "",
+  ].join("\n");
+}
+
+const SERIALIZERS = { votable: toVOTable, csv: toCSV, tsv: toTSV };
+
+/**
+ * Serialize rows in one of the EXPORT_FORMATS
+ * @param {Array<Object>} rows - Catalog rows
+ * @param {Object} options - Output of parseExportParams
+ * @param {Object} info - {description, created (ISO date), filters}
+ * @returns {string} File contents
+ */
+export function exportRows(rows, { format, columns }, info = {}) {
+  return SERIALIZERS[format](rows, columns, info);
+}
+
+/**
+ * Describe the active planet filters for export headers
+ * @param {Object} filters - Output of parsePlanetFilters
+ * @returns {string} e.g. "type=jupiter, distMax=100"; empty when unfiltered
+ */
+export function describeFilters(filters) {
+  return Object.entries(filters)
+    .filter(
+      ([name, value]) =>
+        value !== null &&
+        value !== Infinity &&
+        !(name === "tempMin" && value === 0) &&
+        !(name === "scheme" && value === "basic")
+    )
+    .map(([name, value]) => `${name}=${value}`)
+    .join(", ");
+}
@@ -0,0 +1,214 @@
+/**
+ * Structured logging
+ * Records are written one JSON object per line ({time, level, msg, ...})
+ * so log aggregators can index every field. Each request runs in a request
+ * context carrying its correlation id: records logged while handling it
+ * (including from background work it started) get `requestId`, and the
+ * context collects the cache outcomes, upstream calls and error class
+ * reported in the request's access record.
+ */
+import { AsyncLocalStorage } from "node:async_hooks";
+import { randomUUID } from "node:crypto";
+
+export const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+export const LOG_FORMATS = ["json", "pretty"];
+
+const requestContext = new AsyncLocalStorage();
+
+// Ids accepted from the X-Request-Id header (others are replaced)
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * Id for a request: the client's X-Request-Id when it is safe to echo and
+ * log, a new UUID otherwise
+ * @param {string|undefined} header - Incoming X-Request-Id
+ * @returns {string}
+ */
+export function resolveRequestId(header) {
+  return typeof header === "string" && REQUEST_ID_PATTERN.test(header)
+    ? header
+    : randomUUID();
+}
+
+/**
+ * Run a function in a new request context
+ * @param {string} id - Request id
+ * @param {Function} fn - Called with the context
+ * @returns {*} What `fn` returns
+ */
+export function runWithContext(id, fn) {
+  const context = { id, cache: [], upstream: [], errorClass: null };
+  return requestContext.run(context, () => fn(context));
+}
+
+/**
+ * Context of the request being handled
+ * @returns {Object|undefined} {id, cache, upstream, errorClass}
+ */
+export function currentContext() {
+  return requestContext.getStore();
+}
+
+/**
+ * Record why the current request failed (e.g. "upstream_unavailable")
+ */
+export function setErrorClass(errorClass) {
+  const context = currentContext();
+  if (context) context.errorClass = errorClass;
+}
+
+// Cache outcomes, most significant last (a request is reported with its
+// most significant lookup)
+const CACHE_OUTCOMES = ["hit", "stale", "coalesced", "miss"];
+
+/**
+ * Summarize a request context for its access record
+ * @param {Object} context - Request context
+ * @returns {Object} {cache, upstreamCalls, upstreamMs, upstreamErrors}
+ */
+export function summarizeContext(context) {
+  const cache = context.cache.reduce(
+    (worst, outcome) =>
+      CACHE_OUTCOMES.indexOf(outcome) > CACHE_OUTCOMES.indexOf(worst)
+        ? outcome
+        : worst,
+    null
+  );
+  const failed = context.upstream.filter((call) => call.errorType);
+  return {
+    cache,
+    upstreamCalls: context.upstream.length,
+    upstreamMs: context.upstream.reduce((sum, call) => sum + call.ms, 0),
+    ...(failed.length > 0 && {
+      upstreamErrors: failed.map((call) => call.errorType),
+    }),
+  };
+}
+
+/**
+ * Error class of a response from its status, for responses whose error
+ * was not classified by the route
+ * @param {number} status - HTTP status code
+ * @returns {string|null} null for successful responses
+ */
+export function classifyStatus(status) {
+  if (status < 400) return null;
+  return (
+    {
+      400: "invalid_request",
+      403: "forbidden",
+      404: "not_found",
+      429: "rate_limited",
+    }[status] || (status < 500 ? "client_error" : "server_error")
+  );
+}
+
+/**
+ * Errors as plain fields ({name, message, code, status, stack})
+ */
+export function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.code !== undefined && { code: error.code }),
+    ...(error.status !== undefined && { status: error.status }),
+    ...(error.stack && { stack: error.stack }),
+  };
+}
+
+const prettyValue = (value) =>
+  typeof value === "string" && !/\s/.test(value)
+    ? value
+    : JSON.stringify(value);
+
+export class Logger {
+  /**
+   * @param {Object} options
+   * @param {string} options.level - Minimum level written
+   * @param {string} options.format - "json", or "pretty" for reading in a
+   *   terminal (`time LEVEL msg key=value ...`)
+   * @param {Object} options.fields - Fields added to every record
+   * @param {Function} options.write - Called with (line, level); warnings
+   *   and errors go to stderr by default, the rest to stdout
+   */
+  constructor({
+    level = "info",
+    format = "json",
+    fields = {},
+    write = (line, recordLevel) =>
+      (LOG_LEVELS[recordLevel] >= LOG_LEVELS.warn
+        ? process.stderr
+        : process.stdout
+      ).write(`${line}\n`),
+  } = {}) {
+    this.level = level;
+    this.format = format;
+    this.fields = fields;
+    this.write = write;
+  }
+
+  /**
+   * Logger adding fields to every record (e.g. {component: "scheduler"})
+   */
+  child(fields) {
+    return new Logger({
+      level: this.level,
+      format: this.format,
+      fields: { ...this.fields, ...fields },
+      write: this.write,
+    });
+  }
+
+  /**
+   * Write a record
+   * @param {string} level - "debug", "info", "warn" or "error"
+   * @param {string} msg - What happened (a fixed message; put the
+   *   specifics in fields so records can be grouped)
+   * @param {Object} fields - Extra fields; Error values are serialized
+   */
+  log(level, msg, fields = {}) {
+    if (LOG_LEVELS[level] < LOG_LEVELS[this.level]) return;
+
+    const context = currentContext();
+    const record = {
+      time: new Date().toISOString(),
+      level,
+      msg,
+      ...(context && { requestId: context.id }),
+      ...this.fields,
+    };
+    Object.entries(fields).forEach(([name, value]) => {
+      if (value === undefined) return;
+      record[name] = value instanceof Error ? serializeError(value) : value;
+    });
+
+    if (this.format === "pretty") {
+      const { time, level: recordLevel, msg: message, ...rest } = record;
+      const details = Object.entries(rest)
+        .map(([name, value]) => `${name}=${prettyValue(value)}`)
+        .join(" ");
+      this.write(
+        `${time} ${recordLevel.toUpperCase()} ${message}${details ? ` ${details}` : ""}`,
+        level
+      );
+    } else {
+      this.write(JSON.stringify(record), level);
+    }
+  }
+
+  debug(msg, fields) {
+    this.log("debug", msg, fields);
+  }
+
+  info(msg, fields) {
+    this.log("info", msg, fields);
+  }
+
+  warn(msg, fields) {
+    this.log("warn", msg, fields);
+  }
+
+  error(msg, fields) {
+    this.log("error", msg, fields);
+  }
+}
@@ -0,0 +1,225 @@
+/**
+ * Prometheus metrics
+ * Minimal counters, gauges and histograms rendered in the Prometheus text
+ * exposition format (version 0.0.4) for the /metrics endpoint.
+ */
+
+export const METRICS_CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+// Default latency buckets in seconds, from fast cache hits to slow TAP queries
+export const DEFAULT_BUCKETS = [
+  0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30,
+];
+
+const escapeLabelValue = (value) =>
+  String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n");
+
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(
+    ([name, value]) => `${name}="${escapeLabelValue(value)}"`
+  );
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+};
+
+const formatValue = (value) => {
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  if (Number.isNaN(value)) return "NaN";
+  return String(value);
+};
+
+/**
+ * Base class: label handling and the HELP/TYPE header
+ */
+class Metric {
+  constructor({ name, help, labelNames = [] }, type) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.type = type;
+    this.series = new Map();
+  }
+
+  /**
+   * Keep only declared labels, in declaration order
+   */
+  pickLabels(labels = {}) {
+    const picked = {};
+    this.labelNames.forEach((name) => {
+      picked[name] = labels[name] ?? "";
+    });
+    return picked;
+  }
+
+  seriesFor(labels, create) {
+    const picked = this.pickLabels(labels);
+    const key = JSON.stringify(picked);
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels: picked, ...create() });
+    }
+    return this.series.get(key);
+  }
+
+  header() {
+    return [
+      `# HELP ${this.name} ${this.help}`,
+      `# TYPE ${this.name} ${this.type}`,
+    ];
+  }
+}
+
+export class Counter extends Metric {
+  constructor(options) {
+    super(options, "counter");
+  }
+
+  /**
+   * Increment a series
+   * @param {Object} labels - Label values
+   * @param {number} value - Amount (must not be negative)
+   */
+  inc(labels = {}, value = 1) {
+    if (value < 0) {
+      throw new Error(`Counter ${this.name} cannot decrease`);
+    }
+    this.seriesFor(labels, () => ({ value: 0 })).value += value;
+  }
+
+  get(labels = {}) {
+    return this.seriesFor(labels, () => ({ value: 0 })).value;
+  }
+
+  render() {
+    return [
+      ...this.header(),
+      ...[...this.series.values()].map(
+        ({ labels, value }) =>
+          `${this.name}${formatLabels(labels)} ${formatValue(value)}`
+      ),
+    ];
+  }
+}
+
+/**
+ * Gauge whose values are either set directly or read at scrape time
+ * through `collect`, which returns `[{labels, value}]`
+ */
+export class Gauge extends Metric {
+  constructor({ collect = null, ...options }) {
+    super(options, "gauge");
+    this.collect = collect;
+  }
+
+  set(labels, value) {
+    this.seriesFor(labels, () => ({ value: 0 })).value = value;
+  }
+
+  render() {
+    const samples = this.collect
+      ? this.collect().map(({ labels, value }) => ({
+          labels: this.pickLabels(labels),
+          value,
+        }))
+      : [...this.series.values()];
+
+    return [
+      ...this.header(),
+      ...samples.map(
+        ({ labels, value }) =>
+          `${this.name}${formatLabels(labels)} ${formatValue(value)}`
+      ),
+    ];
+  }
+}
+
+export class Histogram extends Metric {
+  constructor({ buckets = DEFAULT_BUCKETS, ...options }) {
+    super(options, "histogram");
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  /**
+   * Record an observation
+   * @param {Object} labels - Label values
+   * @param {number} value - Observed value (seconds for latencies)
+   */
+  observe(labels, value) {
+    const series = this.seriesFor(labels, () => ({
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0,
+    }));
+
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) {
+        series.counts[i]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Start a timer; calling the returned function observes the elapsed seconds
+   */
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return (extraLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      this.observe({ ...labels, ...extraLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  render() {
+    const lines = this.header();
+
+    this.series.forEach(({ labels, counts, sum, count }) => {
+      // Bucket counts are stored per bound, and already cumulative
+      this.buckets.forEach((bound, i) => {
+        lines.push(
+          `${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[i]}`
+        );
+      });
+      lines.push(
+        `${this.name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`
+      );
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    });
+
+    return lines;
+  }
+}
+
+export class Registry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  /**
+   * Register a metric (names must be unique)
+   * @returns {Metric} The registered metric
+   */
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  /**
+   * Render every metric in the text exposition format
+   */
+  render() {
+    return (
+      [...this.metrics.values()]
+        .map((metric) => metric.render().join("\n"))
+        .join("\n") + "\n"
+    );
+  }
+}
@@ -0,0 +1,85 @@
+/**
+ * Newline-delimited JSON streaming
+ * Lets /api/exoplanets send the catalog one row per line so clients can
+ * start processing planets before the whole response has arrived.
+ */
+import { QueryValidationError } from "./adql.js";
+
+export const NDJSON_TYPE = "application/x-ndjson";
+
+// Rows per write; small enough for steady progress, large enough to keep
+// the number of writes (and compression flushes) low
+const DEFAULT_CHUNK_ROWS = 250;
+
+/**
+ * Pick the response format from `?format=` or the Accept header
+ * An explicit `format` wins; otherwise NDJSON is only used when the client
+ * prefers it over JSON
+ * @param {Object} req - Express request
+ * @returns {"json"|"ndjson"} Response format
+ * @throws {QueryValidationError} When `format` is not supported
+ */
+export function negotiateFormat(req) {
+  const format = req.query.format;
+  if (format !== undefined) {
+    if (format !== "json" && format !== "ndjson") {
+      throw new QueryValidationError("format must be json or ndjson");
+    }
+    return format;
+  }
+
+  return req.accepts(["application/json", NDJSON_TYPE]) === NDJSON_TYPE
+    ? "ndjson"
+    : "json";
+}
+
+/**
+ * Wait until a writable can take more data, or until it closes
+ */
+function waitForDrain(stream) {
+  return new Promise((resolve) => {
+    const done = () => {
+      stream.off("drain", done);
+      stream.off("close", done);
+      resolve();
+    };
+    stream.on("drain", done);
+    stream.on("close", done);
+  });
+}
+
+/**
+ * Write rows as NDJSON and end the stream
+ * Honors backpressure and flushes compression after every chunk, so each
+ * chunk reaches the client as soon as it is written
+ * @param {Object} stream - Writable (an Express response)
+ * @param {Array<Object>} rows - Rows to send
+ * @param {number} chunkRows - Rows per write
+ * @returns {Promise<boolean>} False if the client disconnected early
+ */
+export async function writeNdjson(
+  stream,
+  rows,
+  chunkRows = DEFAULT_CHUNK_ROWS
+) {
+  for (let start = 0; start < rows.length; start += chunkRows) {
+    if (stream.destroyed) return false;
+
+    const chunk = rows
+      .slice(start, start + chunkRows)
+      .map((row) => `${JSON.stringify(row)}\n`)
+      .join("");
+
+    const flushed = stream.write(chunk);
+    if (typeof stream.flush === "function") {
+      stream.flush();
+    }
+    if (!flushed) {
+      await waitForDrain(stream);
+    }
+  }
+
+  if (stream.destroyed) return false;
+  stream.end();
+  return true;
+}
@@ -0,0 +1,1351 @@
+/**
+ * OpenAPI description of /api/v1
+ * The document served at /api/v1/openapi.json is also what the routes are
+ * validated against: each route declares its operation, whose parameters
+ * are coerced and checked (along with any JSON body) before the handler
+ * runs (400 problem details otherwise), and whose response schemas can be
+ * checked in development.
+ */
+import {
+  DEFAULT_LIMIT,
+  EQUALITY_FILTER_COLUMNS,
+  MAX_LIMIT,
+  QUERYABLE_COLUMNS,
+} from "./adql.js";
+import { UNCERTAINTY_COLUMNS } from "./archive.js";
+import { LIST_COLUMNS } from "./pagination.js";
+import { COLUMN_METADATA, EXPORT_FORMATS } from "./export.js";
+import { CLASSIFICATION_SCHEMES, DEFAULTABLE_PROPERTIES } from "./stats.js";
+import {
+  DEFAULT_SEARCH_LIMIT,
+  MAX_QUERY_LENGTH,
+  MAX_SEARCH_LIMIT,
+  RESULT_TYPES,
+} from "./search.js";
+import { MAX_BOOKMARKS, SYNC_KEY_PATTERN } from "./bookmarks.js";
+import { CANDIDATE_SOURCES, DISPOSITIONS } from "./candidates.js";
+import {
+  MAX_SHARE_TTL,
+  MIN_SHARE_TTL,
+  SHARE_ID_PATTERN,
+  SHARE_MODES,
+} from "./shares.js";
+import { PROBLEM_TYPE, sendProblem } from "./problem.js";
+import { coerceQueryValue, resolveRef, validateSchema } from "./schema.js";
+
+export const API_VERSION = "1.0.0";
+
+// Planet names: letters, digits, spaces and - _ . ( ), not starting with a
+// space (no quotes, so names are safe to use in ADQL literals)
+export const PLANET_NAME_PATTERN = "^[a-zA-Z0-9\\-_.()][a-zA-Z0-9 \\-_.()]*$";
+// Host star names may also contain "+" (e.g. "BD+20 2457")
+export const HOST_NAME_PATTERN = "^[a-zA-Z0-9+\\-_.()][a-zA-Z0-9 +\\-_.()]*$";
+const MAX_NAME_LENGTH = 100;
+
+const COLUMNS = Object.keys(QUERYABLE_COLUMNS);
+const NUMERIC_COLUMNS = COLUMNS.filter(
+  (column) => QUERYABLE_COLUMNS[column] === "number"
+);
+// Sort keys: a column, descending when prefixed with "-"
+const sortKeys = (columns) =>
+  columns.flatMap((column) => [column, `-${column}`]);
+const SORT_KEYS = sortKeys(COLUMNS);
+// /exoplanets also selects and sorts on the uncertainty columns
+const LIST_SORT_KEYS = sortKeys(LIST_COLUMNS);
+
+const JSON_SCHEMA_TYPES = { char: "string", double: "number", int: "integer" };
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const nullable = (type) => ({ type: [type, "null"] });
+
+// Catalog columns, described from the export metadata
+const planetProperties = Object.fromEntries(
+  COLUMNS.map((column) => {
+    const { description, unit, type } = COLUMN_METADATA[column];
+    return [
+      column,
+      {
+        ...nullable(JSON_SCHEMA_TYPES[type]),
+        description: unit ? `${description} [${unit}]` : description,
+      },
+    ];
+  })
+);
+
+// Upper (err1) and lower (err2) uncertainties of the catalog columns that
+// carry them, in the column's unit
+const uncertaintyProperties = Object.fromEntries(
+  UNCERTAINTY_COLUMNS.flatMap((column) => {
+    const { unit } = COLUMN_METADATA[column];
+    const suffix = unit ? ` [${unit}]` : "";
+    return [
+      [
+        `${column}err1`,
+        {
+          ...nullable("number"),
+          description: `Upper uncertainty of ${column}${suffix}`,
+        },
+      ],
+      [
+        `${column}err2`,
+        {
+          ...nullable("number"),
+          description: `Lower uncertainty of ${column}, negative${suffix}`,
+        },
+      ],
+    ];
+  })
+);
+
+const countList = {
+  type: "array",
+  items: {
+    type: "object",
+    required: ["value", "count"],
+    properties: {
+      value: { type: ["string", "number", "null"] },
+      count: { type: "integer" },
+    },
+  },
+};
+
+const scheduledJob = {
+  anyOf: [
+    { type: "null" },
+    {
+      type: "object",
+      required: ["schedule", "running", "nextRunAt", "lastRun"],
+      properties: {
+        schedule: { type: "string" },
+        running: { type: "boolean" },
+        nextRunAt: nullable("string"),
+        lastRun: {
+          anyOf: [
+            { type: "null" },
+            {
+              type: "object",
+              required: ["status", "startedAt", "finishedAt", "durationMs"],
+              properties: {
+                status: { enum: ["ok", "partial", "failed"] },
+                startedAt: { type: "string", format: "date-time" },
+                finishedAt: { type: "string", format: "date-time" },
+                durationMs: { type: "integer" },
+              },
+            },
+          ],
+        },
+        runs: { type: "integer" },
+        failures: { type: "integer" },
+      },
+    },
+  ],
+};
+
+const schemas = {
+  Problem: {
+    type: "object",
+    description: "RFC 9457 problem details, returned for every error",
+    required: ["type", "title", "status"],
+    properties: {
+      type: { type: "string", description: "Problem type (about:blank)" },
+      title: { type: "string", description: "HTTP status phrase" },
+      status: { type: "integer" },
+      detail: { type: "string", description: "What went wrong" },
+      instance: { type: "string", description: "Request path" },
+      errors: {
+        type: "array",
+        description: "Invalid parameters (400 responses)",
+        items: {
+          type: "object",
+          required: ["in", "name", "message"],
+          properties: {
+            in: { enum: ["query", "path", "header", "body"] },
+            name: { type: "string" },
+            message: { type: "string" },
+          },
+        },
+      },
+    },
+  },
+  Planet: {
+    type: "object",
+    description:
+      "Default parameter set of a confirmed planet. Lists return the columns below (or the requested `fields`); single planets carry every column of the archive's ps table.",
+    properties: {
+      ...planetProperties,
+      pl_bmassprov: {
+        ...nullable("string"),
+        description:
+          "What pl_bmasse is: Mass, Msini, Msin(i)/sin(i) or M-R relationship (estimated from the radius)",
+      },
+      ...uncertaintyProperties,
+    },
+  },
+  Reference: {
+    type: "object",
+    required: ["label", "url"],
+    properties: {
+      label: { type: "string" },
+      url: nullable("string"),
+    },
+  },
+  PlanetSolutions: {
+    type: "object",
+    required: ["pl_name", "count", "valueColumns", "solutions"],
+    properties: {
+      pl_name: { type: "string" },
+      count: { type: "integer" },
+      valueColumns: {
+        type: "array",
+        description:
+          "Measured columns of every solution, each with its err1/err2 columns; a null value is not reported by that solution",
+        items: { type: "string" },
+      },
+      solutions: {
+        type: "array",
+        description:
+          "Parameter sets (ps table rows), the default set first, then newest publication",
+        items: {
+          type: "object",
+          properties: {
+            ...planetProperties,
+            ...uncertaintyProperties,
+            default_flag: nullable("integer"),
+            reference: { anyOf: [ref("Reference"), { type: "null" }] },
+          },
+        },
+      },
+    },
+  },
+  System: {
+    type: "object",
+    required: ["hostname", "star", "planetCount", "multiplicity", "planets"],
+    properties: {
+      hostname: { type: "string" },
+      star: {
+        type: "object",
+        properties: {
+          hostname: { type: "string" },
+          st_teff: planetProperties.st_teff,
+          st_rad: planetProperties.st_rad,
+          st_mass: planetProperties.st_mass,
+          st_lum: planetProperties.st_lum,
+          st_spectype: planetProperties.st_spectype,
+          st_age: planetProperties.st_age,
+        },
+      },
+      planetCount: { type: "integer", description: "Planets in the catalog" },
+      knownPlanetCount: { type: "integer" },
+      starCount: { type: "integer" },
+      multiplicity: { enum: ["single", "binary", "multiple"] },
+      distance: { ...nullable("number"), description: "Mean distance [pc]" },
+      distanceLightYears: nullable("number"),
+      ra: nullable("number"),
+      dec: nullable("number"),
+      planets: {
+        type: "array",
+        description: "Ordered by orbital period",
+        items: ref("Planet"),
+      },
+    },
+  },
+  Star: {
+    type: "object",
+    required: ["hostname", "identifiers", "star", "multiplicity", "references"],
+    properties: {
+      hostname: { type: "string" },
+      identifiers: {
+        type: "object",
+        additionalProperties: { type: ["string", "number", "null"] },
+      },
+      star: {
+        type: "object",
+        description:
+          "Stellar parameters with `err1` / `err2` uncertainties, each from the most complete solution that has it",
+        additionalProperties: { type: ["string", "number", "null"] },
+      },
+      multiplicity: {
+        type: "object",
+        properties: {
+          stars: { type: "integer" },
+          planets: nullable("integer"),
+          moons: nullable("integer"),
+          type: { enum: ["single", "binary", "multiple"] },
+        },
+      },
+      ra: nullable("number"),
+      dec: nullable("number"),
+      sources: {
+        type: "object",
+        description: "Reference label of each value",
+        additionalProperties: { type: "string" },
+      },
+      references: { type: "array", items: ref("Reference") },
+    },
+  },
+  Candidate: {
+    type: "object",
+    description:
+      "TESS (TOI) or Kepler (KOI) planet candidate, with the catalog columns it shares with confirmed planets",
+    required: ["pl_name", "hostname", "source", "disposition"],
+    properties: {
+      pl_name: { type: "string", description: "TOI-700.04, K00752.01" },
+      hostname: { type: "string", description: "TOI-700, KIC 10797460" },
+      tic_id: nullable("string"),
+      confirmed_name: {
+        ...nullable("string"),
+        description: "Name of the confirmed planet (KOIs)",
+      },
+      source: { enum: Object.keys(CANDIDATE_SOURCES) },
+      disposition: {
+        enum: DISPOSITIONS,
+        description:
+          "PC = planet candidate, FP = false positive, CP = confirmed planet",
+      },
+      archive_disposition: {
+        type: "string",
+        description: "Disposition as given by the archive table",
+      },
+      sy_dist: {
+        ...planetProperties.sy_dist,
+        description: "Distance [pc] (null for KOIs)",
+      },
+      pl_rade: planetProperties.pl_rade,
+      pl_orbper: planetProperties.pl_orbper,
+      pl_eqt: planetProperties.pl_eqt,
+      pl_insol: planetProperties.pl_insol,
+      st_teff: planetProperties.st_teff,
+      st_rad: planetProperties.st_rad,
+      ra: planetProperties.ra,
+      dec: planetProperties.dec,
+    },
+  },
+  Stats: {
+    type: "object",
+    required: ["total", "counts", "histograms"],
+    properties: {
+      total: { type: "integer" },
+      counts: {
+        type: "object",
+        properties: {
+          year: countList,
+          method: countList,
+          facility: countList,
+          type: countList,
+          spectralType: countList,
+        },
+      },
+      histograms: {
+        type: "object",
+        additionalProperties: {
+          type: "object",
+          required: ["unit", "bins", "missing"],
+          properties: {
+            unit: { type: "string" },
+            bins: {
+              type: "array",
+              items: {
+                type: "object",
+                required: ["min", "max", "count"],
+                properties: {
+                  min: { type: "number" },
+                  max: nullable("number"),
+                  count: { type: "integer" },
+                },
+              },
+            },
+            missing: { type: "integer" },
+          },
+        },
+      },
+    },
+  },
+  Changes: {
+    type: "object",
+    required: ["since", "until", "complete", "added", "removed", "changed"],
+    properties: {
+      since: { type: "string", format: "date-time" },
+      until: { ...nullable("string"), format: "date-time" },
+      complete: {
+        type: "boolean",
+        description: "False when `since` predates the refreshes still logged",
+      },
+      refreshes: { type: "integer" },
+      added: {
+        type: "array",
+        items: {
+          type: "object",
+          required: ["pl_name"],
+          properties: { pl_name: { type: "string" } },
+        },
+      },
+      removed: { type: "array", items: { type: "string" } },
+      changed: {
+        type: "array",
+        items: {
+          type: "object",
+          required: ["pl_name", "changes"],
+          properties: {
+            pl_name: { type: "string" },
+            changes: {
+              type: "object",
+              additionalProperties: {
+                type: "object",
+                required: ["from", "to"],
+                properties: { from: {}, to: {} },
+              },
+            },
+          },
+        },
+      },
+    },
+  },
+  SearchResults: {
+    type: "object",
+    required: ["query", "normalized", "results"],
+    properties: {
+      query: { type: "string" },
+      normalized: { type: "string" },
+      results: {
+        type: "array",
+        items: {
+          type: "object",
+          required: ["type", "name", "score", "match"],
+          properties: {
+            type: { enum: RESULT_TYPES },
+            name: { type: "string" },
+            hostname: nullable("string"),
+            planetCount: { type: "integer" },
+            score: { type: "number" },
+            match: {
+              type: "object",
+              required: ["field", "text", "ranges"],
+              properties: {
+                field: { type: "string" },
+                text: { type: "string" },
+                ranges: {
+                  type: "array",
+                  description: "[start, end) character ranges to highlight",
+                  items: {
+                    type: "array",
+                    items: { type: "integer" },
+                    minItems: 2,
+                    maxItems: 2,
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+    },
+  },
+  ShareState: {
+    type: "object",
+    description: "View restored by a share link",
+    properties: {
+      mode: { enum: SHARE_MODES },
+      planet: {
+        type: "string",
+        maxLength: MAX_NAME_LENGTH,
+        pattern: PLANET_NAME_PATTERN,
+      },
+      system: {
+        type: "string",
+        maxLength: MAX_NAME_LENGTH,
+        pattern: HOST_NAME_PATTERN,
+      },
+      camera: {
+        type: "object",
+        description: "Camera position",
+        properties: {
+          x: { type: "number" },
+          y: { type: "number" },
+          z: { type: "number" },
+        },
+        additionalProperties: false,
+      },
+    },
+    additionalProperties: false,
+  },
+  Share: {
+    type: "object",
+    required: ["id", "url", "state", "createdAt", "expiresAt", "views"],
+    properties: {
+      id: { type: "string", pattern: SHARE_ID_PATTERN },
+      url: { type: "string", description: "Short link redirecting to the app" },
+      state: ref("ShareState"),
+      createdAt: { type: "string", format: "date-time" },
+      expiresAt: { type: "string", format: "date-time" },
+      views: { type: "integer", minimum: 0 },
+    },
+  },
+  Bookmark: {
+    type: "object",
+    description: "A bookmarked planet or system, as stored by the frontend",
+    required: ["type", "name", "timestamp"],
+    properties: {
+      type: { enum: ["planet", "system"] },
+      name: { type: "string", minLength: 1, maxLength: MAX_NAME_LENGTH },
+      timestamp: {
+        type: ["integer", "string"],
+        description: "When it was bookmarked (epoch ms or ISO 8601)",
+      },
+      id: { type: "number" },
+      data: { type: "object", description: "Planet or system details" },
+    },
+  },
+  RemovedBookmark: {
+    type: "object",
+    description: "Tombstone of a removed bookmark",
+    required: ["type", "name", "timestamp"],
+    properties: {
+      type: { enum: ["planet", "system"] },
+      name: { type: "string", minLength: 1, maxLength: MAX_NAME_LENGTH },
+      timestamp: {
+        type: ["integer", "string"],
+        description: "When it was removed (epoch ms or ISO 8601)",
+      },
+    },
+    additionalProperties: false,
+  },
+  BookmarkSet: {
+    type: "object",
+    properties: {
+      bookmarks: {
+        type: "array",
+        maxItems: MAX_BOOKMARKS,
+        items: ref("Bookmark"),
+      },
+      removed: {
+        type: "array",
+        maxItems: MAX_BOOKMARKS,
+        items: ref("RemovedBookmark"),
+      },
+    },
+    additionalProperties: false,
+  },
+  SyncedBookmarks: {
+    type: "object",
+    required: ["syncKey", "bookmarks", "removed", "updatedAt"],
+    properties: {
+      syncKey: { type: "string", pattern: SYNC_KEY_PATTERN },
+      bookmarks: { type: "array", items: ref("Bookmark") },
+      removed: { type: "array", items: ref("RemovedBookmark") },
+      updatedAt: { type: "string", format: "date-time" },
+    },
+  },
+  Health: {
+    type: "object",
+    required: ["status", "timestamp", "cache"],
+    properties: {
+      status: { const: "ok" },
+      timestamp: { type: "string", format: "date-time" },
+      environment: { type: "string" },
+      upstream: { type: "string" },
+      upstreamTimeoutMs: { type: "integer" },
+      circuitBreaker: {
+        type: "object",
+        properties: { state: { enum: ["closed", "open", "half-open"] } },
+      },
+      snapshot: {
+        type: "object",
+        properties: {
+          mode: { enum: ["off", "fallback", "offline"] },
+          path: { type: "string" },
+        },
+      },
+      refresh: scheduledJob,
+      keepAlive: scheduledJob,
+      cache: { type: "object" },
+    },
+  },
+};
+
+const parameters = {
+  SyncKey: {
+    name: "X-Sync-Key",
+    in: "header",
+    required: true,
+    description: "Sync key from POST /bookmarks",
+    schema: { type: "string", pattern: SYNC_KEY_PATTERN },
+  },
+  PlanetName: {
+    name: "name",
+    in: "path",
+    required: true,
+    schema: {
+      type: "string",
+      maxLength: MAX_NAME_LENGTH,
+      pattern: PLANET_NAME_PATTERN,
+    },
+    example: "TRAPPIST-1 e",
+  },
+  // Filters of the frontend FilterManager; empty values are ignored
+  scheme: {
+    name: "scheme",
+    in: "query",
+    allowEmptyValue: true,
+    description:
+      "Classification scheme of `type` and of the type counts (basic by default)",
+    schema: { enum: Object.keys(CLASSIFICATION_SCHEMES) },
+  },
+  type: {
+    name: "type",
+    in: "query",
+    allowEmptyValue: true,
+    description: "Planet type, one of the categories of `scheme`",
+    schema: {
+      enum: [
+        ...new Set(
+          Object.values(CLASSIFICATION_SCHEMES).flatMap(({ types }) => types)
+        ),
+      ],
+    },
+  },
+  tempMin: {
+    name: "tempMin",
+    in: "query",
+    allowEmptyValue: true,
+    description: "Minimum equilibrium temperature [K]",
+    schema: { type: "number", minimum: 0 },
+  },
+  tempMax: {
+    name: "tempMax",
+    in: "query",
+    allowEmptyValue: true,
+    description: "Maximum equilibrium temperature [K]",
+    schema: { type: "number", minimum: 0 },
+  },
+  distMax: {
+    name: "distMax",
+    in: "query",
+    allowEmptyValue: true,
+    description: "Maximum distance [ly]",
+    schema: { type: "number", minimum: 0 },
+  },
+  discoveryMethod: {
+    name: "discoveryMethod",
+    in: "query",
+    allowEmptyValue: true,
+    description: "Substring of the discovery method",
+    schema: { type: "string", maxLength: 100 },
+  },
+  discoveryFacility: {
+    name: "discoveryFacility",
+    in: "query",
+    allowEmptyValue: true,
+    description: "Substring of the discovery facility",
+    schema: { type: "string", maxLength: 100 },
+  },
+  excludeDefaulted: {
+    name: "excludeDefaulted",
+    in: "query",
+    allowEmptyValue: true,
+    description:
+      "Leave out planets whose value of this property is missing from the archive (the viewer shows an Earth or Sun default for it)",
+    schema: { enum: Object.keys(DEFAULTABLE_PROPERTIES) },
+  },
+};
+
+const PLANET_FILTERS = [
+  "scheme",
+  "type",
+  "tempMin",
+  "tempMax",
+  "distMax",
+  "discoveryMethod",
+  "discoveryFacility",
+  "excludeDefaulted",
+].map((name) => ({ $ref: `#/components/parameters/${name}` }));
+
+const query = (name, schema, extra = {}) => ({
+  name,
+  in: "query",
+  schema,
+  ...extra,
+});
+
+const json = (schema, description = "OK", headers) => ({
+  description,
+  ...(headers && { headers }),
+  content: { "application/json": { schema } },
+});
+
+// Headers of responses served from the cache
+const CACHE_HEADERS = {
+  ETag: { schema: { type: "string" } },
+  "Last-Modified": { schema: { type: "string" } },
+  "X-Data-Source": {
+    description: "Where the data came from",
+    schema: { enum: ["archive", "snapshot"] },
+  },
+  Warning: {
+    description: "Set when a stale cache entry is served",
+    schema: { type: "string" },
+  },
+};
+
+const problem = (description) => ({
+  description,
+  content: { [PROBLEM_TYPE]: { schema: ref("Problem") } },
+});
+
+const PROBLEM_RESPONSES = {
+  400: { $ref: "#/components/responses/BadRequest" },
+  429: { $ref: "#/components/responses/TooManyRequests" },
+  default: { $ref: "#/components/responses/Problem" },
+};
+
+const notFound = { $ref: "#/components/responses/NotFound" };
+
+export const OPENAPI_DOCUMENT = {
+  openapi: "3.1.0",
+  info: {
+    title: "NASA Exoplanet Explorer API",
+    version: API_VERSION,
+    description:
+      "Cached, validated access to the NASA Exoplanet Archive. Errors are RFC 9457 problem details (application/problem+json).",
+  },
+  servers: [{ url: "/api/v1" }],
+  paths: {
+    "/ping": {
+      get: {
+        operationId: "ping",
+        summary: "Keep-alive check (not rate limited)",
+        responses: {
+          200: json({
+            type: "object",
+            required: ["status", "timestamp"],
+            properties: {
+              status: { const: "ok" },
+              timestamp: { type: "string", format: "date-time" },
+            },
+          }),
+        },
+      },
+    },
+    "/health": {
+      get: {
+        operationId: "getHealth",
+        summary: "Upstream, cache and scheduled job status",
+        responses: { 200: json(ref("Health")) },
+      },
+    },
+    "/exoplanets": {
+      get: {
+        operationId: "listExoplanets",
+        summary: "Confirmed planets (default parameter sets)",
+        description:
+          "Served from the cached catalog. Streams one planet per line for `format=ndjson` or `Accept: application/x-ndjson`.",
+        parameters: [
+          query(
+            "fields",
+            { type: "array", items: { enum: LIST_COLUMNS } },
+            { style: "form", explode: false }
+          ),
+          query(
+            "sort",
+            { type: "array", items: { enum: LIST_SORT_KEYS } },
+            {
+              style: "form",
+              explode: false,
+              description: "Columns to sort by, descending with a - prefix",
+            }
+          ),
+          query("limit", { type: "integer", minimum: 1, maximum: MAX_LIMIT }),
+          query("offset", { type: "integer", minimum: 0 }),
+          query("format", { enum: ["json", "ndjson"] }),
+        ],
+        responses: {
+          200: {
+            description: "OK",
+            headers: {
+              ...CACHE_HEADERS,
+              "X-Total-Count": { schema: { type: "integer" } },
+              Link: {
+                description: "first / prev / next / last page links",
+                schema: { type: "string" },
+              },
+            },
+            content: {
+              "application/json": {
+                schema: { type: "array", items: ref("Planet") },
+              },
+              "application/x-ndjson": { schema: ref("Planet") },
+            },
+          },
+          ...PROBLEM_RESPONSES,
+        },
+      },
+    },
+    "/planet/{name}": {
+      get: {
+        operationId: "getPlanet",
+        summary: "Every column of a planet's default parameter set",
+        parameters: [{ $ref: "#/components/parameters/PlanetName" }],
+        responses: {
+          200: json(ref("Planet"), "OK", CACHE_HEADERS),
+          404: notFound,
+          ...PROBLEM_RESPONSES,
+        },
+      },
+    },
+    "/planet/{name}/solutions": {
+      get: {
+        operationId: "getPlanetSolutions",
+        summary: "Every published parameter set for a planet",
+        parameters: [{ $ref: "#/components/parameters/PlanetName" }],
+        responses: {
+          200: json(ref("PlanetSolutions"), "OK", CACHE_HEADERS),
+          404: notFound,
+          ...PROBLEM_RESPONSES,
+        },
+      },
+    },
+    "/query": {
+      get: {
+        operationId: "queryArchive",
+        summary: "Structured query against the archive's ps table",
+        description: "Not available in offline snapshot mode (503).",
+        parameters: [
+          query(
+            "columns",
+            { type: "array", items: { enum: COLUMNS } },
+            { style: "form", explode: false }
+          ),
+          query(
+            "min",
+            {
+              type: "object",
+              propertyNames: { enum: NUMERIC_COLUMNS },
+              additionalProperties: { type: "number" },
+            },
+            { style: "deepObject", description: "min[column]=value" }
+          ),
+          query(
+            "max",
+            {
+              type: "object",
+              propertyNames: { enum: NUMERIC_COLUMNS },
+              additionalProperties: { type: "number" },
+            },
+            { style: "deepObject", description: "max[column]=value" }
+          ),
+          ...EQUALITY_FILTER_COLUMNS.map((column) =>
+            query(
+              column,
+              { type: "array", items: { type: "string", maxLength: 100 } },
+              { style: "form", explode: false, description: "Any of" }
+            )
+          ),
+          query("order", { enum: SORT_KEYS }),
+          query("limit", {
+            type: "integer",
+            minimum: 1,
+            maximum: MAX_LIMIT,
+            default: DEFAULT_LIMIT,
+          }),
+        ],
+        responses: {
+          200: json(
+            { type: "array", items: ref("Planet") },
+            "OK",
+            CACHE_HEADERS
+          ),
+          ...PROBLEM_RESPONSES,
+        },
+      },
+    },
+    "/systems": {
+      get: {
+        operationId: "listSystems",
+        summary: "Star systems, most planets first, then nearest",
+        parameters: [
+          query("minPlanets", { type: "integer", minimum: 1, default: 1 }),
+          query(
+            "distMax",
+            { type: "number", minimum: 0 },
+            { description: "Maximum distance [ly]" }
+          ),
+          query(
+            "spectralType",
+            { type: "string", pattern: "^[A-Za-z0-9.]{1,10}$" },
+            { description: "Spectral type prefix, e.g. G" }
+          ),
+        ],
+        responses: {
+          200: json(
+            { type: "array", items: ref("System") },
+            "OK",
+            CACHE_HEADERS
+          ),
+          ...PROBLEM_RESPONSES,
+        },
+      },
+    },
+    "/systems/{hostname}": {
+      get: {
+        operationId: "getSystem",
+        summary: "A star system and its planets",
+        parameters: [
+          {
+            name: "hostname",
+            in: "path",
+            required: true,
+            schema: {
+              type: "string",
+              maxLength: MAX_NAME_LENGTH,
+              pattern: "\\S",
+            },
+          },
+        ],
+        responses: {
+          200: json(ref("System"), "OK", CACHE_HEADERS),
+          404: notFound,
+          ...PROBLEM_RESPONSES,
+        },
+      },
+    },
+    "/star/{hostname}": {
+      get: {
+        operationId: "getStar",
+        summary: "Host star parameters merged across published solutions",
+        parameters: [
+          {
+            name: "hostname",
+            in: "path",
+            required: true,
+            schema: {
+              type: "string",
+              maxLength: MAX_NAME_LENGTH,
+              pattern: HOST_NAME_PATTERN,
+            },
+            example: "BD+20 2457",
+          },
+        ],
+        responses: {
+          200: json(ref("Star"), "OK", CACHE_HEADERS),
+          404: notFound,
+          ...PROBLEM_RESPONSES,
+        },
+      },
+    },
+    "/candidates/{source}": {
+      get: {
+        operationId: "listCandidates",
+        summary: "Planet candidates from the TOI (TESS) or KOI (Kepler) table",
+        parameters: [
+          {
+            name: "source",
+            in: "path",
+            required: true,
+            schema: { enum: Object.keys(CANDIDATE_SOURCES) },
+          },
+          query(
+            "disposition",
+            {
+              type: "string",
+              pattern: "^[A-Za-z]{2}(,[A-Za-z]{2})*$",
+            },
+            { description: "Comma-separated dispositions, e.g. PC,CP" }
+          ),
+        ],
+        responses: {
+          200: json(
+            { type: "array", items: ref("Candidate") },
+            "OK",
+            CACHE_HEADERS
+          ),
+          ...PROBLEM_RESPONSES,
+        },
+      },
+    },
+    "/stats": {
+      get: {
+        operationId: "getStats",
+        summary: "Discovery counts and histograms",
+        parameters: PLANET_FILTERS,
+        responses: {
+          200: json(ref("Stats"), "OK", CACHE_HEADERS),
+          ...PROBLEM_RESPONSES,
+        },
+      },
+    },
+    "/export": {
+      get: {
+        operationId: "exportCatalog",
+        summary: "Catalog download with column units and UCDs",
+        parameters: [
+          query("format", {
+            enum: Object.keys(EXPORT_FORMATS),
+            default: "csv",
+          }),
+          query(
+            "columns",
+            { type: "array", items: { enum: COLUMNS } },
+            { style: "form", explode: false }
+          ),
+          ...PLANET_FILTERS,
+        ],
+        responses: {
+          200: {
+            description: "File attachment",
+            headers: CACHE_HEADERS,
+            content: Object.fromEntries(
+              Object.values(EXPORT_FORMATS).map(({ contentType }) => [
+                contentType,
+                { schema: { type: "string" } },
+              ])
+            ),
+          },
+          ...PROBLEM_RESPONSES,
+        },
+      },
+    },
+    "/changes": {
+      get: {
+        operationId: "getChanges",
+        summary: "Planets added, removed and revised by catalog refreshes",
+        parameters: [
+          query(
+            "since",
+            { type: "string" },
+            {
+              allowEmptyValue: true,
+              description: "Epoch milliseconds or ISO 8601 date",
+            }
+          ),
+        ],
+        responses: {
+          200: json(ref("Changes")),
+          ...PROBLEM_RESPONSES,
+        },
+      },
+    },
+    "/search": {
+      get: {
+        operationId: "searchCatalog",
+        summary: "Typo-tolerant search over planet and star names and aliases",
+        parameters: [
+          query(
+            "q",
+            { type: "string", minLength: 1, maxLength: MAX_QUERY_LENGTH },
+            { required: true }
+          ),
+          query("limit", {
+            type: "integer",
+            minimum: 1,
+            maximum: MAX_SEARCH_LIMIT,
+            default: DEFAULT_SEARCH_LIMIT,
+          }),
+          query("type", { enum: RESULT_TYPES }),
+        ],
+        responses: {
+          200: json(ref("SearchResults")),
+          ...PROBLEM_RESPONSES,
+        },
+      },
+    },
+    "/share": {
+      post: {
+        operationId: "createShare",
+        summary: "Store a view and get a short link to it",
+        requestBody: {
+          required: true,
+          content: {
+            "application/json": {
+              schema: {
+                type: "object",
+                required: ["state"],
+                properties: {
+                  state: ref("ShareState"),
+                  expiresIn: {
+                    type: "integer",
+                    minimum: MIN_SHARE_TTL,
+                    maximum: MAX_SHARE_TTL,
+                    description:
+                      "Lifetime in seconds (defaults to the server's SHARE_TTL)",
+                  },
+                },
+                additionalProperties: false,
+              },
+            },
+          },
+        },
+        responses: {
+          201: json(ref("Share"), "Created", {
+            Location: { schema: { type: "string" } },
+          }),
+          ...PROBLEM_RESPONSES,
+        },
+      },
+    },
+    "/share/{id}": {
+      get: {
+        operationId: "getShare",
+        summary: "A share link's view and view count (not counted as a view)",
+        parameters: [
+          {
+            name: "id",
+            in: "path",
+            required: true,
+            schema: { type: "string", pattern: SHARE_ID_PATTERN },
+          },
+        ],
+        responses: {
+          200: json(ref("Share")),
+          404: notFound,
+          ...PROBLEM_RESPONSES,
+        },
+      },
+    },
+    "/bookmarks": {
+      post: {
+        operationId: "createBookmarkSync",
+        summary: "Create a sync key, starting from a device's bookmarks",
+        requestBody: {
+          content: { "application/json": { schema: ref("BookmarkSet") } },
+        },
+        responses: {
+          201: json(ref("SyncedBookmarks"), "Created"),
+          ...PROBLEM_RESPONSES,
+        },
+      },
+      get: {
+        operationId: "getBookmarks",
+        summary: "Bookmarks synced under a key",
+        parameters: [{ $ref: "#/components/parameters/SyncKey" }],
+        responses: {
+          200: json(ref("SyncedBookmarks")),
+          404: notFound,
+          ...PROBLEM_RESPONSES,
+        },
+      },
+      put: {
+        operationId: "syncBookmarks",
+        summary: "Merge a device's bookmarks and return the merged set",
+        parameters: [{ $ref: "#/components/parameters/SyncKey" }],
+        requestBody: {
+          required: true,
+          content: { "application/json": { schema: ref("BookmarkSet") } },
+        },
+        responses: {
+          200: json(ref("SyncedBookmarks")),
+          404: notFound,
+          ...PROBLEM_RESPONSES,
+        },
+      },
+    },
+    "/cache/clear": {
+      post: {
+        operationId: "clearCache",
+        summary: "Clear the cache (development, or with X-API-Key)",
+        parameters: [
+          { name: "X-API-Key", in: "header", schema: { type: "string" } },
+        ],
+        responses: {
+          200: json({
+            type: "object",
+            required: ["success", "keysDeleted"],
+            properties: {
+              success: { type: "boolean" },
+              message: { type: "string" },
+              keysDeleted: { type: "integer" },
+            },
+          }),
+          403: { $ref: "#/components/responses/Forbidden" },
+          default: { $ref: "#/components/responses/Problem" },
+        },
+      },
+    },
+  },
+  components: {
+    schemas,
+    parameters,
+    responses: {
+      BadRequest: problem("Invalid parameters"),
+      NotFound: problem("Not found"),
+      Forbidden: problem("Missing or wrong credentials"),
+      TooManyRequests: problem("Rate limit exceeded"),
+      Problem: problem(
+        "Error (502 upstream error, 503 upstream or snapshot unavailable)"
+      ),
+    },
+  },
+};
+
+/**
+ * Find an operation by its operationId
+ * @returns {Object} Operation object
+ * @throws {Error} For unknown operations (a typo in a route declaration)
+ */
+export function findOperation(document, operationId) {
+  for (const pathItem of Object.values(document.paths)) {
+    for (const operation of Object.values(pathItem)) {
+      if (operation.operationId === operationId) return operation;
+    }
+  }
+  throw new Error(`Unknown operation: ${operationId}`);
+}
+
+const resolve = (document, object) =>
+  object && object.$ref ? resolveRef(document, object.$ref) : object;
+
+/**
+ * Check a request's path, query and header parameters and JSON body against
+ * an operation
+ * Query values are coerced to their declared types first; parameters with
+ * `allowEmptyValue` treat an empty value as absent
+ * @param {Object} document - OpenAPI document
+ * @param {Object} operation - Operation object
+ * @param {Object} req - Express request
+ * @returns {Array<{in: string, name: string, message: string}>} Errors
+ */
+export function validateRequest(document, operation, req) {
+  const errors = [];
+  const sources = {
+    path: req.params,
+    query: req.query,
+    // Header names are case-insensitive (Node lower-cases them)
+    header: Object.fromEntries(
+      Object.entries(req.headers || {}).map(([name, value]) => [
+        name.toLowerCase(),
+        value,
+      ])
+    ),
+  };
+
+  (operation.parameters || []).forEach((reference) => {
+    const parameter = resolve(document, reference);
+    const source = sources[parameter.in];
+    if (!source) return;
+
+    let value =
+      source[
+        parameter.in === "header"
+          ? parameter.name.toLowerCase()
+          : parameter.name
+      ];
+    if (value === "" && parameter.allowEmptyValue) value = undefined;
+
+    if (value === undefined) {
+      if (parameter.required) {
+        errors.push({
+          in: parameter.in,
+          name: parameter.name,
+          message: "is required",
+        });
+      }
+      return;
+    }
+
+    validateSchema(
+      parameter.schema,
+      coerceQueryValue(parameter.schema, value, document),
+      { root: document, path: parameter.name }
+    ).forEach(({ path, message }) => {
+      errors.push({ in: parameter.in, name: path, message });
+    });
+  });
+
+  const requestBody = resolve(document, operation.requestBody);
+  const bodySchema = requestBody?.content?.["application/json"]?.schema;
+  if (bodySchema) {
+    // express.json() leaves the body empty for other content types
+    const body =
+      req.body && Object.keys(req.body).length > 0 ? req.body : undefined;
+    if (body === undefined) {
+      if (requestBody.required) {
+        errors.push({ in: "body", name: "body", message: "is required" });
+      }
+    } else {
+      validateSchema(bodySchema, body, { root: document }).forEach(
+        ({ path, message }) => {
+          errors.push({ in: "body", name: path || "body", message });
+        }
+      );
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Check a JSON response body against the operation's response schema
+ * @param {number} status - Response status code
+ * @param {string|undefined} contentType - Response Content-Type
+ * @returns {Array<{path: string, message: string}>} Errors (none when the
+ *   status or content type is not described)
+ */
+export function validateResponse(
+  document,
+  operation,
+  status,
+  contentType,
+  body
+) {
+  const response = resolve(
+    document,
+    operation.responses[status] ||
+      operation.responses[`${String(status)[0]}XX`] ||
+      operation.responses.default
+  );
+  const mediaType = (contentType || "application/json").split(";")[0].trim();
+  const schema = response?.content?.[mediaType]?.schema;
+
+  return schema ? validateSchema(schema, body, { root: document }) : [];
+}
+
+/**
+ * Middleware validating requests (and optionally responses) of an operation
+ * Invalid requests are answered with 400 problem details listing each
+ * invalid parameter. Response bodies sent with `res.json` are checked when
+ * `responses` is set and mismatches reported to `onInvalidResponse`; the
+ * response itself is sent unchanged.
+ * @param {Object} document - OpenAPI document
+ * @param {string} operationId - Operation the route implements
+ * @param {Object} options
+ * @param {boolean} options.responses - Also check response bodies
+ * @param {Function} options.onInvalidResponse - Called with
+ *   (operationId, status, errors)
+ * @returns {Function} Express middleware
+ */
+export function validateOperation(
+  document,
+  operationId,
+  { responses = false, onInvalidResponse = () => {} } = {}
+) {
+  const operation = findOperation(document, operationId);
+
+  return (req, res, next) => {
+    const errors = validateRequest(document, operation, req);
+    if (errors.length > 0) {
+      return sendProblem(
+        res,
+        400,
+        errors.map(({ name, message }) => `${name} ${message}`).join("; "),
+        { errors }
+      );
+    }
+
+    if (responses) {
+      const sendJson = res.json.bind(res);
+      res.json = (body) => {
+        const responseErrors = validateResponse(
+          document,
+          operation,
+          res.statusCode,
+          res.get("Content-Type"),
+          body
+        );
+        if (responseErrors.length > 0) {
+          onInvalidResponse(operationId, res.statusCode, responseErrors);
+        }
+        return sendJson(body);
+      };
+    }
+
+    next();
+  };
+}
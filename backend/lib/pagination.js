@@ -0,0 +1,184 @@
+/**
+ * Pagination helpers
+ * Field selection, sorting and offset pagination applied to cached row arrays,
+ * plus the matching `Link` / `X-Total-Count` response headers.
+ */
+import { QUERYABLE_COLUMNS, MAX_LIMIT, QueryValidationError } from "./adql.js";
+import { UNCERTAINTY_COLUMNS } from "./archive.js";
+
+/**
+ * Columns that can be selected and sorted on: the queryable columns and the
+ * uncertainties (`err1` / `err2`) the catalog serves along with them
+ */
+export const LIST_COLUMNS = [
+  ...Object.keys(QUERYABLE_COLUMNS),
+  ...UNCERTAINTY_COLUMNS.flatMap((column) => [
+    `${column}err1`,
+    `${column}err2`,
+  ]),
+];
+const LIST_COLUMN_SET = new Set(LIST_COLUMNS);
+
+/**
+ * Parse a comma-separated list of whitelisted column names
+ * @param {string|undefined} value - Raw query parameter
+ * @param {string} name - Parameter name for error messages
+ * @returns {string[]} Column names, de-duplicated, in request order
+ */
+function parseColumnList(value, name) {
+  if (value === undefined) return [];
+  if (typeof value !== "string") {
+    throw new QueryValidationError(`${name} must be a comma-separated list`);
+  }
+
+  const columns = value
+    .split(",")
+    .map((v) => v.trim())
+    .filter((v) => v.length > 0);
+
+  return [...new Set(columns)];
+}
+
+/**
+ * Parse an integer parameter within bounds
+ * @param {string|undefined} value - Raw query parameter
+ * @param {string} name - Parameter name for error messages
+ * @param {number} min - Smallest allowed value
+ * @param {number} max - Largest allowed value
+ * @returns {number|null} Parsed value, or null when absent
+ */
+function parseInteger(value, name, min, max = Number.MAX_SAFE_INTEGER) {
+  if (value === undefined) return null;
+  const parsed = Number(value);
+  if (
+    typeof value !== "string" ||
+    !Number.isInteger(parsed) ||
+    parsed < min ||
+    parsed > max
+  ) {
+    throw new QueryValidationError(
+      max === Number.MAX_SAFE_INTEGER
+        ? `${name} must be an integer >= ${min}`
+        : `${name} must be an integer between ${min} and ${max}`
+    );
+  }
+  return parsed;
+}
+
+/**
+ * Parse `fields`, `sort`, `limit` and `offset` list parameters
+ * @param {Object} params - Express `req.query`
+ * @returns {Object} {fields, sort, limit, offset}
+ * @throws {QueryValidationError} When any parameter is invalid
+ */
+export function parseListParams(params = {}) {
+  const fields = parseColumnList(params.fields, "fields");
+  fields.forEach((field) => {
+    if (!LIST_COLUMN_SET.has(field)) {
+      throw new QueryValidationError(`Unknown field: ${field}`);
+    }
+  });
+
+  const sort = parseColumnList(params.sort, "sort").map((entry) => {
+    const descending = entry.startsWith("-");
+    const column = descending ? entry.slice(1) : entry;
+    if (!LIST_COLUMN_SET.has(column)) {
+      throw new QueryValidationError(`Unknown sort field: ${column}`);
+    }
+    return { column, descending };
+  });
+
+  return {
+    fields,
+    sort,
+    limit: parseInteger(params.limit, "limit", 1, MAX_LIMIT),
+    offset: parseInteger(params.offset, "offset", 0) ?? 0,
+  };
+}
+
+/**
+ * Compare two non-null cell values
+ */
+function compareValues(a, b) {
+  if (typeof a === "number" && typeof b === "number") return a - b;
+  return String(a).localeCompare(String(b));
+}
+
+/**
+ * Apply sort, pagination and field selection to a row array
+ * The input array is never mutated.
+ * @param {Array<Object>} rows - Full result set
+ * @param {Object} spec - Output of parseListParams
+ * @returns {{items: Array<Object>, total: number}} Page of rows and total count
+ */
+export function applyListParams(rows, spec) {
+  let result = rows;
+
+  // Missing values always sort last, regardless of direction
+  if (spec.sort.length > 0) {
+    result = [...rows].sort((rowA, rowB) => {
+      for (const { column, descending } of spec.sort) {
+        const a = rowA[column];
+        const b = rowB[column];
+        const aMissing = a === null || a === undefined;
+        const bMissing = b === null || b === undefined;
+
+        if (aMissing && bMissing) continue;
+        if (aMissing) return 1;
+        if (bMissing) return -1;
+
+        const cmp = compareValues(a, b);
+        if (cmp !== 0) return descending ? -cmp : cmp;
+      }
+      return 0;
+    });
+  }
+
+  const end = spec.limit === null ? undefined : spec.offset + spec.limit;
+  let items = result.slice(spec.offset, end);
+
+  if (spec.fields.length > 0) {
+    items = items.map((row) =>
+      Object.fromEntries(spec.fields.map((field) => [field, row[field]]))
+    );
+  }
+
+  return { items, total: rows.length };
+}
+
+/**
+ * Build an RFC 8288 `Link` header for offset pagination
+ * @param {string} baseUrl - Absolute URL of the collection (without query)
+ * @param {Object} query - Original request query (other params are preserved)
+ * @param {Object} spec - Output of parseListParams
+ * @param {number} total - Total number of rows
+ * @returns {string|null} Header value, or null when not paginating
+ */
+export function buildLinkHeader(baseUrl, query, spec, total) {
+  if (spec.limit === null) return null;
+
+  const pageUrl = (offset) => {
+    const params = new URLSearchParams();
+    Object.entries(query).forEach(([key, value]) => {
+      if (key !== "offset" && typeof value === "string") {
+        params.set(key, value);
+      }
+    });
+    params.set("offset", String(offset));
+    return `<${baseUrl}?${params.toString()}>`;
+  };
+
+  const lastOffset =
+    total > 0 ? Math.floor((total - 1) / spec.limit) * spec.limit : 0;
+  const links = [`${pageUrl(0)}; rel="first"`];
+
+  if (spec.offset > 0) {
+    links.push(`${pageUrl(Math.max(0, spec.offset - spec.limit))}; rel="prev"`);
+  }
+  if (spec.offset + spec.limit < total) {
+    links.push(`${pageUrl(spec.offset + spec.limit)}; rel="next"`);
+  }
+  links.push(`${pageUrl(lastOffset)}; rel="last"`);
+
+  return links.join(", ");
+}
@@ -0,0 +1,270 @@
+/**
+ * PersistentCache
+ * In-memory cache backed by one JSON file per key on disk, so cached archive
+ * responses survive restarts and Render spin-downs.
+ *
+ * Unlike NodeCache, expired entries are kept (marked stale) instead of being
+ * evicted: callers serve the stale copy while they revalidate it, and keep
+ * serving it if the upstream is down. The number of entries is bounded by
+ * `maxKeys`; the least recently stored entries are evicted first.
+ */
+import { createHash } from "node:crypto";
+import {
+  mkdir,
+  readdir,
+  readFile,
+  rename,
+  rm,
+  writeFile,
+} from "node:fs/promises";
+import path from "node:path";
+
+/**
+ * Compute a strong ETag for a JSON-serializable value
+ * @param {*} value - Cached value
+ * @returns {string} Quoted ETag
+ */
+export function computeEtag(value) {
+  const hash = createHash("sha1")
+    .update(JSON.stringify(value))
+    .digest("base64url");
+  return `"${hash}"`;
+}
+
+export class PersistentCache {
+  /**
+   * @param {Object} options
+   * @param {number} options.ttl - Seconds before an entry becomes stale (0 =
+   *   never, like NodeCache's stdTTL)
+   * @param {string|null} options.dir - Directory for entry files (null = memory only)
+   * @param {number} options.maxKeys - Maximum number of entries kept
+   * @param {Object} options.logger - Receives warnings (`warn(msg, fields)`)
+   */
+  constructor({ ttl, dir = null, maxKeys = 500, logger = console }) {
+    this.ttl = ttl;
+    this.dir = dir;
+    this.maxKeys = maxKeys;
+    this.logger = logger;
+    this.entries = new Map();
+    this.diskQueues = new Map();
+    this.stats = { hits: 0, misses: 0, stale: 0 };
+  }
+
+  /**
+   * Path of the file holding a key (keys are hashed to safe file names)
+   */
+  filePath(key) {
+    const name = createHash("sha1").update(key).digest("hex");
+    return path.join(this.dir, `${name}.json`);
+  }
+
+  /**
+   * Load all persisted entries from disk
+   * Unreadable files are skipped so a corrupt entry never blocks startup
+   * @returns {Promise<number>} Number of entries loaded
+   */
+  async load() {
+    if (!this.dir) return 0;
+
+    await mkdir(this.dir, { recursive: true });
+    const files = (await readdir(this.dir)).filter((f) => f.endsWith(".json"));
+
+    for (const file of files) {
+      try {
+        const entry = JSON.parse(
+          await readFile(path.join(this.dir, file), "utf8")
+        );
+        if (entry && typeof entry.key === "string" && "value" in entry) {
+          this.entries.set(entry.key, entry);
+        }
+      } catch (error) {
+        this.logger.warn("Skipping unreadable cache file", {
+          file,
+          error: error.message,
+        });
+      }
+    }
+
+    this.evict();
+    return this.entries.size;
+  }
+
+  /**
+   * Whether an entry is past its TTL (never with a TTL of 0)
+   */
+  isStale(entry) {
+    if (this.ttl === 0) return false;
+    return Date.now() - entry.storedAt >= this.ttl * 1000;
+  }
+
+  /**
+   * Get a fresh value (NodeCache-compatible)
+   * @param {string} key - Cache key
+   * @returns {*} Value, or undefined when missing or stale
+   */
+  get(key) {
+    const entry = this.getEntry(key);
+    return entry && !entry.stale ? entry.value : undefined;
+  }
+
+  /**
+   * Get an entry including stale ones, and record hit/miss statistics
+   * @param {string} key - Cache key
+   * @returns {Object|undefined} {key, value, etag, storedAt, source, stale}
+   */
+  getEntry(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      this.stats.misses++;
+      return undefined;
+    }
+
+    const stale = this.isStale(entry);
+    if (stale) {
+      this.stats.stale++;
+    } else {
+      this.stats.hits++;
+    }
+    return { ...entry, stale };
+  }
+
+  /**
+   * Get an entry including stale ones, without recording statistics
+   * @param {string} key - Cache key
+   * @returns {Object|undefined} {key, value, etag, storedAt, source, stale}
+   */
+  peek(key) {
+    const entry = this.entries.get(key);
+    return entry ? { ...entry, stale: this.isStale(entry) } : undefined;
+  }
+
+  /**
+   * Store a value and persist it to disk in the background
+   * @param {string} key - Cache key
+   * @param {*} value - JSON-serializable value
+   * @param {Object} meta - Extra entry metadata (e.g. `source`)
+   * @returns {Object} Stored entry
+   */
+  set(key, value, meta = {}) {
+    const entry = {
+      ...meta,
+      key,
+      value,
+      etag: computeEtag(value),
+      storedAt: Date.now(),
+    };
+
+    this.entries.set(key, entry);
+    this.evict();
+    this.persist(entry);
+
+    return { ...entry, stale: false };
+  }
+
+  /**
+   * Delete a key from memory and disk
+   */
+  del(key) {
+    this.entries.delete(key);
+    if (this.dir) {
+      this.enqueue(key, () => rm(this.filePath(key), { force: true }));
+    }
+  }
+
+  /**
+   * Drop the oldest entries beyond maxKeys
+   */
+  evict() {
+    while (this.entries.size > this.maxKeys) {
+      const oldestKey = [...this.entries.values()].reduce((oldest, entry) =>
+        entry.storedAt < oldest.storedAt ? entry : oldest
+      ).key;
+      this.del(oldestKey);
+    }
+  }
+
+  /**
+   * Write an entry file atomically (temp file + rename)
+   */
+  persist(entry) {
+    if (!this.dir) return;
+
+    const target = this.filePath(entry.key);
+    const temp = `${target}.${process.pid}.tmp`;
+    this.enqueue(entry.key, async () => {
+      await mkdir(this.dir, { recursive: true });
+      await writeFile(temp, JSON.stringify(entry), "utf8");
+      await rename(temp, target);
+    });
+  }
+
+  /**
+   * Run a disk operation after any earlier operation on the same key,
+   * so a delete can never be overtaken by an older write
+   */
+  enqueue(key, operation) {
+    const previous = this.diskQueues.get(key) || Promise.resolve();
+    const next = previous.then(operation).catch((error) => {
+      this.logger.warn("Cache persistence failed", { error: error.message });
+    });
+
+    this.diskQueues.set(key, next);
+    next.then(() => {
+      if (this.diskQueues.get(key) === next) {
+        this.diskQueues.delete(key);
+      }
+    });
+  }
+
+  /**
+   * Wait for all pending disk operations to finish
+   */
+  async flush() {
+    while (this.diskQueues.size > 0) {
+      await Promise.all([...this.diskQueues.values()]);
+    }
+  }
+
+  /**
+   * List cached keys (fresh and stale)
+   */
+  keys() {
+    return [...this.entries.keys()];
+  }
+
+  /**
+   * Serialized size of every cached value in bytes
+   * Measured once per stored value, so repeated calls stay cheap
+   * @returns {Array<{key: string, bytes: number}>}
+   */
+  sizes() {
+    return [...this.entries.values()].map((entry) => {
+      if (entry.bytes === undefined) {
+        entry.bytes = Buffer.byteLength(JSON.stringify(entry.value));
+      }
+      return { key: entry.key, bytes: entry.bytes };
+    });
+  }
+
+  /**
+   * Number of entries currently past their TTL
+   */
+  staleCount() {
+    return [...this.entries.values()].filter((e) => this.isStale(e)).length;
+  }
+
+  /**
+   * Cache statistics (NodeCache-compatible `hits`/`misses`, plus stale serves)
+   */
+  getStats() {
+    return { ...this.stats };
+  }
+
+  /**
+   * Remove every entry from memory and disk
+   */
+  flushAll() {
+    [...this.entries.keys()].forEach((key) => this.del(key));
+    this.stats = { hits: 0, misses: 0, stale: 0 };
+  }
+}
@@ -0,0 +1,48 @@
+/**
+ * Problem details (RFC 9457)
+ * Every API error is answered with an `application/problem+json` body:
+ * {type, title, status, detail, instance} plus optional extension members
+ * (e.g. `errors` for invalid parameters), so clients can handle all
+ * failures the same way.
+ */
+import { STATUS_CODES } from "node:http";
+
+export const PROBLEM_TYPE = "application/problem+json";
+
+/**
+ * Build a problem details object
+ * Problems carry no specific type URI, so `title` is the HTTP status phrase
+ * and `detail` says what went wrong
+ * @param {number} status - HTTP status code
+ * @param {string} detail - Explanation specific to this occurrence
+ * @param {Object} extensions - Extra members (e.g. {errors})
+ * @returns {Object} Problem details
+ */
+export function problemDetails(status, detail, extensions = {}) {
+  return {
+    type: "about:blank",
+    title: STATUS_CODES[status] || "Error",
+    status,
+    detail,
+    ...extensions,
+  };
+}
+
+/**
+ * Send a problem details response
+ * @param {Object} res - Express response
+ * @param {number} status - HTTP status code
+ * @param {string} detail - Explanation specific to this occurrence
+ * @param {Object} extensions - Extra members (e.g. {errors})
+ */
+export function sendProblem(res, status, detail, extensions = {}) {
+  res
+    .status(status)
+    .type(PROBLEM_TYPE)
+    .json(
+      problemDetails(status, detail, {
+        instance: res.req ? res.req.originalUrl.split("?")[0] : undefined,
+        ...extensions,
+      })
+    );
+}
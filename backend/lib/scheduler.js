@@ -0,0 +1,277 @@
+/**
+ * Job scheduling
+ * Runs background jobs (e.g. the catalog refresh) on a fixed interval such
+ * as "6h", or on a standard 5-field cron expression evaluated in UTC
+ * ("minute hour day-of-month month day-of-week", e.g. "0 *\/6 * * *").
+ * A job never overlaps itself, and the outcome and duration of its last run
+ * are kept for the health endpoint.
+ */
+
+const UNITS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 86400000 };
+
+// Intervals shorter than this would hammer the archive
+export const MIN_INTERVAL_MS = 60 * 1000;
+
+// setTimeout fires immediately for delays above 2^31 - 1 ms (~24.8 days)
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+const CRON_FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "day of week", min: 0, max: 7 },
+];
+
+const CRON_MACROS = {
+  "@hourly": "0 * * * *",
+  "@daily": "0 0 * * *",
+  "@weekly": "0 0 * * 0",
+  "@monthly": "0 0 1 * *",
+};
+
+// Give up looking for a matching time after this many steps (an expression
+// such as "0 0 30 2 *" never matches)
+const MAX_CRON_STEPS = 100000;
+
+/**
+ * Parse one cron field into the set of values it allows
+ * Supports `*`, `n`, `a-b`, lists (`1,15`) and steps (`*\/5`, `10-40/10`)
+ */
+function parseCronField(text, { name, min, max }) {
+  const values = new Set();
+
+  text.split(",").forEach((part) => {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) {
+      throw new Error(`Invalid cron ${name}: ${part}`);
+    }
+
+    const [, , from, to, step] = match;
+    const start = from === undefined ? min : Number(from);
+    // "5/15" means every 15 starting at 5
+    const end =
+      to !== undefined ? Number(to) : from === undefined || step ? max : start;
+    const increment = step === undefined ? 1 : Number(step);
+
+    if (start < min || end > max || start > end || increment < 1) {
+      throw new Error(`Invalid cron ${name}: ${part}`);
+    }
+    for (let value = start; value <= end; value += increment) {
+      values.add(value);
+    }
+  });
+
+  // As in cron, "*/2" still counts as unrestricted for the day rule
+  return { values, restricted: !text.startsWith("*") };
+}
+
+/**
+ * Parse a schedule: an interval ("90s", "30m", "6h", "1d", or milliseconds)
+ * or a 5-field cron expression (also @hourly, @daily, @weekly, @monthly)
+ * @param {string} text - Schedule expression
+ * @returns {Object} {type: "interval", intervalMs, expression} or
+ *   {type: "cron", fields, expression}
+ * @throws {Error} When the expression is invalid or the interval too short
+ */
+export function parseSchedule(text) {
+  const expression = String(text).trim();
+
+  const interval = /^(\d+)\s*(ms|s|m|h|d)?$/.exec(expression);
+  if (interval) {
+    const intervalMs = Number(interval[1]) * UNITS[interval[2] || "ms"];
+    if (intervalMs < MIN_INTERVAL_MS) {
+      throw new Error(
+        `Schedule interval must be at least ${MIN_INTERVAL_MS / 1000}s: ${expression}`
+      );
+    }
+    return { type: "interval", intervalMs, expression };
+  }
+
+  const parts = (CRON_MACROS[expression] || expression).split(/\s+/);
+  if (parts.length !== CRON_FIELDS.length) {
+    throw new Error(
+      `Schedule must be an interval (e.g. "6h") or a 5-field cron expression: ${expression}`
+    );
+  }
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, i) =>
+    parseCronField(part, CRON_FIELDS[i])
+  );
+  // Both 0 and 7 mean Sunday
+  if (dayOfWeek.values.has(7)) dayOfWeek.values.add(0);
+
+  return {
+    type: "cron",
+    fields: { minute, hour, dayOfMonth, month, dayOfWeek },
+    expression,
+  };
+}
+
+/**
+ * Whether a cron expression allows a day
+ * As in cron, when both day fields are restricted either one may match
+ */
+function cronDayMatches({ dayOfMonth, dayOfWeek }, date) {
+  const monthDay = dayOfMonth.values.has(date.getUTCDate());
+  const weekDay = dayOfWeek.values.has(date.getUTCDay());
+  if (dayOfMonth.restricted && dayOfWeek.restricted) {
+    return monthDay || weekDay;
+  }
+  return monthDay && weekDay;
+}
+
+/**
+ * Next time a schedule is due
+ * @param {Object} schedule - Output of parseSchedule
+ * @param {number} after - Epoch milliseconds
+ * @returns {number|null} Epoch milliseconds, or null if a cron expression
+ *   never matches
+ */
+export function nextRunAt(schedule, after) {
+  if (schedule.type === "interval") {
+    return after + schedule.intervalMs;
+  }
+
+  const { minute, hour, month } = schedule.fields;
+  // Cron runs on whole minutes, strictly after `after`
+  const date = new Date(Math.floor(after / 60000) * 60000 + 60000);
+
+  for (let step = 0; step < MAX_CRON_STEPS; step++) {
+    if (!month.values.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0);
+    } else if (!cronDayMatches(schedule.fields, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0);
+    } else if (!hour.values.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0);
+    } else if (!minute.values.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1);
+    } else {
+      return date.getTime();
+    }
+  }
+  return null;
+}
+
+export class ScheduledJob {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Job name for logs
+   * @param {Object} options.schedule - Output of parseSchedule
+   * @param {Function} options.run - Async job; may resolve to a summary
+   *   whose `status` ("ok", "partial", "failed") is recorded as the outcome
+   * @param {Function} options.now - Clock, injectable for tests
+   * @param {Object} options.logger - Receives warnings (`warn(msg, fields)`)
+   */
+  constructor({ name, schedule, run, now = Date.now, logger = console }) {
+    this.name = name;
+    this.schedule = schedule;
+    this.job = run;
+    this.now = now;
+    this.logger = logger;
+
+    this.timer = null;
+    this.nextRun = null;
+    this.running = null;
+    this.lastRun = null;
+    this.stats = { runs: 0, failures: 0 };
+  }
+
+  /**
+   * Arm the timer for the next due time
+   */
+  start() {
+    this.stop();
+    this.nextRun = nextRunAt(this.schedule, this.now());
+    if (this.nextRun !== null) {
+      this.arm();
+    }
+    return this;
+  }
+
+  /**
+   * Cancel the pending run (a run in progress finishes)
+   */
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.nextRun = null;
+  }
+
+  /**
+   * Wait for the next due time, in steps for delays beyond the timer limit
+   * Timers are unref'd so a scheduled job never keeps the process alive
+   */
+  arm() {
+    const delay = Math.max(0, this.nextRun - this.now());
+    this.timer = setTimeout(
+      () => {
+        if (this.now() < this.nextRun) {
+          this.arm();
+          return;
+        }
+        this.start();
+        this.runNow();
+      },
+      Math.min(delay, MAX_TIMER_DELAY)
+    );
+    this.timer.unref?.();
+  }
+
+  /**
+   * Run the job now, or join the run in progress
+   * Never rejects: failures are recorded in the run
+   * @returns {Promise<Object>} The recorded run
+   */
+  runNow() {
+    if (this.running) return this.running;
+
+    const startedAt = this.now();
+    const finish = (status, details) => {
+      const finishedAt = this.now();
+      this.lastRun = {
+        status,
+        startedAt: new Date(startedAt).toISOString(),
+        finishedAt: new Date(finishedAt).toISOString(),
+        durationMs: finishedAt - startedAt,
+        ...details,
+      };
+      this.stats.runs++;
+      if (status !== "ok") this.stats.failures++;
+      return this.lastRun;
+    };
+
+    this.running = Promise.resolve()
+      .then(() => this.job())
+      .then(
+        (summary) => {
+          const { status = "ok", ...details } = summary || {};
+          return finish(status, details);
+        },
+        (error) => {
+          this.logger.warn("Scheduled job failed", {
+            job: this.name,
+            error: error.message,
+          });
+          return finish("failed", { error: error.message });
+        }
+      )
+      .finally(() => {
+        this.running = null;
+      });
+
+    return this.running;
+  }
+
+  toJSON() {
+    return {
+      schedule: this.schedule.expression,
+      running: this.running !== null,
+      nextRunAt: this.nextRun ? new Date(this.nextRun).toISOString() : null,
+      lastRun: this.lastRun,
+      ...this.stats,
+    };
+  }
+}
@@ -0,0 +1,258 @@
+/**
+ * JSON Schema validation
+ * A small validator for the subset of JSON Schema used by the OpenAPI
+ * document (type, enum, numeric bounds, string length and pattern, items,
+ * properties, required, additionalProperties, propertyNames, anyOf and local
+ * `$ref`s), plus coercion of query string values to the types their
+ * schemas declare.
+ */
+
+// Compiled `pattern` keywords, by source
+const patterns = new Map();
+
+const compilePattern = (source) => {
+  if (!patterns.has(source)) {
+    patterns.set(source, new RegExp(source, "u"));
+  }
+  return patterns.get(source);
+};
+
+/**
+ * Resolve a local reference such as "#/components/schemas/Planet"
+ * @param {Object} root - Document the reference points into
+ * @param {string} ref - JSON pointer prefixed with "#"
+ * @returns {Object} Referenced schema
+ * @throws {Error} When the reference cannot be resolved
+ */
+export function resolveRef(root, ref) {
+  if (!ref.startsWith("#/")) {
+    throw new Error(`Only local references are supported: ${ref}`);
+  }
+
+  const target = ref
+    .slice(2)
+    .split("/")
+    .map((part) => part.replace(/~1/g, "/").replace(/~0/g, "~"))
+    .reduce((node, part) => (node ? node[part] : undefined), root);
+
+  if (target === undefined) {
+    throw new Error(`Unresolvable reference: ${ref}`);
+  }
+  return target;
+}
+
+/**
+ * Follow `$ref`s until reaching a schema that is not a reference
+ */
+const dereference = (schema, root) =>
+  schema && schema.$ref
+    ? dereference(resolveRef(root, schema.$ref), root)
+    : schema;
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+const TYPE_CHECKS = {
+  string: (value) => typeof value === "string",
+  number: (value) => typeof value === "number" && Number.isFinite(value),
+  integer: (value) => Number.isInteger(value),
+  boolean: (value) => typeof value === "boolean",
+  null: (value) => value === null,
+  array: Array.isArray,
+  object: isPlainObject,
+};
+
+const matchesType = (schema, value) =>
+  !schema ||
+  schema.type === undefined ||
+  [].concat(schema.type).some((type) => TYPE_CHECKS[type](value));
+
+// Allowed values spelled out in enum errors
+const MAX_LISTED_VALUES = 10;
+
+const describeValue = (value) =>
+  typeof value === "string" ? `"${value}"` : JSON.stringify(value);
+
+/**
+ * Validate a value against a schema
+ * @param {Object} schema - JSON Schema
+ * @param {*} value - Value to check
+ * @param {Object} options
+ * @param {Object} options.root - Document `$ref`s resolve against
+ *   (defaults to the schema itself)
+ * @param {string} options.path - Location of the value, prefixed to error paths
+ * @returns {Array<{path: string, message: string}>} Errors, empty when valid
+ */
+export function validateSchema(
+  schema,
+  value,
+  { root = schema, path = "" } = {}
+) {
+  const errors = [];
+  const fail = (message, at = path) => errors.push({ path: at, message });
+  const check = (subschema, subvalue, subpath) =>
+    errors.push(
+      ...validateSchema(subschema, subvalue, { root, path: subpath })
+    );
+
+  const resolved = dereference(schema, root);
+  if (!resolved || resolved === true) return errors;
+
+  if (resolved.anyOf) {
+    const branches = resolved.anyOf.map((branch) =>
+      validateSchema(branch, value, { root, path })
+    );
+    if (!branches.some((branchErrors) => branchErrors.length === 0)) {
+      // Report the branch that got furthest, preferring those of the
+      // value's type
+      const ofType = branches.filter((_, i) =>
+        matchesType(dereference(resolved.anyOf[i], root), value)
+      );
+      const closest = (ofType.length > 0 ? ofType : branches).reduce(
+        (best, branchErrors) =>
+          branchErrors.length < best.length ? branchErrors : best
+      );
+      errors.push(...closest);
+    }
+  }
+
+  if (!matchesType(resolved, value)) {
+    fail(`must be ${[].concat(resolved.type).join(" or ")}`);
+    return errors;
+  }
+
+  if (resolved.const !== undefined && value !== resolved.const) {
+    fail(`must be ${describeValue(resolved.const)}`);
+  }
+  if (resolved.enum && !resolved.enum.includes(value)) {
+    // Long lists (e.g. every column) are left to the document
+    fail(
+      resolved.enum.length <= MAX_LISTED_VALUES
+        ? `must be one of: ${resolved.enum.map(describeValue).join(", ")}`
+        : `must be one of the documented values, got ${describeValue(value)}`
+    );
+  }
+
+  if (typeof value === "number") {
+    if (resolved.minimum !== undefined && value < resolved.minimum) {
+      fail(`must be >= ${resolved.minimum}`);
+    }
+    if (resolved.maximum !== undefined && value > resolved.maximum) {
+      fail(`must be <= ${resolved.maximum}`);
+    }
+    if (
+      resolved.exclusiveMinimum !== undefined &&
+      value <= resolved.exclusiveMinimum
+    ) {
+      fail(`must be > ${resolved.exclusiveMinimum}`);
+    }
+  }
+
+  if (typeof value === "string") {
+    // Lengths count code points, as in JSON Schema
+    const length = [...value].length;
+    if (resolved.minLength !== undefined && length < resolved.minLength) {
+      fail(`must be at least ${resolved.minLength} characters`);
+    }
+    if (resolved.maxLength !== undefined && length > resolved.maxLength) {
+      fail(`must be at most ${resolved.maxLength} characters`);
+    }
+    if (resolved.pattern && !compilePattern(resolved.pattern).test(value)) {
+      fail(`must match pattern ${resolved.pattern}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (resolved.minItems !== undefined && value.length < resolved.minItems) {
+      fail(`must have at least ${resolved.minItems} items`);
+    }
+    if (resolved.maxItems !== undefined && value.length > resolved.maxItems) {
+      fail(`must have at most ${resolved.maxItems} items`);
+    }
+    if (resolved.items) {
+      value.forEach((item, i) => check(resolved.items, item, `${path}[${i}]`));
+    }
+  }
+
+  if (isPlainObject(value)) {
+    const properties = resolved.properties || {};
+    (resolved.required || []).forEach((name) => {
+      if (value[name] === undefined) {
+        fail(`must have property ${name}`);
+      }
+    });
+
+    Object.entries(value).forEach(([name, propertyValue]) => {
+      const propertyPath = path ? `${path}.${name}` : name;
+      if (resolved.propertyNames) {
+        validateSchema(resolved.propertyNames, name, { root }).forEach(
+          ({ message }) => fail(`property name ${message}`, propertyPath)
+        );
+      }
+
+      if (Object.prototype.hasOwnProperty.call(properties, name)) {
+        check(properties[name], propertyValue, propertyPath);
+      } else if (resolved.additionalProperties === false) {
+        fail("is not allowed", propertyPath);
+      } else if (isPlainObject(resolved.additionalProperties)) {
+        check(resolved.additionalProperties, propertyValue, propertyPath);
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Coerce a raw query string value to the type its schema declares
+ * Numbers and booleans are converted when they parse cleanly (anything else
+ * is left for validation to reject), arrays accept repeated and
+ * comma-separated values, and objects (deepObject style, `min[col]=1`)
+ * have each property coerced. Values are never made valid by coercion.
+ * @param {Object} schema - Parameter schema
+ * @param {*} value - Value from Express `req.query` or `req.params`
+ * @param {Object} root - Document `$ref`s resolve against
+ * @returns {*} Coerced value
+ */
+export function coerceQueryValue(schema, value, root = schema) {
+  const resolved = dereference(schema, root);
+  if (value === undefined || !resolved) return value;
+
+  const type = [].concat(resolved.type ?? [])[0];
+
+  if (type === "array") {
+    return (Array.isArray(value) ? value : [value])
+      .flatMap((item) => (typeof item === "string" ? item.split(",") : [item]))
+      .map((item) => (typeof item === "string" ? item.trim() : item))
+      .filter((item) => item !== "")
+      .map((item) => coerceQueryValue(resolved.items, item, root));
+  }
+
+  if (type === "object" && isPlainObject(value)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([name, propertyValue]) => [
+        name,
+        coerceQueryValue(
+          resolved.properties?.[name] ?? resolved.additionalProperties,
+          propertyValue,
+          root
+        ),
+      ])
+    );
+  }
+
+  if (
+    (type === "integer" || type === "number") &&
+    typeof value === "string" &&
+    value.trim() !== "" &&
+    Number.isFinite(Number(value))
+  ) {
+    return Number(value);
+  }
+
+  if (type === "boolean" && (value === "true" || value === "false")) {
+    return value === "true";
+  }
+
+  return value;
+}
@@ -0,0 +1,533 @@
+/**
+ * Catalog search
+ * Prebuilt index over planet and host star names and their aliases for
+ * GET /api/search. Names are normalized (case, spacing, punctuation,
+ * diacritics and catalog prefix spellings), so "HD209458", "hd 209458" and
+ * "HD-209458" are the same key. Lookups combine a sorted key list (prefix
+ * matches) with a trigram index (substring and typo-tolerant matches), and
+ * every result carries the character ranges of the matched name.
+ */
+import { QueryValidationError } from "./adql.js";
+
+// Star identifiers used as aliases for hosts and, with the planet letter, planets
+export const IDENTIFIERS_QUERY =
+  "SELECT pl_name, hostname, pl_letter, hd_name, hip_name, tic_id, gaia_id FROM pscomppars";
+
+const IDENTIFIER_COLUMNS = ["hd_name", "hip_name", "tic_id", "gaia_id"];
+
+// Catalog prefixes written in more than one way, mapped to one spelling
+const PREFIX_SYNONYMS = {
+  gliese: "gj",
+  gl: "gj",
+  hipparcos: "hip",
+  tycho: "tyc",
+};
+
+export const MAX_QUERY_LENGTH = 100;
+export const MAX_SEARCH_LIMIT = 50;
+export const DEFAULT_SEARCH_LIMIT = 10;
+export const RESULT_TYPES = ["planet", "system"];
+
+// Alias matches rank just below equally good matches on the primary name
+const ALIAS_WEIGHT = 0.97;
+
+const isWordChar = (char) => /[\p{L}\p{N}]/u.test(char);
+const isDigit = (char) => /\p{N}/u.test(char);
+
+const foldChar = (char) =>
+  char.normalize("NFKD").replace(/\p{M}/gu, "").toLowerCase();
+
+/**
+ * Normalize a name into a search key
+ * Keeps letters and digits only (lowercased, without diacritics) and maps
+ * catalog prefix spellings (e.g. "Gliese", "Gl") to one form. Each key
+ * character remembers the span of the original text it came from, so
+ * matches can be highlighted in the original name.
+ * @param {string} text - Name or query
+ * @returns {{key: string, spans: Array<number>}} Key, and the original
+ *   start/end offsets of each key character as flat pairs
+ */
+export function normalizeName(text) {
+  const source = String(text);
+  const chars = [];
+  const spans = [];
+  // Tokens are runs of letters or runs of digits ("HD209458b" -> hd, 209458, b)
+  let tokenStart = -1;
+  let tokenDigits = false;
+
+  const closeToken = () => {
+    if (tokenStart < 0 || tokenDigits) return;
+    const synonym = PREFIX_SYNONYMS[chars.slice(tokenStart).join("")];
+    if (synonym) {
+      const start = spans[2 * tokenStart];
+      const end = spans.at(-1);
+      chars.splice(tokenStart, Infinity, ...synonym);
+      spans.splice(
+        2 * tokenStart,
+        Infinity,
+        ...[...synonym].flatMap(() => [start, end])
+      );
+    }
+  };
+
+  const push = (char, digit, start, end) => {
+    if (tokenStart < 0 || digit !== tokenDigits) {
+      closeToken();
+      tokenStart = chars.length;
+      tokenDigits = digit;
+    }
+    chars.push(char);
+    spans.push(start, end);
+  };
+
+  for (let i = 0; i < source.length; ) {
+    const code = source.codePointAt(i);
+    const start = i;
+    i += code > 0xffff ? 2 : 1;
+
+    // Fast path for ASCII, which nearly every catalog name is
+    if (code < 0x80) {
+      const lower = code >= 65 && code <= 90 ? code + 32 : code;
+      const digit = lower >= 48 && lower <= 57;
+      if (digit || (lower >= 97 && lower <= 122)) {
+        push(String.fromCharCode(lower), digit, start, i);
+      } else {
+        closeToken();
+        tokenStart = -1;
+      }
+      continue;
+    }
+
+    for (const char of foldChar(String.fromCodePoint(code))) {
+      if (isWordChar(char)) {
+        push(char, isDigit(char), start, i);
+      } else {
+        closeToken();
+        tokenStart = -1;
+      }
+    }
+  }
+  closeToken();
+
+  return { key: chars.join(""), spans };
+}
+
+const trigramsOf = (key) => {
+  const grams = new Set();
+  for (let i = 0; i + 3 <= key.length; i++) {
+    grams.add(key.slice(i, i + 3));
+  }
+  return [...grams];
+};
+
+/**
+ * Typos tolerated for a normalized query of this length
+ */
+const maxEditsFor = (length) => {
+  if (length < 4) return 0;
+  if (length < 8) return 1;
+  return 2;
+};
+
+/**
+ * Smallest edit distance (with transpositions) between `query` and any
+ * prefix of `key`, so partially typed names still match
+ * @returns {{distance: number, end: number}} Distance and the matched prefix length
+ */
+export function prefixEditDistance(query, key) {
+  // Prefixes much longer than the query cannot be within the edit budget
+  const columns = Math.min(
+    key.length,
+    query.length + maxEditsFor(query.length)
+  );
+  let previous = null;
+  let row = Array.from({ length: columns + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= query.length; i++) {
+    const next = [i];
+    for (let j = 1; j <= columns; j++) {
+      const cost = query[i - 1] === key[j - 1] ? 0 : 1;
+      next[j] = Math.min(next[j - 1] + 1, row[j] + 1, row[j - 1] + cost);
+      if (
+        previous &&
+        i > 1 &&
+        j > 1 &&
+        query[i - 1] === key[j - 2] &&
+        query[i - 2] === key[j - 1]
+      ) {
+        next[j] = Math.min(next[j], previous[j - 2] + 1);
+      }
+    }
+    previous = row;
+    row = next;
+    // Distances never decrease down the table; stop once all are too large
+    if (Math.min(...row) > maxEditsFor(query.length)) {
+      return { distance: Infinity, end: 0 };
+    }
+  }
+
+  // Prefer the prefix closest to the query length among equal distances
+  let best = { distance: Infinity, end: 0 };
+  row.forEach((distance, end) => {
+    if (
+      distance < best.distance ||
+      (distance === best.distance &&
+        Math.abs(end - query.length) < Math.abs(best.end - query.length))
+    ) {
+      best = { distance, end };
+    }
+  });
+  return best;
+}
+
+/**
+ * Score how well a normalized query matches a key
+ * exact > prefix > substring > typo-tolerant prefix
+ * @returns {{score: number, from: number, to: number}|null} Score and matched key range
+ */
+function scoreKey(query, key, maxEdits) {
+  const coverage = query.length / key.length;
+
+  if (key === query) {
+    return { score: 1, from: 0, to: key.length };
+  }
+  if (key.startsWith(query)) {
+    return { score: 0.9 + 0.05 * coverage, from: 0, to: query.length };
+  }
+  const at = key.indexOf(query);
+  if (at > 0) {
+    return { score: 0.75 + 0.05 * coverage, from: at, to: at + query.length };
+  }
+  if (maxEdits > 0) {
+    const { distance, end } = prefixEditDistance(query, key);
+    if (distance <= maxEdits && end > 0) {
+      return {
+        score: 0.6 - 0.1 * distance + 0.05 * Math.min(1, end / key.length),
+        from: 0,
+        to: end,
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Merge the original-text spans of matched key characters into ranges
+ */
+function highlightRanges(spans, from, to) {
+  const ranges = [];
+  for (let i = from; i < to; i++) {
+    const start = spans[2 * i];
+    const end = spans[2 * i + 1];
+    const last = ranges.at(-1);
+    if (last && start <= last[1]) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      ranges.push([start, end]);
+    }
+  }
+  return ranges;
+}
+
+export class SearchIndex {
+  constructor() {
+    this.documents = new Map(); // id -> {id, type, name, hostname, planetCount}
+    this.entries = []; // {id, key, spans (flat start/end pairs), text, field}
+    this.entryKeys = new Set(); // `${id}\u0000${key}` to skip duplicate names
+    this.trigrams = new Map(); // trigram -> entry indices
+    this.sorted = []; // entry indices sorted by key
+    this.dirty = false;
+  }
+
+  /**
+   * Add a planet or system document and index its name
+   * @param {Object} document - {id, type, name, hostname, planetCount}
+   */
+  addDocument(document) {
+    if (!this.documents.has(document.id)) {
+      this.documents.set(document.id, document);
+    }
+    this.addName(document.id, document.name, "name");
+  }
+
+  /**
+   * Index another name for a document
+   * @param {string} id - Document id
+   * @param {string} text - Name as displayed
+   * @param {"name"|"alias"} field - Which kind of name it is
+   * @returns {boolean} Whether a new key was added
+   */
+  addName(id, text, field = "alias") {
+    if (!this.documents.has(id) || !text) return false;
+
+    const { key, spans } = normalizeName(text);
+    const entryKey = `${id}\u0000${key}`;
+    if (!key || this.entryKeys.has(entryKey)) return false;
+
+    const index = this.entries.length;
+    this.entries.push({ id, key, spans, text: String(text), field });
+    this.entryKeys.add(entryKey);
+    trigramsOf(key).forEach((gram) => {
+      if (!this.trigrams.has(gram)) this.trigrams.set(gram, []);
+      this.trigrams.get(gram).push(index);
+    });
+    this.dirty = true;
+    return true;
+  }
+
+  /**
+   * Number of indexed names (primary names and aliases)
+   */
+  get size() {
+    return this.entries.length;
+  }
+
+  sortEntries() {
+    if (!this.dirty) return;
+    this.sorted = this.entries.map((_, i) => i);
+    this.sorted.sort((a, b) =>
+      this.entries[a].key < this.entries[b].key ? -1 : 1
+    );
+    this.dirty = false;
+  }
+
+  /**
+   * Entries whose key starts with `query` (binary search in the sorted keys)
+   */
+  prefixCandidates(query) {
+    this.sortEntries();
+    let low = 0;
+    let high = this.sorted.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (this.entries[this.sorted[mid]].key < query) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+
+    const candidates = [];
+    for (let i = low; i < this.sorted.length; i++) {
+      if (!this.entries[this.sorted[i]].key.startsWith(query)) break;
+      candidates.push(this.sorted[i]);
+    }
+    return candidates;
+  }
+
+  /**
+   * Entries sharing enough trigrams with `query` to be within `maxEdits`
+   * Each edit changes at most three trigrams; when that bound says nothing
+   * (short queries) every entry is a candidate
+   */
+  trigramCandidates(query, maxEdits) {
+    const grams = trigramsOf(query);
+    const required = grams.length - 3 * maxEdits;
+    if (required < 1) {
+      return this.entries.map((_, i) => i);
+    }
+
+    const counts = new Uint8Array(this.entries.length);
+    const candidates = [];
+    grams.forEach((gram) => {
+      (this.trigrams.get(gram) || []).forEach((index) => {
+        if (++counts[index] === required) {
+          candidates.push(index);
+        }
+      });
+    });
+    return candidates;
+  }
+
+  /**
+   * Search planets and systems
+   * @param {string} query - Raw query
+   * @param {Object} options
+   * @param {number} options.limit - Maximum results
+   * @param {string|null} options.type - "planet" or "system" to restrict results
+   * @returns {Array<Object>} Ranked results
+   *   {type, name, hostname, planetCount?, score, match: {field, text, ranges}}
+   */
+  search(query, { limit = DEFAULT_SEARCH_LIMIT, type = null } = {}) {
+    const { key: normalized } = normalizeName(query);
+    if (!normalized) return [];
+
+    const maxEdits = maxEditsFor(normalized.length);
+
+    // Best match per document
+    const best = new Map();
+    const scoreCandidates = (candidates) => {
+      candidates.forEach((index) => {
+        const entry = this.entries[index];
+        const document = this.documents.get(entry.id);
+        if (type && document.type !== type) return;
+
+        const match = scoreKey(normalized, entry.key, maxEdits);
+        if (!match) return;
+
+        const score =
+          match.score * (entry.field === "alias" ? ALIAS_WEIGHT : 1);
+        const current = best.get(entry.id);
+        if (!current || score > current.score) {
+          best.set(entry.id, { entry, score, from: match.from, to: match.to });
+        }
+      });
+    };
+
+    // Prefix matches outrank every substring or typo match, so those are
+    // only looked for when there are not enough prefix matches
+    scoreCandidates(this.prefixCandidates(normalized));
+    if (best.size < limit && normalized.length >= 3) {
+      scoreCandidates(this.trigramCandidates(normalized, maxEdits));
+    }
+
+    return [...best.values()]
+      .sort(
+        (a, b) =>
+          b.score - a.score ||
+          a.entry.text.length - b.entry.text.length ||
+          a.entry.text.localeCompare(b.entry.text)
+      )
+      .slice(0, limit)
+      .map(({ entry, score, from, to }) => {
+        const { id: _id, ...document } = this.documents.get(entry.id);
+        return {
+          ...document,
+          score: Math.round(score * 1000) / 1000,
+          match: {
+            field: entry.field,
+            text: entry.text,
+            ranges: highlightRanges(entry.spans, from, to),
+          },
+        };
+      });
+  }
+}
+
+export const planetDocumentId = (name) => `planet:${name}`;
+export const systemDocumentId = (hostname) => `system:${hostname}`;
+
+/**
+ * Build the search index from catalog rows and star identifier rows
+ * @param {Array<Object>} catalogRows - Default-flag catalog rows
+ * @param {Array<Object>} identifierRows - Rows from IDENTIFIERS_QUERY
+ * @param {Map<string, Array<string>>} extraAliases - More aliases by document id
+ *   (e.g. resolved through the alias lookup service)
+ * @returns {SearchIndex} Index
+ */
+export function buildSearchIndex(
+  catalogRows,
+  identifierRows = [],
+  extraAliases = new Map()
+) {
+  const index = new SearchIndex();
+
+  const planetCounts = new Map();
+  catalogRows.forEach((row) => {
+    if (row.hostname) {
+      planetCounts.set(row.hostname, (planetCounts.get(row.hostname) || 0) + 1);
+    }
+  });
+
+  planetCounts.forEach((planetCount, hostname) => {
+    index.addDocument({
+      id: systemDocumentId(hostname),
+      type: "system",
+      name: hostname,
+      hostname,
+      planetCount,
+    });
+  });
+  catalogRows.forEach((row) => {
+    if (!row.pl_name) return;
+    index.addDocument({
+      id: planetDocumentId(row.pl_name),
+      type: "planet",
+      name: row.pl_name,
+      hostname: row.hostname || null,
+    });
+  });
+
+  identifierRows.forEach((row) => {
+    IDENTIFIER_COLUMNS.forEach((column) => {
+      const identifier = row[column];
+      if (!identifier) return;
+      index.addName(systemDocumentId(row.hostname), identifier);
+      if (row.pl_name && row.pl_letter) {
+        index.addName(
+          planetDocumentId(row.pl_name),
+          `${identifier} ${row.pl_letter}`
+        );
+      }
+    });
+  });
+
+  extraAliases.forEach((aliases, id) => {
+    aliases.forEach((alias) => index.addName(id, alias));
+  });
+
+  return index;
+}
+
+/**
+ * Extract aliases from an alias lookup service document
+ * @param {Object} document - Response of the alias lookup service
+ * @returns {Map<string, Array<string>>} Aliases by search document id
+ */
+export function parseAliasLookup(document) {
+  const aliases = new Map();
+  const objects = document?.system?.objects || {};
+
+  const collect = (set, toId) => {
+    Object.entries(set || {}).forEach(([name, object]) => {
+      const names = object?.alias_set?.aliases;
+      if (Array.isArray(names) && names.length > 0) {
+        aliases.set(
+          toId(name),
+          names.filter((alias) => typeof alias === "string" && alias !== name)
+        );
+      }
+    });
+  };
+
+  collect(objects.stellar_set?.stars, systemDocumentId);
+  collect(objects.planet_set?.planets, planetDocumentId);
+  return aliases;
+}
+
+/**
+ * Parse and validate /api/search query parameters
+ * @param {Object} query - Express `req.query`
+ * @returns {{q: string, limit: number, type: string|null}}
+ * @throws {QueryValidationError} On missing or invalid parameters
+ */
+export function parseSearchParams(query) {
+  const q = typeof query.q === "string" ? query.q.trim() : "";
+  if (!q) {
+    throw new QueryValidationError("q is required");
+  }
+  if (q.length > MAX_QUERY_LENGTH) {
+    throw new QueryValidationError(
+      `q must be at most ${MAX_QUERY_LENGTH} characters`
+    );
+  }
+
+  let limit = DEFAULT_SEARCH_LIMIT;
+  if (query.limit !== undefined) {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SEARCH_LIMIT) {
+      throw new QueryValidationError(
+        `limit must be an integer between 1 and ${MAX_SEARCH_LIMIT}`
+      );
+    }
+  }
+
+  const type = query.type ?? null;
+  if (type !== null && !RESULT_TYPES.includes(type)) {
+    throw new QueryValidationError(
+      `type must be one of ${RESULT_TYPES.join(", ")}`
+    );
+  }
+
+  return { q, limit, type };
+}
@@ -0,0 +1,198 @@
+/**
+ * Short share links
+ * A shared view (mode, selected planet or system, camera position) is stored
+ * under a short random id, so links stay short enough for chat apps. Links
+ * expire, count their views and are persisted so they survive restarts.
+ */
+import { randomBytes } from "node:crypto";
+import { mkdir, readFile, rename, writeFile } from "node:fs/promises";
+import path from "node:path";
+
+export const SHARE_MODES = ["galaxy", "system", "planet"];
+
+// Link lifetimes, in seconds
+export const DEFAULT_SHARE_TTL = 30 * 24 * 60 * 60;
+export const MIN_SHARE_TTL = 60;
+export const MAX_SHARE_TTL = 365 * 24 * 60 * 60;
+
+// Ids are 6 random bytes, base64url encoded
+const ID_BYTES = 6;
+export const SHARE_ID_PATTERN = "^[A-Za-z0-9_-]{8}$";
+
+/**
+ * Build the app URL restoring a shared view
+ * Uses the query parameters read by the frontend (`mode`, `planet`,
+ * `system`, `camera` as JSON)
+ * @param {string} appUrl - Frontend URL
+ * @param {Object} state - Shared view state
+ * @returns {string} URL to redirect to
+ */
+export function buildShareRedirect(appUrl, state) {
+  const url = new URL(appUrl);
+  ["mode", "planet", "system"].forEach((key) => {
+    if (state[key]) url.searchParams.set(key, state[key]);
+  });
+  if (state.camera && Object.keys(state.camera).length > 0) {
+    url.searchParams.set("camera", JSON.stringify(state.camera));
+  }
+  return url.toString();
+}
+
+export class ShareStore {
+  /**
+   * @param {Object} options
+   * @param {string|null} options.file - JSON file for the links (null = memory only)
+   * @param {number} options.maxShares - Links kept; the ones expiring first
+   *   are dropped beyond this
+   * @param {Object} options.logger - Receives warnings (`warn(msg, fields)`)
+   */
+  constructor({ file = null, maxShares = 10000, logger = console } = {}) {
+    this.file = file;
+    this.maxShares = maxShares;
+    this.logger = logger;
+    this.shares = new Map();
+    this.writing = Promise.resolve();
+    this.writeQueued = false;
+  }
+
+  /**
+   * Load the persisted links, dropping expired ones
+   * @returns {Promise<number>} Links restored
+   */
+  async load(now = Date.now()) {
+    if (!this.file) return 0;
+
+    try {
+      const saved = JSON.parse(await readFile(this.file, "utf8"));
+      (Array.isArray(saved.shares) ? saved.shares : []).forEach((share) => {
+        if (share && typeof share.id === "string" && share.expiresAt > now) {
+          this.shares.set(share.id, share);
+        }
+      });
+      return this.shares.size;
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        this.logger.warn("Could not read share links", {
+          error: error.message,
+        });
+      }
+      return 0;
+    }
+  }
+
+  get size() {
+    return this.shares.size;
+  }
+
+  /**
+   * Store a view state under a new id
+   * @param {Object} state - Validated view state
+   * @param {Object} options
+   * @param {number} options.ttl - Lifetime in seconds
+   * @param {number} options.now - Creation time (epoch ms)
+   * @returns {Object} Share {id, state, createdAt, expiresAt, views}
+   */
+  create(state, { ttl = DEFAULT_SHARE_TTL, now = Date.now() } = {}) {
+    this.prune(now);
+
+    let id;
+    do {
+      id = randomBytes(ID_BYTES).toString("base64url");
+    } while (this.shares.has(id));
+
+    const share = {
+      id,
+      state,
+      createdAt: now,
+      expiresAt: now + ttl * 1000,
+      views: 0,
+    };
+    this.shares.set(id, share);
+
+    if (this.shares.size > this.maxShares) {
+      const [first] = [...this.shares.values()].sort(
+        (a, b) => a.expiresAt - b.expiresAt
+      );
+      this.shares.delete(first.id);
+    }
+
+    this.persist();
+    return share;
+  }
+
+  /**
+   * Look up a link without counting a view
+   * @returns {Object|null} Share, or null when unknown or expired
+   */
+  get(id, now = Date.now()) {
+    const share = this.shares.get(id);
+    if (!share) return null;
+    if (share.expiresAt <= now) {
+      this.shares.delete(id);
+      this.persist();
+      return null;
+    }
+    return share;
+  }
+
+  /**
+   * Look up a link and count a view
+   * @returns {Object|null} Share, or null when unknown or expired
+   */
+  view(id, now = Date.now()) {
+    const share = this.get(id, now);
+    if (!share) return null;
+    share.views += 1;
+    share.lastViewedAt = now;
+    this.persist();
+    return share;
+  }
+
+  /**
+   * Drop expired links
+   * @returns {number} Links dropped
+   */
+  prune(now = Date.now()) {
+    let dropped = 0;
+    this.shares.forEach((share, id) => {
+      if (share.expiresAt <= now) {
+        this.shares.delete(id);
+        dropped++;
+      }
+    });
+    if (dropped > 0) this.persist();
+    return dropped;
+  }
+
+  /**
+   * Write the links atomically (temp file + rename), one write at a time
+   * Writes requested while one is waiting are coalesced into it (each view
+   * requests one), and the data is serialized when the write starts
+   */
+  persist() {
+    if (!this.file || this.writeQueued) return;
+
+    this.writeQueued = true;
+    const temp = `${this.file}.${process.pid}.tmp`;
+    this.writing = this.writing
+      .then(async () => {
+        this.writeQueued = false;
+        const data = JSON.stringify({ shares: [...this.shares.values()] });
+        await mkdir(path.dirname(this.file), { recursive: true });
+        await writeFile(temp, data, "utf8");
+        await rename(temp, this.file);
+      })
+      .catch((error) => {
+        this.logger.warn("Share link persistence failed", {
+          error: error.message,
+        });
+      });
+  }
+
+  /**
+   * Wait for pending writes
+   */
+  flush() {
+    return this.writing;
+  }
+}
@@ -0,0 +1,40 @@
+/**
+ * Single-flight request coalescing
+ * Concurrent callers asking for the same key share one in-flight promise,
+ * so a burst of cache misses triggers a single upstream query.
+ */
+export class SingleFlight {
+  constructor() {
+    this.inflight = new Map();
+    this.coalesced = 0;
+  }
+
+  /**
+   * Run `fn` for `key`, or join the call already running for it
+   * The key is released when the call settles, so failures are not cached
+   * @param {string} key - Coalescing key (e.g. the cache key)
+   * @param {Function} fn - Async function to run
+   * @returns {Promise<*>} Shared result
+   */
+  run(key, fn) {
+    if (this.inflight.has(key)) {
+      this.coalesced++;
+      return this.inflight.get(key);
+    }
+
+    const promise = Promise.resolve()
+      .then(fn)
+      .finally(() => {
+        this.inflight.delete(key);
+      });
+    this.inflight.set(key, promise);
+    return promise;
+  }
+
+  /**
+   * Number of calls currently running
+   */
+  get size() {
+    return this.inflight.size;
+  }
+}
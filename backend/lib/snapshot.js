@@ -0,0 +1,242 @@
+/**
+ * Catalog snapshots
+ * Versioned local copies of the /api/exoplanets catalog, used to serve the
+ * API without network access (demos, CI) or when the archive is down.
+ *
+ * Two on-disk formats are supported, chosen by file extension:
+ * - `.json`: `{ version, createdAt, source, count, rows }`
+ * - `.csv`:  `# key: value` metadata comment lines, a header row, then rows
+ */
+import { readFile, writeFile, mkdir, rename } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+export const SNAPSHOT_FORMAT_VERSION = 1;
+
+// Default location, relative to the backend directory rather than the cwd
+export const DEFAULT_SNAPSHOT_PATH = fileURLToPath(
+  new URL("../data/exoplanets-snapshot.json", import.meta.url)
+);
+
+/**
+ * Error thrown when a snapshot cannot be read or has an unsupported format
+ */
+export class SnapshotError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "SnapshotError";
+  }
+}
+
+const isCsvPath = (filePath) => path.extname(filePath).toLowerCase() === ".csv";
+
+/**
+ * Build a snapshot document from catalog rows
+ * @param {Array<Object>} rows - Catalog rows as returned by the archive
+ * @param {Object} meta - Extra metadata (e.g. `source`, `query`)
+ * @returns {Object} Snapshot document
+ */
+export function createSnapshot(rows, meta = {}) {
+  return {
+    version: SNAPSHOT_FORMAT_VERSION,
+    createdAt: new Date().toISOString(),
+    ...meta,
+    count: rows.length,
+    rows,
+  };
+}
+
+/**
+ * Split one CSV record into fields (RFC 4180 quoting)
+ * @param {string} text - Whole CSV text
+ * @param {number} start - Index where the record starts
+ * @returns {{fields: string[], quoted: boolean[], next: number}}
+ */
+function readCsvRecord(text, start) {
+  const fields = [];
+  const quoted = [];
+  let field = "";
+  let isQuoted = false;
+  let inQuotes = false;
+  let i = start;
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+      isQuoted = true;
+    } else if (char === ",") {
+      fields.push(field);
+      quoted.push(isQuoted);
+      field = "";
+      isQuoted = false;
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      i++;
+      break;
+    } else {
+      field += char;
+    }
+  }
+
+  fields.push(field);
+  quoted.push(isQuoted);
+  return { fields, quoted, next: i };
+}
+
+/**
+ * Convert a CSV cell to a JSON value
+ * Empty unquoted cells become null and numeric cells become numbers
+ */
+function toValue(raw, wasQuoted) {
+  if (wasQuoted) return raw;
+  if (raw === "") return null;
+  const number = Number(raw);
+  return Number.isFinite(number) ? number : raw;
+}
+
+/**
+ * Parse CSV snapshot text
+ * @param {string} text - CSV text with optional `# key: value` metadata lines
+ * @returns {Object} Snapshot document
+ */
+export function parseCsvSnapshot(text) {
+  const meta = {};
+  let position = 0;
+
+  // Leading comment lines carry the snapshot metadata
+  while (text.startsWith("#", position)) {
+    const end = text.indexOf("\n", position);
+    const line = text
+      .slice(position + 1, end === -1 ? text.length : end)
+      .trim();
+    const separator = line.indexOf(":");
+    if (separator > 0) {
+      meta[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+    }
+    position = end === -1 ? text.length : end + 1;
+  }
+
+  const header = readCsvRecord(text, position);
+  const columns = header.fields.map((c) => c.trim());
+  position = header.next;
+
+  const rows = [];
+  while (position < text.length) {
+    const record = readCsvRecord(text, position);
+    position = record.next;
+    if (record.fields.length === 1 && record.fields[0] === "") continue;
+
+    const row = {};
+    columns.forEach((column, index) => {
+      row[column] = toValue(record.fields[index] ?? "", record.quoted[index]);
+    });
+    rows.push(row);
+  }
+
+  return {
+    ...meta,
+    version: meta.version ? Number(meta.version) : undefined,
+    count: rows.length,
+    rows,
+  };
+}
+
+/**
+ * Serialize a snapshot document as CSV
+ * @param {Object} snapshot - Snapshot document
+ * @returns {string} CSV text
+ */
+export function formatCsvSnapshot(snapshot) {
+  const { rows, count: _count, ...meta } = snapshot;
+  const columns = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+
+  const formatCell = (value) => {
+    if (value === null || value === undefined) return "";
+    if (typeof value === "number") return String(value);
+    return `"${String(value).replace(/"/g, '""')}"`;
+  };
+
+  const lines = [
+    ...Object.entries(meta).map(([key, value]) => `# ${key}: ${value}`),
+    columns.join(","),
+    ...rows.map((row) => columns.map((c) => formatCell(row[c])).join(",")),
+  ];
+
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Load a snapshot from disk
+ * @param {string} filePath - Path to a `.json` or `.csv` snapshot
+ * @returns {Promise<Object>} Snapshot document
+ * @throws {SnapshotError} When the file is missing, unreadable or unsupported
+ */
+export async function loadSnapshot(filePath) {
+  let text;
+  try {
+    text = await readFile(filePath, "utf8");
+  } catch (error) {
+    throw new SnapshotError(
+      `Cannot read snapshot ${filePath}: ${error.message}`
+    );
+  }
+
+  let snapshot;
+  try {
+    snapshot = isCsvPath(filePath) ? parseCsvSnapshot(text) : JSON.parse(text);
+  } catch (error) {
+    throw new SnapshotError(
+      `Cannot parse snapshot ${filePath}: ${error.message}`
+    );
+  }
+
+  if (snapshot.version !== SNAPSHOT_FORMAT_VERSION) {
+    throw new SnapshotError(
+      `Unsupported snapshot version ${snapshot.version} (expected ${SNAPSHOT_FORMAT_VERSION})`
+    );
+  }
+  if (!Array.isArray(snapshot.rows)) {
+    throw new SnapshotError(`Snapshot ${filePath} has no rows`);
+  }
+
+  return snapshot;
+}
+
+/**
+ * Write a snapshot to disk, creating the directory if needed
+ * The file is written next to its destination first and then renamed,
+ * so a running server never reads a half-written snapshot.
+ * @param {string} filePath - Destination `.json` or `.csv` path
+ * @param {Object} snapshot - Snapshot document
+ */
+export async function writeSnapshot(filePath, snapshot) {
+  const contents = isCsvPath(filePath)
+    ? formatCsvSnapshot(snapshot)
+    : JSON.stringify(snapshot);
+  const tempPath = `${filePath}.tmp`;
+
+  await mkdir(path.dirname(filePath), { recursive: true });
+  await writeFile(tempPath, contents, "utf8");
+  await rename(tempPath, filePath);
+}
+
+/**
+ * Find a planet row by name in a snapshot
+ * @param {Object} snapshot - Snapshot document
+ * @param {string} name - Planet name (`pl_name`)
+ * @returns {Object|null} Matching row
+ */
+export function findSnapshotPlanet(snapshot, name) {
+  return snapshot.rows.find((row) => row.pl_name === name) || null;
+}
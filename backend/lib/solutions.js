@@ -0,0 +1,121 @@
+/**
+ * Planet parameter sets
+ * The `ps` table holds one row per published solution for a planet; only one
+ * of them has `default_flag = 1`. These helpers fetch and shape all of them so
+ * clients can compare how estimates differ between references.
+ */
+
+/**
+ * Measured quantities returned for every solution, each with its
+ * `err1` (upper) and `err2` (lower) uncertainty columns
+ */
+export const SOLUTION_VALUE_COLUMNS = [
+  "pl_rade",
+  "pl_radj",
+  "pl_bmasse",
+  "pl_massj",
+  "pl_dens",
+  "pl_orbper",
+  "pl_orbsmax",
+  "pl_orbeccen",
+  "pl_orbincl",
+  "pl_orblper",
+  "pl_eqt",
+  "pl_insol",
+  "st_teff",
+  "st_rad",
+  "st_mass",
+  "st_lum",
+  "st_age",
+];
+
+const SOLUTION_META_COLUMNS = [
+  "pl_name",
+  "hostname",
+  "default_flag",
+  "soltype",
+  "pl_refname",
+  "pl_pubdate",
+  "releasedate",
+  "pl_bmassprov",
+  "st_spectype",
+];
+
+/**
+ * Build the ADQL query returning every parameter set of a planet
+ * @param {string} planetName - Validated planet name
+ * @returns {string} Single-line ADQL query
+ */
+export function buildSolutionsQuery(planetName) {
+  const columns = [
+    ...SOLUTION_META_COLUMNS,
+    ...SOLUTION_VALUE_COLUMNS.flatMap((column) => [
+      column,
+      `${column}err1`,
+      `${column}err2`,
+    ]),
+  ];
+  const sanitizedName = planetName.replace(/'/g, "''");
+
+  return `SELECT ${columns.join(", ")} FROM ps WHERE pl_name = '${sanitizedName}'`;
+}
+
+/**
+ * Extract the citation text and link from an archive `pl_refname`
+ * The archive returns references as HTML anchors, e.g.
+ * `<a refstr=... href=https://ui.adsabs.harvard.edu/abs/... target=ref>Jenkins et al. 2015</a>`
+ * @param {string|null} refname - Raw `pl_refname` value
+ * @returns {{label: string, url: string|null}|null} Parsed reference
+ */
+export function parseReference(refname) {
+  if (typeof refname !== "string" || refname.trim() === "") {
+    return null;
+  }
+
+  const href = refname.match(/href=["']?([^"'\s>]+)/i);
+  const label = refname
+    .replace(/<[^>]*>/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+
+  return {
+    label: label || refname.trim(),
+    url: href && /^https?:\/\//.test(href[1]) ? href[1] : null,
+  };
+}
+
+/**
+ * Order solutions: the default parameter set first, then newest publication
+ */
+function compareSolutions(a, b) {
+  if (a.default_flag !== b.default_flag) {
+    return a.default_flag === 1 ? -1 : 1;
+  }
+  const aDate = a.pl_pubdate || "";
+  const bDate = b.pl_pubdate || "";
+  return bDate.localeCompare(aDate);
+}
+
+/**
+ * Shape archive rows into the /solutions response
+ * Rows keep their archive column names (so clients can process them like
+ * catalog rows) plus a parsed `reference`. `valueColumns` lists the measured
+ * columns each solution carries (SOLUTION_VALUE_COLUMNS), so clients know
+ * which values to take from the solution alone
+ * @param {string} planetName - Requested planet name
+ * @param {Array<Object>} rows - Parameter set rows for the planet
+ * @returns {{pl_name: string, count: number, valueColumns: Array<string>, solutions: Array<Object>}}
+ */
+export function formatSolutions(planetName, rows) {
+  const solutions = [...rows].sort(compareSolutions).map((row) => ({
+    ...row,
+    reference: parseReference(row.pl_refname),
+  }));
+
+  return {
+    pl_name: planetName,
+    count: solutions.length,
+    valueColumns: SOLUTION_VALUE_COLUMNS,
+    solutions,
+  };
+}
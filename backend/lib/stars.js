@@ -0,0 +1,163 @@
+/**
+ * Host star parameters
+ * The `stellarhosts` table holds one row per published stellar solution for
+ * every planet host. These helpers fetch all of them and merge them into a
+ * single parameter set, recording which reference each value came from.
+ */
+import { parseReference } from "./solutions.js";
+
+/**
+ * Measured quantities, each with its `err1` (upper) and `err2` (lower)
+ * uncertainty columns
+ */
+export const STAR_VALUE_COLUMNS = [
+  "st_teff",
+  "st_rad",
+  "st_mass",
+  "st_met",
+  "st_lum",
+  "st_logg",
+  "st_age",
+  "st_dens",
+  "st_vsin",
+  "st_rotp",
+  "st_radv",
+  "sy_dist",
+  "sy_plx",
+];
+
+/**
+ * Apparent magnitudes (also with uncertainties)
+ */
+export const STAR_MAGNITUDE_COLUMNS = [
+  "sy_bmag",
+  "sy_vmag",
+  "sy_jmag",
+  "sy_hmag",
+  "sy_kmag",
+  "sy_gaiamag",
+  "sy_tmag",
+  "sy_kepmag",
+];
+
+// Descriptive values merged like measurements, but without uncertainties
+const STAR_TEXT_COLUMNS = ["st_spectype", "st_metratio"];
+
+const IDENTIFIER_COLUMNS = [
+  "sy_name",
+  "hd_name",
+  "hip_name",
+  "tic_id",
+  "gaia_id",
+];
+
+const SYSTEM_COLUMNS = ["sy_snum", "sy_pnum", "sy_mnum", "ra", "dec"];
+
+const MEASURED_COLUMNS = [...STAR_VALUE_COLUMNS, ...STAR_MAGNITUDE_COLUMNS];
+
+const hasValue = (value) => value !== null && value !== undefined;
+
+/**
+ * Build the ADQL query returning every stellar solution of a host star
+ * @param {string} hostname - Validated host star name
+ * @returns {string} Single-line ADQL query
+ */
+export function buildStarQuery(hostname) {
+  const columns = [
+    "hostname",
+    "st_refname",
+    ...IDENTIFIER_COLUMNS,
+    ...SYSTEM_COLUMNS,
+    ...STAR_TEXT_COLUMNS,
+    ...MEASURED_COLUMNS.flatMap((column) => [
+      column,
+      `${column}err1`,
+      `${column}err2`,
+    ]),
+  ];
+  const sanitizedName = hostname.replace(/'/g, "''");
+
+  return `SELECT ${columns.join(", ")} FROM stellarhosts WHERE hostname = '${sanitizedName}'`;
+}
+
+/**
+ * Number of measured values a row carries, used to prefer complete solutions
+ */
+const completeness = (row) =>
+  MEASURED_COLUMNS.filter((column) => hasValue(row[column])).length;
+
+/**
+ * First value of a column across rows (already in preference order)
+ */
+function firstValue(rows, column) {
+  const row = rows.find((r) => hasValue(r[column]));
+  return row ? row[column] : null;
+}
+
+/**
+ * Merge stellar solutions into the /api/star response
+ * Each measurement is taken, together with its uncertainties, from the most
+ * complete solution that has it, so values and error bars never mix
+ * references. Also accepts plain catalog rows (snapshot fallback), which
+ * carry a subset of the columns and no reference.
+ * @param {string} hostname - Requested host star name
+ * @param {Array<Object>} rows - Stellar solution rows for the host
+ * @returns {Object|null} Star document, or null when there are no rows
+ */
+export function mergeStellarRows(hostname, rows) {
+  if (rows.length === 0) {
+    return null;
+  }
+
+  const ordered = [...rows].sort((a, b) => completeness(b) - completeness(a));
+  const star = {};
+  const sources = {};
+
+  [...MEASURED_COLUMNS, ...STAR_TEXT_COLUMNS].forEach((column) => {
+    const row = ordered.find((r) => hasValue(r[column]));
+    star[column] = row ? row[column] : null;
+
+    if (MEASURED_COLUMNS.includes(column)) {
+      star[`${column}err1`] = row ? (row[`${column}err1`] ?? null) : null;
+      star[`${column}err2`] = row ? (row[`${column}err2`] ?? null) : null;
+    }
+
+    const reference = row ? parseReference(row.st_refname) : null;
+    if (reference) {
+      sources[column] = reference.label;
+    }
+  });
+
+  const identifiers = {};
+  IDENTIFIER_COLUMNS.forEach((column) => {
+    identifiers[column] = firstValue(ordered, column);
+  });
+
+  const starCount = firstValue(ordered, "sy_snum") || 1;
+
+  // Unique references, most complete solution first
+  const references = [];
+  ordered.forEach((row) => {
+    const reference = parseReference(row.st_refname);
+    if (reference && !references.some((r) => r.label === reference.label)) {
+      references.push(reference);
+    }
+  });
+
+  return {
+    hostname,
+    identifiers,
+    star,
+    multiplicity: {
+      stars: starCount,
+      planets: firstValue(ordered, "sy_pnum"),
+      moons: firstValue(ordered, "sy_mnum"),
+      type:
+        starCount === 1 ? "single" : starCount === 2 ? "binary" : "multiple",
+    },
+    ra: firstValue(ordered, "ra"),
+    dec: firstValue(ordered, "dec"),
+    sources,
+    references,
+  };
+}
@@ -0,0 +1,420 @@
+/**
+ * Discovery statistics
+ * Aggregates the cached catalog into counts and histograms for /api/stats.
+ * Planet types and filter semantics mirror the frontend (ApiManager
+ * .processPlanetData, the schemes of its classification module and
+ * FilterManager.applyFilters) so the numbers match what the viewer shows.
+ */
+import { QueryValidationError } from "./adql.js";
+import { PARSEC_TO_LIGHT_YEARS } from "./systems.js";
+
+export const PLANET_TYPES = [
+  "terrestrial",
+  "super-earth",
+  "neptune",
+  "jupiter",
+];
+
+export const DETAILED_PLANET_TYPES = [
+  "terrestrial",
+  "super-earth",
+  "mini-neptune",
+  "sub-neptune",
+  "neptune",
+  "hot-jupiter",
+  "warm-jupiter",
+  "cold-jupiter",
+  "ultra-short-period",
+  "lava-world",
+  "ocean-world",
+];
+
+const SPECTRAL_CLASSES = ["O", "B", "A", "F", "G", "K", "M", "L", "T", "Y"];
+
+/**
+ * Histogram bin edges; the last bin is open-ended
+ * Edges follow the classification thresholds and roughly log spacing
+ */
+export const HISTOGRAMS = {
+  radius: {
+    column: "pl_rade",
+    unit: "R⊕",
+    edges: [0, 0.5, 1, 1.25, 2, 4, 6, 10, 15, 20],
+  },
+  mass: {
+    column: "pl_bmasse",
+    unit: "M⊕",
+    edges: [0, 1, 2, 5, 10, 20, 50, 100, 300, 1000, 3000],
+  },
+  period: {
+    column: "pl_orbper",
+    unit: "days",
+    edges: [0, 1, 3, 10, 30, 100, 365, 1000, 10000],
+  },
+  distance: {
+    column: "sy_dist",
+    unit: "ly",
+    scale: PARSEC_TO_LIGHT_YEARS,
+    edges: [0, 50, 100, 250, 500, 1000, 2000, 5000, 10000],
+  },
+};
+
+/**
+ * Catalog columns behind each planet property the frontend fills with an
+ * Earth or Sun default when they are all missing (ApiManager
+ * .processPlanetData estimates radius and mass from each other); keys match
+ * DEFAULTABLE_PROPERTIES in the frontend constants
+ */
+export const DEFAULTABLE_PROPERTIES = {
+  radius: ["pl_rade", "pl_bmasse"],
+  mass: ["pl_bmasse", "pl_rade"],
+  temperature: ["pl_eqt"],
+  distance: ["sy_dist"],
+  orbitalPeriod: ["pl_orbper"],
+  stellarTemp: ["st_teff"],
+  stellarRadius: ["st_rad"],
+  stellarMass: ["st_mass"],
+};
+
+/**
+ * Mass-radius relation segments (Chen & Kipping 2017), as in
+ * estimateRadiusFromMass of the frontend physics module:
+ * R = 10^(logConstant + slope * log10(M)) in Earth units
+ */
+const MASS_RADIUS_SEGMENTS = [
+  { maxMass: 2.04, slope: 0.279, logConstant: 0.00346 },
+  { maxMass: 131.6, slope: 0.589, logConstant: -0.0925 },
+  { maxMass: Infinity, slope: -0.044, logConstant: 1.2489 },
+];
+
+const clamp = (value, min, max) => Math.max(min, Math.min(value, max));
+
+/**
+ * Estimate a radius [R⊕] from a mass [M⊕]
+ * @returns {number|null} null without a positive mass
+ */
+export function estimateRadius(mass) {
+  if (!(mass > 0)) return null;
+  const { slope, logConstant } = MASS_RADIUS_SEGMENTS.find(
+    ({ maxMass }) => mass < maxMass
+  );
+  return Math.pow(10, logConstant + slope * Math.log10(mass));
+}
+
+/**
+ * Equilibrium temperature with the frontend default (288 K when missing)
+ */
+const planetTemperature = (row) => clamp(row.pl_eqt || 288, 0, 10000);
+
+/**
+ * Distance in light-years (0 when missing, like processPlanetData)
+ */
+const planetDistance = (row) =>
+  Math.max(0, row.sy_dist || 0) * PARSEC_TO_LIGHT_YEARS;
+
+/**
+ * Radius in Earth radii; a missing radius is estimated from the mass, then
+ * defaults to 1 R⊕
+ */
+const planetRadius = (row) =>
+  clamp(row.pl_rade || estimateRadius(row.pl_bmasse) || 1.0, 0.1, 100);
+
+/**
+ * Density in g/cm³ (null when missing)
+ */
+const planetDensity = (row) =>
+  row.pl_dens ? clamp(row.pl_dens, 0.01, 50) : null;
+
+/**
+ * Classify a catalog row by radius, temperature, density and mass
+ * Same defaults, bounds and thresholds as the frontend's basic scheme
+ * (classifyBasic, used by ApiManager.classifyPlanet)
+ * @param {Object} row - Catalog row
+ * @returns {string} Planet type
+ */
+export function classifyPlanet(row) {
+  const radius = planetRadius(row);
+  const density = planetDensity(row);
+
+  if (density !== null) {
+    if (density > 3.5) {
+      return radius < 1.5 ? "terrestrial" : "super-earth";
+    } else if (density >= 1.0 && density < 3.5) {
+      return density >= 1.5 ? "neptune" : "jupiter";
+    } else if (density < 1.0) {
+      return "jupiter";
+    }
+  }
+
+  if (radius < 1.25) return "terrestrial";
+  if (radius < 2.0) return "super-earth";
+  if (radius < 10.0) return "neptune";
+  return "jupiter";
+}
+
+/**
+ * Classify a catalog row with the detailed scheme
+ * Same rules as classifyDetailed in the frontend's classification module:
+ * missing periods and temperatures are ignored rather than defaulted, and
+ * masses estimated from the radius (here or by the archive) are not
+ * measured
+ * @param {Object} row - Catalog row
+ * @returns {string} Category id of DETAILED_PLANET_TYPES
+ */
+export function classifyPlanetDetailed(row) {
+  const radius = planetRadius(row);
+  const density = planetDensity(row);
+  const period = row.pl_orbper > 0 ? row.pl_orbper : null;
+  const temperature = row.pl_eqt > 0 ? Math.min(row.pl_eqt, 10000) : null;
+
+  if (radius >= 6) {
+    if (period !== null) {
+      if (period < 10) return "hot-jupiter";
+      return period < 200 ? "warm-jupiter" : "cold-jupiter";
+    }
+    if (temperature >= 1000) return "hot-jupiter";
+    return temperature >= 300 ? "warm-jupiter" : "cold-jupiter";
+  }
+
+  if (radius < 1.75 && temperature >= 1500) return "lava-world";
+  if (period !== null && period < 1) return "ultra-short-period";
+
+  const measuredMass =
+    Boolean(row.pl_bmasse) && row.pl_bmassprov !== "M-R relationship";
+  if (
+    radius >= 1 &&
+    radius < 2.5 &&
+    Boolean(row.pl_rade) &&
+    measuredMass &&
+    density >= 2 &&
+    density < 4 &&
+    temperature >= 200 &&
+    temperature < 400
+  ) {
+    return "ocean-world";
+  }
+
+  if (density > 3.5) {
+    return radius < 1.25 ? "terrestrial" : "super-earth";
+  }
+
+  if (radius < 1.25) return "terrestrial";
+  if (radius < 1.75) return "super-earth";
+  if (radius < 2.5) return "mini-neptune";
+  if (radius < 3.5) return "sub-neptune";
+  return "neptune";
+}
+
+/**
+ * Classification schemes by id, as in the frontend's CLASSIFICATION_SCHEMES
+ * - types: category ids
+ * - classify: catalog row -> category id
+ */
+export const CLASSIFICATION_SCHEMES = {
+  basic: { types: PLANET_TYPES, classify: classifyPlanet },
+  detailed: { types: DETAILED_PLANET_TYPES, classify: classifyPlanetDetailed },
+};
+
+/**
+ * Main spectral class of a host star ("G" for "G2 V")
+ * @param {string|null} spectype - `st_spectype` value
+ * @returns {string} Class letter, "Other" or "Unknown"
+ */
+export function spectralClass(spectype) {
+  if (typeof spectype !== "string" || spectype.trim() === "") {
+    return "Unknown";
+  }
+  const letter = spectype.trim().charAt(0).toUpperCase();
+  return SPECTRAL_CLASSES.includes(letter) ? letter : "Other";
+}
+
+/**
+ * Parse planet filter parameters
+ * Names and units match FilterManager.applyFilters: `scheme` (a key of
+ * CLASSIFICATION_SCHEMES, "basic" by default), `type` (a category of that
+ * scheme), `tempMin`, `tempMax` (K), `distMax` (light-years),
+ * `discoveryMethod` and `discoveryFacility` (substring matches), and
+ * `excludeDefaulted` (a property of DEFAULTABLE_PROPERTIES that must not be
+ * a default)
+ * @param {Object} params - Express `req.query`
+ * @returns {Object} Normalized filters
+ * @throws {QueryValidationError} When any parameter is invalid
+ */
+export function parsePlanetFilters(params = {}) {
+  const filters = {
+    scheme: "basic",
+    type: null,
+    tempMin: 0,
+    tempMax: Infinity,
+    distMax: Infinity,
+    discoveryMethod: null,
+    discoveryFacility: null,
+    excludeDefaulted: null,
+  };
+
+  if (params.scheme !== undefined && params.scheme !== "") {
+    if (
+      !Object.prototype.hasOwnProperty.call(
+        CLASSIFICATION_SCHEMES,
+        params.scheme
+      )
+    ) {
+      throw new QueryValidationError(
+        `scheme must be one of: ${Object.keys(CLASSIFICATION_SCHEMES).join(", ")}`
+      );
+    }
+    filters.scheme = params.scheme;
+  }
+
+  if (params.type !== undefined && params.type !== "") {
+    const { types } = CLASSIFICATION_SCHEMES[filters.scheme];
+    if (!types.includes(params.type)) {
+      throw new QueryValidationError(
+        `type must be one of: ${types.join(", ")}`
+      );
+    }
+    filters.type = params.type;
+  }
+
+  ["tempMin", "tempMax", "distMax"].forEach((name) => {
+    const raw = params[name];
+    if (raw === undefined || raw === "") return;
+
+    const value = Number(raw);
+    if (typeof raw !== "string" || Number.isNaN(value) || value < 0) {
+      throw new QueryValidationError(`${name} must be a non-negative number`);
+    }
+    filters[name] = value;
+  });
+
+  ["discoveryMethod", "discoveryFacility"].forEach((name) => {
+    const raw = params[name];
+    if (raw === undefined || raw === "") return;
+
+    if (typeof raw !== "string" || raw.length > 100) {
+      throw new QueryValidationError(`Invalid ${name}`);
+    }
+    filters[name] = raw;
+  });
+
+  const { excludeDefaulted } = params;
+  if (excludeDefaulted !== undefined && excludeDefaulted !== "") {
+    if (
+      !Object.prototype.hasOwnProperty.call(
+        DEFAULTABLE_PROPERTIES,
+        excludeDefaulted
+      )
+    ) {
+      throw new QueryValidationError(
+        `excludeDefaulted must be one of: ${Object.keys(DEFAULTABLE_PROPERTIES).join(", ")}`
+      );
+    }
+    filters.excludeDefaulted = excludeDefaulted;
+  }
+
+  return filters;
+}
+
+/**
+ * Apply planet filters to catalog rows
+ * @param {Array<Object>} rows - Catalog rows
+ * @param {Object} filters - Output of parsePlanetFilters
+ * @returns {Array<Object>} Matching rows
+ */
+export function filterPlanets(rows, filters) {
+  const { classify } = CLASSIFICATION_SCHEMES[filters.scheme];
+
+  return rows.filter((row) => {
+    const temperature = planetTemperature(row);
+
+    return (
+      (!filters.type || classify(row) === filters.type) &&
+      temperature >= filters.tempMin &&
+      temperature <= filters.tempMax &&
+      planetDistance(row) <= filters.distMax &&
+      (!filters.discoveryMethod ||
+        (typeof row.discoverymethod === "string" &&
+          row.discoverymethod.includes(filters.discoveryMethod))) &&
+      (!filters.discoveryFacility ||
+        (typeof row.disc_facility === "string" &&
+          row.disc_facility.includes(filters.discoveryFacility))) &&
+      (!filters.excludeDefaulted ||
+        DEFAULTABLE_PROPERTIES[filters.excludeDefaulted].some(
+          (column) => row[column]
+        ))
+    );
+  });
+}
+
+/**
+ * Count rows per value, most frequent first
+ * @returns {Array<{value: *, count: number}>}
+ */
+function countBy(rows, getValue) {
+  const counts = new Map();
+  rows.forEach((row) => {
+    const value = getValue(row);
+    counts.set(value, (counts.get(value) || 0) + 1);
+  });
+
+  return [...counts.entries()]
+    .map(([value, count]) => ({ value, count }))
+    .sort(
+      (a, b) => b.count - a.count || String(a.value).localeCompare(b.value)
+    );
+}
+
+/**
+ * Bin a numeric column; rows without a positive value count as `missing`
+ */
+function histogram(rows, { column, unit, edges, scale = 1 }) {
+  const bins = edges.map((min, i) => ({
+    min,
+    max: i + 1 < edges.length ? edges[i + 1] : null,
+    count: 0,
+  }));
+  let missing = 0;
+
+  rows.forEach((row) => {
+    const raw = row[column];
+    if (raw === null || raw === undefined || !(raw > 0)) {
+      missing++;
+      return;
+    }
+
+    const value = raw * scale;
+    const bin = bins.find((b) => b.max === null || value < b.max);
+    bin.count++;
+  });
+
+  return { unit, bins, missing };
+}
+
+/**
+ * Compute discovery statistics for a set of catalog rows
+ * @param {Array<Object>} rows - Catalog rows
+ * @param {string} scheme - Classification scheme of the type counts
+ * @returns {Object} {total, counts: {...}, histograms: {...}}
+ */
+export function computeStats(rows, scheme = "basic") {
+  const byYear = countBy(rows, (row) => row.disc_year || null).sort(
+    (a, b) => (a.value ?? Infinity) - (b.value ?? Infinity)
+  );
+
+  const histograms = {};
+  Object.entries(HISTOGRAMS).forEach(([name, spec]) => {
+    histograms[name] = histogram(rows, spec);
+  });
+
+  return {
+    total: rows.length,
+    counts: {
+      year: byYear,
+      method: countBy(rows, (row) => row.discoverymethod || "Unknown"),
+      facility: countBy(rows, (row) => row.disc_facility || "Unknown"),
+      type: countBy(rows, CLASSIFICATION_SCHEMES[scheme].classify),
+      spectralType: countBy(rows, (row) => spectralClass(row.st_spectype)),
+    },
+    histograms,
+  };
+}
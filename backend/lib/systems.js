@@ -0,0 +1,182 @@
+/**
+ * Star system aggregation
+ * Groups catalog rows by `hostname` into system documents, mirroring the
+ * frontend FilterManager (groupByStarSystem / getNotableSystems /
+ * applySystemFilters) so every client gets the same system view.
+ */
+import { QueryValidationError } from "./adql.js";
+
+// 1 parsec = 3.26156 light-years (same factor as ApiManager.processPlanetData)
+export const PARSEC_TO_LIGHT_YEARS = 3.26156;
+
+const STAR_COLUMNS = [
+  "st_teff",
+  "st_rad",
+  "st_mass",
+  "st_lum",
+  "st_spectype",
+  "st_age",
+];
+
+/**
+ * First non-null value of a column across a system's planets
+ */
+function firstValue(planets, column) {
+  const planet = planets.find(
+    (p) => p[column] !== null && p[column] !== undefined
+  );
+  return planet ? planet[column] : null;
+}
+
+/**
+ * Sort planets by orbital period, falling back to name
+ * (same ordering as FilterManager.searchUnified)
+ */
+function comparePlanets(a, b) {
+  if (a.pl_orbper && b.pl_orbper) {
+    return a.pl_orbper - b.pl_orbper;
+  }
+  return String(a.pl_name).localeCompare(String(b.pl_name));
+}
+
+/**
+ * Build a system document from the planets of one host star
+ * @param {string} hostname - Host star name
+ * @param {Array<Object>} planets - Catalog rows for that host
+ * @returns {Object} System document
+ */
+export function buildSystem(hostname, planets) {
+  // Average distance across planets, like FilterManager.getNotableSystems
+  const distances = planets
+    .map((p) => p.sy_dist)
+    .filter((d) => d !== null && d !== undefined && d > 0);
+  const distance =
+    distances.length > 0
+      ? distances.reduce((sum, d) => sum + d, 0) / distances.length
+      : null;
+
+  const star = { hostname };
+  STAR_COLUMNS.forEach((column) => {
+    star[column] = firstValue(planets, column);
+  });
+
+  const starCount = firstValue(planets, "sy_snum") || 1;
+
+  return {
+    hostname,
+    star,
+    planetCount: planets.length,
+    knownPlanetCount: firstValue(planets, "sy_pnum") || planets.length,
+    starCount,
+    multiplicity:
+      starCount === 1 ? "single" : starCount === 2 ? "binary" : "multiple",
+    distance,
+    distanceLightYears:
+      distance === null ? null : distance * PARSEC_TO_LIGHT_YEARS,
+    ra: firstValue(planets, "ra"),
+    dec: firstValue(planets, "dec"),
+    planets: [...planets].sort(comparePlanets),
+  };
+}
+
+/**
+ * Group catalog rows into star systems
+ * @param {Array<Object>} rows - Catalog rows
+ * @returns {Map<string, Object>} Systems keyed by hostname
+ */
+export function groupSystems(rows) {
+  const grouped = new Map();
+
+  rows.forEach((row) => {
+    const hostname = row.hostname || "Unknown";
+    if (!grouped.has(hostname)) {
+      grouped.set(hostname, []);
+    }
+    grouped.get(hostname).push(row);
+  });
+
+  const systems = new Map();
+  grouped.forEach((planets, hostname) => {
+    systems.set(hostname, buildSystem(hostname, planets));
+  });
+  return systems;
+}
+
+/**
+ * Parse system filter parameters
+ * Names and units match FilterManager.applySystemFilters:
+ * `minPlanets`, `distMax` (light-years) and `spectralType` (prefix, e.g. "G")
+ * @param {Object} params - Express `req.query`
+ * @returns {{minPlanets: number, distMax: number, spectralType: string|null}}
+ * @throws {QueryValidationError} When any parameter is invalid
+ */
+export function parseSystemFilters(params = {}) {
+  let minPlanets = 1;
+  if (params.minPlanets !== undefined) {
+    minPlanets = Number(params.minPlanets);
+    if (!Number.isInteger(minPlanets) || minPlanets < 1) {
+      throw new QueryValidationError("minPlanets must be an integer >= 1");
+    }
+  }
+
+  let distMax = Infinity;
+  if (params.distMax !== undefined) {
+    distMax = Number(params.distMax);
+    if (
+      typeof params.distMax !== "string" ||
+      params.distMax.trim() === "" ||
+      Number.isNaN(distMax) ||
+      distMax < 0
+    ) {
+      throw new QueryValidationError("distMax must be a non-negative number");
+    }
+  }
+
+  let spectralType = null;
+  if (params.spectralType !== undefined) {
+    if (
+      typeof params.spectralType !== "string" ||
+      !/^[A-Za-z0-9.]{1,10}$/.test(params.spectralType)
+    ) {
+      throw new QueryValidationError("Invalid spectralType");
+    }
+    spectralType = params.spectralType.toUpperCase();
+  }
+
+  return { minPlanets, distMax, spectralType };
+}
+
+/**
+ * Filter and order systems
+ * Systems are sorted by planet count (descending), then by distance
+ * @param {Map<string, Object>} systems - Output of groupSystems
+ * @param {Object} filters - Output of parseSystemFilters
+ * @returns {Array<Object>} Matching systems
+ */
+export function filterSystems(systems, filters) {
+  return [...systems.values()]
+    .filter((system) => {
+      const planetCountMatch = system.planetCount >= filters.minPlanets;
+      const distMatch =
+        filters.distMax === Infinity ||
+        (system.distanceLightYears !== null &&
+          system.distanceLightYears <= filters.distMax);
+      const spectralMatch =
+        !filters.spectralType ||
+        (typeof system.star.st_spectype === "string" &&
+          system.star.st_spectype
+            .toUpperCase()
+            .startsWith(filters.spectralType));
+
+      return planetCountMatch && distMatch && spectralMatch;
+    })
+    .sort((a, b) => {
+      if (a.planetCount !== b.planetCount) {
+        return b.planetCount - a.planetCount;
+      }
+      if (a.distance === b.distance) return 0;
+      if (a.distance === null) return 1;
+      if (b.distance === null) return -1;
+      return a.distance - b.distance;
+    });
+}
@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+/**
+ * Refresh the local catalog snapshot from the NASA Exoplanet Archive
+ *
+ * Usage:
+ *   npm run snapshot:refresh
+ *   npm run snapshot:refresh -- --out data/exoplanets-snapshot.csv
+ *
+ * Options:
+ *   --out <path>       Destination file (.json or .csv), defaults to SNAPSHOT_PATH
+ *   --upstream <url>   TAP sync endpoint, defaults to NASA_API_BASE
+ */
+import { parseArgs } from "node:util";
+import dotenv from "dotenv";
+import {
+  DEFAULT_NASA_API_BASE,
+  CATALOG_QUERY,
+  queryArchive,
+} from "../lib/archive.js";
+import {
+  DEFAULT_SNAPSHOT_PATH,
+  createSnapshot,
+  writeSnapshot,
+} from "../lib/snapshot.js";
+
+dotenv.config();
+
+const { values } = parseArgs({
+  options: {
+    out: {
+      type: "string",
+      default: process.env.SNAPSHOT_PATH || DEFAULT_SNAPSHOT_PATH,
+    },
+    upstream: {
+      type: "string",
+      default: process.env.NASA_API_BASE || DEFAULT_NASA_API_BASE,
+    },
+  },
+});
+
+try {
+  console.log(`📡 Fetching catalog from ${values.upstream}...`);
+  const startedAt = Date.now();
+  const rows = await queryArchive(values.upstream, CATALOG_QUERY);
+
+  if (!Array.isArray(rows) || rows.length === 0) {
+    throw new Error("Archive returned no rows; keeping the existing snapshot");
+  }
+
+  const snapshot = createSnapshot(rows, {
+    source: values.upstream,
+    query: CATALOG_QUERY,
+  });
+  await writeSnapshot(values.out, snapshot);
+
+  console.log(
+    `✅ Wrote ${rows.length} planets to ${values.out} in ${Date.now() - startedAt}ms`
+  );
+} catch (error) {
+  console.error("❌ Snapshot refresh failed:", error.message);
+  process.exitCode = 1;
+}
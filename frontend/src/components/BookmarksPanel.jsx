@@ -2,7 +2,8 @@ import React, { useState, useEffect } from "react";
 
 /**
  * Bookmarks Panel Component
- * Displays user's bookmarked planets and systems
+ * Displays user's bookmarked planets and systems, and sets up syncing them
+ * between devices with a sync key
  */
 const BookmarksPanel = ({
   bookmarkManager,
@@ -12,21 +13,52 @@ const BookmarksPanel = ({
   const [bookmarks, setBookmarks] = useState([]);
   const [filter, setFilter] = useState("all"); // 'all', 'planet', 'system'
   const [searchQuery, setSearchQuery] = useState("");
+  const [syncStatus, setSyncStatus] = useState({});
+  const [joinKey, setJoinKey] = useState("");
+  const [syncMessage, setSyncMessage] = useState("");
 
   useEffect(() => {
     if (!bookmarkManager) return;
 
     // Initial load
     setBookmarks(bookmarkManager.getAllBookmarks());
+    setSyncStatus(bookmarkManager.getSyncStatus());
 
     // Subscribe to changes
     const unsubscribe = bookmarkManager.subscribe((updatedBookmarks) => {
       setBookmarks(updatedBookmarks);
+      setSyncStatus(bookmarkManager.getSyncStatus());
     });
 
     return unsubscribe;
   }, [bookmarkManager]);
 
+  const handleCreateSyncKey = async () => {
+    try {
+      await bookmarkManager.createSyncKey();
+      setSyncMessage("Enter this key on your other devices");
+    } catch (error) {
+      console.error("Failed to create sync key:", error);
+      setSyncMessage("Could not create a sync key");
+    }
+  };
+
+  const handleJoinSync = async (e) => {
+    e.preventDefault();
+    try {
+      await bookmarkManager.joinSync(joinKey);
+      setJoinKey("");
+      setSyncMessage("Bookmarks synced");
+    } catch (error) {
+      setSyncMessage(error.message);
+    }
+  };
+
+  const handleStopSync = () => {
+    bookmarkManager.stopSync();
+    setSyncMessage("");
+  };
+
   const filteredBookmarks = bookmarks.filter((bookmark) => {
     const matchesType = filter === "all" || bookmark.type === filter;
     const matchesSearch =
@@ -157,6 +189,87 @@ const BookmarksPanel = ({
         </div>
       </div>
 
+      {/* Sync */}
+      <div className="mb-3">
+        <label className="form-label text-white fw-semibold">
+          <i className="bx bx-sync"></i> Sync Across Devices
+        </label>
+        {syncStatus.syncKey ? (
+          <>
+            <div className="input-group input-group-sm mb-2">
+              <input
+                type="text"
+                className="form-control font-monospace"
+                value={syncStatus.syncKey}
+                readOnly
+                onFocus={(e) => e.target.select()}
+                aria-label="Sync key"
+              />
+              <button
+                className="btn btn-outline-light"
+                onClick={() => bookmarkManager.sync()}
+                disabled={syncStatus.syncing}
+                title="Sync now"
+                aria-label="Sync bookmarks now"
+              >
+                <i
+                  className={`bx bx-refresh ${syncStatus.syncing ? "bx-spin" : ""}`}
+                ></i>
+              </button>
+              <button
+                className="btn btn-outline-danger"
+                onClick={handleStopSync}
+                title="Stop syncing this device"
+                aria-label="Stop syncing this device"
+              >
+                <i className="bx bx-unlink"></i>
+              </button>
+            </div>
+            <small className="text-white-50 d-block">
+              {syncStatus.error
+                ? syncStatus.error
+                : syncStatus.lastSyncedAt
+                  ? `Last synced ${new Date(
+                      syncStatus.lastSyncedAt
+                    ).toLocaleTimeString()}`
+                  : "Not synced yet"}
+            </small>
+          </>
+        ) : (
+          <>
+            <button
+              className="btn btn-sm btn-outline-light w-100 mb-2"
+              onClick={handleCreateSyncKey}
+            >
+              <i className="bx bx-key"></i> Create Sync Key
+            </button>
+            <form
+              className="input-group input-group-sm"
+              onSubmit={handleJoinSync}
+            >
+              <input
+                type="text"
+                className="form-control"
+                placeholder="Or enter a sync key"
+                value={joinKey}
+                onChange={(e) => setJoinKey(e.target.value)}
+                aria-label="Sync key from another device"
+              />
+              <button
+                type="submit"
+                className="btn btn-outline-light"
+                disabled={!joinKey.trim()}
+              >
+                Join
+              </button>
+            </form>
+          </>
+        )}
+        {syncMessage && (
+          <small className="text-white-50 d-block mt-1">{syncMessage}</small>
+        )}
+      </div>
+
       {/* Bookmarks List */}
       <div
         className="bookmarks-list"
@@ -0,0 +1,203 @@
+import React, { useState, useEffect } from "react";
+
+const COLUMN_LABELS = {
+  pl_rade: "radius",
+  pl_bmasse: "mass",
+  pl_eqt: "temperature",
+  pl_dens: "density",
+  pl_orbper: "period",
+  pl_orbeccen: "eccentricity",
+  pl_orbsmax: "semi-major axis",
+  pl_insol: "insolation",
+  pl_orbincl: "inclination",
+  pl_orblper: "periastron",
+  pl_radj: "radius",
+  pl_massj: "mass",
+  hostname: "host",
+  sy_dist: "distance",
+  sy_snum: "stars",
+  sy_pnum: "planets",
+  disc_year: "discovery year",
+  discoverymethod: "method",
+  disc_facility: "facility",
+  st_teff: "star temperature",
+  st_rad: "star radius",
+  st_mass: "star mass",
+  st_lum: "star luminosity",
+  st_spectype: "spectral type",
+  st_age: "star age",
+  ra: "position",
+  dec: "position",
+};
+
+const LIST_LIMIT = 8;
+
+const describeChanges = (changes) => [
+  ...new Set(
+    Object.keys(changes).map((column) => COLUMN_LABELS[column] || column)
+  ),
+];
+
+/**
+ * Changes Panel Component
+ * "What's new since your last visit": planets added, removed and revised
+ * in the catalog (/api/changes) since this browser last downloaded it
+ */
+const ChangesPanel = ({ apiManager, onPlanetSelect }) => {
+  const [changes, setChanges] = useState(null);
+  const [dismissed, setDismissed] = useState(false);
+  const [expanded, setExpanded] = useState(false);
+  const lastVisit = apiManager?.lastVisit ?? null;
+
+  useEffect(() => {
+    // Nothing to compare against on a first visit
+    if (!apiManager || lastVisit === null) return;
+
+    let cancelled = false;
+    apiManager
+      .fetchChanges(lastVisit)
+      .then((data) => {
+        if (!cancelled) setChanges(data);
+      })
+      .catch((err) => {
+        console.error("Error loading catalog changes:", err);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [apiManager, lastVisit]);
+
+  if (dismissed || !changes) return null;
+
+  const total =
+    changes.added.length + changes.removed.length + changes.changed.length;
+  if (total === 0) return null;
+
+  const planetsByName = new Map(
+    apiManager.getAllExoplanets().map((planet) => [planet.name, planet])
+  );
+  const limit = expanded ? Infinity : LIST_LIMIT;
+
+  const renderPlanetName = (name) => {
+    const planet = planetsByName.get(name);
+    return planet && onPlanetSelect ? (
+      <button
+        type="button"
+        className="btn btn-link btn-sm p-0 text-info text-decoration-none"
+        onClick={() => onPlanetSelect(planet)}
+      >
+        {name}
+      </button>
+    ) : (
+      <span className="text-white">{name}</span>
+    );
+  };
+
+  return (
+    <div className="changes-panel p-4 pt-0">
+      <div className="d-flex justify-content-between align-items-center mb-2">
+        <h6 className="text-white-50 mb-0 fs-sm text-uppercase">
+          What's New Since Your Last Visit
+        </h6>
+        <button
+          type="button"
+          className="btn btn-sm btn-link text-white-50 p-0"
+          onClick={() => setDismissed(true)}
+          title="Dismiss"
+        >
+          <i className="bx bx-x"></i>
+        </button>
+      </div>
+
+      <div className="d-flex flex-wrap gap-1 mb-3">
+        {changes.added.length > 0 && (
+          <span className="badge bg-success">
+            {changes.added.length.toLocaleString()} new
+          </span>
+        )}
+        {changes.changed.length > 0 && (
+          <span className="badge bg-info text-dark">
+            {changes.changed.length.toLocaleString()} revised
+          </span>
+        )}
+        {changes.removed.length > 0 && (
+          <span className="badge bg-secondary">
+            {changes.removed.length.toLocaleString()} removed
+          </span>
+        )}
+        <span className="text-white-50 ms-1" style={{ fontSize: "0.75rem" }}>
+          since {new Date(lastVisit).toLocaleDateString()}
+        </span>
+      </div>
+
+      {changes.added.length > 0 && (
+        <div className="mb-3">
+          <div className="text-white fs-sm mb-1">New Planets</div>
+          {changes.added.slice(0, limit).map((planet) => (
+            <div
+              key={planet.pl_name}
+              className="d-flex justify-content-between"
+              style={{ fontSize: "0.8rem" }}
+            >
+              {renderPlanetName(planet.pl_name)}
+              <span className="text-white-50 text-truncate ms-2">
+                {[planet.disc_facility, planet.disc_year]
+                  .filter(Boolean)
+                  .join(", ")}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {changes.changed.length > 0 && (
+        <div className="mb-3">
+          <div className="text-white fs-sm mb-1">Revised Parameters</div>
+          {changes.changed.slice(0, limit).map((planet) => (
+            <div
+              key={planet.pl_name}
+              className="d-flex justify-content-between"
+              style={{ fontSize: "0.8rem" }}
+            >
+              {renderPlanetName(planet.pl_name)}
+              <span className="text-white-50 text-truncate ms-2">
+                {describeChanges(planet.changes).join(", ")}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {changes.removed.length > 0 && (
+        <div className="mb-3">
+          <div className="text-white fs-sm mb-1">Removed</div>
+          <div className="text-white-50" style={{ fontSize: "0.8rem" }}>
+            {changes.removed.slice(0, limit).join(", ")}
+          </div>
+        </div>
+      )}
+
+      {[changes.added, changes.changed, changes.removed].some(
+        (list) => list.length > LIST_LIMIT
+      ) && (
+        <button
+          type="button"
+          className="btn btn-sm btn-outline-light w-100 mb-2"
+          onClick={() => setExpanded(!expanded)}
+        >
+          {expanded ? "Show less" : "Show all"}
+        </button>
+      )}
+
+      {!changes.complete && (
+        <p className="text-white-50 mb-0" style={{ fontSize: "0.75rem" }}>
+          Changes from before the server started tracking the catalog are not
+          included.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default ChangesPanel;
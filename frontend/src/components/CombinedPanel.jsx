@@ -2,6 +2,8 @@ import React from "react";
 import SettingsPanel from "./SettingsPanel";
 import SearchPanel from "./SearchPanel";
 import InfoPanel from "./InfoPanel";
+import StatisticsPanel from "./StatisticsPanel";
+import ChangesPanel from "./ChangesPanel";
 import BookmarksPanel from "./BookmarksPanel";
 import ComparisonTool from "./ComparisonTool";
 import ShareExportPanel from "./ShareExportPanel";
@@ -17,7 +19,10 @@ const CombinedPanel = ({
   settingsHandlers,
   searchRefs,
   searchHandlers,
+  classificationScheme,
   infoContentRef,
+  apiManager,
+  filterManager,
   onTogglePanelMinimize,
   // New props for Tools tab
   bookmarkManager,
@@ -135,7 +140,14 @@ const CombinedPanel = ({
             role="tabpanel"
             aria-labelledby="search-tab"
           >
-            <SearchPanel refs={searchRefs} handlers={searchHandlers} />
+            <SearchPanel
+              refs={searchRefs}
+              handlers={searchHandlers}
+              classificationScheme={classificationScheme}
+              apiManager={apiManager}
+              onPlanetSelect={onPlanetSelect}
+              onSystemSelect={onSystemSelect}
+            />
           </div>
 
           {/* Information Tab Content */}
@@ -146,6 +158,18 @@ const CombinedPanel = ({
             aria-labelledby="info-tab"
           >
             <InfoPanel infoContentRef={infoContentRef} />
+            {viewState?.mode === "galaxy" && apiManager && (
+              <ChangesPanel
+                apiManager={apiManager}
+                onPlanetSelect={onPlanetSelect}
+              />
+            )}
+            {viewState?.mode === "galaxy" && apiManager && filterManager && (
+              <StatisticsPanel
+                apiManager={apiManager}
+                filterManager={filterManager}
+              />
+            )}
           </div>
 
           {/* Tools Tab Content */}
@@ -201,6 +225,7 @@ const CombinedPanel = ({
                   <div className="tool-card-body">
                     <ComparisonTool
                       selectedPlanets={comparisonPlanets || []}
+                      classificationScheme={classificationScheme}
                       onRemovePlanet={onRemoveFromComparison}
                       onClearAll={onClearComparison}
                       onViewIn3D={onViewComparisonIn3D}
@@ -220,6 +245,8 @@ const CombinedPanel = ({
                         exportManager={exportManager}
                         viewState={viewState || {}}
                         currentPlanet={currentPlanet}
+                        apiManager={apiManager}
+                        filterManager={filterManager}
                       />
                     </div>
                   </div>
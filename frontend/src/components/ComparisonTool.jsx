@@ -1,4 +1,9 @@
 import React, { useState } from "react";
+import { getCategoryInfo, getPlanetCategory } from "../lib/classification";
+import {
+  getPlanetTypeName,
+  getTypeColor as getBootstrapColor,
+} from "../lib/utils/constants";
 
 /**
  * Planet Comparison Tool Component
@@ -6,6 +11,7 @@ import React, { useState } from "react";
  */
 const ComparisonTool = ({
   selectedPlanets = [],
+  classificationScheme,
   onRemovePlanet,
   onClearAll,
   onViewIn3D,
@@ -28,33 +34,52 @@ const ComparisonTool = ({
     ? [earthData, ...selectedPlanets]
     : selectedPlanets;
 
-  const getTypeColor = (type) => {
-    const colors = {
-      terrestrial: "#22c55e",
-      "super-earth": "#3b82f6",
-      neptune: "#8b5cf6",
-      jupiter: "#f59e0b",
-    };
-    return colors[type] || "#6b7280";
+  // Colors of the planet's category in the chosen classification scheme
+  const getTypeColor = (planet) => {
+    const hex = getCategoryInfo(
+      getPlanetCategory(planet, classificationScheme)
+    )?.hex;
+    return hex === undefined
+      ? "#6b7280"
+      : `#${hex.toString(16).padStart(6, "0")}`;
   };
 
-  const getTypeBadgeClass = (type) => {
-    const classes = {
-      terrestrial: "bg-success",
-      "super-earth": "bg-primary",
-      neptune: "bg-info",
-      jupiter: "bg-warning",
-    };
-    return classes[type] || "bg-secondary";
-  };
+  const getTypeBadgeClass = (planet) =>
+    `bg-${getBootstrapColor(getPlanetCategory(planet, classificationScheme))}`;
 
   const formatNumber = (value, decimals = 2) => {
     if (value === null || value === undefined || isNaN(value)) return "N/A";
     return Number(value).toFixed(decimals);
   };
 
+  // Uncertainties with both bounds (see ApiManager.processPlanetData)
+  const getUncertainty = (planet, property) => {
+    const uncertainty = planet.uncertainties?.[property];
+    const bounded =
+      uncertainty && uncertainty.upper !== null && uncertainty.lower !== null;
+    return bounded ? uncertainty : null;
+  };
+
+  // e.g. "1.63 +0.23/−0.20", or "5757 ±85" when symmetric
+  const formatMeasurement = (planet, property, decimals = 2) => {
+    const text = formatNumber(planet[property], decimals);
+    const uncertainty = getUncertainty(planet, property);
+    if (!uncertainty) return text;
+
+    const upper = formatNumber(uncertainty.upper, decimals);
+    const lower = formatNumber(uncertainty.lower, decimals);
+    return upper === lower
+      ? `${text} ±${upper}`
+      : `${text} +${upper}/−${lower}`;
+  };
+
+  // Bars are scaled so the largest upper error bar still fits
   const getMaxValue = (property) => {
-    return Math.max(...planetsToCompare.map((p) => p[property] || 0));
+    return Math.max(
+      ...planetsToCompare.map(
+        (p) => (p[property] || 0) + (getUncertainty(p, property)?.upper || 0)
+      )
+    );
   };
 
   const getBarWidth = (value, property) => {
@@ -63,6 +88,41 @@ const ComparisonTool = ({
     return ((value || 0) / max) * 100;
   };
 
+  /**
+   * Error bar spanning value - lower to value + upper, drawn over the
+   * planet's bar (nothing without both bounds)
+   */
+  const renderErrorBar = (planet, property) => {
+    const uncertainty = getUncertainty(planet, property);
+    const max = getMaxValue(property);
+    if (!uncertainty || !planet[property] || max === 0) return null;
+
+    const left = getBarWidth(
+      Math.max(0, planet[property] - uncertainty.lower),
+      property
+    );
+    const right = getBarWidth(planet[property] + uncertainty.upper, property);
+
+    return (
+      <div
+        className="error-bar"
+        aria-hidden="true"
+        style={{
+          position: "absolute",
+          top: "5px",
+          height: "10px",
+          left: `${left}%`,
+          width: `${right - left}%`,
+          borderLeft: "2px solid rgba(255, 255, 255, 0.9)",
+          borderRight: "2px solid rgba(255, 255, 255, 0.9)",
+          background:
+            "linear-gradient(rgba(255, 255, 255, 0.9), rgba(255, 255, 255, 0.9)) center / 100% 2px no-repeat",
+          pointerEvents: "none",
+        }}
+      />
+    );
+  };
+
   return (
     <div className="comparison-tool p-3">
       <div className="d-flex justify-content-between align-items-center mb-3">
@@ -161,13 +221,9 @@ const ComparisonTool = ({
                         width: `${size}px`,
                         height: `${size}px`,
                         borderRadius: "50%",
-                        background: `radial-gradient(circle at 30% 30%, ${getTypeColor(
-                          planet.type
-                        )}dd, ${getTypeColor(planet.type)}44)`,
-                        boxShadow: `0 4px 20px ${getTypeColor(
-                          planet.type
-                        )}66, inset -10px -10px 20px rgba(0,0,0,0.3)`,
-                        border: `2px solid ${getTypeColor(planet.type)}`,
+                        background: `radial-gradient(circle at 30% 30%, ${getTypeColor(planet)}dd, ${getTypeColor(planet)}44)`,
+                        boxShadow: `0 4px 20px ${getTypeColor(planet)}66, inset -10px -10px 20px rgba(0,0,0,0.3)`,
+                        border: `2px solid ${getTypeColor(planet)}`,
                         position: "relative",
                         transition: "transform 0.3s ease",
                         cursor: "pointer",
@@ -232,7 +288,7 @@ const ComparisonTool = ({
                   style={{
                     background: "rgba(255, 255, 255, 0.1)",
                     backdropFilter: "blur(10px)",
-                    border: `2px solid ${getTypeColor(planet.type)}`,
+                    border: `2px solid ${getTypeColor(planet)}`,
                   }}
                 >
                   <div className="card-body p-3">
@@ -249,10 +305,12 @@ const ComparisonTool = ({
                       )}
                     </div>
                     <span
-                      className={`badge ${getTypeBadgeClass(planet.type)} mb-2`}
+                      className={`badge ${getTypeBadgeClass(planet)} mb-2`}
                       style={{ fontSize: "0.7rem" }}
                     >
-                      {planet.type}
+                      {getPlanetTypeName(
+                        getPlanetCategory(planet, classificationScheme)
+                      )}
                     </span>
                     <div className="small">
                       <div className="mb-1">
@@ -284,7 +342,7 @@ const ComparisonTool = ({
                   <div className="d-flex justify-content-between mb-1">
                     <span className="text-white small">{planet.name}</span>
                     <span className="text-white small">
-                      {formatNumber(planet.radius)} R⊕
+                      {formatMeasurement(planet, "radius")} R⊕
                     </span>
                   </div>
                   <div
@@ -292,13 +350,14 @@ const ComparisonTool = ({
                     style={{
                       height: "20px",
                       background: "rgba(255,255,255,0.1)",
+                      position: "relative",
                     }}
                   >
                     <div
                       className="progress-bar"
                       style={{
                         width: `${getBarWidth(planet.radius, "radius")}%`,
-                        background: getTypeColor(planet.type),
+                        background: getTypeColor(planet),
                       }}
                       role="progressbar"
                       aria-valuenow={planet.radius}
@@ -308,6 +367,7 @@ const ComparisonTool = ({
                         planet.radius
                       )} Earth radii`}
                     ></div>
+                    {renderErrorBar(planet, "radius")}
                   </div>
                 </div>
               ))}
@@ -323,7 +383,7 @@ const ComparisonTool = ({
                   <div className="d-flex justify-content-between mb-1">
                     <span className="text-white small">{planet.name}</span>
                     <span className="text-white small">
-                      {formatNumber(planet.mass)} M⊕
+                      {formatMeasurement(planet, "mass")} M⊕
                     </span>
                   </div>
                   <div
@@ -331,13 +391,14 @@ const ComparisonTool = ({
                     style={{
                       height: "20px",
                       background: "rgba(255,255,255,0.1)",
+                      position: "relative",
                     }}
                   >
                     <div
                       className="progress-bar"
                       style={{
                         width: `${getBarWidth(planet.mass, "mass")}%`,
-                        background: getTypeColor(planet.type),
+                        background: getTypeColor(planet),
                       }}
                       role="progressbar"
                       aria-valuenow={planet.mass}
@@ -347,6 +408,7 @@ const ComparisonTool = ({
                         planet.mass
                       )} Earth masses`}
                     ></div>
+                    {renderErrorBar(planet, "mass")}
                   </div>
                 </div>
               ))}
@@ -362,7 +424,7 @@ const ComparisonTool = ({
                   <div className="d-flex justify-content-between mb-1">
                     <span className="text-white small">{planet.name}</span>
                     <span className="text-white small">
-                      {formatNumber(planet.temperature, 0)} K
+                      {formatMeasurement(planet, "temperature", 0)} K
                     </span>
                   </div>
                   <div
@@ -370,6 +432,7 @@ const ComparisonTool = ({
                     style={{
                       height: "20px",
                       background: "rgba(255,255,255,0.1)",
+                      position: "relative",
                     }}
                   >
                     <div
@@ -393,6 +456,7 @@ const ComparisonTool = ({
                         0
                       )} Kelvin`}
                     ></div>
+                    {renderErrorBar(planet, "temperature")}
                   </div>
                 </div>
               ))}
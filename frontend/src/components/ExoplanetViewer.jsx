@@ -1,4 +1,4 @@
-import React, { useEffect, useState, useRef } from "react";
+import React, { useEffect, useReducer, useState, useRef } from "react";
 import {
   useThreeJSScene,
   useExoplanetData,
@@ -13,6 +13,7 @@ import CanvasContainer from "./CanvasContainer";
 import CombinedPanel from "./CombinedPanel";
 import { BookmarkManager } from "../lib/managers/storage/BookmarkManager";
 import { ExportManager } from "../lib/managers/export/ExportManager";
+import { DEFAULT_CLASSIFICATION_SCHEME } from "../lib/classification";
 
 // NASA Exoplanet Archive API endpoint
 // Import from constants (which uses environment variable)
@@ -44,6 +45,10 @@ const ExoplanetViewer = () => {
   const [currentSystem, setCurrentSystem] = useState(null);
   const [currentStar, setCurrentStar] = useState(null);
   const [viewMode, setViewMode] = useState("galaxy");
+  const [catalogLoaded, setCatalogLoaded] = useState(false);
+  // Bumped when the classification scheme changes; the scheme itself lives
+  // in SettingsManager (see classificationScheme below)
+  const [, refreshClassificationScheme] = useReducer((count) => count + 1, 0);
 
   // Managers for new features
   const bookmarkManagerRef = useRef(null);
@@ -72,10 +77,12 @@ const ExoplanetViewer = () => {
   } = useThreeJSScene(domRefs.canvasRef, domRefs.canvasLoadingRef);
 
   const {
+    apiManagerRef,
     filterManagerRef,
     uiManagerRef,
     initializeDataManagers,
     fetchExoplanets,
+    fetchCandidates,
   } = useExoplanetData(EXOPLANET_API_ENDPOINT, domRefs);
 
   const {
@@ -90,6 +97,11 @@ const ExoplanetViewer = () => {
     cleanup: cleanupUIManagers,
   } = useUIManagers();
 
+  // The type filter and the comparison tool list categories of this scheme
+  const classificationScheme =
+    settingsManagerRef.current?.classificationScheme ??
+    DEFAULT_CLASSIFICATION_SCHEME;
+
   // ============================================
   // CUSTOM HOOKS - VIEW TRANSITIONS & INFO
   // ============================================
@@ -103,6 +115,8 @@ const ExoplanetViewer = () => {
     selectPlanet,
     selectSystem,
     selectStar,
+    applyPlanetSolution,
+    applyStarParameters,
     transitionToPlanetFromSystem,
     transitionToStarFromSystem,
     switchToSystemView,
@@ -189,6 +203,12 @@ const ExoplanetViewer = () => {
     if (transitionToStarFromSystem) {
       transitionToStarFromSystem.syncState = syncState;
     }
+    if (applyPlanetSolution) {
+      applyPlanetSolution.syncState = syncState;
+    }
+    if (applyStarParameters) {
+      applyStarParameters.syncState = syncState;
+    }
   }, [
     currentPlanetRef,
     currentSystemRef,
@@ -201,6 +221,8 @@ const ExoplanetViewer = () => {
     returnToGalaxyView,
     transitionToPlanetFromSystem,
     transitionToStarFromSystem,
+    applyPlanetSolution,
+    applyStarParameters,
   ]);
 
   // Update Info tab whenever planet/system/star/view changes
@@ -217,7 +239,13 @@ const ExoplanetViewer = () => {
       }
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [currentPlanet, currentSystem, currentStar, viewMode]);
+  }, [
+    currentPlanet,
+    currentSystem,
+    currentStar,
+    viewMode,
+    classificationScheme,
+  ]);
 
   // ============================================
   // CUSTOM HOOKS - CANVAS INTERACTION
@@ -269,14 +297,47 @@ const ExoplanetViewer = () => {
   // CUSTOM HOOKS - SETTINGS HANDLERS
   // ============================================
 
+  /**
+   * Load the planet candidates into the galaxy layer and search results
+   * (the layer itself is shown and hidden by the settings manager)
+   */
+  const showCandidates = async (visible) => {
+    if (!visible) {
+      filterManagerRef.current?.setCandidates([]);
+      search();
+      return;
+    }
+
+    const candidates = await fetchCandidates();
+    // Toggled off again while loading
+    if (!settingsManagerRef.current?.showCandidates) return;
+
+    galaxyRendererRef.current?.setCandidates(candidates);
+    filterManagerRef.current?.setCandidates(candidates);
+    search();
+  };
+
+  // Categories differ between schemes: clear the type filter and list the
+  // results again with the new type badges
+  const changeClassificationScheme = () => {
+    refreshClassificationScheme();
+    if (domRefs.typeFilterRef.current) {
+      domRefs.typeFilterRef.current.value = "";
+    }
+    applyFilters();
+  };
+
   const settingsHandlers = useSettingsHandlers({
     settingsManagerRef,
     systemRendererRef,
     sceneManagerRef,
     cameraManagerRef,
     currentSystemRef,
+    currentPlanetRef,
     animateOrbitsRef,
     domRefs,
+    onCandidatesToggle: showCandidates,
+    onClassificationSchemeChange: changeClassificationScheme,
   });
 
   // ============================================
@@ -477,6 +538,9 @@ const ExoplanetViewer = () => {
       galaxyRendererRef.current.animateGalaxy(0.016);
     }
 
+    // Shared camera position, once its view is reached (restoreSharedView)
+    cameraManagerRef.current.applyPendingCamera();
+
     // Follow planet if enabled
     if (cameraManagerRef.current.followPlanet && currentPlanetRef.current) {
       cameraManagerRef.current.updateCameraFollowing(
@@ -489,6 +553,47 @@ const ExoplanetViewer = () => {
     sceneManagerRef.current.render();
   };
 
+  /**
+   * Open the planet or system of a shared link (?mode=&planet=&system=&camera=,
+   * also where short links redirect to) once the catalog is loaded; the
+   * camera is moved to the shared position when the selection's transition
+   * has finished
+   */
+  const restoreSharedView = () => {
+    const state = exportManagerRef.current?.parseURLState();
+    if (!state) return;
+
+    const planets = apiManagerRef.current.getAllExoplanets();
+    let isReady = null;
+    if (state.mode === "planet" && state.planet) {
+      const planet = planets.find((p) => p.name === state.planet);
+      if (planet) {
+        selectPlanet(planet);
+        isReady = () =>
+          viewModeRef.current === "planet" &&
+          currentPlanetRef.current?.name === planet.name;
+      }
+    } else if (state.mode === "system" && state.system) {
+      const systemPlanets = planets.filter((p) => p.hostStar === state.system);
+      if (systemPlanets.length > 0) {
+        selectSystem({
+          starName: state.system,
+          planets: systemPlanets,
+          distance: systemPlanets[0].distance,
+        });
+        isReady = () =>
+          viewModeRef.current === "system" &&
+          currentSystemRef.current?.starName === state.system;
+      }
+    } else if (state.mode === "galaxy") {
+      isReady = () => viewModeRef.current === "galaxy";
+    }
+
+    if (state.camera && isReady) {
+      cameraManagerRef.current.restoreCameraWhenReady(state.camera, isReady);
+    }
+  };
+
   // ============================================
   // INITIALIZATION EFFECT
   // ============================================
@@ -499,7 +604,10 @@ const ExoplanetViewer = () => {
 
     // Initialize all managers
     initializeDataManagers();
+    bookmarkManagerRef.current.startSync(apiManagerRef.current);
     initializeUIManagers(domRefs.canvasRef, domRefs.infoContentRef);
+    uiManagerRef.current.setSettingsManager(settingsManagerRef.current);
+    infoTabManagerRef.current.setSettingsManager(settingsManagerRef.current);
 
     // Capture ref for cleanup to prevent stale ref warning
     const searchCoordinatorForCleanup = searchCoordinatorRef;
@@ -511,6 +619,10 @@ const ExoplanetViewer = () => {
     uiManagerRef.current.setSystemSelectCallback((system) =>
       selectSystem(system)
     );
+    uiManagerRef.current.setCandidateSelectCallback((candidate) => {
+      infoTabManagerRef.current.updateCandidateInfo(candidate);
+      switchToInfoTab();
+    });
 
     // Defer Three.js initialization for smooth page animations
     requestAnimationFrame(() => {
@@ -531,9 +643,17 @@ const ExoplanetViewer = () => {
           sceneManagerRef.current,
           planetRendererRef.current,
           systemRendererRef.current,
-          galaxyRendererRef.current
+          galaxyRendererRef.current,
+          comparisonRendererRef.current
         );
         infoTabManagerRef.current.setFilterManager(filterManagerRef.current);
+        infoTabManagerRef.current.setApiManager(apiManagerRef.current);
+        infoTabManagerRef.current.setSolutionSelectCallback((planet) =>
+          applyPlanetSolution(planet)
+        );
+        infoTabManagerRef.current.setStarParametersCallback((starData) =>
+          applyStarParameters(starData)
+        );
 
         // Setup canvas event listeners
         setupCanvasEventListeners();
@@ -570,6 +690,8 @@ const ExoplanetViewer = () => {
           // On complete
           () => {
             updateInfoTab();
+            setCatalogLoaded(true);
+            restoreSharedView();
           }
         );
 
@@ -590,6 +712,7 @@ const ExoplanetViewer = () => {
     return () => {
       cleanupThreeJS();
       cleanupUIManagers();
+      bookmarkManagerRef.current?.destroy();
       removeCanvasEventListeners();
 
       // Cleanup search coordinator to prevent memory leaks
@@ -779,6 +902,8 @@ const ExoplanetViewer = () => {
             atmosphereToggleRef: domRefs.atmosphereToggleRef,
             starVisibilityToggleRef: domRefs.starVisibilityToggleRef,
             planetLabelsToggleRef: domRefs.planetLabelsToggleRef,
+            candidatesToggleRef: domRefs.candidatesToggleRef,
+            classificationSchemeRef: domRefs.classificationSchemeRef,
             orbitalInclinationToggleRef: domRefs.orbitalInclinationToggleRef,
             realisticDistancesToggleRef: domRefs.realisticDistancesToggleRef,
             orbitLinesToggleRef: domRefs.orbitLinesToggleRef,
@@ -805,6 +930,7 @@ const ExoplanetViewer = () => {
             distanceMaxRef: domRefs.distanceMaxRef,
             discoveryMethodFilterRef: domRefs.discoveryMethodFilterRef,
             discoveryFacilityFilterRef: domRefs.discoveryFacilityFilterRef,
+            excludeDefaultedFilterRef: domRefs.excludeDefaultedFilterRef,
             minPlanetsRef: domRefs.minPlanetsRef,
             systemDistanceMaxRef: domRefs.systemDistanceMaxRef,
             spectralTypeFilterRef: domRefs.spectralTypeFilterRef,
@@ -822,7 +948,10 @@ const ExoplanetViewer = () => {
             onToggleResults: toggleResults,
             onChangeFilterMode: changeFilterMode,
           }}
+          classificationScheme={classificationScheme}
           infoContentRef={domRefs.infoContentRef}
+          apiManager={catalogLoaded ? apiManagerRef.current : null}
+          filterManager={catalogLoaded ? filterManagerRef.current : null}
           onTogglePanelMinimize={togglePanelMinimize}
           // New props for Tools tab
           bookmarkManager={bookmarkManagerRef.current}
@@ -835,7 +964,7 @@ const ExoplanetViewer = () => {
           viewState={{
             mode: viewMode,
             planet: currentPlanet?.name,
-            system: currentSystem?.hostStar,
+            system: currentSystem?.starName || currentPlanet?.hostStar,
           }}
           currentPlanet={currentPlanet}
           onPlanetSelect={selectPlanet}
@@ -1,21 +1,217 @@
-import React from "react";
+import React, { useState, useEffect } from "react";
+import { DEFAULTABLE_PROPERTIES } from "../lib/utils/constants";
+import { getPlanetCategories } from "../lib/classification";
+
+const MIN_QUERY_LENGTH = 2;
+const SUGGESTION_LIMIT = 8;
+const SUGGESTION_DELAY = 200; // ms after the last keystroke
+
+/**
+ * Split text into plain and highlighted parts
+ * @param {string} text - Matched name
+ * @param {Array<Array<number>>} ranges - [start, end) offsets to highlight
+ */
+const highlight = (text, ranges = []) => {
+  const parts = [];
+  let position = 0;
+  ranges.forEach(([start, end]) => {
+    if (start > position) parts.push(text.slice(position, start));
+    parts.push(<mark key={start}>{text.slice(start, end)}</mark>);
+    position = end;
+  });
+  parts.push(text.slice(position));
+  return parts;
+};
 
 /**
  * Search Panel Component
- * Contains search input, filters, and results list
+ * Contains search input with name/alias suggestions (/api/search), filters,
+ * and results list
  */
-const SearchPanel = ({ refs, handlers }) => {
+const SearchPanel = ({
+  refs,
+  handlers,
+  classificationScheme,
+  apiManager,
+  onPlanetSelect,
+  onSystemSelect,
+}) => {
+  const [query, setQuery] = useState("");
+  const [suggestions, setSuggestions] = useState([]);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const [open, setOpen] = useState(false);
+  // Shown when a suggestion isn't among the loaded planets
+  const [notice, setNotice] = useState(null);
+
+  useEffect(() => {
+    if (!apiManager || query.trim().length < MIN_QUERY_LENGTH) {
+      setSuggestions([]);
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      apiManager
+        .searchCatalog(query, { limit: SUGGESTION_LIMIT })
+        .then((data) => {
+          if (cancelled) return;
+          setSuggestions(data.results);
+          setActiveIndex(-1);
+        })
+        .catch((err) => {
+          console.error("Error searching catalog:", err);
+          if (cancelled) return;
+          setSuggestions([]);
+          setActiveIndex(-1);
+        });
+    }, SUGGESTION_DELAY);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [apiManager, query]);
+
+  const handleInput = (event) => {
+    setQuery(event.target.value);
+    setOpen(true);
+    setNotice(null);
+    handlers.onSearch?.(event);
+  };
+
+  const selectSuggestion = (suggestion) => {
+    setOpen(false);
+
+    const planets = apiManager
+      .getAllExoplanets()
+      .filter((planet) => planet.hostStar === suggestion.hostname);
+
+    if (suggestion.type === "planet") {
+      const planet = planets.find((p) => p.name === suggestion.name);
+      if (planet) {
+        setNotice(null);
+        onPlanetSelect?.(planet);
+        return;
+      }
+    } else if (planets.length > 0) {
+      setNotice(null);
+      onSystemSelect?.({
+        starName: suggestion.hostname,
+        planets,
+        distance: planets[0].distance,
+      });
+      return;
+    }
+
+    // The search index covers the whole catalog, the viewer only what it
+    // has loaded so far (or cached before the planet was added)
+    setNotice(
+      `${suggestion.name} isn't in the loaded catalog yet. Try again once the catalog has finished loading, or reload the page to fetch the latest planets.`
+    );
+  };
+
+  const handleKeyDown = (event) => {
+    if (!open || suggestions.length === 0) return;
+
+    if (event.key === "ArrowDown") {
+      event.preventDefault();
+      setActiveIndex((activeIndex + 1) % suggestions.length);
+    } else if (event.key === "ArrowUp") {
+      event.preventDefault();
+      setActiveIndex(
+        (activeIndex - 1 + suggestions.length) % suggestions.length
+      );
+    } else if (event.key === "Enter" && activeIndex >= 0) {
+      event.preventDefault();
+      selectSuggestion(suggestions[activeIndex]);
+    } else if (event.key === "Escape") {
+      setOpen(false);
+    }
+  };
+
+  const showSuggestions = open && suggestions.length > 0;
+
   return (
     <div className="p-4">
       {/* Search Input */}
-      <div className="mb-4">
+      <div className="mb-4 search-autocomplete">
         <input
           type="text"
           className="form-control"
           placeholder="Search by name..."
           ref={refs.searchInputRef}
-          onInput={handlers.onSearch}
+          onInput={handleInput}
+          onKeyDown={handleKeyDown}
+          onFocus={() => setOpen(true)}
+          // Delay so a click on a suggestion lands before the list closes
+          onBlur={() => setTimeout(() => setOpen(false), 150)}
+          role="combobox"
+          aria-expanded={showSuggestions}
+          aria-controls="searchSuggestions"
+          aria-autocomplete="list"
+          aria-activedescendant={
+            activeIndex >= 0 ? `searchSuggestion-${activeIndex}` : undefined
+          }
         />
+
+        {showSuggestions && (
+          <div
+            id="searchSuggestions"
+            className="list-group search-suggestions"
+            role="listbox"
+          >
+            {suggestions.map((suggestion, index) => (
+              <button
+                key={`${suggestion.type}:${suggestion.name}`}
+                id={`searchSuggestion-${index}`}
+                type="button"
+                role="option"
+                aria-selected={index === activeIndex}
+                className={`list-group-item list-group-item-action d-flex justify-content-between align-items-center ${
+                  index === activeIndex ? "active" : ""
+                }`}
+                onMouseDown={(event) => event.preventDefault()}
+                onClick={() => selectSuggestion(suggestion)}
+              >
+                <span className="text-truncate">
+                  <i
+                    className={`bx ${
+                      suggestion.type === "system" ? "bx-sun" : "bx-planet"
+                    } me-2`}
+                  ></i>
+                  {suggestion.match.field === "alias" ? (
+                    <>
+                      {suggestion.name}
+                      <span className="text-muted fs-sm ms-2">
+                        {highlight(
+                          suggestion.match.text,
+                          suggestion.match.ranges
+                        )}
+                      </span>
+                    </>
+                  ) : (
+                    highlight(suggestion.name, suggestion.match.ranges)
+                  )}
+                </span>
+                {suggestion.type === "system" && (
+                  <span className="badge bg-secondary ms-2">
+                    {suggestion.planetCount}
+                  </span>
+                )}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {notice && (
+          <div
+            className="alert alert-info mt-2 mb-0"
+            style={{ fontSize: "0.875rem" }}
+            role="status"
+          >
+            <i className="bx bx-info-circle"></i> {notice}
+          </div>
+        )}
       </div>
 
       {/* Filters */}
@@ -69,10 +265,13 @@ const SearchPanel = ({ refs, handlers }) => {
                 onChange={handlers.onApplyFilters}
               >
                 <option value="">All Types</option>
-                <option value="terrestrial">Terrestrial</option>
-                <option value="super-earth">Super-Earth</option>
-                <option value="neptune">Neptune-like</option>
-                <option value="jupiter">Jupiter-like</option>
+                {Object.entries(getPlanetCategories(classificationScheme)).map(
+                  ([id, category]) => (
+                    <option key={id} value={id} title={category.description}>
+                      {category.name}
+                    </option>
+                  )
+                )}
               </select>
             </div>
 
@@ -171,6 +370,38 @@ const SearchPanel = ({ refs, handlers }) => {
                 <option value="Spitzer">Spitzer Space Telescope</option>
               </select>
             </div>
+
+            {/* Defaulted Values Filter */}
+            <div className="mb-3">
+              <label
+                htmlFor="excludeDefaultedFilter"
+                className="form-label fs-sm fw-semibold"
+              >
+                Require Archive Value
+              </label>
+              <select
+                id="excludeDefaultedFilter"
+                className="form-select"
+                ref={refs.excludeDefaultedFilterRef}
+                onChange={handlers.onApplyFilters}
+                aria-describedby="excludeDefaultedHelp"
+              >
+                <option value="">Include Default Values</option>
+                {Object.entries(DEFAULTABLE_PROPERTIES).map(
+                  ([property, name]) => (
+                    <option key={property} value={property}>
+                      {name}
+                    </option>
+                  )
+                )}
+              </select>
+              <small
+                id="excludeDefaultedHelp"
+                className="d-block text-white-50 mt-1"
+              >
+                Hide planets shown with an Earth or Sun default for this value
+              </small>
+            </div>
           </div>
           {/* End Planet Filters */}
 
@@ -1,4 +1,8 @@
 import React from "react";
+import {
+  CLASSIFICATION_SCHEMES,
+  DEFAULT_CLASSIFICATION_SCHEME,
+} from "../lib/classification";
 
 /**
  * Settings Panel Component
@@ -59,6 +63,29 @@ const SettingsPanel = ({ refs, handlers }) => {
           </label>
         </div>
 
+        {/* Planet Candidates Toggle */}
+        <div className="form-check mb-3">
+          <input
+            className="form-check-input"
+            type="checkbox"
+            id="candidatesToggle"
+            ref={refs.candidatesToggleRef}
+            onChange={handlers.toggleCandidates}
+          />
+          <label
+            className="form-check-label text-white"
+            htmlFor="candidatesToggle"
+          >
+            <i className="bx bx-radio-circle me-1"></i> Show Planet Candidates
+            <small className="d-block text-white-50 mt-1">
+              TESS and Kepler candidates in the galaxy view and search:
+              <span className="text-warning"> PC</span> candidate,
+              <span className="text-success"> CP</span> confirmed,
+              <span className="text-secondary"> FP</span> false positive
+            </small>
+          </label>
+        </div>
+
         {/* Planet Labels Toggle */}
         <div className="form-check mb-3" id="planetLabelsSetting">
           <input
@@ -80,6 +107,43 @@ const SettingsPanel = ({ refs, handlers }) => {
         </div>
       </div>
 
+      {/* Classification Section */}
+      <div className="settings-section mb-4">
+        <div className="d-flex align-items-center mb-3">
+          <i className="bx bx-category text-danger me-2"></i>
+          <h6 className="mb-0 text-white-50 fs-sm text-uppercase">
+            Classification
+          </h6>
+        </div>
+
+        {/* Classification Scheme Select */}
+        <div className="mb-3">
+          <label
+            htmlFor="classificationSchemeSelect"
+            className="form-label text-white"
+          >
+            <i className="bx bx-planet me-1"></i> Planet Types
+          </label>
+          <select
+            id="classificationSchemeSelect"
+            className="form-select"
+            defaultValue={DEFAULT_CLASSIFICATION_SCHEME}
+            ref={refs.classificationSchemeRef}
+            onChange={handlers.changeClassificationScheme}
+          >
+            {Object.entries(CLASSIFICATION_SCHEMES).map(([id, scheme]) => (
+              <option key={id} value={id} title={scheme.description}>
+                {scheme.name}
+              </option>
+            ))}
+          </select>
+          <small className="d-block text-white-50 mt-1">
+            Used for type badges, the type filter, orbit colors and planet
+            textures
+          </small>
+        </div>
+      </div>
+
       {/* Orbital Mechanics Section */}
       <div className="settings-section mb-4" id="orbitalMechanicsSection">
         <div className="d-flex align-items-center mb-3">
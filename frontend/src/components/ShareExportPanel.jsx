@@ -1,15 +1,78 @@
-import React, { useState } from "react";
+import React, { useState, useEffect } from "react";
+
+// Catalog download formats served by /api/export
+const CATALOG_FORMATS = [
+  { format: "votable", label: "VOTable", icon: "bx-table" },
+  { format: "csv", label: "CSV", icon: "bx-spreadsheet" },
+  { format: "tsv", label: "TSV", icon: "bx-file" },
+];
+
+// Lifetimes offered for short share links, in seconds
+const LINK_EXPIRY_OPTIONS = [
+  { value: 24 * 60 * 60, label: "1 day" },
+  { value: 7 * 24 * 60 * 60, label: "1 week" },
+  { value: 30 * 24 * 60 * 60, label: "30 days" },
+  { value: 365 * 24 * 60 * 60, label: "1 year" },
+];
 
 /**
  * Share & Export Panel Component
- * Provides options to share and export current view
+ * Provides options to share and export current view, and to download the
+ * planets matching the search filters with units and column descriptions
+ * Shared views are stored on the backend for short links, falling back to
+ * the full URL when that fails
  */
-const ShareExportPanel = ({ exportManager, viewState, currentPlanet }) => {
+const ShareExportPanel = ({
+  exportManager,
+  viewState,
+  currentPlanet,
+  apiManager,
+  filterManager,
+}) => {
   const [showCopiedMessage, setShowCopiedMessage] = useState(false);
   const [isExporting, setIsExporting] = useState(false);
+  const [filters, setFilters] = useState({});
+  const [linkExpiry, setLinkExpiry] = useState(LINK_EXPIRY_OPTIONS[2].value);
+  const [isCreatingLink, setIsCreatingLink] = useState(false);
 
-  const handleShareURL = async () => {
-    const url = exportManager.generateShareableURL(viewState);
+  useEffect(() => {
+    if (!filterManager) return;
+
+    setFilters(filterManager.getActiveFilters());
+    return filterManager.subscribe((activeFilters) => {
+      setFilters(activeFilters);
+    });
+  }, [filterManager]);
+
+  // The scheme only says which categories the type filter refers to
+  const isFiltered = Object.entries(filters).some(
+    ([name, value]) =>
+      name !== "scheme" && value !== null && value !== undefined && value !== ""
+  );
+
+  const getShareURL = async () => {
+    if (apiManager) {
+      try {
+        setIsCreatingLink(true);
+        const share = await apiManager.createShareLink(
+          exportManager.sanitizeViewState(
+            exportManager.captureViewState(viewState)
+          ),
+          linkExpiry
+        );
+        return share.url;
+      } catch (error) {
+        console.warn("Short link unavailable, sharing the full URL:", error);
+      } finally {
+        setIsCreatingLink(false);
+      }
+    }
+    return exportManager.generateShareableURL(
+      exportManager.captureViewState(viewState)
+    );
+  };
+
+  const copyURL = async (url) => {
     const success = await exportManager.copyToClipboard(url);
 
     if (success) {
@@ -20,8 +83,12 @@ const ShareExportPanel = ({ exportManager, viewState, currentPlanet }) => {
     }
   };
 
+  const handleShareURL = async () => {
+    copyURL(await getShareURL());
+  };
+
   const handleNativeShare = async () => {
-    const url = exportManager.generateShareableURL(viewState);
+    const url = await getShareURL();
     const text = exportManager.generateShareText(currentPlanet);
 
     const shareData = {
@@ -33,7 +100,7 @@ const ShareExportPanel = ({ exportManager, viewState, currentPlanet }) => {
     const success = await exportManager.shareViaWebAPI(shareData);
     if (!success) {
       // Fallback to copy URL
-      handleShareURL();
+      copyURL(url);
     }
   };
 
@@ -78,6 +145,7 @@ const ShareExportPanel = ({ exportManager, viewState, currentPlanet }) => {
             <button
               className="btn btn-sm btn-outline-light"
               onClick={handleNativeShare}
+              disabled={isCreatingLink}
               aria-label="Share via system share menu"
             >
               <i className="bx bx-share-alt"></i> Share Link
@@ -86,6 +154,7 @@ const ShareExportPanel = ({ exportManager, viewState, currentPlanet }) => {
           <button
             className="btn btn-sm btn-outline-light position-relative"
             onClick={handleShareURL}
+            disabled={isCreatingLink}
             aria-label="Copy shareable URL to clipboard"
           >
             <i className="bx bx-link"></i> Copy URL
@@ -96,6 +165,29 @@ const ShareExportPanel = ({ exportManager, viewState, currentPlanet }) => {
             )}
           </button>
         </div>
+        {apiManager && (
+          <div className="d-flex align-items-center gap-2 mt-2">
+            <label
+              htmlFor="share-link-expiry"
+              className="text-white-50 mb-0"
+              style={{ fontSize: "0.75rem" }}
+            >
+              Link expires after
+            </label>
+            <select
+              id="share-link-expiry"
+              className="form-select form-select-sm w-auto"
+              value={linkExpiry}
+              onChange={(e) => setLinkExpiry(Number(e.target.value))}
+            >
+              {LINK_EXPIRY_OPTIONS.map(({ value, label }) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
       </div>
 
       {/* Export Section */}
@@ -124,6 +216,34 @@ const ShareExportPanel = ({ exportManager, viewState, currentPlanet }) => {
         </div>
       </div>
 
+      {/* Catalog Download Section */}
+      {apiManager && (
+        <div className="mb-4">
+          <label className="form-label text-white fw-semibold">
+            Download Catalog
+          </label>
+          <div className="d-flex gap-2">
+            {CATALOG_FORMATS.map(({ format, label, icon }) => (
+              <a
+                key={format}
+                className="btn btn-sm btn-outline-light flex-fill"
+                href={apiManager.getExportUrl(format, filters)}
+                download
+                aria-label={`Download ${
+                  isFiltered ? "filtered planets" : "all planets"
+                } as ${label}`}
+              >
+                <i className={`bx ${icon}`}></i> {label}
+              </a>
+            ))}
+          </div>
+          <div className="text-white-50 mt-1" style={{ fontSize: "0.75rem" }}>
+            {isFiltered ? "Planets matching your filters" : "All planets"}, with
+            units and column descriptions for TOPCAT or astropy
+          </div>
+        </div>
+      )}
+
       {/* Info */}
       <div className="alert alert-info mb-0" style={{ fontSize: "0.875rem" }}>
         <i className="bx bx-info-circle"></i> Share your discoveries or export
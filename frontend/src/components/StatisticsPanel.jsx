@@ -0,0 +1,258 @@
+import React, { useState, useEffect } from "react";
+import { getPlanetTypeName, getTypeColor } from "../lib/utils/constants";
+
+const HISTOGRAM_TITLES = {
+  radius: "Radius",
+  mass: "Mass",
+  period: "Orbital Period",
+  distance: "Distance",
+};
+
+const formatBinLabel = (bin) =>
+  bin.max === null ? `${bin.min}+` : `${bin.min}–${bin.max}`;
+
+/**
+ * Horizontal bar list for grouped counts
+ */
+const BarList = ({ items, limit = 6, getLabel, getColorClass }) => {
+  const shown = items.slice(0, limit);
+  const max = Math.max(1, ...shown.map((item) => item.count));
+
+  return (
+    <div>
+      {shown.map((item) => (
+        <div key={String(item.value)} className="mb-2">
+          <div
+            className="d-flex justify-content-between text-white-50"
+            style={{ fontSize: "0.8rem" }}
+          >
+            <span className="text-truncate me-2">
+              {getLabel ? getLabel(item.value) : item.value}
+            </span>
+            <span className="text-white">{item.count.toLocaleString()}</span>
+          </div>
+          <div
+            className="rounded"
+            style={{ height: "6px", background: "rgba(255, 255, 255, 0.08)" }}
+          >
+            <div
+              className={`rounded h-100 bg-${
+                getColorClass ? getColorClass(item.value) : "primary"
+              }`}
+              style={{ width: `${(item.count / max) * 100}%` }}
+            />
+          </div>
+        </div>
+      ))}
+      {items.length > limit && (
+        <div className="text-white-50" style={{ fontSize: "0.75rem" }}>
+          +{items.length - limit} more
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Vertical bar chart (histograms and discoveries per year)
+ */
+const ColumnChart = ({ columns, firstLabel, lastLabel }) => {
+  const max = Math.max(1, ...columns.map((column) => column.count));
+
+  return (
+    <div>
+      <div
+        className="d-flex align-items-end gap-1 p-2 rounded"
+        style={{ height: "90px", background: "rgba(0, 0, 0, 0.3)" }}
+      >
+        {columns.map((column) => (
+          <div
+            key={column.label}
+            className="flex-fill rounded-top bg-info"
+            style={{
+              height: `${(column.count / max) * 100}%`,
+              minHeight: column.count > 0 ? "2px" : 0,
+            }}
+            title={`${column.label}: ${column.count.toLocaleString()}`}
+          />
+        ))}
+      </div>
+      <div
+        className="d-flex justify-content-between text-white-50 mt-1"
+        style={{ fontSize: "0.7rem" }}
+      >
+        <span>{firstLabel}</span>
+        <span>{lastLabel}</span>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Statistics Panel Component
+ * Discovery statistics dashboard computed by the backend (/api/stats)
+ * for the planets matching the current search filters
+ */
+const StatisticsPanel = ({ apiManager, filterManager }) => {
+  const [filters, setFilters] = useState({});
+  const [stats, setStats] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!filterManager) return;
+
+    setFilters(filterManager.getActiveFilters());
+    return filterManager.subscribe((activeFilters) => {
+      setFilters(activeFilters);
+    });
+  }, [filterManager]);
+
+  useEffect(() => {
+    if (!apiManager) return;
+
+    // Ignore responses for filters that have since changed
+    let cancelled = false;
+    apiManager
+      .fetchStats(filters)
+      .then((data) => {
+        if (!cancelled) {
+          setStats(data);
+          setError(null);
+        }
+      })
+      .catch((err) => {
+        console.error("Error loading statistics:", err);
+        if (!cancelled) {
+          setError("Statistics are currently unavailable");
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [apiManager, filters]);
+
+  // The scheme only says which categories the type filter refers to
+  const isFiltered = Object.entries(filters).some(
+    ([name, value]) =>
+      name !== "scheme" && value !== null && value !== undefined && value !== ""
+  );
+
+  if (error && !stats) {
+    return (
+      <div className="p-4 pt-0">
+        <p className="text-white-50 mb-0" style={{ fontSize: "0.85rem" }}>
+          {error}
+        </p>
+      </div>
+    );
+  }
+
+  if (!stats) {
+    return (
+      <div className="p-4 pt-0">
+        <p className="text-white-50 mb-0" style={{ fontSize: "0.85rem" }}>
+          Loading statistics...
+        </p>
+      </div>
+    );
+  }
+
+  const years = stats.counts.year.filter((item) => item.value !== null);
+
+  return (
+    <div className="statistics-panel p-4 pt-0">
+      <div className="d-flex justify-content-between align-items-center mb-3">
+        <h6 className="text-white-50 mb-0 fs-sm text-uppercase">
+          Discovery Statistics
+        </h6>
+        <span
+          className={`badge ${isFiltered ? "bg-warning text-dark" : "bg-secondary"}`}
+        >
+          {isFiltered ? "Filtered" : "All planets"}:{" "}
+          {stats.total.toLocaleString()}
+        </span>
+      </div>
+
+      {stats.total === 0 ? (
+        <p className="text-white-50" style={{ fontSize: "0.85rem" }}>
+          No planets match the current filters.
+        </p>
+      ) : (
+        <>
+          {years.length > 0 && (
+            <div className="mb-4">
+              <div className="text-white fs-sm mb-2">Discoveries per Year</div>
+              <ColumnChart
+                columns={years.map((item) => ({
+                  label: String(item.value),
+                  count: item.count,
+                }))}
+                firstLabel={years[0].value}
+                lastLabel={years[years.length - 1].value}
+              />
+            </div>
+          )}
+
+          <div className="mb-4">
+            <div className="text-white fs-sm mb-2">Planet Types</div>
+            <BarList
+              items={stats.counts.type}
+              getLabel={getPlanetTypeName}
+              getColorClass={getTypeColor}
+            />
+          </div>
+
+          <div className="mb-4">
+            <div className="text-white fs-sm mb-2">Discovery Methods</div>
+            <BarList items={stats.counts.method} />
+          </div>
+
+          <div className="mb-4">
+            <div className="text-white fs-sm mb-2">Discovery Facilities</div>
+            <BarList items={stats.counts.facility} />
+          </div>
+
+          <div className="mb-4">
+            <div className="text-white fs-sm mb-2">Host Star Classes</div>
+            <BarList
+              items={stats.counts.spectralType}
+              limit={8}
+              getColorClass={() => "warning"}
+            />
+          </div>
+
+          {Object.entries(stats.histograms).map(([name, histogram]) => (
+            <div key={name} className="mb-4">
+              <div className="d-flex justify-content-between text-white fs-sm mb-2">
+                <span>
+                  {HISTOGRAM_TITLES[name] || name} ({histogram.unit})
+                </span>
+                {histogram.missing > 0 && (
+                  <span
+                    className="text-white-50"
+                    style={{ fontSize: "0.75rem" }}
+                  >
+                    {histogram.missing.toLocaleString()} unknown
+                  </span>
+                )}
+              </div>
+              <ColumnChart
+                columns={histogram.bins.map((bin) => ({
+                  label: formatBinLabel(bin),
+                  count: bin.count,
+                }))}
+                firstLabel={formatBinLabel(histogram.bins[0])}
+                lastLabel={formatBinLabel(
+                  histogram.bins[histogram.bins.length - 1]
+                )}
+              />
+            </div>
+          ))}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default StatisticsPanel;
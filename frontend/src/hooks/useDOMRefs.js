@@ -26,6 +26,7 @@ export const useDOMRefs = () => {
   const distanceMaxRef = useRef(null);
   const discoveryMethodFilterRef = useRef(null);
   const discoveryFacilityFilterRef = useRef(null);
+  const excludeDefaultedFilterRef = useRef(null);
 
   // System filters
   const minPlanetsRef = useRef(null);
@@ -48,6 +49,8 @@ export const useDOMRefs = () => {
   const atmosphereToggleRef = useRef(null);
   const starVisibilityToggleRef = useRef(null);
   const planetLabelsToggleRef = useRef(null);
+  const candidatesToggleRef = useRef(null);
+  const classificationSchemeRef = useRef(null);
   const orbitLinesToggleRef = useRef(null);
   const starDensitySliderRef = useRef(null);
   const starDensityValueRef = useRef(null);
@@ -78,6 +81,7 @@ export const useDOMRefs = () => {
     distanceMaxRef,
     discoveryMethodFilterRef,
     discoveryFacilityFilterRef,
+    excludeDefaultedFilterRef,
 
     // System filter refs
     minPlanetsRef,
@@ -100,6 +104,8 @@ export const useDOMRefs = () => {
     atmosphereToggleRef,
     starVisibilityToggleRef,
     planetLabelsToggleRef,
+    candidatesToggleRef,
+    classificationSchemeRef,
     orbitLinesToggleRef,
     starDensitySliderRef,
     starDensityValueRef,
@@ -34,6 +34,11 @@ export const useExoplanetData = (apiEndpoint, uiRefs) => {
     onFirstBatch,
     onComplete
   ) => {
+    // Streamed catalogs arrive over many batches; redraw the galaxy as they
+    // come in, but not more often than this
+    const galaxyRefreshInterval = 2000;
+    let lastGalaxyRender = 0;
+
     await apiManagerRef.current.fetchExoplanets(
       // On batch processed
       (batchPlanets, allExoplanets) => {
@@ -67,13 +72,25 @@ export const useExoplanetData = (apiEndpoint, uiRefs) => {
           }
         }
 
-        // If this is the first batch, render galaxy
+        // If this is the first batch, render galaxy and reveal it
         if (
           allExoplanets.length === batchPlanets.length &&
           allExoplanets.length > 0 &&
           onFirstBatch
         ) {
           onFirstBatch(allExoplanets);
+          lastGalaxyRender = Date.now();
+          uiManagerRef.current.hideCanvasLoading();
+        } else if (
+          Date.now() - lastGalaxyRender >= galaxyRefreshInterval &&
+          galaxyRendererRef.current?.basicStructureRendered
+        ) {
+          // Fill in systems progressively while the rest downloads
+          // (skipped once the galaxy was cleaned up for another view)
+          galaxyRendererRef.current.renderGalaxy(
+            filterManagerRef.current.getNotableSystems()
+          );
+          lastGalaxyRender = Date.now();
         }
       },
       // On complete
@@ -126,11 +143,33 @@ export const useExoplanetData = (apiEndpoint, uiRefs) => {
     );
   };
 
+  /**
+   * Fetch the TESS (TOI) and Kepler (KOI) planet candidates
+   * A table that fails to load is skipped so the other can still be shown
+   * @returns {Promise<Array>} Processed candidates of both tables
+   */
+  const fetchCandidates = async () => {
+    const sources = ["toi", "koi"];
+    const results = await Promise.allSettled(
+      sources.map((source) => apiManagerRef.current.fetchCandidates(source))
+    );
+
+    return results.flatMap((result, index) => {
+      if (result.status === "fulfilled") return result.value;
+      console.error(
+        `❌ Error fetching ${sources[index].toUpperCase()} candidates:`,
+        result.reason
+      );
+      return [];
+    });
+  };
+
   return {
     apiManagerRef,
     filterManagerRef,
     uiManagerRef,
     initializeDataManagers,
     fetchExoplanets,
+    fetchCandidates,
   };
 };
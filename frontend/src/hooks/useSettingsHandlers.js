@@ -8,8 +8,11 @@ export const useSettingsHandlers = ({
   sceneManagerRef,
   cameraManagerRef,
   currentSystemRef,
+  currentPlanetRef,
   animateOrbitsRef,
   domRefs,
+  onCandidatesToggle,
+  onClassificationSchemeChange,
 }) => {
   // ============================================
   // ORBIT SETTINGS
@@ -93,6 +96,23 @@ export const useSettingsHandlers = ({
     );
   };
 
+  const toggleCandidates = () => {
+    if (!domRefs.candidatesToggleRef.current) return;
+    const checked = domRefs.candidatesToggleRef.current.checked;
+    settingsManagerRef.current.toggleCandidates(checked);
+    onCandidatesToggle?.(checked);
+  };
+
+  const changeClassificationScheme = () => {
+    if (!domRefs.classificationSchemeRef.current) return;
+    const scheme = domRefs.classificationSchemeRef.current.value;
+    settingsManagerRef.current.setClassificationScheme(
+      scheme,
+      currentPlanetRef.current
+    );
+    onClassificationSchemeChange?.(scheme);
+  };
+
   // ============================================
   // PERFORMANCE
   // ============================================
@@ -146,7 +166,7 @@ export const useSettingsHandlers = ({
   // ============================================
 
   const resetSettings = () => {
-    const defaults = settingsManagerRef.current.reset();
+    const defaults = settingsManagerRef.current.reset(currentPlanetRef.current);
 
     if (domRefs.starVisibilityToggleRef.current) {
       domRefs.starVisibilityToggleRef.current.checked = defaults.showStars;
@@ -190,6 +210,15 @@ export const useSettingsHandlers = ({
     if (domRefs.atmosphereToggleRef.current) {
       domRefs.atmosphereToggleRef.current.checked = defaults.showAtmospheres;
     }
+    if (domRefs.candidatesToggleRef.current) {
+      domRefs.candidatesToggleRef.current.checked = defaults.showCandidates;
+    }
+    if (domRefs.classificationSchemeRef.current) {
+      domRefs.classificationSchemeRef.current.value =
+        defaults.classificationScheme;
+    }
+    onCandidatesToggle?.(defaults.showCandidates);
+    onClassificationSchemeChange?.(defaults.classificationScheme);
   };
 
   const updateSettingsVisibility = (viewMode) => {
@@ -205,6 +234,8 @@ export const useSettingsHandlers = ({
     toggleAtmospheres,
     toggleStarVisibility,
     togglePlanetLabels,
+    toggleCandidates,
+    changeClassificationScheme,
     updateStarDensity,
     toggleHighQuality,
     updateCameraSpeed,
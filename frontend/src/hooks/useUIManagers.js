@@ -37,6 +37,7 @@ export const useUIManagers = () => {
     searchCoordinatorRef.current = new SearchCoordinator({
       filterManager,
       uiManager,
+      settingsManager: settingsManagerRef.current,
       targets: {
         searchInput: filterRefs.searchInputRef.current,
         filterMode: filterRefs.filterModeRef.current,
@@ -48,6 +49,7 @@ export const useUIManagers = () => {
         distanceMax: filterRefs.distanceMaxRef.current,
         discoveryMethodFilter: filterRefs.discoveryMethodFilterRef.current,
         discoveryFacilityFilter: filterRefs.discoveryFacilityFilterRef.current,
+        excludeDefaultedFilter: filterRefs.excludeDefaultedFilterRef.current,
         minPlanets: filterRefs.minPlanetsRef.current,
         systemDistanceMax: filterRefs.systemDistanceMaxRef.current,
         spectralTypeFilter: filterRefs.spectralTypeFilterRef.current,
@@ -62,13 +64,15 @@ export const useUIManagers = () => {
     sceneManager,
     planetRenderer,
     systemRenderer,
-    galaxyRenderer
+    galaxyRenderer,
+    comparisonRenderer
   ) => {
     settingsManagerRef.current.setRenderers({
       sceneManager,
       planetRenderer,
       systemRenderer,
       galaxyRenderer,
+      comparisonRenderer,
     });
   };
 
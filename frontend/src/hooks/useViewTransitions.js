@@ -227,6 +227,28 @@ export const useViewTransitions = ({
     }
   };
 
+  /**
+   * Refine the star view with the host star's own parameter set
+   * Updates the central star's appearance and the stellar data shown in the info tab
+   */
+  const applyStarParameters = (starData) => {
+    const current = currentStarRef.current;
+    if (
+      viewModeRef.current !== "star" ||
+      current?.system.starName !== starData.stellarParameters?.hostname
+    ) {
+      return;
+    }
+
+    currentStarRef.current = { ...current, starData };
+    systemRendererRef.current?.updateCentralStar(starData);
+
+    // Sync state after ref update (refreshes the info tab)
+    if (applyStarParameters.syncState) {
+      applyStarParameters.syncState();
+    }
+  };
+
   const selectPlanet = (planet, systemData = null) => {
     currentPlanetRef.current = planet;
 
@@ -321,6 +343,28 @@ export const useViewTransitions = ({
     }
   };
 
+  /**
+   * Re-render the current planet from another published parameter set
+   * The camera stays where it is; only the planet's data and mesh change
+   */
+  const applyPlanetSolution = (planet) => {
+    if (currentPlanetRef.current?.name !== planet.name) return;
+
+    currentPlanetRef.current = planet;
+
+    const replacedInSystem =
+      currentSystemRef.current &&
+      systemRendererRef.current.replacePlanet(planet);
+    if (!replacedInSystem) {
+      planetRendererRef.current.renderPlanet(planet);
+    }
+
+    // Sync state after ref update (refreshes the info tab)
+    if (applyPlanetSolution.syncState) {
+      applyPlanetSolution.syncState();
+    }
+  };
+
   // ============================================
   // SYSTEM SELECTION
   // ============================================
@@ -784,6 +828,8 @@ export const useViewTransitions = ({
     selectStar,
     selectRandomPlanet,
     selectRandomSystem,
+    applyPlanetSolution,
+    applyStarParameters,
     transitionToPlanetFromSystem,
     transitionToStarFromSystem,
     switchToSystemView,
@@ -0,0 +1,182 @@
+/**
+ * Tests for planet classification schemes
+ */
+import {
+  classifyBasic,
+  classifyDetailed,
+  getPlanetCategories,
+  getPlanetCategory,
+  getTextureStyle,
+} from "..";
+import { SettingsManager } from "../../managers/settings/SettingsManager";
+import { getPlanetTypeName, getTypeColor } from "../../utils/constants";
+
+const planet = (overrides) => ({
+  radius: 1.0,
+  mass: 1.0,
+  temperature: 288,
+  density: null,
+  orbitalPeriod: 365,
+  provenance: {
+    radius: "measured",
+    mass: "measured",
+    temperature: "measured",
+    orbitalPeriod: "measured",
+  },
+  ...overrides,
+});
+
+describe("Planet Classification", () => {
+  describe("classifyBasic", () => {
+    test("should classify by density, then radius", () => {
+      expect(classifyBasic({ radius: 1.2, density: 5.5 })).toBe("terrestrial");
+      expect(classifyBasic({ radius: 5.0, density: 4.5 })).toBe("super-earth");
+      expect(classifyBasic({ radius: 3.9, density: 1.6 })).toBe("neptune");
+      expect(classifyBasic({ radius: 3.9, density: 0.7 })).toBe("jupiter");
+      expect(classifyBasic({ radius: 1.8, density: null })).toBe("super-earth");
+      expect(classifyBasic({ radius: 9.9, density: null })).toBe("neptune");
+      expect(classifyBasic({ radius: 10, density: null })).toBe("jupiter");
+    });
+
+    test("should match the terrestrial tooltip", () => {
+      const { description } = getPlanetCategories("basic").terrestrial;
+
+      expect(description).toContain("below 1.25 Earth radii");
+      expect(classifyBasic({ radius: 1.24, density: null })).toBe(
+        "terrestrial"
+      );
+      expect(description).toContain("below 1.5 when denser than 3.5 g/cm³");
+      expect(classifyBasic({ radius: 1.49, density: 3.6 })).toBe("terrestrial");
+    });
+  });
+
+  describe("classifyDetailed", () => {
+    test("should split giants by orbital period", () => {
+      expect(classifyDetailed(planet({ radius: 13, orbitalPeriod: 3.5 }))).toBe(
+        "hot-jupiter"
+      );
+      expect(classifyDetailed(planet({ radius: 13, orbitalPeriod: 50 }))).toBe(
+        "warm-jupiter"
+      );
+      expect(classifyDetailed(planet({ radius: 9, orbitalPeriod: 4333 }))).toBe(
+        "cold-jupiter"
+      );
+    });
+
+    test("should fall back on the temperature for giants without a period", () => {
+      const giant = (temperature, provenance = "measured") =>
+        planet({
+          radius: 13,
+          orbitalPeriod: 0,
+          temperature,
+          provenance: {
+            orbitalPeriod: "defaulted",
+            temperature: provenance,
+          },
+        });
+
+      expect(classifyDetailed(giant(1400))).toBe("hot-jupiter");
+      expect(classifyDetailed(giant(600))).toBe("warm-jupiter");
+      expect(classifyDetailed(giant(288, "defaulted"))).toBe("cold-jupiter");
+    });
+
+    test("should pick out lava worlds and ultra-short-period planets", () => {
+      expect(classifyDetailed(planet({ radius: 1.5, temperature: 2100 }))).toBe(
+        "lava-world"
+      );
+      expect(
+        classifyDetailed(
+          planet({ radius: 1.9, temperature: 2100, orbitalPeriod: 0.74 })
+        )
+      ).toBe("ultra-short-period");
+    });
+
+    test("should only flag ocean worlds with measured radius and mass", () => {
+      const candidate = planet({ radius: 1.6, density: 3.0, temperature: 320 });
+
+      expect(classifyDetailed(candidate)).toBe("ocean-world");
+      expect(
+        classifyDetailed({
+          ...candidate,
+          provenance: { ...candidate.provenance, mass: "derived" },
+        })
+      ).toBe("super-earth");
+      expect(classifyDetailed({ ...candidate, temperature: 700 })).toBe(
+        "super-earth"
+      );
+    });
+
+    test("should split small planets by radius and density", () => {
+      expect(classifyDetailed(planet({ radius: 1.0 }))).toBe("terrestrial");
+      expect(classifyDetailed(planet({ radius: 1.5 }))).toBe("super-earth");
+      expect(classifyDetailed(planet({ radius: 2.2 }))).toBe("mini-neptune");
+      expect(classifyDetailed(planet({ radius: 2.2, density: 5.0 }))).toBe(
+        "super-earth"
+      );
+      expect(classifyDetailed(planet({ radius: 3.0 }))).toBe("sub-neptune");
+      expect(classifyDetailed(planet({ radius: 3.9 }))).toBe("neptune");
+    });
+  });
+
+  describe("schemes", () => {
+    test("should drive categories, names, colors and textures", () => {
+      const hotJupiter = planet({
+        radius: 13,
+        orbitalPeriod: 3.5,
+        type: "jupiter",
+      });
+
+      expect(getPlanetCategory(hotJupiter, "basic")).toBe("jupiter");
+      expect(Object.keys(getPlanetCategories("basic"))).toEqual([
+        "terrestrial",
+        "super-earth",
+        "neptune",
+        "jupiter",
+      ]);
+
+      const category = getPlanetCategory(hotJupiter, "detailed");
+
+      expect(category).toBe("hot-jupiter");
+      expect(getPlanetTypeName(category)).toBe("Hot Jupiter");
+      expect(getTypeColor(category)).toBe("danger");
+      expect(getPlanetCategories("detailed")).toHaveProperty("ocean-world");
+      expect(getTextureStyle(hotJupiter, "detailed")).toBe("gas-giant");
+      expect(
+        getTextureStyle(planet({ radius: 1.5, temperature: 2100 }), "detailed")
+      ).toBe("lava");
+      expect(
+        getTextureStyle(planet({ radius: 1.5, temperature: 2100 }), "basic")
+      ).toBe("rocky");
+    });
+
+    test("should reject unknown or missing schemes", () => {
+      expect(() => getPlanetCategory(planet(), "fancy")).toThrow(
+        "Unknown classification scheme: fancy"
+      );
+      expect(() => getPlanetCategories()).toThrow(
+        "Unknown classification scheme: undefined"
+      );
+    });
+
+    test("should be kept by the settings manager only", () => {
+      const planetRenderer = { setSettingsManager: jest.fn() };
+      new SettingsManager().setRenderers({ planetRenderer });
+      expect(planetRenderer.setSettingsManager).toHaveBeenCalledWith(
+        expect.any(SettingsManager)
+      );
+
+      const settingsManager = new SettingsManager();
+      expect(settingsManager.classificationScheme).toBe("basic");
+
+      settingsManager.setClassificationScheme("detailed");
+      expect(settingsManager.classificationScheme).toBe("detailed");
+      expect(() => settingsManager.setClassificationScheme("fancy")).toThrow(
+        "Unknown classification scheme: fancy"
+      );
+      expect(settingsManager.classificationScheme).toBe("detailed");
+
+      settingsManager.reset();
+      expect(settingsManager.classificationScheme).toBe("basic");
+    });
+  });
+});
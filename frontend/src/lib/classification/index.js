@@ -0,0 +1,287 @@
+/**
+ * Planet classification schemes
+ * planet.type always holds the basic type set by ApiManager.processPlanetData
+ * (terrestrial, super-earth, neptune or jupiter), which the renderers and
+ * the physics module build on. The scheme chosen in the settings
+ * (SettingsManager.classificationScheme) decides the category shown to
+ * users: type names and colors, the type filter, orbit line colors and
+ * surface textures. Callers pass it explicitly; this module keeps no state.
+ */
+
+/**
+ * Categories by id, shared between schemes when they mean the same
+ * - name: display name
+ * - color: badge color class
+ * - hex: orbit line color
+ * - texture: surface style of TextureGenerator ("rocky", "lava", "ocean",
+ *   "ice-giant" or "gas-giant")
+ * - description: decision rule, shown as a tooltip
+ */
+const CATEGORIES = {
+  terrestrial: {
+    name: "Terrestrial",
+    color: "success",
+    hex: 0x22c55e,
+    texture: "rocky",
+    description:
+      "Rocky planet below 1.25 Earth radii (below 1.5 when denser than 3.5 g/cm³ in the basic scheme)",
+  },
+  "super-earth": {
+    name: "Super-Earth",
+    color: "info",
+    hex: 0x3b82f6,
+    texture: "rocky",
+    description: "Rocky planet larger than Earth",
+  },
+  "mini-neptune": {
+    name: "Mini-Neptune",
+    color: "primary",
+    hex: 0x818cf8,
+    texture: "ice-giant",
+    description: "1.75-2.5 Earth radii, above the radius valley",
+  },
+  "sub-neptune": {
+    name: "Sub-Neptune",
+    color: "primary",
+    hex: 0x8b5cf6,
+    texture: "ice-giant",
+    description: "2.5-3.5 Earth radii",
+  },
+  neptune: {
+    name: "Neptune-like",
+    color: "primary",
+    hex: 0x6366f1,
+    texture: "ice-giant",
+    description: "Ice giant",
+  },
+  jupiter: {
+    name: "Jupiter-like",
+    color: "warning",
+    hex: 0xf59e0b,
+    texture: "gas-giant",
+    description: "Gas giant",
+  },
+  "hot-jupiter": {
+    name: "Hot Jupiter",
+    color: "danger",
+    hex: 0xef4444,
+    texture: "gas-giant",
+    description: "Giant on an orbit shorter than 10 days",
+  },
+  "warm-jupiter": {
+    name: "Warm Jupiter",
+    color: "warning",
+    hex: 0xf59e0b,
+    texture: "gas-giant",
+    description: "Giant on a 10-200 day orbit",
+  },
+  "cold-jupiter": {
+    name: "Cold Jupiter",
+    color: "info",
+    hex: 0x93c5fd,
+    texture: "gas-giant",
+    description: "Giant on an orbit of 200 days or more",
+  },
+  "ultra-short-period": {
+    name: "Ultra-Short-Period",
+    color: "danger",
+    hex: 0xf97316,
+    texture: "rocky",
+    description: "Orbit shorter than one day",
+  },
+  "lava-world": {
+    name: "Lava World",
+    color: "danger",
+    hex: 0xdc2626,
+    texture: "lava",
+    description: "Rocky planet at 1500 K or more, hot enough to melt rock",
+  },
+  "ocean-world": {
+    name: "Ocean World Candidate",
+    color: "info",
+    hex: 0x06b6d4,
+    texture: "ocean",
+    description:
+      "Too light for bare rock, too dense for a gas envelope, at temperatures where water can be liquid",
+  },
+};
+
+const pick = (...ids) =>
+  Object.fromEntries(ids.map((id) => [id, CATEGORIES[id]]));
+
+// Values replaced by a default in processPlanetData say nothing about the
+// planet. Planets without provenance (the Solar System) are measured.
+const known = (planet, property) =>
+  planet[property] > 0 && planet.provenance?.[property] !== "defaulted";
+const measured = (planet, property) =>
+  !planet.provenance || planet.provenance[property] === "measured";
+
+/**
+ * Basic classification by density, then radius
+ * - density > 3.5 g/cm³: rocky, terrestrial below 1.5 R⊕, else super-Earth
+ * - density < 3.5 g/cm³: Neptune-like from 1.5 g/cm³, else Jupiter-like
+ * - without density: terrestrial below 1.25 R⊕, super-Earth below 2 R⊕,
+ *   Neptune-like below 10 R⊕, else Jupiter-like
+ * Mirrored by classifyPlanet in the backend's lib/stats.js
+ * @param {Object} planet - {radius, density} (density null when unknown)
+ * @returns {string} terrestrial, super-earth, neptune or jupiter
+ */
+export function classifyBasic({ radius, density }) {
+  if (density > 3.5) {
+    return radius < 1.5 ? "terrestrial" : "super-earth";
+  }
+  if (density !== null && density !== undefined && density < 3.5) {
+    return density >= 1.5 ? "neptune" : "jupiter";
+  }
+
+  if (radius < 1.25) return "terrestrial";
+  if (radius < 2.0) return "super-earth";
+  if (radius < 10.0) return "neptune";
+  return "jupiter";
+}
+
+/**
+ * Detailed classification; the first matching rule wins (R radius in Earth
+ * radii, P orbital period in days, T equilibrium temperature in K, ρ density
+ * in g/cm³, defaulted values ignored):
+ * 1. Giants (R ≥ 6): hot Jupiter for P < 10, warm Jupiter for P < 200, cold
+ *    Jupiter beyond. Without a period, T ≥ 1000 is hot and T ≥ 300 warm;
+ *    without either they are cold, like most directly imaged giants
+ * 2. Lava world: R < 1.75 and T ≥ 1500
+ * 3. Ultra-short-period: P < 1
+ * 4. Ocean world candidate: 1 ≤ R < 2.5 with a measured radius and mass,
+ *    2 ≤ ρ < 4 and 200 ≤ T < 400
+ * 5. Rocky by density: ρ > 3.5, terrestrial below R = 1.25, else super-Earth
+ * 6. By radius: terrestrial below 1.25, super-Earth below 1.75 (the radius
+ *    valley), mini-Neptune below 2.5, sub-Neptune below 3.5, else Neptune-like
+ * Mirrored by classifyPlanetDetailed in the backend's lib/stats.js
+ * @param {Object} planet - Processed planet
+ * @returns {string} Category id
+ */
+export function classifyDetailed(planet) {
+  const { radius, density } = planet;
+  const period = known(planet, "orbitalPeriod") ? planet.orbitalPeriod : null;
+  const temperature = known(planet, "temperature") ? planet.temperature : null;
+
+  if (radius >= 6) {
+    if (period !== null) {
+      if (period < 10) return "hot-jupiter";
+      return period < 200 ? "warm-jupiter" : "cold-jupiter";
+    }
+    if (temperature >= 1000) return "hot-jupiter";
+    return temperature >= 300 ? "warm-jupiter" : "cold-jupiter";
+  }
+
+  if (radius < 1.75 && temperature >= 1500) return "lava-world";
+  if (period !== null && period < 1) return "ultra-short-period";
+
+  if (
+    radius >= 1 &&
+    radius < 2.5 &&
+    measured(planet, "radius") &&
+    measured(planet, "mass") &&
+    density >= 2 &&
+    density < 4 &&
+    temperature >= 200 &&
+    temperature < 400
+  ) {
+    return "ocean-world";
+  }
+
+  if (density > 3.5) {
+    return radius < 1.25 ? "terrestrial" : "super-earth";
+  }
+
+  if (radius < 1.25) return "terrestrial";
+  if (radius < 1.75) return "super-earth";
+  if (radius < 2.5) return "mini-neptune";
+  if (radius < 3.5) return "sub-neptune";
+  return "neptune";
+}
+
+/**
+ * Available schemes
+ * - categories: category definitions (see CATEGORIES), in display order
+ * - classify: planet -> category id
+ */
+export const CLASSIFICATION_SCHEMES = {
+  basic: {
+    name: "Basic",
+    description: "Terrestrial, Super-Earth, Neptune-like and Jupiter-like",
+    categories: pick("terrestrial", "super-earth", "neptune", "jupiter"),
+    // planet.type is the basic type (preset for the Solar System)
+    classify: (planet) => planet.type || classifyBasic(planet),
+  },
+  detailed: {
+    name: "Detailed",
+    description:
+      "Splits Neptunes by size and giants by orbit, and picks out ultra-short-period planets, lava worlds and ocean world candidates",
+    categories: pick(
+      "terrestrial",
+      "super-earth",
+      "mini-neptune",
+      "sub-neptune",
+      "neptune",
+      "hot-jupiter",
+      "warm-jupiter",
+      "cold-jupiter",
+      "ultra-short-period",
+      "lava-world",
+      "ocean-world"
+    ),
+    classify: classifyDetailed,
+  },
+};
+
+export const DEFAULT_CLASSIFICATION_SCHEME = "basic";
+
+/**
+ * Look up a scheme
+ * @param {string} scheme - Key of CLASSIFICATION_SCHEMES
+ * @returns {Object} Scheme definition
+ * @throws {Error} For unknown schemes
+ */
+export function getSchemeDefinition(scheme) {
+  if (!Object.prototype.hasOwnProperty.call(CLASSIFICATION_SCHEMES, scheme)) {
+    throw new Error(`Unknown classification scheme: ${scheme}`);
+  }
+  return CLASSIFICATION_SCHEMES[scheme];
+}
+
+/**
+ * Categories of a scheme, in display order
+ * @param {string} scheme - Scheme id
+ * @returns {Object} Category definitions by id
+ */
+export function getPlanetCategories(scheme) {
+  return getSchemeDefinition(scheme).categories;
+}
+
+/**
+ * Category of a planet
+ * @param {Object} planet - Processed planet
+ * @param {string} scheme - Scheme id
+ * @returns {string} Category id
+ */
+export function getPlanetCategory(planet, scheme) {
+  return getSchemeDefinition(scheme).classify(planet);
+}
+
+/**
+ * Definition of a category of any scheme
+ * @param {string} category - Category id
+ * @returns {Object|null}
+ */
+export function getCategoryInfo(category) {
+  return CATEGORIES[category] || null;
+}
+
+/**
+ * Surface style of a planet under a scheme
+ * @param {Object} planet - Processed planet
+ * @param {string} scheme - Scheme id
+ * @returns {string} "rocky", "lava", "ocean", "ice-giant" or "gas-giant"
+ */
+export function getTextureStyle(planet, scheme) {
+  return getCategoryInfo(getPlanetCategory(planet, scheme))?.texture || "rocky";
+}
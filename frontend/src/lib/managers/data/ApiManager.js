@@ -1,3 +1,38 @@
+import {
+  estimateMassFromRadius,
+  estimateRadiusFromMass,
+} from "../../physics/index.js";
+import { classifyBasic } from "../../classification/index.js";
+
+// Planet properties kept with their archive uncertainties, by column
+// (`<column>err1` upper, `<column>err2` lower)
+const UNCERTAINTY_COLUMNS = {
+  radius: "pl_rade",
+  mass: "pl_bmasse",
+  orbitalPeriod: "pl_orbper",
+  semiMajorAxis: "pl_orbsmax",
+  orbitalEccentricity: "pl_orbeccen",
+  temperature: "pl_eqt",
+  stellarTemp: "st_teff",
+  stellarRadius: "st_rad",
+  stellarMass: "st_mass",
+  stellarLuminosity: "st_lum",
+  stellarAge: "st_age",
+};
+
+/**
+ * Read a column's uncertainties as positive magnitudes
+ * @returns {{upper: number|null, lower: number|null}|null} null when the
+ *   archive has neither bound
+ */
+const readUncertainty = (raw, column) => {
+  const magnitude = (value) =>
+    value === null || value === undefined ? null : Math.abs(value);
+  const upper = magnitude(raw[`${column}err1`]);
+  const lower = magnitude(raw[`${column}err2`]);
+  return upper === null && lower === null ? null : { upper, lower };
+};
+
 /**
  * ApiManager
  * Handles fetching and processing exoplanet data from NASA API with caching
@@ -11,6 +46,32 @@ export class ApiManager {
     this.cacheKey = "nasa_exoplanets_cache";
     this.cacheTimestampKey = "nasa_exoplanets_cache_timestamp";
     this.cacheExpiration = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
+    this.solutionRequests = new Map(); // Parameter set requests by planet name
+    this.statsRequests = new Map(); // Statistics requests by query string
+    this.starRequests = new Map(); // Host star parameter requests by hostname
+    this.changesRequests = new Map(); // Catalog change requests by timestamp
+    this.candidateRequests = new Map(); // Planet candidate requests by source
+    this.searchRequests = new Map(); // Search requests by query string
+    this.searchRequestLimit = 100; // Oldest search requests are forgotten first
+    // When the catalog was last downloaded, read before this visit replaces it
+    this.lastVisit = this.getCacheTimestamp();
+  }
+
+  /**
+   * Time the cached catalog was downloaded
+   * @returns {number|null} Epoch milliseconds, or null without a cache
+   */
+  getCacheTimestamp() {
+    try {
+      const timestamp = parseInt(
+        localStorage.getItem(this.cacheTimestampKey),
+        10
+      );
+      return Number.isFinite(timestamp) ? timestamp : null;
+    } catch (error) {
+      console.warn("Error reading cache timestamp:", error);
+      return null;
+    }
   }
 
   /**
@@ -46,10 +107,17 @@ export class ApiManager {
 
   /**
    * Save data to cache
+   * Null columns are left out (most rows lack some uncertainties), which
+   * keeps the catalog within the localStorage quota
    */
   saveToCache(data) {
     try {
-      localStorage.setItem(this.cacheKey, JSON.stringify(data));
+      localStorage.setItem(
+        this.cacheKey,
+        JSON.stringify(data, (key, value) =>
+          value === null ? undefined : value
+        )
+      );
       localStorage.setItem(this.cacheTimestampKey, Date.now().toString());
     } catch (error) {
       console.warn(
@@ -81,9 +149,76 @@ export class ApiManager {
     this.isProcessing = false;
   }
 
+  /**
+   * Process raw rows and add them to the collection
+   */
+  addPlanetBatch(rows, onBatchProcessed) {
+    const batchPlanets = rows.map((planet) => this.processPlanetData(planet));
+
+    this.exoplanets.push(...batchPlanets);
+
+    if (onBatchProcessed) {
+      onBatchProcessed(batchPlanets, this.exoplanets);
+    }
+  }
+
+  /**
+   * Read an NDJSON response body incrementally
+   * Rows are handed to onRows in batches as they arrive, so planets can be
+   * shown before the download finishes
+   * @param {Response} response - Fetch response with a readable body
+   * @param {Function} onRows - Called with each batch of raw rows
+   * @param {number} batchSize - Rows per batch
+   * @returns {Promise<Array|null>} All raw rows, or null if processing was cancelled
+   */
+  async readNdjsonStream(response, onRows, batchSize = 100) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    const rows = [];
+    let batch = [];
+    let buffer = "";
+
+    const parseLine = (line) => {
+      if (line.trim() === "") return;
+
+      const row = JSON.parse(line);
+      rows.push(row);
+      batch.push(row);
+      if (batch.length >= batchSize) {
+        onRows(batch);
+        batch = [];
+      }
+    };
+
+    for (;;) {
+      const { done, value } = await reader.read();
+
+      // Stop downloading if processing was cancelled
+      if (!this.isProcessing) {
+        await reader.cancel();
+        return null;
+      }
+
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split("\n");
+      buffer = lines.pop(); // Keep the incomplete last line for the next chunk
+      lines.forEach(parseLine);
+    }
+
+    parseLine(buffer + decoder.decode());
+    if (batch.length > 0) {
+      onRows(batch);
+    }
+
+    return rows;
+  }
+
   /**
    * Fetch exoplanets from NASA API (via backend proxy) or load from cache
-   * Processes data in batches for smoother UI experience
+   * Processes data in batches for smoother UI experience; when the backend
+   * streams NDJSON, batches are processed as they download
    * Uses request deduplication to prevent redundant fetches
    */
   async fetchExoplanets(onBatchProcessed, onComplete, onError) {
@@ -116,6 +251,7 @@ export class ApiManager {
     this.activeFetchPromise = (async () => {
       try {
         let data;
+        let streamed = false;
 
         // Try to load from cache first
         if (this.isCacheValid()) {
@@ -139,6 +275,9 @@ export class ApiManager {
 
               const response = await fetch(this.apiEndpoint, {
                 signal: controller.signal,
+                headers: {
+                  Accept: "application/x-ndjson, application/json;q=0.9",
+                },
               });
 
               clearTimeout(timeoutId);
@@ -147,7 +286,22 @@ export class ApiManager {
                 throw new Error(`HTTP error! status: ${response.status}`);
               }
 
-              data = await response.json();
+              const contentType = response.headers?.get("Content-Type") || "";
+              if (
+                contentType.includes("application/x-ndjson") &&
+                response.body?.getReader
+              ) {
+                this.exoplanets = [];
+                streamed = true;
+                data = await this.readNdjsonStream(response, (rows) =>
+                  this.addPlanetBatch(rows, onBatchProcessed)
+                );
+
+                // Cancelled while downloading
+                if (!data) return;
+              } else {
+                data = await response.json();
+              }
 
               // Save to cache for next time
               this.saveToCache(data);
@@ -155,6 +309,13 @@ export class ApiManager {
             } catch (error) {
               lastError = error;
 
+              // Planets from a broken stream were already handed out,
+              // so only retry if it failed before the first batch
+              if (streamed && this.exoplanets.length > 0) {
+                throw error;
+              }
+              streamed = false;
+
               // Don't retry on abort (timeout)
               if (error.name === "AbortError") {
                 throw new Error(
@@ -190,6 +351,17 @@ export class ApiManager {
           }
         }
 
+        // Streamed rows were processed while downloading
+        if (streamed) {
+          this.isProcessing = false;
+          this.pendingCallbacks = [];
+
+          if (onComplete) {
+            onComplete(this.exoplanets);
+          }
+          return;
+        }
+
         // Initialize arrays
         this.exoplanets = [];
 
@@ -204,18 +376,8 @@ export class ApiManager {
           const start = currentBatch * batchSize;
           const end = Math.min(start + batchSize, data.length);
 
-          // Process this batch of planets
-          const batchPlanets = data
-            .slice(start, end)
-            .map((planet) => this.processPlanetData(planet));
-
-          // Add to collection
-          this.exoplanets.push(...batchPlanets);
-
-          // Callback for UI updates
-          if (onBatchProcessed) {
-            onBatchProcessed(batchPlanets, this.exoplanets);
-          }
+          // Process this batch of planets and notify the UI
+          this.addPlanetBatch(data.slice(start, end), onBatchProcessed);
 
           // Move to next batch
           currentBatch++;
@@ -270,9 +432,24 @@ export class ApiManager {
    * Process and classify planet data
    */
   processPlanetData(raw) {
+    // A missing radius or mass is estimated from the other one with the
+    // mass-radius relation; Earth values are the last resort
+    const radiusEstimate = raw.pl_rade
+      ? null
+      : estimateRadiusFromMass(raw.pl_bmasse);
+    const massEstimate = raw.pl_bmasse
+      ? null
+      : estimateMassFromRadius(raw.pl_rade);
+
     // Extract and validate with realistic physical bounds
-    const radius = Math.max(0.1, Math.min(raw.pl_rade || 1.0, 100)); // 0.1-100 Earth radii
-    const mass = Math.max(0.01, Math.min(raw.pl_bmasse || 1.0, 10000)); // 0.01-10000 Earth masses
+    const radius = Math.max(
+      0.1,
+      Math.min(raw.pl_rade || radiusEstimate?.value || 1.0, 100)
+    ); // 0.1-100 Earth radii
+    const mass = Math.max(
+      0.01,
+      Math.min(raw.pl_bmasse || massEstimate?.value || 1.0, 10000)
+    ); // 0.01-10000 Earth masses
     const temp = Math.max(0, Math.min(raw.pl_eqt || 288, 10000)); // 0-10000 Kelvin
     const distance = Math.max(0, raw.sy_dist || 0); // parsecs (non-negative)
     const density = raw.pl_dens
@@ -315,6 +492,30 @@ export class ApiManager {
     const spectralType = raw.st_spectype || null; // e.g., "G2V", "M3V"
     const stellarAge = raw.st_age ? Math.max(0, raw.st_age) : null; // Gyr (billion years), non-negative
 
+    // Where each value comes from (see PROVENANCE); missing values above
+    // were replaced by Earth or Sun defaults
+    const fromArchive = (column) => (raw[column] ? "measured" : "defaulted");
+    const provenance = {
+      radius: radiusEstimate ? "derived" : fromArchive("pl_rade"),
+      // The archive itself estimates some masses from the radius
+      mass:
+        massEstimate ||
+        (raw.pl_bmasse && raw.pl_bmassprov === "M-R relationship")
+          ? "derived"
+          : fromArchive("pl_bmasse"),
+      temperature: fromArchive("pl_eqt"),
+      distance: fromArchive("sy_dist"),
+      orbitalPeriod: fromArchive("pl_orbper"),
+      // 0 is a valid (circular) eccentricity
+      orbitalEccentricity:
+        raw.pl_orbeccen === null || raw.pl_orbeccen === undefined
+          ? "defaulted"
+          : "measured",
+      stellarTemp: fromArchive("st_teff"),
+      stellarRadius: fromArchive("st_rad"),
+      stellarMass: fromArchive("st_mass"),
+    };
+
     // Gas giant measurements (validated)
     const massJupiter =
       raw.pl_massj && raw.pl_massj > 0
@@ -354,6 +555,26 @@ export class ApiManager {
       stellarAge: stellarAge,
       massJupiter: massJupiter,
       radiusJupiter: radiusJupiter,
+      provenance: provenance,
+      // Uncertainties by property name, e.g. uncertainties.radius.upper
+      // (estimated radii and masses carry the relation's scatter)
+      uncertainties: {
+        ...Object.fromEntries(
+          Object.entries(UNCERTAINTY_COLUMNS).map(([property, column]) => [
+            property,
+            readUncertainty(raw, column),
+          ])
+        ),
+        ...(radiusEstimate && {
+          radius: {
+            upper: radiusEstimate.upper,
+            lower: radiusEstimate.lower,
+          },
+        }),
+        ...(massEstimate && {
+          mass: { upper: massEstimate.upper, lower: massEstimate.lower },
+        }),
+      },
 
       type: this.classifyPlanet(radius, temp, density, mass),
       raw: raw,
@@ -361,41 +582,335 @@ export class ApiManager {
   }
 
   /**
-   * Classify planet based on radius, temperature, density, and mass
+   * Classify planet based on radius and density (basic scheme, see
+   * classifyBasic; temperature and mass do not change the result)
    */
   classifyPlanet(radius, temp, density, mass) {
-    // Use density for more accurate classification when available
-    if (density !== null && density !== undefined) {
-      if (density > 3.5) {
-        return radius < 1.5 ? "terrestrial" : "super-earth";
-      } else if (density >= 1.0 && density < 3.5) {
-        // Density 1.0-3.5 g/cm³: gas giants (Neptune-like or Jupiter-like)
-        // Neptune (ice giant) has higher density ~1.6, Jupiter (gas giant) ~1.3
-        return density >= 1.5 ? "neptune" : "jupiter";
-      } else if (density < 1.0) {
-        // Very low density: gas giant (Jupiter-like)
-        return "jupiter";
+    return classifyBasic({ radius, temperature: temp, density, mass });
+  }
+
+  /**
+   * Base URL of the backend API, derived from the exoplanets endpoint
+   */
+  getApiBase() {
+    return this.apiEndpoint.replace(/\/exoplanets\/?$/, "");
+  }
+
+  /**
+   * Fetch a backend path once per key, sharing the request while it is
+   * pending and afterwards; failed requests are forgotten so they're retried
+   * @param {Map} requests - Requests of one kind, by key
+   * @param {string} key - Key of the request in `requests`
+   * @param {string} path - Path under the API base, with its query string
+   * @param {Object} options - {transform(data), limit}: transform applies to
+   *   the parsed JSON; past `limit` keys, the oldest request is forgotten
+   * @returns {Promise<*>} Parsed (and transformed) response body
+   */
+  memoizedRequest(requests, key, path, { transform, limit } = {}) {
+    if (requests.has(key)) {
+      return requests.get(key);
+    }
+
+    const request = (async () => {
+      const response = await fetch(`${this.getApiBase()}${path}`);
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
       }
+
+      const data = await response.json();
+      return transform ? transform(data) : data;
+    })();
+
+    requests.set(key, request);
+    request.catch(() => requests.delete(key));
+    if (limit && requests.size > limit) {
+      requests.delete(requests.keys().next().value);
     }
 
-    // Fallback to radius-based classification
-    if (radius < 1.25) {
-      return "terrestrial";
-    } else if (radius < 2.0) {
-      if (mass !== null && mass !== undefined) {
-        const expectedMassForRocky = Math.pow(radius, 3.7);
-        if (mass < expectedMassForRocky * 1.5) {
-          return "super-earth";
-        }
+    return request;
+  }
+
+  /**
+   * Fetch every published parameter set for a planet
+   * Requests are shared per planet for the session; failed ones are retried
+   * @param {string} planetName - Planet name
+   * @returns {Promise<Object>} {solutions, valueColumns}: solutions with the
+   *   default parameter set first, and the measured columns they carry
+   */
+  fetchPlanetSolutions(planetName) {
+    return this.memoizedRequest(
+      this.solutionRequests,
+      planetName,
+      `/planet/${encodeURIComponent(planetName)}/solutions`,
+      {
+        transform: (data) => ({
+          solutions: data.solutions || [],
+          valueColumns: data.valueColumns || [],
+        }),
+      }
+    );
+  }
+
+  /**
+   * Query parameters for planet filters, skipping empty values
+   * The backend classifies with the same schemes, so `scheme` goes along
+   * with the type filter and decides the type counts of fetchStats
+   * @param {Object} filters - Planet filters (FilterManager.getActiveFilters)
+   * @returns {URLSearchParams}
+   */
+  filterParams(filters = {}) {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value !== null && value !== undefined && value !== "") {
+        params.set(key, value);
       }
-      return "super-earth";
-    } else if (radius < 4.0) {
-      return "neptune";
-    } else if (radius < 10.0) {
-      return "neptune";
-    } else {
-      return "jupiter";
+    });
+    return params;
+  }
+
+  /**
+   * Download URL for the catalog, optionally filtered, with column units
+   * and UCDs (/api/export)
+   * @param {string} format - "votable", "csv" or "tsv"
+   * @param {Object} filters - Same filters as fetchStats
+   * @returns {string} URL answered with a file attachment
+   */
+  getExportUrl(format, filters = {}) {
+    const params = this.filterParams(filters);
+    params.set("format", format);
+    return `${this.getApiBase()}/export?${params}`;
+  }
+
+  /**
+   * Fetch discovery statistics for the catalog, optionally filtered
+   * Accepts the same filters as FilterManager.applyFilters; empty values are ignored
+   * @param {Object} filters - Planet filters
+   * @returns {Promise<Object>} {total, counts, histograms}
+   */
+  fetchStats(filters = {}) {
+    const query = this.filterParams(filters).toString();
+    return this.memoizedRequest(
+      this.statsRequests,
+      query,
+      `/stats${query ? `?${query}` : ""}`
+    );
+  }
+
+  /**
+   * Fetch the full stellar parameter set of a host star
+   * Requests are shared per star for the session; failed ones are retried
+   * @param {string} hostname - Host star name
+   * @returns {Promise<Object>} {hostname, identifiers, star, multiplicity, sources, references}
+   */
+  fetchStar(hostname) {
+    return this.memoizedRequest(
+      this.starRequests,
+      hostname,
+      `/star/${encodeURIComponent(hostname)}`
+    );
+  }
+
+  /**
+   * Fetch the planets added, removed and revised in the catalog after a time
+   * Requests are shared per timestamp for the session; failed ones are retried
+   * @param {number} since - Epoch milliseconds (e.g. lastVisit)
+   * @returns {Promise<Object>} {since, until, complete, refreshes, added, removed, changed}
+   */
+  fetchChanges(since) {
+    return this.memoizedRequest(
+      this.changesRequests,
+      since,
+      `/changes?since=${encodeURIComponent(since)}`
+    );
+  }
+
+  /**
+   * Fetch the planet candidates of a TESS (TOI) or Kepler (KOI) table
+   * Requests are shared per source for the session; failed ones are retried
+   * @param {string} source - "toi" or "koi"
+   * @returns {Promise<Array>} Processed candidates (see processCandidateData)
+   */
+  fetchCandidates(source) {
+    return this.memoizedRequest(
+      this.candidateRequests,
+      source,
+      `/candidates/${encodeURIComponent(source)}`,
+      { transform: (rows) => rows.map((raw) => this.processCandidateData(raw)) }
+    );
+  }
+
+  /**
+   * Process a candidate row like a planet, keeping its disposition
+   * Candidates without a distance (KOIs) get `distance: null` rather than 0
+   */
+  processCandidateData(raw) {
+    const candidate = this.processPlanetData(raw);
+
+    return {
+      ...candidate,
+      isCandidate: true,
+      source: raw.source,
+      disposition: raw.disposition,
+      archiveDisposition: raw.archive_disposition || null,
+      confirmedName: raw.confirmed_name || null,
+      ticId: raw.tic_id || null,
+      distance: raw.sy_dist ? candidate.distance : null,
+    };
+  }
+
+  /**
+   * Search planets and systems by name, alias or catalog identifier
+   * Recent queries are shared for the session; failed ones are retried
+   * @param {string} query - Text typed by the user
+   * @param {Object} options - {limit, type: "planet"|"system"}
+   * @returns {Promise<Object>} {query, normalized, results}
+   */
+  searchCatalog(query, { limit, type } = {}) {
+    const params = new URLSearchParams({ q: query.trim() });
+    if (limit) params.set("limit", limit);
+    if (type) params.set("type", type);
+    const key = params.toString();
+
+    return this.memoizedRequest(this.searchRequests, key, `/search?${key}`, {
+      limit: this.searchRequestLimit,
+    });
+  }
+
+  /**
+   * Store a view on the backend and get a short link to it (/api/share)
+   * @param {Object} state - Sanitized view state (ExportManager.sanitizeViewState)
+   * @param {number} expiresIn - Link lifetime in seconds (server default if omitted)
+   * @returns {Promise<Object>} {id, url, state, createdAt, expiresAt, views}
+   */
+  async createShareLink(state, expiresIn) {
+    const response = await fetch(`${this.getApiBase()}/share`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(expiresIn ? { state, expiresIn } : { state }),
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    return response.json();
+  }
+
+  /**
+   * Create a bookmark sync key holding a device's bookmarks (/api/bookmarks)
+   * @param {Object} set - {bookmarks, removed}
+   * @returns {Promise<Object>} {syncKey, bookmarks, removed, updatedAt}
+   */
+  async createBookmarkSync(set) {
+    return this.sendBookmarks("POST", set);
+  }
+
+  /**
+   * Push a device's bookmarks and get the merged set synced under a key
+   * @param {string} syncKey - Sync key
+   * @param {Object} set - {bookmarks, removed}
+   * @returns {Promise<Object>} {syncKey, bookmarks, removed, updatedAt}
+   * @throws {Error} With `status` 404 for unknown keys
+   */
+  async syncBookmarks(syncKey, set) {
+    return this.sendBookmarks("PUT", set, { "X-Sync-Key": syncKey });
+  }
+
+  async sendBookmarks(method, set, headers = {}) {
+    const response = await fetch(`${this.getApiBase()}/bookmarks`, {
+      method,
+      headers: { "Content-Type": "application/json", ...headers },
+      body: JSON.stringify(set),
+    });
+
+    if (!response.ok) {
+      const error = new Error(`HTTP error! status: ${response.status}`);
+      error.status = response.status;
+      throw error;
     }
+
+    return response.json();
+  }
+
+  /**
+   * Overlay host star parameters on the stellar data taken from a planet row
+   * Only values the star document provides are replaced, with the same
+   * bounds as processPlanetData
+   * @param {Object} stellarData - Processed planet used as stellar data
+   * @param {Object} parameters - Star document from fetchStar
+   */
+  applyStarParameters(stellarData, parameters) {
+    const star = parameters.star || {};
+    const has = (value) => value !== null && value !== undefined;
+
+    return {
+      ...stellarData,
+      stellarTemp: has(star.st_teff)
+        ? Math.max(0, Math.min(star.st_teff, 100000))
+        : stellarData.stellarTemp,
+      stellarRadius: has(star.st_rad)
+        ? Math.max(0.01, Math.min(star.st_rad, 2000))
+        : stellarData.stellarRadius,
+      stellarMass: has(star.st_mass)
+        ? Math.max(0.01, Math.min(star.st_mass, 300))
+        : stellarData.stellarMass,
+      stellarLuminosity: has(star.st_lum)
+        ? star.st_lum
+        : stellarData.stellarLuminosity,
+      stellarAge: has(star.st_age)
+        ? Math.max(0, star.st_age)
+        : stellarData.stellarAge,
+      spectralType: star.st_spectype || stellarData.spectralType,
+      numberOfStars:
+        parameters.multiplicity?.stars || stellarData.numberOfStars,
+      stellarParameters: parameters,
+      // Values from the star document are archive measurements
+      provenance: {
+        ...stellarData.provenance,
+        ...(has(star.st_teff) && { stellarTemp: "measured" }),
+        ...(has(star.st_rad) && { stellarRadius: "measured" }),
+        ...(has(star.st_mass) && { stellarMass: "measured" }),
+      },
+    };
+  }
+
+  /**
+   * Build a planet from one of its published parameter sets
+   * Context the solution doesn't cover (distance, coordinates, discovery)
+   * comes from the catalog row the planet was loaded with. Measured values
+   * (the response's valueColumns) only come from the solution: one it
+   * doesn't report is derived or defaulted, not borrowed from the default set
+   * @param {Object} planet - Processed planet (catalog or previous solution)
+   * @param {Object} response - {solutions, valueColumns} of fetchPlanetSolutions
+   * @param {number} index - Index of the solution to apply
+   */
+  applySolution(planet, { solutions, valueColumns }, index) {
+    const solution = solutions[index];
+    const catalogRaw = planet.catalogRaw || planet.raw || {};
+    const solutionColumns = new Set(
+      valueColumns.flatMap((column) => [
+        column,
+        `${column}err1`,
+        `${column}err2`,
+      ])
+    );
+    const context = Object.fromEntries(
+      Object.entries(catalogRaw).filter(([key]) => !solutionColumns.has(key))
+    );
+    const values = Object.fromEntries(
+      Object.entries(solution).filter(
+        ([key, value]) =>
+          key !== "reference" && value !== null && value !== undefined
+      )
+    );
+
+    return {
+      ...this.processPlanetData({ ...context, ...values }),
+      catalogRaw: catalogRaw,
+      solutionIndex: index,
+      solutionReference: solution.reference?.label || null,
+    };
   }
 
   /**
@@ -3,6 +3,11 @@
  * Handles search and filtering logic for exoplanets
  */
 import { generateSolarSystemData } from "./SolarSystemData.js";
+import { isDefaulted } from "../../utils/constants.js";
+import {
+  DEFAULT_CLASSIFICATION_SCHEME,
+  getPlanetCategory,
+} from "../../classification/index.js";
 
 export class FilterManager {
   constructor() {
@@ -11,6 +16,48 @@ export class FilterManager {
     // Cache for unified search results
     this.unifiedSearchCache = null;
     this.unifiedSearchCacheQuery = null;
+    // Planet filters currently applied (see applyFilters)
+    this.activeFilters = {};
+    this.listeners = [];
+    // Planet candidates (TOI / KOI) listed while the candidate layer is shown
+    this.candidates = [];
+  }
+
+  /**
+   * Subscribe to planet filter changes
+   * @param {Function} callback - Called with the active filters
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(callback) {
+    if (typeof callback !== "function") {
+      console.error("FilterManager.subscribe: callback must be a function");
+      return () => {}; // Return no-op unsubscribe function
+    }
+    this.listeners.push(callback);
+    return () => {
+      this.listeners = this.listeners.filter((cb) => cb !== callback);
+    };
+  }
+
+  /**
+   * Notify all listeners of filter changes
+   */
+  notifyListeners() {
+    this.listeners.forEach((callback) => {
+      try {
+        callback(this.activeFilters);
+      } catch (error) {
+        console.error("Error in filter listener:", error);
+      }
+    });
+  }
+
+  /**
+   * Get the planet filters currently applied
+   * @returns {Object} {type, tempMin, tempMax, distMax, discoveryMethod, discoveryFacility, excludeDefaulted, scheme}
+   */
+  getActiveFilters() {
+    return this.activeFilters;
   }
 
   /**
@@ -27,6 +74,35 @@ export class FilterManager {
     this.unifiedSearchCacheQuery = null;
   }
 
+  /**
+   * Set the planet candidates included in unified search results
+   * @param {Array} candidates - Processed candidates, or [] to hide them
+   */
+  setCandidates(candidates) {
+    this.candidates = candidates || [];
+
+    // Invalidate search cache when data changes
+    this.unifiedSearchCache = null;
+    this.unifiedSearchCacheQuery = null;
+  }
+
+  /**
+   * Search candidates by name, host star, TIC id or confirmed planet name
+   */
+  searchCandidates(query) {
+    const queryLower = query.toLowerCase().trim();
+    if (!queryLower) return [];
+
+    return this.candidates.filter((candidate) =>
+      [
+        candidate.name,
+        candidate.hostStar,
+        candidate.ticId,
+        candidate.confirmedName,
+      ].some((value) => value && value.toLowerCase().includes(queryLower))
+    );
+  }
+
   /**
    * Search by name or host star
    */
@@ -48,9 +124,11 @@ export class FilterManager {
 
   /**
    * Unified search that returns both systems and individual planets
-   * Groups planets by system, showing systems as expandable items
+   * Groups planets by system, showing systems as expandable items; matching
+   * candidates follow as their own result type (only for non-empty queries,
+   * so the full catalog listing stays confirmed planets only)
    * @param {string} query - Search query
-   * @returns {Array} Array of {type: 'system'|'planet', data: {...}, planets: [...]} objects
+   * @returns {Array} Array of {type: 'system'|'planet'|'candidate', data: {...}, planets: [...]} objects
    */
   searchUnified(query) {
     const queryLower = query.toLowerCase().trim();
@@ -127,6 +205,10 @@ export class FilterManager {
       }
     });
 
+    this.searchCandidates(query).forEach((candidate) => {
+      results.push({ type: "candidate", candidate });
+    });
+
     // Cache the results for performance
     this.unifiedSearchCache = results;
     this.unifiedSearchCacheQuery = queryLower;
@@ -135,7 +217,10 @@ export class FilterManager {
   }
 
   /**
-   * Apply filters (type, temperature, distance, discovery method, discovery facility)
+   * Apply filters (type: a category of the classification scheme `scheme`,
+   * the basic one by default, temperature, distance, discovery method,
+   * discovery facility, and excludeDefaulted: a property that must not be a
+   * default value, see DEFAULTABLE_PROPERTIES)
    */
   applyFilters(filters) {
     const {
@@ -145,6 +230,8 @@ export class FilterManager {
       distMax,
       discoveryMethod,
       discoveryFacility,
+      excludeDefaulted,
+      scheme = DEFAULT_CLASSIFICATION_SCHEME,
     } = filters;
 
     const tempMinValue = parseFloat(tempMin) || 0;
@@ -156,7 +243,7 @@ export class FilterManager {
     this.unifiedSearchCacheQuery = null;
 
     this.filteredExoplanets = this.exoplanets.filter((planet) => {
-      const typeMatch = !type || planet.type === type;
+      const typeMatch = !type || getPlanetCategory(planet, scheme) === type;
       const tempMatch =
         planet.temperature >= tempMinValue &&
         planet.temperature <= tempMaxValue;
@@ -174,15 +261,31 @@ export class FilterManager {
         (planet.discoveryFacility &&
           planet.discoveryFacility.includes(discoveryFacility));
 
+      const provenanceMatch =
+        !excludeDefaulted || !isDefaulted(planet, excludeDefaulted);
+
       return (
         typeMatch &&
         tempMatch &&
         distMatch &&
         discoveryMethodMatch &&
-        discoveryFacilityMatch
+        discoveryFacilityMatch &&
+        provenanceMatch
       );
     });
 
+    this.activeFilters = {
+      type,
+      tempMin,
+      tempMax,
+      distMax,
+      discoveryMethod,
+      discoveryFacility,
+      excludeDefaulted,
+      scheme,
+    };
+    this.notifyListeners();
+
     return this.filteredExoplanets;
   }
 
@@ -233,6 +336,10 @@ export class FilterManager {
     this.unifiedSearchCacheQuery = null;
 
     this.filteredExoplanets = [...this.exoplanets];
+
+    this.activeFilters = {};
+    this.notifyListeners();
+
     return this.filteredExoplanets;
   }
 
@@ -1,7 +1,10 @@
 /**
  * Tests for ApiManager
  */
+import { TextDecoder, TextEncoder } from "util";
 import { ApiManager } from "../ApiManager";
+import { FilterManager } from "../FilterManager";
+import { SettingsManager } from "../../settings/SettingsManager";
 
 describe("ApiManager", () => {
   let apiManager;
@@ -87,6 +90,84 @@ describe("ApiManager", () => {
       expect(result.mass).toBeLessThanOrEqual(10000);
       expect(result.temperature).toBeLessThanOrEqual(10000);
     });
+
+    test("should record where each value comes from", () => {
+      const result = apiManager.processPlanetData({
+        pl_name: "HD 219134 f",
+        pl_rade: 1.3,
+        pl_bmasse: 7.3,
+        pl_bmassprov: "Msini",
+        pl_orbeccen: 0,
+        st_teff: 4699,
+      });
+
+      expect(result.provenance).toMatchObject({
+        radius: "measured",
+        mass: "measured",
+        temperature: "defaulted",
+        orbitalEccentricity: "measured",
+        stellarTemp: "measured",
+        stellarMass: "defaulted",
+      });
+
+      const estimated = apiManager.processPlanetData({
+        pl_rade: 2.1,
+        pl_bmasse: 5.2,
+        pl_bmassprov: "M-R relationship",
+      });
+      expect(estimated.provenance.mass).toBe("derived");
+
+      const minimal = apiManager.processPlanetData({ pl_name: "KOI-123 b" });
+      expect(minimal.radius).toBe(1.0);
+      expect(minimal.provenance.radius).toBe("defaulted");
+    });
+
+    test("should estimate a missing radius or mass from the other", () => {
+      const massOnly = apiManager.processPlanetData({
+        pl_name: "51 Peg b",
+        pl_bmasse: 150,
+      });
+      expect(massOnly.radius).toBeGreaterThan(11);
+      expect(massOnly.type).toBe("jupiter");
+      expect(massOnly.provenance.radius).toBe("derived");
+      expect(massOnly.uncertainties.radius.upper).toBeGreaterThan(0);
+      expect(massOnly.uncertainties.radius.lower).toBeGreaterThan(0);
+
+      const radiusOnly = apiManager.processPlanetData({
+        pl_name: "Kepler-452 b",
+        pl_rade: 1.63,
+      });
+      expect(radiusOnly.mass).toBeGreaterThan(2);
+      expect(radiusOnly.mass).toBeLessThan(6);
+      expect(radiusOnly.provenance.mass).toBe("derived");
+      expect(radiusOnly.uncertainties.mass.upper).toBeGreaterThan(0);
+    });
+
+    test("should keep measurement uncertainties as magnitudes", () => {
+      const result = apiManager.processPlanetData({
+        pl_name: "Kepler-452 b",
+        pl_rade: 1.63,
+        pl_radeerr1: 0.23,
+        pl_radeerr2: -0.2,
+        pl_orbper: 384.843,
+        pl_orbpererr1: 0.007,
+        pl_orbpererr2: null,
+        st_teff: 5757,
+        st_tefferr1: 85,
+        st_tefferr2: -85,
+      });
+
+      expect(result.uncertainties.radius).toEqual({ upper: 0.23, lower: 0.2 });
+      expect(result.uncertainties.orbitalPeriod).toEqual({
+        upper: 0.007,
+        lower: null,
+      });
+      expect(result.uncertainties.stellarTemp).toEqual({
+        upper: 85,
+        lower: 85,
+      });
+      expect(result.uncertainties.stellarMass).toBeNull();
+    });
   });
 
   describe("Cache Management", () => {
@@ -111,5 +192,534 @@ describe("ApiManager", () => {
       const loaded = apiManager.loadFromCache();
       expect(loaded).toEqual(testData);
     });
+
+    test("should leave null columns out of the cache", () => {
+      apiManager.saveToCache([{ pl_name: "Test", pl_radeerr1: null }]);
+
+      expect(apiManager.loadFromCache()).toEqual([{ pl_name: "Test" }]);
+    });
+  });
+
+  describe("Catalog Changes", () => {
+    afterEach(() => {
+      delete global.fetch;
+      localStorage.clear();
+    });
+
+    test("should remember when the catalog was last downloaded", () => {
+      localStorage.setItem(apiManager.cacheTimestampKey, "1700000000000");
+      const manager = new ApiManager(mockEndpoint);
+
+      manager.saveToCache([]);
+
+      expect(manager.lastVisit).toBe(1700000000000);
+      expect(manager.getCacheTimestamp()).toBeGreaterThan(1700000000000);
+    });
+
+    test("should have no last visit without a cache", () => {
+      localStorage.clear();
+      expect(new ApiManager(mockEndpoint).lastVisit).toBeNull();
+    });
+
+    test("should fetch the changes since a time once per session", async () => {
+      const changes = { refreshes: 1, added: [], removed: [], changed: [] };
+      global.fetch = jest.fn().mockResolvedValue({
+        ok: true,
+        json: async () => changes,
+      });
+
+      await apiManager.fetchChanges(1700000000000);
+      const result = await apiManager.fetchChanges(1700000000000);
+
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(global.fetch).toHaveBeenCalledWith(
+        "http://localhost:5000/api/changes?since=1700000000000"
+      );
+      expect(result).toEqual(changes);
+    });
+  });
+
+  describe("Search", () => {
+    afterEach(() => {
+      delete global.fetch;
+    });
+
+    test("should share repeated searches and retry failed ones", async () => {
+      const found = { query: "kepler", normalized: "kepler", results: [] };
+      global.fetch = jest
+        .fn()
+        .mockResolvedValueOnce({ ok: false, status: 503 })
+        .mockResolvedValue({ ok: true, json: async () => found });
+
+      await expect(apiManager.searchCatalog(" kepler ")).rejects.toThrow("503");
+      await apiManager.searchCatalog("kepler", { limit: 5 });
+      const result = await apiManager.searchCatalog("kepler", { limit: 5 });
+
+      expect(result).toEqual(found);
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+      expect(global.fetch).toHaveBeenLastCalledWith(
+        "http://localhost:5000/api/search?q=kepler&limit=5"
+      );
+    });
+
+    test("should forget the oldest searches beyond the limit", async () => {
+      global.fetch = jest
+        .fn()
+        .mockResolvedValue({ ok: true, json: async () => ({ results: [] }) });
+      apiManager.searchRequestLimit = 2;
+
+      await apiManager.searchCatalog("a1");
+      await apiManager.searchCatalog("a2");
+      await apiManager.searchCatalog("a3");
+
+      expect([...apiManager.searchRequests.keys()]).toEqual(["q=a2", "q=a3"]);
+    });
+  });
+
+  describe("Planet Solutions", () => {
+    const valueColumns = ["pl_rade", "pl_bmasse", "pl_eqt"];
+    const solutions = [
+      {
+        pl_name: "Kepler-452 b",
+        default_flag: 1,
+        pl_rade: 1.86,
+        pl_bmasse: null,
+        reference: { label: "Berger et al. 2018", url: null },
+      },
+      {
+        pl_name: "Kepler-452 b",
+        default_flag: 0,
+        pl_rade: 1.5,
+        pl_bmasse: null,
+        reference: { label: "Mathur et al. 2017", url: null },
+      },
+    ];
+
+    afterEach(() => {
+      delete global.fetch;
+    });
+
+    test("should derive the solutions URL from the exoplanets endpoint", async () => {
+      global.fetch = jest.fn().mockResolvedValue({
+        ok: true,
+        json: async () => ({ count: 2, valueColumns, solutions }),
+      });
+
+      const result = await apiManager.fetchPlanetSolutions("Kepler-452 b");
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        "http://localhost:5000/api/planet/Kepler-452%20b/solutions"
+      );
+      expect(result).toEqual({ solutions, valueColumns });
+    });
+
+    test("should share requests per planet and retry after failures", async () => {
+      global.fetch = jest.fn().mockResolvedValue({ ok: false, status: 503 });
+
+      await expect(apiManager.fetchPlanetSolutions("X b")).rejects.toThrow(
+        "503"
+      );
+      await expect(apiManager.fetchPlanetSolutions("X b")).rejects.toThrow();
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+
+      global.fetch = jest.fn().mockResolvedValue({
+        ok: true,
+        json: async () => ({ solutions }),
+      });
+      await apiManager.fetchPlanetSolutions("Y b");
+      await apiManager.fetchPlanetSolutions("Y b");
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test("should apply a solution over the catalog row", () => {
+      const planet = apiManager.processPlanetData({
+        pl_name: "Kepler-452 b",
+        pl_rade: 1.86,
+        pl_bmasse: 5.0,
+        pl_bmasseerr1: 1.0,
+        pl_eqt: 265,
+        sy_dist: 551.7,
+        hostname: "Kepler-452",
+      });
+
+      const response = { solutions, valueColumns };
+      const variant = apiManager.applySolution(planet, response, 1);
+
+      expect(variant.radius).toBe(1.5);
+      // Not in the solution: estimated, not taken from the catalog
+      expect(variant.mass).not.toBe(5.0);
+      expect(variant.provenance.mass).toBe("derived");
+      expect(variant.raw.pl_bmasseerr1).toBeUndefined();
+      expect(variant.provenance.temperature).toBe("defaulted");
+      expect(variant.hostStar).toBe("Kepler-452");
+      expect(variant.distance).toBe(planet.distance);
+      expect(variant.solutionIndex).toBe(1);
+      expect(variant.solutionReference).toBe("Mathur et al. 2017");
+      expect(variant.raw.reference).toBeUndefined();
+
+      // Switching again starts from the catalog row, not the previous solution
+      const back = apiManager.applySolution(variant, response, 0);
+      expect(back.radius).toBe(1.86);
+      expect(back.catalogRaw).toBe(planet.raw);
+    });
+  });
+
+  describe("Statistics", () => {
+    afterEach(() => {
+      delete global.fetch;
+    });
+
+    test("should pass non-empty filters to the stats endpoint", async () => {
+      const stats = { total: 1, counts: {}, histograms: {} };
+      global.fetch = jest.fn().mockResolvedValue({
+        ok: true,
+        json: async () => stats,
+      });
+
+      const result = await apiManager.fetchStats({
+        type: "jupiter",
+        tempMin: "",
+        distMax: "100",
+        discoveryMethod: undefined,
+      });
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        "http://localhost:5000/api/stats?type=jupiter&distMax=100"
+      );
+      expect(result).toEqual(stats);
+
+      await apiManager.fetchStats({});
+      expect(global.fetch).toHaveBeenLastCalledWith(
+        "http://localhost:5000/api/stats"
+      );
+    });
+
+    test("should send the classification scheme with the type filter", async () => {
+      global.fetch = jest.fn().mockResolvedValue({
+        ok: true,
+        json: async () => ({ total: 1, counts: {}, histograms: {} }),
+      });
+      const filterManager = new FilterManager();
+      filterManager.setExoplanets([
+        apiManager.processPlanetData({
+          pl_name: "51 Peg b",
+          hostname: "51 Peg",
+          pl_rade: 14,
+          pl_orbper: 4.23,
+          sy_dist: 15.5,
+        }),
+      ]);
+
+      const settingsManager = new SettingsManager();
+      settingsManager.setClassificationScheme("detailed");
+
+      const planets = filterManager.applyFilters({
+        type: "hot-jupiter",
+        distMax: "100",
+        scheme: settingsManager.classificationScheme,
+      });
+      expect(planets.map((planet) => planet.name)).toEqual(["51 Peg b"]);
+
+      // The backend filters and counts with the same scheme
+      const filters = filterManager.getActiveFilters();
+      await apiManager.fetchStats(filters);
+      expect(global.fetch).toHaveBeenCalledWith(
+        "http://localhost:5000/api/stats?type=hot-jupiter&distMax=100&scheme=detailed"
+      );
+      expect(apiManager.getExportUrl("csv", filters)).toBe(
+        "http://localhost:5000/api/export?type=hot-jupiter&distMax=100&scheme=detailed&format=csv"
+      );
+    });
+  });
+
+  describe("Exports", () => {
+    test("should build export URLs from the active filters", () => {
+      expect(
+        apiManager.getExportUrl("votable", {
+          type: "jupiter",
+          tempMin: null,
+          discoveryMethod: "",
+          distMax: 100,
+        })
+      ).toBe(
+        "http://localhost:5000/api/export?type=jupiter&distMax=100&format=votable"
+      );
+    });
+  });
+
+  describe("Share Links", () => {
+    afterEach(() => {
+      delete global.fetch;
+    });
+
+    test("should post the view state for a short link", async () => {
+      const share = { id: "abcd1234", url: "http://localhost:5000/s/abcd1234" };
+      global.fetch = jest
+        .fn()
+        .mockResolvedValueOnce({ ok: true, json: async () => share })
+        .mockResolvedValueOnce({ ok: false, status: 400 });
+      const state = { mode: "planet", planet: "TOI-700 d" };
+
+      await expect(apiManager.createShareLink(state, 86400)).resolves.toEqual(
+        share
+      );
+      expect(global.fetch).toHaveBeenCalledWith(
+        "http://localhost:5000/api/share",
+        expect.objectContaining({
+          method: "POST",
+          body: JSON.stringify({ state, expiresIn: 86400 }),
+        })
+      );
+      await expect(apiManager.createShareLink(state)).rejects.toThrow("400");
+    });
+  });
+
+  describe("Host Stars", () => {
+    const parameters = {
+      hostname: "Kepler-16",
+      star: {
+        st_teff: 4450,
+        st_rad: 0.65,
+        st_mass: null,
+        st_lum: null,
+        st_age: null,
+        st_spectype: "K7 V",
+        st_met: -0.3,
+      },
+      multiplicity: { stars: 2, planets: 1, moons: null, type: "binary" },
+      sources: {},
+      references: [],
+    };
+
+    afterEach(() => {
+      delete global.fetch;
+    });
+
+    test("should fetch a host star once per session", async () => {
+      global.fetch = jest.fn().mockResolvedValue({
+        ok: true,
+        json: async () => parameters,
+      });
+
+      const result = await apiManager.fetchStar("Kepler-16");
+      await apiManager.fetchStar("Kepler-16");
+
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(global.fetch).toHaveBeenCalledWith(
+        "http://localhost:5000/api/star/Kepler-16"
+      );
+      expect(result).toEqual(parameters);
+    });
+
+    test("should retry a failed request", async () => {
+      global.fetch = jest.fn().mockResolvedValue({ ok: false, status: 404 });
+
+      await expect(apiManager.fetchStar("Nowhere")).rejects.toThrow("404");
+      await expect(apiManager.fetchStar("Nowhere")).rejects.toThrow("404");
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test("should overlay host star values on planet stellar data", () => {
+      const planet = apiManager.processPlanetData({
+        pl_name: "Kepler-16 b",
+        hostname: "Kepler-16",
+        st_teff: 4337,
+        st_mass: 0.69,
+      });
+
+      const starData = apiManager.applyStarParameters(planet, parameters);
+
+      expect(starData.stellarTemp).toBe(4450);
+      expect(starData.stellarRadius).toBe(0.65);
+      expect(starData.stellarMass).toBe(0.69);
+      expect(starData.spectralType).toBe("K7 V");
+      expect(starData.numberOfStars).toBe(2);
+      expect(starData.stellarParameters).toBe(parameters);
+      expect(planet.stellarTemp).toBe(4337);
+
+      // The planet row had no stellar radius; the star document does
+      expect(planet.provenance.stellarRadius).toBe("defaulted");
+      expect(starData.provenance).toMatchObject({
+        stellarTemp: "measured",
+        stellarRadius: "measured",
+        stellarMass: "measured",
+        temperature: "defaulted",
+      });
+    });
+  });
+
+  describe("Planet Candidates", () => {
+    const rows = [
+      {
+        pl_name: "TOI-700.04",
+        hostname: "TOI-700",
+        tic_id: "TIC 150428135",
+        confirmed_name: null,
+        sy_dist: 31.13,
+        pl_rade: 1.07,
+        pl_eqt: null,
+        ra: 97.1,
+        dec: -65.58,
+        source: "toi",
+        disposition: "PC",
+        archive_disposition: "APC",
+      },
+      {
+        pl_name: "K00752.01",
+        hostname: "KIC 10797460",
+        tic_id: null,
+        confirmed_name: "Kepler-227 b",
+        sy_dist: null,
+        pl_rade: 2.26,
+        ra: 291.93,
+        dec: 48.14,
+        source: "koi",
+        disposition: "CP",
+        archive_disposition: "CONFIRMED",
+      },
+    ];
+
+    afterEach(() => {
+      delete global.fetch;
+    });
+
+    test("should fetch each candidate table once per session", async () => {
+      global.fetch = jest.fn().mockResolvedValue({
+        ok: true,
+        json: async () => rows,
+      });
+
+      const candidates = await apiManager.fetchCandidates("toi");
+      await apiManager.fetchCandidates("toi");
+
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(global.fetch).toHaveBeenCalledWith(
+        "http://localhost:5000/api/candidates/toi"
+      );
+      expect(candidates.map((c) => c.name)).toEqual([
+        "TOI-700.04",
+        "K00752.01",
+      ]);
+    });
+
+    test("should keep the disposition and unknown distances", () => {
+      const [toi, koi] = rows.map((row) =>
+        apiManager.processCandidateData(row)
+      );
+
+      expect(toi).toMatchObject({
+        isCandidate: true,
+        hostStar: "TOI-700",
+        source: "toi",
+        disposition: "PC",
+        archiveDisposition: "APC",
+        ticId: "TIC 150428135",
+        confirmedName: null,
+      });
+      expect(toi.distance).toBeCloseTo(31.13 * 3.26156);
+      expect(koi.distance).toBeNull();
+      expect(koi.confirmedName).toBe("Kepler-227 b");
+    });
+
+    test("should retry a failed request", async () => {
+      global.fetch = jest.fn().mockResolvedValue({ ok: false, status: 503 });
+
+      await expect(apiManager.fetchCandidates("koi")).rejects.toThrow("503");
+      await expect(apiManager.fetchCandidates("koi")).rejects.toThrow("503");
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe("Streaming", () => {
+    /**
+     * Response whose body yields the given text chunks
+     */
+    const ndjsonResponse = (chunks) => {
+      const encoder = new TextEncoder();
+      let index = 0;
+      return {
+        ok: true,
+        headers: { get: () => "application/x-ndjson" },
+        body: {
+          getReader: () => ({
+            read: async () =>
+              index < chunks.length
+                ? { done: false, value: encoder.encode(chunks[index++]) }
+                : { done: true, value: undefined },
+            cancel: jest.fn(),
+          }),
+        },
+      };
+    };
+
+    beforeAll(() => {
+      global.TextDecoder = TextDecoder;
+    });
+
+    afterAll(() => {
+      delete global.TextDecoder;
+    });
+
+    afterEach(() => {
+      delete global.fetch;
+    });
+
+    test("should parse rows split across chunks", async () => {
+      const response = ndjsonResponse([
+        '{"pl_name":"a"}\n{"pl_na',
+        'me":"b"}\n',
+        '{"pl_name":"c"}',
+      ]);
+      const batches = [];
+      apiManager.isProcessing = true;
+
+      const rows = await apiManager.readNdjsonStream(
+        response,
+        (batch) => batches.push(batch.map((row) => row.pl_name)),
+        2
+      );
+
+      expect(rows.map((row) => row.pl_name)).toEqual(["a", "b", "c"]);
+      expect(batches).toEqual([["a", "b"], ["c"]]);
+    });
+
+    test("should stop reading when processing is cancelled", async () => {
+      const response = ndjsonResponse(['{"pl_name":"a"}\n']);
+      apiManager.isProcessing = false;
+
+      await expect(
+        apiManager.readNdjsonStream(response, jest.fn())
+      ).resolves.toBeNull();
+    });
+
+    test("should process planets while the catalog downloads", async () => {
+      localStorage.clear();
+      const lines = Array.from(
+        { length: 150 },
+        (_, i) => `{"pl_name":"Planet ${i}","pl_rade":1.0}\n`
+      );
+      global.fetch = jest
+        .fn()
+        .mockResolvedValue(
+          ndjsonResponse([
+            lines.slice(0, 120).join(""),
+            lines.slice(120).join(""),
+          ])
+        );
+      const onBatch = jest.fn();
+      const onComplete = jest.fn();
+
+      await apiManager.fetchExoplanets(onBatch, onComplete, jest.fn());
+
+      expect(global.fetch.mock.calls[0][1].headers.Accept).toContain(
+        "application/x-ndjson"
+      );
+      expect(onBatch).toHaveBeenCalledTimes(2);
+      expect(onBatch.mock.calls[0][0]).toHaveLength(100);
+      expect(onComplete).toHaveBeenCalledTimes(1);
+      expect(onComplete.mock.calls[0][0]).toHaveLength(150);
+      expect(apiManager.isProcessing).toBe(false);
+      expect(localStorage.getItem(apiManager.cacheKey)).toContain("Planet 149");
+    });
   });
 });
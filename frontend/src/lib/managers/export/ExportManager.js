@@ -8,20 +8,33 @@ export class ExportManager {
   }
 
   /**
-   * Generate shareable URL with current view state
+   * Add the current camera position to a view state
+   * @param {Object} viewState - {mode, planet, system}
+   * @returns {Object} View state with `camera` (rounded to 0.01 units)
+   */
+  captureViewState(viewState) {
+    const camera = this.sceneManager?.camera;
+    if (!camera) return viewState;
+
+    const round = (value) => Math.round(value * 100) / 100;
+    const { x, y, z } = camera.position;
+    return { ...viewState, camera: { x: round(x), y: round(y), z: round(z) } };
+  }
+
+  /**
+   * Reduce a view state to the values that may be shared
    * @param {Object} viewState - Current view state
-   * @returns {string}
+   * @returns {Object} {mode, planet, system, camera}, without invalid values
    */
-  generateShareableURL(viewState) {
-    const baseUrl = window.location.origin + window.location.pathname;
-    const params = new URLSearchParams();
+  sanitizeViewState(viewState) {
+    const state = {};
 
     // Validate and sanitize mode (allow only specific values)
     if (viewState.mode) {
       const allowedModes = ["galaxy", "system", "planet"];
       const sanitizedMode = String(viewState.mode).toLowerCase();
       if (allowedModes.includes(sanitizedMode)) {
-        params.set("mode", sanitizedMode);
+        state.mode = sanitizedMode;
       }
     }
 
@@ -31,52 +44,60 @@ export class ExportManager {
         .replace(/[^a-zA-Z0-9\s\-_.()]/g, "")
         .substring(0, 100); // Limit length
       if (sanitizedPlanet) {
-        params.set("planet", sanitizedPlanet);
+        state.planet = sanitizedPlanet;
       }
     }
 
-    // Validate and sanitize system name (alphanumeric, spaces, hyphens, dots, parentheses)
+    // Validate and sanitize system name (as planet names, plus "+" as in "BD+20 2457")
     if (viewState.system) {
       const sanitizedSystem = String(viewState.system)
-        .replace(/[^a-zA-Z0-9\s\-_.()]/g, "")
+        .replace(/[^a-zA-Z0-9\s+\-_.()]/g, "")
         .substring(0, 100); // Limit length
       if (sanitizedSystem) {
-        params.set("system", sanitizedSystem);
+        state.system = sanitizedSystem;
       }
     }
 
-    // Validate camera object structure before stringifying
+    // Only include numeric x, y, z camera coordinates
     if (viewState.camera && typeof viewState.camera === "object") {
-      try {
-        // Only include numeric x, y, z coordinates
-        const camera = {};
-        if (
-          typeof viewState.camera.x === "number" &&
-          !isNaN(viewState.camera.x)
-        ) {
-          camera.x = viewState.camera.x;
-        }
+      const camera = {};
+      ["x", "y", "z"].forEach((axis) => {
         if (
-          typeof viewState.camera.y === "number" &&
-          !isNaN(viewState.camera.y)
+          typeof viewState.camera[axis] === "number" &&
+          !isNaN(viewState.camera[axis])
         ) {
-          camera.y = viewState.camera.y;
-        }
-        if (
-          typeof viewState.camera.z === "number" &&
-          !isNaN(viewState.camera.z)
-        ) {
-          camera.z = viewState.camera.z;
-        }
-        if (Object.keys(camera).length > 0) {
-          const cameraString = JSON.stringify(camera);
-          // Limit JSON string length for security
-          if (cameraString.length < 200) {
-            params.set("camera", cameraString);
-          }
+          camera[axis] = viewState.camera[axis];
         }
-      } catch (_error) {
-        console.warn("Invalid camera data, skipping in URL");
+      });
+      if (Object.keys(camera).length > 0) {
+        state.camera = camera;
+      }
+    }
+
+    return state;
+  }
+
+  /**
+   * Generate shareable URL with current view state
+   * @param {Object} viewState - Current view state
+   * @returns {string}
+   */
+  generateShareableURL(viewState) {
+    const baseUrl = window.location.origin + window.location.pathname;
+    const params = new URLSearchParams();
+    const state = this.sanitizeViewState(viewState);
+
+    ["mode", "planet", "system"].forEach((key) => {
+      if (state[key]) {
+        params.set(key, state[key]);
+      }
+    });
+
+    if (state.camera) {
+      const cameraString = JSON.stringify(state.camera);
+      // Limit JSON string length for security
+      if (cameraString.length < 200) {
+        params.set("camera", cameraString);
       }
     }
 
@@ -115,7 +136,7 @@ export class ExportManager {
     // Validate and sanitize system name
     if (params.has("system")) {
       const system = String(params.get("system"))
-        .replace(/[^a-zA-Z0-9\s\-_.()]/g, "")
+        .replace(/[^a-zA-Z0-9\s+\-_.()]/g, "")
         .substring(0, 100);
       if (system) {
         state.system = system;
@@ -292,6 +313,8 @@ export class ExportManager {
 
   /**
    * Export planet data as CSV
+   * Provenance is flattened into `<property>Provenance` columns (measured,
+   * derived or defaulted)
    * @param {Array} planets - Array of planet objects
    * @returns {string}
    */
@@ -300,9 +323,19 @@ export class ExportManager {
       return "";
     }
 
+    const rows = planets.map((planet) => ({
+      ...planet,
+      ...Object.fromEntries(
+        Object.entries(planet.provenance || {}).map(([property, source]) => [
+          `${property}Provenance`,
+          source,
+        ])
+      ),
+    }));
+
     // Get all unique keys
     const keys = new Set();
-    planets.forEach((planet) => {
+    rows.forEach((planet) => {
       Object.keys(planet).forEach((key) => {
         if (key !== "raw" && typeof planet[key] !== "object") {
           keys.add(key);
@@ -317,7 +350,7 @@ export class ExportManager {
     csvRows.push(headers.join(","));
 
     // Add data rows
-    planets.forEach((planet) => {
+    rows.forEach((planet) => {
       const values = headers.map((header) => {
         const value = planet[header];
         // Escape commas and quotes
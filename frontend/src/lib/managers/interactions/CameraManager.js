@@ -24,6 +24,8 @@ export class CameraManager {
     this.galaxyZoomThreshold = this.baseGalaxyZoomThreshold;
     this.lastCameraDistance = 5;
     this.isTransitioning = false;
+    // Shared camera position waiting for its view (see restoreCameraWhenReady)
+    this.pendingCamera = null;
     this.useRealisticDistances = false; // Track if realistic distances are enabled
 
     // Callbacks for view transitions
@@ -285,6 +287,43 @@ export class CameraManager {
     this.isTransitioning = value;
   }
 
+  /**
+   * Move the camera to a shared position once the view it belongs to is
+   * reached; selecting a planet or system animates the camera first
+   * @param {Object} position - {x, y, z}; missing axes keep their value
+   * @param {Function} isReady - Whether the shared view has been reached
+   */
+  restoreCameraWhenReady(position, isReady) {
+    this.pendingCamera = { position, isReady };
+  }
+
+  /**
+   * Apply the pending shared camera position when no transition is running
+   * and its view is reached (called every frame)
+   * @returns {boolean} Whether the camera was moved
+   */
+  applyPendingCamera() {
+    if (!this.pendingCamera || this.isTransitioning) return false;
+
+    const { position, isReady } = this.pendingCamera;
+    const { camera, controls } = this.sceneManager;
+    if (!camera || !isReady()) return false;
+
+    this.pendingCamera = null;
+    ["x", "y", "z"].forEach((axis) => {
+      if (typeof position[axis] === "number") {
+        camera.position[axis] = position[axis];
+      }
+    });
+    // Keep looking at the target the view was framed around
+    if (controls) {
+      camera.lookAt(controls.target);
+      controls.update();
+    }
+    this.updateLastCameraDistance(camera.position.length());
+    return true;
+  }
+
   /**
    * Update last camera distance (used for zoom detection)
    */
@@ -5,9 +5,11 @@
  * Handles debounced search, filter mode switching, and filter application.
  */
 export class SearchCoordinator {
-  constructor({ filterManager, uiManager, targets }) {
+  constructor({ filterManager, uiManager, settingsManager, targets }) {
     this.filterManager = filterManager;
     this.uiManager = uiManager;
+    // Owner of the classification scheme the type filter belongs to
+    this.settingsManager = settingsManager;
     this.targets = targets;
     this.searchTimeout = null;
     this.filterTimeout = null;
@@ -75,6 +77,8 @@ export class SearchCoordinator {
           distMax: this.targets.distanceMax.value,
           discoveryMethod: this.targets.discoveryMethodFilter.value,
           discoveryFacility: this.targets.discoveryFacilityFilter.value,
+          excludeDefaulted: this.targets.excludeDefaultedFilter.value,
+          scheme: this.settingsManager?.classificationScheme,
         };
 
         this.filterManager.applyFilters(filters);
@@ -106,6 +110,7 @@ export class SearchCoordinator {
     this.targets.distanceMax.value = "";
     this.targets.discoveryMethodFilter.value = "";
     this.targets.discoveryFacilityFilter.value = "";
+    this.targets.excludeDefaultedFilter.value = "";
 
     // Clear system filters
     this.targets.minPlanets.value = "";
@@ -0,0 +1,68 @@
+/**
+ * Tests for CameraManager
+ */
+import * as THREE from "three";
+import { CameraManager } from "../CameraManager";
+import { ExportManager } from "../../export/ExportManager";
+
+describe("CameraManager", () => {
+  let sceneManager;
+  let cameraManager;
+
+  beforeEach(() => {
+    const camera = new THREE.PerspectiveCamera();
+    sceneManager = {
+      camera,
+      controls: { target: new THREE.Vector3(0, 0, 0), update: jest.fn() },
+    };
+    cameraManager = new CameraManager(sceneManager);
+  });
+
+  afterEach(() => {
+    window.history.replaceState(null, "", "/");
+  });
+
+  describe("Shared Camera", () => {
+    test("should restore a shared camera position once the view is reached", () => {
+      // Share: the camera position travels in the link
+      const exportManager = new ExportManager(sceneManager);
+      sceneManager.camera.position.set(3.14159, -12, 30.006);
+      const url = exportManager.generateShareableURL(
+        exportManager.captureViewState({ mode: "system", system: "TOI-700" })
+      );
+
+      // Open: the camera only moves when the selection has settled
+      window.history.replaceState(null, "", new URL(url).search);
+      const state = exportManager.parseURLState();
+      sceneManager.camera.position.set(0, 0, 5);
+      let viewReached = false;
+      cameraManager.restoreCameraWhenReady(state.camera, () => viewReached);
+
+      cameraManager.setTransitioning(true);
+      viewReached = true;
+      expect(cameraManager.applyPendingCamera()).toBe(false);
+
+      cameraManager.setTransitioning(false);
+      expect(cameraManager.applyPendingCamera()).toBe(true);
+      expect(sceneManager.camera.position.toArray()).toEqual([
+        3.14, -12, 30.01,
+      ]);
+      expect(sceneManager.controls.update).toHaveBeenCalled();
+      expect(cameraManager.lastCameraDistance).toBeCloseTo(
+        sceneManager.camera.position.length()
+      );
+
+      // Applied once; the user is free to move afterwards
+      sceneManager.camera.position.set(0, 0, 5);
+      expect(cameraManager.applyPendingCamera()).toBe(false);
+      expect(sceneManager.camera.position.z).toBe(5);
+    });
+
+    test("should wait while the shared view is not reached", () => {
+      cameraManager.restoreCameraWhenReady({ z: 40 }, () => false);
+
+      expect(cameraManager.applyPendingCamera()).toBe(false);
+      expect(sceneManager.camera.position.z).toBe(0);
+    });
+  });
+});
@@ -8,7 +8,14 @@
  * - Camera speed and auto-rotate
  * - Orbit speed and inclination
  * - Atmosphere visibility
+ * - Planet candidate layer in the galaxy view
+ * - Planet classification scheme
  */
+import {
+  DEFAULT_CLASSIFICATION_SCHEME,
+  getSchemeDefinition,
+} from "../../classification/index.js";
+
 export class SettingsManager {
   constructor() {
     // Default settings
@@ -22,6 +29,8 @@ export class SettingsManager {
     this.orbitSpeed = 1.0;
     this.useOrbitalInclination = false;
     this.showAtmospheres = false;
+    this.showCandidates = false;
+    this.classificationScheme = DEFAULT_CLASSIFICATION_SCHEME;
 
     // References to renderers and managers (set later)
     this.sceneManager = null;
@@ -32,17 +41,23 @@ export class SettingsManager {
 
   /**
    * Set renderer references
+   * The planet renderers read the classification scheme from here (the
+   * system renderer draws with its planet renderer's materials)
    */
   setRenderers({
     sceneManager,
     planetRenderer,
     systemRenderer,
     galaxyRenderer,
+    comparisonRenderer,
   }) {
     this.sceneManager = sceneManager;
     this.planetRenderer = planetRenderer;
     this.systemRenderer = systemRenderer;
     this.galaxyRenderer = galaxyRenderer;
+
+    this.planetRenderer?.setSettingsManager(this);
+    comparisonRenderer?.setSettingsManager(this);
   }
 
   /**
@@ -82,6 +97,39 @@ export class SettingsManager {
     }
   }
 
+  /**
+   * Toggle the planet candidate layer in the galaxy view
+   */
+  toggleCandidates(checked) {
+    this.showCandidates = checked;
+
+    if (this.galaxyRenderer) {
+      this.galaxyRenderer.setCandidatesVisible(this.showCandidates);
+    }
+  }
+
+  /**
+   * Switch the planet classification scheme
+   * The only copy of the scheme: type names, colors, filters, orbit lines
+   * and textures read it from here, so the rendered system or planet is
+   * drawn again
+   * @param {string} scheme - Key of CLASSIFICATION_SCHEMES
+   * @param {Object} currentPlanet - Planet shown in the planet view, if any
+   * @throws {Error} For unknown schemes
+   */
+  setClassificationScheme(scheme, currentPlanet = null) {
+    if (scheme === this.classificationScheme) return;
+    getSchemeDefinition(scheme);
+    this.classificationScheme = scheme;
+
+    if (this.systemRenderer?.systemPlanets.length > 0) {
+      this.systemRenderer.rerenderSystem();
+      this.reapplySystemSettings();
+    } else if (currentPlanet && this.planetRenderer?.planet) {
+      this.planetRenderer.renderPlanet(currentPlanet);
+    }
+  }
+
   /**
    * Update star density
    */
@@ -229,9 +277,10 @@ export class SettingsManager {
 
   /**
    * Reset all settings to defaults
+   * @param {Object} currentPlanet - Planet shown in the planet view, if any
    * @returns {Object} Default values for UI updates
    */
-  reset() {
+  reset(currentPlanet = null) {
     this.showStars = true;
     this.showPlanetLabels = false;
     this.showOrbitLines = true;
@@ -242,6 +291,7 @@ export class SettingsManager {
     this.orbitSpeed = 1.0;
     this.useOrbitalInclination = false;
     this.showAtmospheres = false;
+    this.showCandidates = false;
 
     // Apply settings
     this.toggleStarVisibility(this.showStars);
@@ -252,6 +302,8 @@ export class SettingsManager {
     this.updateCameraSpeed(50);
     this.toggleAutoRotate(this.autoRotate);
     this.toggleAtmospheres(this.showAtmospheres);
+    this.toggleCandidates(this.showCandidates);
+    this.setClassificationScheme(DEFAULT_CLASSIFICATION_SCHEME, currentPlanet);
 
     return {
       showStars: this.showStars,
@@ -267,6 +319,8 @@ export class SettingsManager {
       orbitSpeedText: "60.0s",
       useOrbitalInclination: this.useOrbitalInclination,
       showAtmospheres: this.showAtmospheres,
+      showCandidates: this.showCandidates,
+      classificationScheme: this.classificationScheme,
     };
   }
 
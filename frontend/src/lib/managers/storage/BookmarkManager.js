@@ -1,14 +1,82 @@
 /**
  * BookmarkManager
- * Manages user bookmarks/favorites with localStorage persistence
+ * Manages user bookmarks/favorites with localStorage persistence, and
+ * optionally syncs them between devices through the backend under a sync key
  */
+
+// Sync keys issued by the backend (16 random bytes, base64url)
+const SYNC_KEY_PATTERN = /^[A-Za-z0-9_-]{22}$/;
+// Removals older than this are forgotten (as on the backend)
+const TOMBSTONE_TTL = 90 * 24 * 60 * 60 * 1000;
+// Delay before pushing local changes, so quick edits share one request
+const SYNC_DELAY = 1000;
+
+const toTime = (timestamp) => {
+  const time =
+    typeof timestamp === "number" ? timestamp : Date.parse(String(timestamp));
+  return Number.isFinite(time) && time > 0 ? time : 0;
+};
+
+/**
+ * Merge two bookmark sets, as the backend does
+ * For every planet or system the latest entry wins, whether a bookmark or a
+ * removal; on a tie the bookmark is kept
+ * @param {Object} a - {bookmarks, removed}
+ * @param {Object} b - {bookmarks, removed}
+ * @returns {Object} {bookmarks, removed}, bookmarks newest first
+ */
+export function mergeBookmarkSets(a, b, now = Date.now()) {
+  const latest = new Map();
+  const consider = (entry, removed) => {
+    const key = `${entry.type}:${entry.name}`;
+    const time = toTime(entry.timestamp);
+    const current = latest.get(key);
+    if (
+      !current ||
+      time > current.time ||
+      (time === current.time && current.removed && !removed)
+    ) {
+      latest.set(key, { entry, time, removed });
+    }
+  };
+
+  [a, b].forEach((set) => {
+    (set.bookmarks || []).forEach((entry) => consider(entry, false));
+    (set.removed || []).forEach((entry) => consider(entry, true));
+  });
+
+  const winners = [...latest.values()].sort((x, y) => y.time - x.time);
+  return {
+    bookmarks: winners
+      .filter(({ removed }) => !removed)
+      .map(({ entry }) => entry),
+    removed: winners
+      .filter(({ removed, time }) => removed && now - time < TOMBSTONE_TTL)
+      .map(({ entry }) => entry),
+  };
+}
+
 export class BookmarkManager {
   constructor() {
     this.storageKey = "exoplanet_bookmarks";
+    this.removedKey = "exoplanet_bookmarks_removed";
+    this.syncKeyKey = "exoplanet_bookmarks_sync_key";
     this.storageAvailable = this.checkStorageAvailability();
     this.bookmarks = this.loadBookmarks();
+    // Removed bookmarks, kept so removals reach other devices
+    this.removed = this.loadRemoved();
     this.listeners = [];
 
+    // Sync through the backend (see startSync)
+    this.syncKey = this.storageAvailable
+      ? localStorage.getItem(this.syncKeyKey)
+      : null;
+    this.syncApi = null;
+    this.syncPromise = null;
+    this.syncPending = false;
+    this.syncTimer = null;
+    this.syncStatus = { syncing: false, lastSyncedAt: null, error: null };
+
     // Warn user if storage is not available
     if (!this.storageAvailable) {
       console.warn(
@@ -45,6 +113,11 @@ export class BookmarkManager {
         this.bookmarks = [];
         console.log("🗑️ Bookmarks cleared in another tab");
         this.notifyListeners();
+      } else if (event.key === this.removedKey) {
+        this.removed = this.loadRemoved();
+      } else if (event.key === this.syncKeyKey) {
+        this.syncKey = event.newValue;
+        this.notifyListeners();
       }
     };
 
@@ -58,6 +131,13 @@ export class BookmarkManager {
     if (typeof window !== "undefined" && this.handleStorageChange) {
       window.removeEventListener("storage", this.handleStorageChange);
     }
+    if (typeof document !== "undefined" && this.handleVisibilityChange) {
+      document.removeEventListener(
+        "visibilitychange",
+        this.handleVisibilityChange
+      );
+    }
+    clearTimeout(this.syncTimer);
   }
 
   /**
@@ -94,10 +174,36 @@ export class BookmarkManager {
     }
   }
 
+  /**
+   * Load removed bookmarks from localStorage
+   * @returns {Array} [{type, name, timestamp}]
+   */
+  loadRemoved() {
+    try {
+      const removed = JSON.parse(localStorage.getItem(this.removedKey));
+      return Array.isArray(removed) ? removed : [];
+    } catch (_error) {
+      return [];
+    }
+  }
+
+  /**
+   * Remember a removal so it can be synced
+   */
+  recordRemoval(name, type) {
+    this.removed = [
+      { type, name, timestamp: Date.now() },
+      ...this.removed.filter((r) => !(r.name === name && r.type === type)),
+    ];
+  }
+
   /**
    * Save bookmarks to localStorage
+   * @param {Object} options
+   * @param {boolean} options.sync - Push the change when syncing (false
+   *   when saving what was just synced)
    */
-  saveBookmarks() {
+  saveBookmarks({ sync = true } = {}) {
     if (!this.storageAvailable) {
       console.warn("localStorage not available. Bookmarks cannot be saved.");
       return false;
@@ -105,7 +211,9 @@ export class BookmarkManager {
 
     try {
       localStorage.setItem(this.storageKey, JSON.stringify(this.bookmarks));
+      localStorage.setItem(this.removedKey, JSON.stringify(this.removed));
       this.notifyListeners();
+      if (sync) this.scheduleSync();
       return true;
     } catch (error) {
       console.error("Error saving bookmarks:", error);
@@ -134,6 +242,9 @@ export class BookmarkManager {
     };
 
     this.bookmarks.unshift(bookmark); // Add to beginning
+    this.removed = this.removed.filter(
+      (r) => !(r.name === bookmark.name && r.type === type)
+    );
     this.saveBookmarks();
     console.log(`⭐ Bookmarked: ${bookmark.name}`);
     return true;
@@ -151,6 +262,7 @@ export class BookmarkManager {
     );
 
     if (this.bookmarks.length < initialLength) {
+      this.recordRemoval(name, type);
       this.saveBookmarks();
       console.log(`🗑️ Removed bookmark: ${name}`);
       return true;
@@ -222,6 +334,7 @@ export class BookmarkManager {
         window.confirm("Are you sure you want to clear all bookmarks?"));
 
     if (shouldClear) {
+      this.bookmarks.forEach((b) => this.recordRemoval(b.name, b.type));
       this.bookmarks = [];
       this.saveBookmarks();
       console.log("🗑️ All bookmarks cleared");
@@ -307,6 +420,163 @@ export class BookmarkManager {
     return Date.now();
   }
 
+  /**
+   * Sync bookmarks through the backend while a sync key is set: now, after
+   * local changes, and whenever the page becomes visible again
+   * @param {Object} api - ApiManager (createBookmarkSync, syncBookmarks)
+   * @returns {Promise<boolean>} Whether the first sync succeeded
+   */
+  startSync(api) {
+    this.syncApi = api;
+
+    if (typeof document !== "undefined" && !this.handleVisibilityChange) {
+      this.handleVisibilityChange = () => {
+        if (document.visibilityState === "visible") this.sync();
+      };
+      document.addEventListener(
+        "visibilitychange",
+        this.handleVisibilityChange
+      );
+    }
+
+    return this.sync();
+  }
+
+  /**
+   * Sync key and sync state
+   * @returns {Object} {syncKey, syncing, lastSyncedAt, error}
+   */
+  getSyncStatus() {
+    return { syncKey: this.syncKey, ...this.syncStatus };
+  }
+
+  /**
+   * Remember (or forget, with null) the sync key
+   */
+  setSyncKey(syncKey) {
+    this.syncKey = syncKey;
+    if (!this.storageAvailable) return;
+    if (syncKey) {
+      localStorage.setItem(this.syncKeyKey, syncKey);
+    } else {
+      localStorage.removeItem(this.syncKeyKey);
+    }
+  }
+
+  /**
+   * Update the sync state and notify listeners
+   */
+  setSyncStatus(status) {
+    this.syncStatus = { ...this.syncStatus, ...status };
+    this.notifyListeners();
+  }
+
+  /**
+   * Create a sync key holding this device's bookmarks
+   * @returns {Promise<string>} Sync key to enter on other devices
+   */
+  async createSyncKey() {
+    const synced = await this.syncApi.createBookmarkSync({
+      bookmarks: this.bookmarks,
+      removed: this.removed,
+    });
+    this.setSyncKey(synced.syncKey);
+    this.applySyncedSet(synced);
+    return synced.syncKey;
+  }
+
+  /**
+   * Start syncing with a key created on another device
+   * @param {string} syncKey - Sync key
+   * @throws {Error} When the key is malformed or unknown to the backend
+   */
+  async joinSync(syncKey) {
+    const key = String(syncKey).trim();
+    if (!SYNC_KEY_PATTERN.test(key)) {
+      throw new Error("Invalid sync key");
+    }
+
+    this.setSyncKey(key);
+    if (!(await this.sync())) {
+      const { error } = this.syncStatus;
+      this.stopSync();
+      throw new Error(error || "Sync failed");
+    }
+  }
+
+  /**
+   * Stop syncing this device (bookmarks stay on the backend)
+   */
+  stopSync() {
+    clearTimeout(this.syncTimer);
+    this.setSyncKey(null);
+    this.setSyncStatus({ lastSyncedAt: null, error: null });
+  }
+
+  /**
+   * Push local changes after a short delay
+   */
+  scheduleSync() {
+    if (!this.syncApi || !this.syncKey) return;
+    clearTimeout(this.syncTimer);
+    this.syncTimer = setTimeout(() => this.sync(), SYNC_DELAY);
+  }
+
+  /**
+   * Push this device's bookmarks and merge the synced set into them
+   * A sync requested while one is running runs once it finishes
+   * @returns {Promise<boolean>} Whether the sync succeeded
+   */
+  sync() {
+    if (!this.syncApi || !this.syncKey) return Promise.resolve(false);
+    if (this.syncPromise) {
+      this.syncPending = true;
+      return this.syncPromise;
+    }
+
+    this.setSyncStatus({ syncing: true });
+    this.syncPromise = (async () => {
+      try {
+        const synced = await this.syncApi.syncBookmarks(this.syncKey, {
+          bookmarks: this.bookmarks,
+          removed: this.removed,
+        });
+        this.applySyncedSet(synced);
+        this.setSyncStatus({ lastSyncedAt: Date.now(), error: null });
+        return true;
+      } catch (error) {
+        // Reported through the sync status, shown by the bookmarks panel
+        this.setSyncStatus({
+          error: error.status === 404 ? "Unknown sync key" : "Could not sync",
+        });
+        return false;
+      } finally {
+        this.syncPromise = null;
+        this.setSyncStatus({ syncing: false });
+        if (this.syncPending) {
+          this.syncPending = false;
+          this.sync();
+        }
+      }
+    })();
+    return this.syncPromise;
+  }
+
+  /**
+   * Merge a synced set into the local bookmarks (local changes made while
+   * syncing are kept and pushed by the next sync)
+   * @param {Object} synced - {bookmarks, removed}
+   */
+  applySyncedSet(synced) {
+    const merged = mergeBookmarkSets(
+      { bookmarks: this.bookmarks, removed: this.removed },
+      synced
+    );
+    this.bookmarks = merged.bookmarks;
+    this.removed = merged.removed;
+    this.saveBookmarks({ sync: false });
+  }
+
   /**
    * Subscribe to bookmark changes
    * @param {Function} callback - Function to call when bookmarks change
@@ -1,18 +1,22 @@
 /**
  * Tests for BookmarkManager
  */
-import { BookmarkManager } from "../BookmarkManager";
+import { BookmarkManager, mergeBookmarkSets } from "../BookmarkManager";
 
 describe("BookmarkManager", () => {
   let bookmarkManager;
 
   beforeEach(() => {
+    // Keep the progress logs out of the test output; errors are asserted on
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
     localStorage.clear();
     bookmarkManager = new BookmarkManager();
   });
 
   afterEach(() => {
     localStorage.clear();
+    jest.restoreAllMocks();
   });
 
   test("should add and remove bookmarks", () => {
@@ -86,4 +90,113 @@ describe("BookmarkManager", () => {
     expect(newManager.getCount()).toBe(1);
     expect(newManager.isBookmarked("Persist Test", "planet")).toBe(true);
   });
+
+  describe("Sync", () => {
+    const SYNC_KEY = "AbCdEfGhIjKlMnOpQrStUv";
+
+    /**
+     * Stand-in for the backend, merging pushed sets like /api/bookmarks
+     */
+    const backend = (initial = {}) => {
+      let stored = { bookmarks: [], removed: [], ...initial };
+      const respond = (set) => {
+        stored = mergeBookmarkSets(stored, set);
+        return { syncKey: SYNC_KEY, ...stored };
+      };
+      return {
+        createBookmarkSync: jest.fn(async (set) => respond(set)),
+        syncBookmarks: jest.fn(async (key, set) => {
+          if (key !== SYNC_KEY) {
+            throw Object.assign(new Error("HTTP error! status: 404"), {
+              status: 404,
+            });
+          }
+          return respond(set);
+        }),
+        stored: () => stored,
+      };
+    };
+
+    afterEach(() => {
+      bookmarkManager.destroy();
+    });
+
+    test("should let the latest bookmark or removal win", () => {
+      const merged = mergeBookmarkSets(
+        {
+          bookmarks: [{ type: "planet", name: "A", timestamp: 3000 }],
+          removed: [{ type: "planet", name: "B", timestamp: 4000 }],
+        },
+        {
+          bookmarks: [
+            {
+              type: "planet",
+              name: "B",
+              timestamp: new Date(2000).toISOString(),
+            },
+          ],
+          removed: [{ type: "planet", name: "A", timestamp: 1000 }],
+        },
+        5000
+      );
+
+      expect(merged.bookmarks.map((b) => b.name)).toEqual(["A"]);
+      expect(merged.removed.map((r) => r.name)).toEqual(["B"]);
+    });
+
+    test("should remember removals for syncing", () => {
+      bookmarkManager.addBookmark({ name: "Planet A" }, "planet");
+      bookmarkManager.removeBookmark("Planet A", "planet");
+      expect(new BookmarkManager().removed).toEqual([
+        expect.objectContaining({ type: "planet", name: "Planet A" }),
+      ]);
+
+      bookmarkManager.addBookmark({ name: "Planet A" }, "planet");
+      expect(bookmarkManager.removed).toEqual([]);
+    });
+
+    test("should create a sync key and merge other devices' bookmarks", async () => {
+      const api = backend({
+        bookmarks: [{ type: "planet", name: "From Tablet", timestamp: 1000 }],
+      });
+      bookmarkManager.addBookmark({ name: "From Laptop" }, "planet");
+      bookmarkManager.startSync(api);
+
+      await expect(bookmarkManager.createSyncKey()).resolves.toBe(SYNC_KEY);
+      expect(bookmarkManager.getSyncStatus().syncKey).toBe(SYNC_KEY);
+      expect(
+        bookmarkManager
+          .getAllBookmarks()
+          .map((b) => b.name)
+          .sort()
+      ).toEqual(["From Laptop", "From Tablet"]);
+
+      // A removal on this device reaches the backend
+      bookmarkManager.removeBookmark("From Tablet", "planet");
+      await expect(bookmarkManager.sync()).resolves.toBe(true);
+      expect(api.stored().bookmarks.map((b) => b.name)).toEqual([
+        "From Laptop",
+      ]);
+      expect(bookmarkManager.getSyncStatus().lastSyncedAt).not.toBeNull();
+    });
+
+    test("should join existing keys and reject unknown ones", async () => {
+      bookmarkManager.startSync(backend());
+
+      await expect(bookmarkManager.joinSync("short")).rejects.toThrow(
+        "Invalid sync key"
+      );
+      await expect(
+        bookmarkManager.joinSync("ZzZzZzZzZzZzZzZzZzZzZz")
+      ).rejects.toThrow("Unknown sync key");
+      expect(bookmarkManager.getSyncStatus().syncKey).toBeNull();
+      expect(console.error).not.toHaveBeenCalled();
+
+      await bookmarkManager.joinSync(` ${SYNC_KEY} `);
+      expect(new BookmarkManager().syncKey).toBe(SYNC_KEY);
+
+      bookmarkManager.stopSync();
+      expect(localStorage.getItem(bookmarkManager.syncKeyKey)).toBeNull();
+    });
+  });
 });
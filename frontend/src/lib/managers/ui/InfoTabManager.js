@@ -1,5 +1,50 @@
 import { escapeHtml, formatDistance } from "../../utils/helpers.js";
-import { getPlanetTypeName, getTypeColor } from "../../utils/constants.js";
+import {
+  CANDIDATE_SOURCES,
+  PROVENANCE,
+  getDispositionColor,
+  getDispositionName,
+  getPlanetTypeName,
+  getTypeColor,
+  isDefaulted,
+} from "../../utils/constants.js";
+import {
+  DEFAULT_CLASSIFICATION_SCHEME,
+  getPlanetCategory,
+} from "../../classification/index.js";
+
+/**
+ * Format a measurement with its uncertainties, e.g. "1.63 +0.23/−0.20 R⊕",
+ * or "5757 ±85 K" when they are symmetric
+ */
+const formatMeasurement = (value, err1, err2, unit, digits = 2) => {
+  if (value === null || value === undefined) return "—";
+
+  let text = value.toFixed(digits);
+  if (
+    err1 !== null &&
+    err1 !== undefined &&
+    err2 !== null &&
+    err2 !== undefined
+  ) {
+    const upper = Math.abs(err1).toFixed(digits);
+    const lower = Math.abs(err2).toFixed(digits);
+    text += upper === lower ? ` ±${upper}` : ` +${upper}/−${lower}`;
+  }
+  return `${text} ${unit}`;
+};
+
+/**
+ * Badge marking a derived or default planet or star value (none for
+ * measured values)
+ */
+const provenanceBadge = (planet, property) => {
+  const source = planet.provenance?.[property];
+  if (source !== "derived" && source !== "defaulted") return "";
+
+  const { name, color, description } = PROVENANCE[source];
+  return ` <span class="badge bg-${color} fw-normal" title="${description}">${name}</span>`;
+};
 
 /**
  * InfoTabManager
@@ -13,6 +58,28 @@ export class InfoTabManager {
   constructor(infoContentTarget) {
     this.infoContentTarget = infoContentTarget;
     this.filterManager = null;
+    this.apiManager = null;
+    this.settingsManager = null;
+    this.onSolutionSelect = null;
+    this.onStarParametersLoad = null;
+  }
+
+  /**
+   * Set settings manager reference (owner of the classification scheme)
+   */
+  setSettingsManager(settingsManager) {
+    this.settingsManager = settingsManager;
+  }
+
+  /**
+   * Classification scheme chosen in the settings
+   * @returns {string}
+   */
+  get classificationScheme() {
+    return (
+      this.settingsManager?.classificationScheme ??
+      DEFAULT_CLASSIFICATION_SCHEME
+    );
   }
 
   /**
@@ -22,6 +89,27 @@ export class InfoTabManager {
     this.filterManager = filterManager;
   }
 
+  /**
+   * Set API manager reference (used to load planet parameter sets)
+   */
+  setApiManager(apiManager) {
+    this.apiManager = apiManager;
+  }
+
+  /**
+   * Set callback invoked with the re-processed planet when a parameter set is chosen
+   */
+  setSolutionSelectCallback(callback) {
+    this.onSolutionSelect = callback;
+  }
+
+  /**
+   * Set callback invoked with the updated stellar data once host star parameters load
+   */
+  setStarParametersCallback(callback) {
+    this.onStarParametersLoad = callback;
+  }
+
   /**
    * Switch to the info tab
    */
@@ -156,31 +244,27 @@ export class InfoTabManager {
     const starName = system.starName || "Unknown";
     const distance = system.distance || planets[0]?.distance || 0;
 
+    // Counted by category in the chosen classification scheme
     const planetTypes = planets.reduce((acc, planet) => {
-      const type = planet.type || "unknown";
+      const type =
+        getPlanetCategory(planet, this.classificationScheme) || "unknown";
       acc[type] = (acc[type] || 0) + 1;
       return acc;
     }, {});
 
-    const avgTemp =
-      planets.length > 0 && planets.some((p) => p.temperature)
-        ? (
-            planets
-              .filter((p) => p.temperature)
-              .reduce((sum, p) => sum + p.temperature, 0) /
-            planets.filter((p) => p.temperature).length
-          ).toFixed(0)
-        : null;
-
-    const avgRadius =
-      planets.length > 0 && planets.some((p) => p.radius)
-        ? (
-            planets
-              .filter((p) => p.radius)
-              .reduce((sum, p) => sum + p.radius, 0) /
-            planets.filter((p) => p.radius).length
-          ).toFixed(2)
+    // Averages leave out default values (see ApiManager.processPlanetData)
+    const average = (property, digits) => {
+      const values = planets
+        .filter((p) => p[property] && !isDefaulted(p, property))
+        .map((p) => p[property]);
+      return values.length > 0
+        ? (values.reduce((sum, v) => sum + v, 0) / values.length).toFixed(
+            digits
+          )
         : null;
+    };
+    const avgTemp = average("temperature", 0);
+    const avgRadius = average("radius", 2);
 
     const spectralType = planets[0]?.spectralType || null;
     const starTemp = planets[0]?.starTemperature || null;
@@ -306,7 +390,7 @@ export class InfoTabManager {
                       planet.name
                     )}</div>
                     ${
-                      planet.temperature
+                      planet.temperature && !isDefaulted(planet, "temperature")
                         ? `
                       <div class="text-white-50" style="font-size: 0.75rem;">${planet.temperature.toFixed(
                         0
@@ -316,8 +400,10 @@ export class InfoTabManager {
                     }
                   </div>
                   <span class="badge bg-${getTypeColor(
-                    planet.type
-                  )}">${getPlanetTypeName(planet.type)}</span>
+                    getPlanetCategory(planet, this.classificationScheme)
+                  )}">${getPlanetTypeName(
+                    getPlanetCategory(planet, this.classificationScheme)
+                  )}</span>
                 </div>
               </div>
             `
@@ -337,21 +423,70 @@ export class InfoTabManager {
 
     const name = planet.name || "Unknown";
     const hostStar = planet.hostStar || "Unknown";
-    const type = getPlanetTypeName(planet.type);
-    const temperature = planet.temperature
-      ? `${planet.temperature.toFixed(0)} K`
-      : "Unknown";
-    const radius = planet.radius ? `${planet.radius.toFixed(2)} R⊕` : "Unknown";
-    const mass = planet.mass ? `${planet.mass.toFixed(2)} M⊕` : "Unknown";
+    const category = getPlanetCategory(planet, this.classificationScheme);
+    const type = getPlanetTypeName(category);
+    // Value with its archive uncertainties (see ApiManager.processPlanetData)
+    const withUncertainty = (property, unit, digits = 2) => {
+      const uncertainty = planet.uncertainties?.[property];
+      return formatMeasurement(
+        planet[property],
+        uncertainty?.upper,
+        uncertainty?.lower,
+        unit,
+        digits
+      );
+    };
+    const measured = (property, unit, digits) =>
+      planet[property]
+        ? withUncertainty(property, unit, digits) +
+          provenanceBadge(planet, property)
+        : "Unknown";
+    // Default eccentricities (0) and stellar values (the Sun's) say nothing
+    // about this system, so only known values are listed
+    const isKnown = (property) =>
+      planet[property] !== null &&
+      planet[property] !== undefined &&
+      !isDefaulted(planet, property);
+
+    const temperature = measured("temperature", "K", 0);
+    const radius = measured("radius", "R⊕");
+    const mass = measured("mass", "M⊕");
     const distance = planet.distance
-      ? formatDistance(planet.distance)
-      : "Unknown";
-    const orbitalPeriod = planet.orbitalPeriod
-      ? `${planet.orbitalPeriod.toFixed(2)} days`
+      ? formatDistance(planet.distance) + provenanceBadge(planet, "distance")
       : "Unknown";
-    const semiMajorAxis = planet.semiMajorAxis
-      ? `${planet.semiMajorAxis.toFixed(3)} AU`
+    const orbitalPeriod = measured("orbitalPeriod", "days");
+    const semiMajorAxis = measured("semiMajorAxis", "AU", 3);
+    const eccentricity = isKnown("orbitalEccentricity")
+      ? withUncertainty("orbitalEccentricity", "", 3).trim()
       : "Unknown";
+    const stellarProperties = [
+      ["Effective Temperature", "stellarTemp", "K", 0],
+      ["Radius", "stellarRadius", "R☉", 2],
+      ["Mass", "stellarMass", "M☉", 2],
+      ["Luminosity", "stellarLuminosity", "log L☉", 3],
+      ["Age", "stellarAge", "Gyr", 2],
+    ].filter(([, property]) => isKnown(property));
+    const stellarSection =
+      stellarProperties.length > 0
+        ? `<div class="info-section mb-4">
+          <h6 class="text-white-50 mb-3 fs-sm text-uppercase">Host Star Properties</h6>
+          <div class="property-grid">
+            ${stellarProperties
+              .map(
+                ([label, property, unit, digits]) => `
+            <div class="property-item mb-2 p-2 rounded" style="background: rgba(255, 255, 255, 0.05);">
+              <div class="text-white-50 fs-sm">${label}</div>
+              <div class="text-white fw-semibold">${withUncertainty(
+                property,
+                unit,
+                digits
+              )}</div>
+            </div>`
+              )
+              .join("")}
+          </div>
+        </div>`
+        : "";
     const discoveryYear = planet.discoveryYear || "Unknown";
     const discoveryMethod = planet.discoveryMethod || "Unknown";
     const discoveryFacility = planet.discoveryFacility || "Unknown";
@@ -373,7 +508,7 @@ export class InfoTabManager {
               <div class="text-white-50 fs-sm">Type</div>
               <div>
                 <span class="badge bg-${getTypeColor(
-                  planet.type
+                  category
                 )}">${escapeHtml(type)}</span>
               </div>
             </div>
@@ -413,9 +548,15 @@ export class InfoTabManager {
               <div class="text-white-50 fs-sm">Semi-Major Axis</div>
               <div class="text-white fw-semibold">${semiMajorAxis}</div>
             </div>
+            <div class="property-item mb-2 p-2 rounded" style="background: rgba(255, 255, 255, 0.05);">
+              <div class="text-white-50 fs-sm">Eccentricity</div>
+              <div class="text-white fw-semibold">${eccentricity}</div>
+            </div>
           </div>
         </div>
 
+        ${stellarSection}
+
         <div class="info-section mb-4">
           <h6 class="text-white-50 mb-3 fs-sm text-uppercase">Discovery Information</h6>
           <div class="property-grid">
@@ -437,8 +578,214 @@ export class InfoTabManager {
             </div>
           </div>
         </div>
+
+        <div class="info-section mb-4">
+          <h6 class="text-white-50 mb-3 fs-sm text-uppercase">Published Solutions</h6>
+          <div data-planet-solutions>
+            <p class="text-white-50 mb-0" style="font-size: 0.85rem;">Loading parameter sets...</p>
+          </div>
+        </div>
       </div>
     `;
+
+    this.loadPlanetSolutions(planet);
+  }
+
+  /**
+   * Update info tab with a planet candidate (TOI / KOI)
+   * Shows the archive values as measured (processPlanetData fills gaps with
+   * Earth-like defaults, which would misrepresent an unconfirmed object)
+   */
+  updateCandidateInfo(candidate) {
+    if (!this.infoContentTarget) return;
+
+    const raw = candidate.raw || {};
+    const measured = (value, format) =>
+      value === null || value === undefined ? "Unknown" : format(value);
+    const properties = [
+      ["Host Star", escapeHtml(candidate.hostStar)],
+      ["Distance", measured(candidate.distance, formatDistance)],
+      ["Radius", measured(raw.pl_rade, (v) => `${v.toFixed(2)} R⊕`)],
+      [
+        "Orbital Period",
+        measured(raw.pl_orbper, (v) => `${v.toFixed(2)} days`),
+      ],
+      [
+        "Equilibrium Temperature",
+        measured(raw.pl_eqt, (v) => `${v.toFixed(0)} K`),
+      ],
+      [
+        "Stellar Temperature",
+        measured(raw.st_teff, (v) => `${v.toFixed(0)} K`),
+      ],
+    ];
+
+    this.infoContentTarget.innerHTML = `
+      <div class="info-candidate">
+        <h5 class="text-white mb-3 d-flex align-items-center">
+          <i class="bx bx-radio-circle me-2 text-warning"></i> ${escapeHtml(
+            candidate.name
+          )}
+        </h5>
+
+        <div class="info-section mb-4">
+          <h6 class="text-white-50 mb-3 fs-sm text-uppercase">Disposition</h6>
+          <div class="mb-2">
+            <span class="badge border border-${getDispositionColor(
+              candidate.disposition
+            )} text-${getDispositionColor(candidate.disposition)} fs-sm px-3 py-2">
+              ${escapeHtml(candidate.disposition)} · ${escapeHtml(
+                getDispositionName(candidate.disposition)
+              )}
+            </span>
+          </div>
+          <p class="text-white-50 mb-0" style="font-size: 0.85rem; line-height: 1.5;">
+            ${escapeHtml(CANDIDATE_SOURCES[candidate.source] || "Candidate")}${
+              candidate.archiveDisposition
+                ? ` (archive disposition: ${escapeHtml(candidate.archiveDisposition)})`
+                : ""
+            }.
+            ${
+              candidate.confirmedName
+                ? `Confirmed as <strong class="text-white">${escapeHtml(
+                    candidate.confirmedName
+                  )}</strong>.`
+                : candidate.disposition === "PC"
+                  ? "Still awaiting confirmation by follow-up observations."
+                  : ""
+            }
+          </p>
+        </div>
+
+        <div class="info-section mb-4">
+          <h6 class="text-white-50 mb-3 fs-sm text-uppercase">Properties</h6>
+          <div class="property-grid">
+            ${properties
+              .map(
+                ([label, value]) => `
+            <div class="property-item mb-2 p-2 rounded" style="background: rgba(255, 255, 255, 0.05);">
+              <div class="text-white-50 fs-sm">${label}</div>
+              <div class="text-white fw-semibold">${value}</div>
+            </div>`
+              )
+              .join("")}
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Load the published parameter sets of a planet into the info tab
+   */
+  loadPlanetSolutions(planet) {
+    const container = this.infoContentTarget.querySelector(
+      "[data-planet-solutions]"
+    );
+    if (!container) return;
+
+    if (!this.apiManager) {
+      container.closest(".info-section").remove();
+      return;
+    }
+
+    this.apiManager
+      .fetchPlanetSolutions(planet.name)
+      .then((response) => {
+        // Skip if the info tab was re-rendered while loading
+        if (!container.isConnected) return;
+        this.renderPlanetSolutions(container, planet, response);
+      })
+      .catch((error) => {
+        console.warn("Error loading planet solutions:", error);
+        if (!container.isConnected) return;
+        container.innerHTML = `
+          <p class="text-white-50 mb-0" style="font-size: 0.85rem;">Parameter sets are currently unavailable.</p>
+        `;
+      });
+  }
+
+  /**
+   * Render the list of parameter sets, with a button to switch the one
+   * driving the rendering
+   * @param {Object} response - {solutions, valueColumns} of fetchPlanetSolutions
+   */
+  renderPlanetSolutions(container, planet, response) {
+    const { solutions } = response;
+    const activeIndex = planet.solutionIndex ?? 0;
+
+    container.innerHTML = `
+      ${
+        solutions.length === 1
+          ? `<p class="text-white-50 mb-2" style="font-size: 0.85rem;">Only one parameter set has been published for this planet.</p>`
+          : ""
+      }
+      <div class="solution-list" style="max-height: 260px; overflow-y: auto;">
+        ${solutions
+          .map((solution, index) => {
+            const label = solution.reference?.label || "Unknown reference";
+            const reference = solution.reference?.url
+              ? `<a href="${escapeHtml(
+                  solution.reference.url
+                )}" target="_blank" rel="noopener noreferrer" class="text-white">${escapeHtml(
+                  label
+                )}</a>`
+              : escapeHtml(label);
+
+            return `
+          <div class="solution-item mb-2 p-2 rounded" style="background: rgba(255, 255, 255, ${
+            index === activeIndex ? "0.12" : "0.03"
+          });">
+            <div class="d-flex justify-content-between align-items-center mb-1">
+              <div class="fw-semibold fs-sm">${reference}</div>
+              ${
+                index === activeIndex
+                  ? `<span class="badge bg-primary">Shown</span>`
+                  : `<button type="button" class="btn btn-sm btn-outline-light py-0" data-solution-index="${index}">Show</button>`
+              }
+            </div>
+            <div class="text-white-50" style="font-size: 0.75rem;">
+              ${escapeHtml(solution.pl_pubdate || "Unknown date")}
+              ${solution.default_flag === 1 ? `<span class="badge bg-secondary ms-1">Default</span>` : ""}
+            </div>
+            <div class="text-white" style="font-size: 0.8rem;">
+              <div>Radius: ${formatMeasurement(
+                solution.pl_rade,
+                solution.pl_radeerr1,
+                solution.pl_radeerr2,
+                "R⊕"
+              )}</div>
+              <div>Mass: ${formatMeasurement(
+                solution.pl_bmasse,
+                solution.pl_bmasseerr1,
+                solution.pl_bmasseerr2,
+                "M⊕"
+              )}</div>
+              <div>Period: ${formatMeasurement(
+                solution.pl_orbper,
+                solution.pl_orbpererr1,
+                solution.pl_orbpererr2,
+                "days",
+                4
+              )}</div>
+            </div>
+          </div>
+        `;
+          })
+          .join("")}
+      </div>
+    `;
+
+    container.querySelectorAll("[data-solution-index]").forEach((button) => {
+      button.addEventListener("click", () => {
+        const index = Number(button.dataset.solutionIndex);
+        if (this.onSolutionSelect) {
+          this.onSolutionSelect(
+            this.apiManager.applySolution(planet, response, index)
+          );
+        }
+      });
+    });
   }
 
   /**
@@ -454,13 +801,16 @@ export class InfoTabManager {
     const starName = system.starName || "Unknown Star";
     const spectralType = starData.spectralType || "Unknown";
     const stellarTemp = starData.stellarTemp
-      ? `${starData.stellarTemp.toFixed(0)} K`
+      ? `${starData.stellarTemp.toFixed(0)} K` +
+        provenanceBadge(starData, "stellarTemp")
       : "Unknown";
     const stellarRadius = starData.stellarRadius
-      ? `${starData.stellarRadius.toFixed(2)} R☉`
+      ? `${starData.stellarRadius.toFixed(2)} R☉` +
+        provenanceBadge(starData, "stellarRadius")
       : "Unknown";
     const stellarMass = starData.stellarMass
-      ? `${starData.stellarMass.toFixed(2)} M☉`
+      ? `${starData.stellarMass.toFixed(2)} M☉` +
+        provenanceBadge(starData, "stellarMass")
       : "Unknown";
     const stellarLuminosity = starData.stellarLuminosity
       ? `${Math.pow(10, starData.stellarLuminosity).toFixed(2)} L☉`
@@ -469,7 +819,8 @@ export class InfoTabManager {
       ? `${starData.stellarAge.toFixed(2)} Gyr`
       : "Unknown";
     const distance = starData.distance
-      ? formatDistance(starData.distance)
+      ? formatDistance(starData.distance) +
+        provenanceBadge(starData, "distance")
       : "Unknown";
     const numberOfPlanets = system.count || system.planets?.length || 0;
     const numberOfStars = starData.numberOfStars || 1;
@@ -493,19 +844,18 @@ export class InfoTabManager {
       }
     }
 
-    // Calculate comparison to Sun
-    const tempComparison =
-      starData.stellarTemp && starData.stellarTemp > 0
-        ? ((starData.stellarTemp / 5778) * 100).toFixed(0)
-        : null;
-    const radiusComparison =
-      starData.stellarRadius && starData.stellarRadius > 0
-        ? ((starData.stellarRadius / 1.0) * 100).toFixed(0)
-        : null;
-    const massComparison =
-      starData.stellarMass && starData.stellarMass > 0
-        ? ((starData.stellarMass / 1.0) * 100).toFixed(0)
-        : null;
+    // Calculate comparison to Sun (defaults are the Sun's own values)
+    const comparable = (property) =>
+      starData[property] > 0 && !isDefaulted(starData, property);
+    const tempComparison = comparable("stellarTemp")
+      ? ((starData.stellarTemp / 5778) * 100).toFixed(0)
+      : null;
+    const radiusComparison = comparable("stellarRadius")
+      ? ((starData.stellarRadius / 1.0) * 100).toFixed(0)
+      : null;
+    const massComparison = comparable("stellarMass")
+      ? ((starData.stellarMass / 1.0) * 100).toFixed(0)
+      : null;
 
     this.infoContentTarget.innerHTML = `
       <div class="info-star">
@@ -601,6 +951,13 @@ export class InfoTabManager {
           </div>
         </div>
 
+        <div class="info-section mb-4">
+          <h6 class="text-white-50 mb-3 fs-sm text-uppercase">Stellar Parameters</h6>
+          <div data-star-parameters>
+            <p class="text-white-50 mb-0" style="font-size: 0.85rem;">Loading stellar parameters...</p>
+          </div>
+        </div>
+
         <div class="alert alert-info" style="font-size: 0.85rem;">
           <i class="bx bx-info-circle me-1"></i>
           <strong>Note:</strong> The star's surface features (sunspots, granulation, flares, corona) 
@@ -608,5 +965,153 @@ export class InfoTabManager {
         </div>
       </div>
     `;
+
+    this.loadStarParameters(currentStar);
+  }
+
+  /**
+   * Load the host star parameter set into the info tab
+   * The first time a star's parameters arrive they are handed to
+   * onStarParametersLoad, which re-renders the tab with the updated values
+   */
+  loadStarParameters(currentStar) {
+    const container = this.infoContentTarget.querySelector(
+      "[data-star-parameters]"
+    );
+    if (!container) return;
+
+    if (!this.apiManager) {
+      container.closest(".info-section").remove();
+      return;
+    }
+
+    const { starData, system } = currentStar;
+    if (starData.stellarParameters) {
+      this.renderStarParameters(container, starData.stellarParameters);
+      return;
+    }
+
+    this.apiManager
+      .fetchStar(system.starName)
+      .then((parameters) => {
+        // Skip if the info tab was re-rendered while loading
+        if (!container.isConnected) return;
+        this.renderStarParameters(container, parameters);
+
+        if (this.onStarParametersLoad) {
+          this.onStarParametersLoad(
+            this.apiManager.applyStarParameters(starData, parameters)
+          );
+        }
+      })
+      .catch((error) => {
+        console.warn("Error loading star parameters:", error);
+        if (!container.isConnected) return;
+        container.innerHTML = `
+          <p class="text-white-50 mb-0" style="font-size: 0.85rem;">Detailed stellar parameters are currently unavailable.</p>
+        `;
+      });
+  }
+
+  /**
+   * Render host star parameters with uncertainties and references
+   */
+  renderStarParameters(container, parameters) {
+    const { star, multiplicity, sources, references } = parameters;
+
+    const measurement = (label, column, unit, digits = 2) => {
+      if (star[column] === null || star[column] === undefined) return "";
+      const source = sources?.[column];
+      return `
+            <div class="property-item mb-2 p-2 rounded" style="background: rgba(255, 255, 255, 0.05);"${
+              source ? ` title="${escapeHtml(source)}"` : ""
+            }>
+              <div class="text-white-50 fs-sm">${label}</div>
+              <div class="text-white fw-semibold">${formatMeasurement(
+                star[column],
+                star[`${column}err1`],
+                star[`${column}err2`],
+                unit,
+                digits
+              )}</div>
+            </div>`;
+    };
+
+    const metallicityUnit = `dex${
+      star.st_metratio ? ` ${escapeHtml(star.st_metratio)}` : ""
+    }`;
+
+    const physical = [
+      measurement("Temperature", "st_teff", "K", 0),
+      measurement("Radius", "st_rad", "R☉"),
+      measurement("Mass", "st_mass", "M☉"),
+      measurement("Metallicity", "st_met", metallicityUnit),
+      measurement("Surface Gravity (log g)", "st_logg", "cgs"),
+      measurement("Density", "st_dens", "g/cm³"),
+      measurement("Age", "st_age", "Gyr"),
+    ].join("");
+
+    const motion = [
+      measurement("Rotation Period", "st_rotp", "days"),
+      measurement("Rotational Velocity (v sin i)", "st_vsin", "km/s"),
+      measurement("Radial Velocity", "st_radv", "km/s"),
+    ].join("");
+
+    const magnitudes = [
+      measurement("V (Johnson)", "sy_vmag", "mag", 3),
+      measurement("B (Johnson)", "sy_bmag", "mag", 3),
+      measurement("G (Gaia)", "sy_gaiamag", "mag", 3),
+      measurement("TESS", "sy_tmag", "mag", 3),
+      measurement("Kepler", "sy_kepmag", "mag", 3),
+      measurement("J (2MASS)", "sy_jmag", "mag", 3),
+      measurement("H (2MASS)", "sy_hmag", "mag", 3),
+      measurement("Ks (2MASS)", "sy_kmag", "mag", 3),
+    ].join("");
+
+    const group = (title, content) =>
+      content
+        ? `
+          <div class="text-white fs-sm mb-2">${title}</div>
+          <div class="property-grid mb-3">${content}</div>`
+        : "";
+
+    container.innerHTML = `
+      ${group("Physical", physical)}
+      ${group("Rotation &amp; Motion", motion)}
+      ${group("Magnitudes", magnitudes)}
+      <div class="text-white fs-sm mb-2">Multiplicity</div>
+      <div class="property-item mb-3 p-2 rounded" style="background: rgba(255, 255, 255, 0.05);">
+        <div class="text-white fw-semibold text-capitalize">${escapeHtml(
+          multiplicity.type
+        )} (${multiplicity.stars} ${multiplicity.stars === 1 ? "star" : "stars"})</div>
+        <div class="text-white-50" style="font-size: 0.8rem;">
+          ${multiplicity.planets ?? "—"} planets${
+            multiplicity.moons ? `, ${multiplicity.moons} moons` : ""
+          }
+        </div>
+      </div>
+      ${
+        references.length > 0
+          ? `
+      <div class="text-white fs-sm mb-2">References</div>
+      <ul class="list-unstyled mb-0" style="font-size: 0.8rem;">
+        ${references
+          .map(
+            (reference) => `
+        <li class="mb-1">${
+          reference.url
+            ? `<a href="${escapeHtml(
+                reference.url
+              )}" target="_blank" rel="noopener noreferrer" class="text-white">${escapeHtml(
+                reference.label
+              )}</a>`
+            : escapeHtml(reference.label)
+        }</li>`
+          )
+          .join("")}
+      </ul>`
+          : ""
+      }
+    `;
   }
 }
@@ -1,3 +1,5 @@
+import { isDefaulted } from "../../utils/constants.js";
+
 /**
  * TooltipManager
  *
@@ -70,7 +72,7 @@ export class TooltipManager {
         <div class="small">
           <div><i class="bx bx-sun me-1"></i> ${objectData.hostStar}</div>
           <div><i class="bx bx-thermometer me-1"></i> ${
-            objectData.temperature
+            objectData.temperature && !isDefaulted(objectData, "temperature")
               ? objectData.temperature.toFixed(0) + " K"
               : "Unknown"
           }</div>
@@ -1,5 +1,16 @@
 import { escapeHtml } from "../../utils/helpers.js";
-import { getPlanetTypeName, getTypeColor } from "../../utils/constants.js";
+import {
+  CANDIDATE_SOURCES,
+  getDispositionColor,
+  getDispositionName,
+  getPlanetTypeName,
+  getTypeColor,
+  isDefaulted,
+} from "../../utils/constants.js";
+import {
+  DEFAULT_CLASSIFICATION_SCHEME,
+  getPlanetCategory,
+} from "../../classification/index.js";
 
 /**
  * UIManager
@@ -8,6 +19,26 @@ import { getPlanetTypeName, getTypeColor } from "../../utils/constants.js";
 export class UIManager {
   constructor(targets) {
     this.targets = targets;
+    // Owner of the classification scheme (see setSettingsManager)
+    this.settingsManager = null;
+  }
+
+  /**
+   * Set settings manager reference (owner of the classification scheme)
+   */
+  setSettingsManager(settingsManager) {
+    this.settingsManager = settingsManager;
+  }
+
+  /**
+   * Classification scheme chosen in the settings
+   * @returns {string}
+   */
+  get classificationScheme() {
+    return (
+      this.settingsManager?.classificationScheme ??
+      DEFAULT_CLASSIFICATION_SCHEME
+    );
   }
 
   /**
@@ -18,6 +49,16 @@ export class UIManager {
     return escapeHtml(str);
   }
 
+  /**
+   * Badge with the planet's category in the chosen classification scheme
+   */
+  typeBadge(planet, className = "badge") {
+    const category = getPlanetCategory(planet, this.classificationScheme);
+    return `<span class="${className} bg-${getTypeColor(
+      category
+    )}">${this.sanitizeHTML(getPlanetTypeName(category))}</span>`;
+  }
+
   /**
    * Sanitize URL component for safe use in URLs
    */
@@ -70,9 +111,7 @@ export class UIManager {
               planet.hostStar
             )}</div>
           </div>
-          <span class="badge bg-${getTypeColor(
-            planet.type
-          )}">${this.sanitizeHTML(getPlanetTypeName(planet.type))}</span>
+          ${this.typeBadge(planet)}
         </div>
       `;
       item.addEventListener("click", () => {
@@ -126,6 +165,9 @@ export class UIManager {
       if (result.type === "system") {
         // Render system with expandable planets
         this.renderSystemItem(list, result, index);
+      } else if (result.type === "candidate") {
+        // Render planet candidate with its disposition
+        this.renderCandidateItem(list, result.candidate);
       } else {
         // Render standalone planet
         this.renderPlanetItem(list, result.planet, result.systemData);
@@ -184,13 +226,13 @@ export class UIManager {
         <div class="d-flex justify-content-between align-items-start">
           <div>
             <div class="fw-semibold">${this.sanitizeHTML(planet.name)}</div>
-            <div class="fs-sm text-muted">${this.sanitizeHTML(
-              planet.temperature.toFixed(0)
-            )} K</div>
+            <div class="fs-sm text-muted">${
+              isDefaulted(planet, "temperature")
+                ? "Unknown temperature"
+                : `${this.sanitizeHTML(planet.temperature.toFixed(0))} K`
+            }</div>
           </div>
-          <span class="badge bg-${getTypeColor(
-            planet.type
-          )}">${this.sanitizeHTML(getPlanetTypeName(planet.type))}</span>
+          ${this.typeBadge(planet)}
         </div>
       `;
 
@@ -247,9 +289,7 @@ export class UIManager {
             planet.hostStar
           )}</div>
         </div>
-        <span class="badge bg-${getTypeColor(planet.type)}">${this.sanitizeHTML(
-          getPlanetTypeName(planet.type)
-        )}</span>
+        ${this.typeBadge(planet)}
       </div>
     `;
     item.addEventListener("click", () => {
@@ -260,6 +300,51 @@ export class UIManager {
     list.appendChild(item);
   }
 
+  /**
+   * Render a planet candidate item with its disposition badge (PC, FP, CP)
+   */
+  renderCandidateItem(list, candidate) {
+    const item = document.createElement("button");
+    item.className = "list-group-item list-group-item-action candidate-item";
+    // Sanitize data before inserting to prevent XSS
+    item.innerHTML = `
+      <div class="d-flex justify-content-between align-items-start">
+        <div>
+          <div class="fw-semibold">
+            <i class="bx bx-radio-circle me-1"></i>${this.sanitizeHTML(
+              candidate.name
+            )}
+          </div>
+          <div class="fs-sm text-muted">${this.sanitizeHTML(
+            candidate.confirmedName ||
+              CANDIDATE_SOURCES[candidate.source] ||
+              candidate.hostStar
+          )}</div>
+        </div>
+        <span class="badge border border-${getDispositionColor(
+          candidate.disposition
+        )} text-${getDispositionColor(
+          candidate.disposition
+        )}" title="${this.sanitizeHTML(
+          getDispositionName(candidate.disposition)
+        )}">${this.sanitizeHTML(candidate.disposition)}</span>
+      </div>
+    `;
+    item.addEventListener("click", () => {
+      if (this.onCandidateSelect) {
+        this.onCandidateSelect(candidate);
+      }
+    });
+    list.appendChild(item);
+  }
+
+  /**
+   * Set planet candidate select callback
+   */
+  setCandidateSelectCallback(callback) {
+    this.onCandidateSelect = callback;
+  }
+
   /**
    * Set planet select callback
    */
@@ -294,6 +379,13 @@ export class UIManager {
     if (this.targets.loadingIndicator) {
       this.targets.loadingIndicator.classList.add("exoplanet-loading-hidden");
     }
+    this.hideCanvasLoading();
+  }
+
+  /**
+   * Hide the canvas loading overlay (e.g. once the galaxy has planets to show)
+   */
+  hideCanvasLoading() {
     if (this.targets.canvasLoading) {
       // Fade out the loading overlay
       this.targets.canvasLoading.classList.add("exoplanet-loading-hidden");
@@ -453,9 +545,7 @@ export class UIManager {
               }
             </small>
           </div>
-          <span class="badge bg-${getTypeColor(
-            planet.type
-          )}">${this.sanitizeHTML(getPlanetTypeName(planet.type))}</span>
+          ${this.typeBadge(planet)}
         </div>
       </div>
     `
@@ -629,9 +719,7 @@ export class UIManager {
         <div class="info-section">
           <h6 class="text-white mb-2">Classification</h6>
           <div class="mb-3">
-            <span class="badge bg-${getTypeColor(planet.type)} fs-sm px-3 py-2">
-              ${this.sanitizeHTML(getPlanetTypeName(planet.type))}
-            </span>
+            ${this.typeBadge(planet, "badge fs-sm px-3 py-2")}
           </div>
         </div>
 
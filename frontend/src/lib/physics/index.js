@@ -476,3 +476,106 @@ export function getRealisticColor(planet) {
   // Default
   return { r: 0.7, g: 0.7, b: 0.7 };
 }
+
+/**
+ * Empirical mass-radius relation (Chen & Kipping 2017, ApJ 834, 17)
+ * A broken power law R = C * M^slope in Earth units, with an intrinsic
+ * scatter (dex) around it, split where the planet population changes:
+ * - terran: rocky planets, below 2.04 M⊕
+ * - neptunian: planets with volatile envelopes, up to 0.414 Jupiter masses
+ * - jovian: gas giants up to 0.08 solar masses, where radius barely depends
+ *   on mass (degeneracy pressure)
+ * logConstant is log10(C), chosen so the segments meet
+ */
+export const MASS_RADIUS_REGIMES = [
+  {
+    name: "terran",
+    maxMass: 2.04,
+    slope: 0.279,
+    logConstant: 0.00346,
+    scatter: 0.0403,
+  },
+  {
+    name: "neptunian",
+    maxMass: 131.6,
+    slope: 0.589,
+    logConstant: -0.0925,
+    scatter: 0.146,
+  },
+  {
+    name: "jovian",
+    maxMass: 26600,
+    slope: -0.044,
+    logConstant: 1.2489,
+    scatter: 0.0737,
+  },
+];
+
+const JUPITER_MASS = 317.8; // Earth masses
+const DEUTERIUM_BURNING_MASS = 13 * JUPITER_MASS; // Planet / brown dwarf limit
+
+/**
+ * Spread a log-normal scatter into upper and lower uncertainties
+ */
+const withScatter = (value, scatter) => ({
+  value,
+  upper: value * (Math.pow(10, scatter) - 1),
+  lower: value * (1 - Math.pow(10, -scatter)),
+});
+
+/**
+ * Estimate a planet radius from its mass
+ * @param {number} mass - Mass in Earth masses
+ * @returns {{value: number, upper: number, lower: number}|null} Radius in
+ *   Earth radii with its uncertainties (the relation's scatter), or null
+ *   without a positive mass
+ */
+export function estimateRadiusFromMass(mass) {
+  if (!(mass > 0)) return null;
+
+  const regime =
+    MASS_RADIUS_REGIMES.find(({ maxMass }) => mass < maxMass) ||
+    MASS_RADIUS_REGIMES[MASS_RADIUS_REGIMES.length - 1];
+  const value = Math.pow(
+    10,
+    regime.logConstant + regime.slope * Math.log10(mass)
+  );
+
+  return withScatter(value, regime.scatter);
+}
+
+/**
+ * Estimate a planet mass from its radius
+ * The terran and neptunian segments are inverted (their scatter divided by
+ * the slope). Radii from the smallest jovian radius up are giants whose
+ * radius says little about their mass: they get one Jupiter mass, bounded
+ * by the jovian regime and the deuterium burning limit
+ * @param {number} radius - Radius in Earth radii
+ * @returns {{value: number, upper: number, lower: number}|null} Mass in
+ *   Earth masses with its uncertainties, or null without a positive radius
+ */
+export function estimateMassFromRadius(radius) {
+  if (!(radius > 0)) return null;
+
+  const [terran, neptunian, jovian] = MASS_RADIUS_REGIMES;
+  const radiusAt = ({ logConstant, slope }, mass) =>
+    Math.pow(10, logConstant + slope * Math.log10(mass));
+
+  // The jovian segment decreases with mass, so its smallest radius is at
+  // its upper end
+  if (radius >= radiusAt(jovian, jovian.maxMass)) {
+    return {
+      value: JUPITER_MASS,
+      upper: DEUTERIUM_BURNING_MASS - JUPITER_MASS,
+      lower: JUPITER_MASS - neptunian.maxMass,
+    };
+  }
+
+  const regime = radius < radiusAt(terran, terran.maxMass) ? terran : neptunian;
+  const value = Math.pow(
+    10,
+    (Math.log10(radius) - regime.logConstant) / regime.slope
+  );
+
+  return withScatter(value, regime.scatter / regime.slope);
+}
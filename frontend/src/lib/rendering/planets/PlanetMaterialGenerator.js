@@ -9,6 +9,7 @@ import {
   gasGiantFragmentShader,
 } from "../shaders/index.js";
 import { TextureGenerator } from "./TextureGenerator.js";
+import { getTextureStyle } from "../../classification/index.js";
 
 /**
  * PlanetMaterialGenerator
@@ -34,29 +35,37 @@ export class PlanetMaterialGenerator {
    * Generate procedural planet material
    * Main entry point for material generation
    * @param {Object} planet - Planet data object
-   * @param {Object} options - Rendering options (starPosition, starColor, etc.)
+   * @param {Object} options - Rendering options (classificationScheme,
+   *   which decides the surface style, starPosition, starColor, etc.)
    * @returns {THREE.Material} Generated material for the planet
    */
   generatePlanetMaterial(planet, options = {}) {
+    const style = getTextureStyle(planet, options.classificationScheme);
+
     // Check if this is a Solar System planet - use realistic texture
     if (this.isSolarSystemPlanet(planet)) {
-      return this.createSolarSystemMaterial(planet);
+      return this.createSolarSystemMaterial(planet, style);
     }
 
     // Use realistic shader-based materials if enabled
     if (this.useRealisticShaders && options.starPosition) {
-      return this.createRealisticMaterial(planet, options);
+      return this.createRealisticMaterial(planet, { ...options, style });
     }
 
     // Otherwise, use procedural generation for exoplanets (legacy mode)
-    // Check cache first to avoid regenerating the same texture
-    const cacheKey = planet.name;
+    // Check cache first to avoid regenerating the same texture (the surface
+    // style changes with the classification scheme)
+    const cacheKey = `${planet.name}_${style}`;
     let texture = this.textureCache.planet.get(cacheKey);
 
     if (!texture) {
       // Generate texture if not cached
-      const color = this.textureGenerator.getPlanetColor(planet);
-      texture = this.textureGenerator.generateBasicTexture(planet, color);
+      const color = this.textureGenerator.getPlanetColor(planet, style);
+      texture = this.textureGenerator.generateBasicTexture(
+        planet,
+        color,
+        style
+      );
 
       // Cache the texture for future use
       this.textureCache.planet.set(cacheKey, texture);
@@ -72,11 +81,12 @@ export class PlanetMaterialGenerator {
   /**
    * Create realistic shader-based material with proper physics
    * @param {Object} planet - Planet data object
-   * @param {Object} options - { starPosition, starColor, starIntensity, planetRadius }
+   * @param {Object} options - { style, starPosition, starColor, starIntensity, planetRadius }
    * @returns {THREE.ShaderMaterial} Physically accurate shader material
    */
   createRealisticMaterial(planet, options) {
     const {
+      style,
       starPosition = new THREE.Vector3(5, 3, 5),
       starColor = new THREE.Vector3(1.0, 1.0, 1.0),
       starIntensity = 2.0,
@@ -94,13 +104,14 @@ export class PlanetMaterialGenerator {
     const realisticColor = RealisticPhysics.getRealisticColor(planet);
 
     // Generate or retrieve surface texture
-    const cacheKey = planet.name + "_realistic";
+    const cacheKey = `${planet.name}_${style}_realistic`;
     let texture = this.textureCache.planet.get(cacheKey);
 
     if (!texture) {
       texture = this.textureGenerator.generateEnhancedTexture(
         planet,
-        realisticColor
+        realisticColor,
+        style
       );
       this.textureCache.planet.set(cacheKey, texture);
     }
@@ -274,9 +285,10 @@ export class PlanetMaterialGenerator {
    * Create realistic material for Solar System planets
    * Loads actual texture images for accurate planetary surfaces
    * @param {Object} planet - Planet data object
+   * @param {string} style - Surface style of the fallback texture
    * @returns {THREE.Material} Material with loaded or fallback texture
    */
-  createSolarSystemMaterial(planet) {
+  createSolarSystemMaterial(planet, style) {
     const material = new THREE.MeshStandardMaterial({
       roughness: this.getPlanetRoughness(planet),
       metalness: planet.name === "Earth" ? 0.3 : 0.1,
@@ -297,10 +309,11 @@ export class PlanetMaterialGenerator {
             `Failed to load texture for ${planet.name}, using procedural texture`
           );
           // Fallback to procedural texture
-          const color = this.textureGenerator.getPlanetColor(planet);
+          const color = this.textureGenerator.getPlanetColor(planet, style);
           material.map = this.textureGenerator.generateBasicTexture(
             planet,
-            color
+            color,
+            style
           );
           material.needsUpdate = true;
         }
@@ -3,6 +3,7 @@ import { getStarColor } from "../../utils/helpers.js";
 import { PlanetMaterialGenerator } from "./PlanetMaterialGenerator.js";
 import { PlanetAtmosphereRenderer } from "./PlanetAtmosphereRenderer.js";
 import { PlanetRingRenderer } from "./PlanetRingRenderer.js";
+import { DEFAULT_CLASSIFICATION_SCHEME } from "../../classification/index.js";
 
 /**
  * PlanetRenderer
@@ -26,6 +27,9 @@ export class PlanetRenderer {
     this.orbitalPeriod = 0;
     this.isOrbitAnimating = false;
 
+    // Owner of the classification scheme (set by SettingsManager.setRenderers)
+    this.settingsManager = null;
+
     // Texture loader for realistic Solar System planets
     this.textureLoader = new THREE.TextureLoader();
     this.solarSystemTextures = {};
@@ -69,6 +73,26 @@ export class PlanetRenderer {
     );
   }
 
+  /**
+   * Read view settings from a settings manager
+   * @param {SettingsManager} settingsManager
+   */
+  setSettingsManager(settingsManager) {
+    this.settingsManager = settingsManager;
+  }
+
+  /**
+   * Classification scheme chosen in the settings, which decides the surface
+   * style of planets (the default one until a settings manager is set)
+   * @returns {string}
+   */
+  get classificationScheme() {
+    return (
+      this.settingsManager?.classificationScheme ??
+      DEFAULT_CLASSIFICATION_SCHEME
+    );
+  }
+
   /**
    * Create a planet mesh without adding to scene (for comparison view)
    * @param {Object} planetData - Planet data object
@@ -86,6 +110,7 @@ export class PlanetRenderer {
 
     // Generate material with realistic physics
     const material = this.materialGenerator.generatePlanetMaterial(planetData, {
+      classificationScheme: this.classificationScheme,
       starPosition,
       starColor,
       starIntensity,
@@ -176,6 +201,7 @@ export class PlanetRenderer {
 
     // Generate material with realistic physics
     const material = this.materialGenerator.generatePlanetMaterial(planetData, {
+      classificationScheme: this.classificationScheme,
       starPosition,
       starColor,
       starIntensity,
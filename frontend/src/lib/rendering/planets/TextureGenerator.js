@@ -5,15 +5,19 @@ import { hashCode, seededRandom } from "../../utils/helpers.js";
  * TextureGenerator
  * Handles all procedural texture generation for planets
  * Generates realistic surfaces based on planet type, temperature, and other properties
+ * The surface style ("rocky", "lava", "ocean", "ice-giant" or "gas-giant")
+ * comes from the planet's category in the chosen classification scheme (see
+ * getTextureStyle) and is passed in by PlanetMaterialGenerator
  */
 export class TextureGenerator {
   /**
    * Generate enhanced procedural texture with more realistic features
    * @param {Object} planet - Planet data object
    * @param {Object} realisticColor - RGB color object {r, g, b}
+   * @param {string} style - Surface style
    * @returns {THREE.CanvasTexture} Generated texture
    */
-  generateEnhancedTexture(planet, realisticColor) {
+  generateEnhancedTexture(planet, realisticColor, style) {
     const canvas = document.createElement("canvas");
     canvas.width = 1024; // Higher resolution for better quality
     canvas.height = 1024;
@@ -27,7 +31,7 @@ export class TextureGenerator {
     ctx.fillRect(0, 0, 1024, 1024);
 
     // Add enhanced procedural features
-    this.addEnhancedProceduralTexture(ctx, planet);
+    this.addEnhancedProceduralTexture(ctx, planet, style);
 
     const texture = new THREE.CanvasTexture(canvas);
     texture.wrapS = THREE.RepeatWrapping;
@@ -40,9 +44,10 @@ export class TextureGenerator {
    * Generate basic procedural texture (legacy mode)
    * @param {Object} planet - Planet data object
    * @param {string} color - Hex color string
+   * @param {string} style - Surface style
    * @returns {THREE.CanvasTexture} Generated texture
    */
-  generateBasicTexture(planet, color) {
+  generateBasicTexture(planet, color, style) {
     const canvas = document.createElement("canvas");
     canvas.width = 512;
     canvas.height = 512;
@@ -53,7 +58,7 @@ export class TextureGenerator {
     ctx.fillRect(0, 0, 512, 512);
 
     // Add noise/texture based on planet type
-    this.addProceduralTexture(ctx, planet);
+    this.addProceduralTexture(ctx, planet, style);
 
     return new THREE.CanvasTexture(canvas);
   }
@@ -61,20 +66,24 @@ export class TextureGenerator {
   /**
    * Add enhanced procedural texture features
    */
-  addEnhancedProceduralTexture(ctx, planet) {
+  addEnhancedProceduralTexture(ctx, planet, style) {
     const seed = hashCode(planet.name);
     const random = seededRandom(seed);
     const size = 1024;
 
     // Multi-octave noise for more realistic terrain
-    this.addMultiLayerNoise(ctx, random, size, planet.type);
+    this.addMultiLayerNoise(ctx, random, size, style);
 
-    // Add type-specific features
-    if (planet.type === "jupiter") {
+    // Add style-specific features
+    if (style === "gas-giant") {
       this.addEnhancedGasGiantFeatures(ctx, random, size);
-    } else if (planet.type === "neptune") {
+    } else if (style === "ice-giant") {
       this.addEnhancedIceGiantFeatures(ctx, random, size);
-    } else if (planet.type === "terrestrial" || planet.type === "super-earth") {
+    } else if (style === "lava") {
+      this.addLavaFeatures(ctx, random, size);
+    } else if (style === "ocean") {
+      this.addOceanFeatures(ctx, random, size);
+    } else {
       this.addEnhancedTerrestrialFeatures(ctx, planet, random, size);
     }
   }
@@ -82,9 +91,9 @@ export class TextureGenerator {
   /**
    * Add multi-layer Perlin-like noise for realistic terrain
    */
-  addMultiLayerNoise(ctx, random, size, planetType) {
+  addMultiLayerNoise(ctx, random, size, style) {
     const intensity =
-      planetType === "jupiter" || planetType === "neptune" ? 0.12 : 0.18;
+      style === "gas-giant" || style === "ice-giant" ? 0.12 : 0.18;
 
     // Large features (octave 1)
     for (let i = 0; i < size * 3; i++) {
@@ -375,6 +384,49 @@ export class TextureGenerator {
     }
   }
 
+  /**
+   * Add ocean world features
+   * Deep basins and swells over a global ocean, with a few islands
+   */
+  addOceanFeatures(ctx, random, size) {
+    // Deep water
+    for (let i = 0; i < 12; i++) {
+      const x = random() * size;
+      const y = random() * size;
+      const width = size * (0.1 + random() * 0.3);
+      const height = size * (0.08 + random() * 0.2);
+
+      ctx.fillStyle = `rgba(0, 30, 80, ${0.15 + random() * 0.15})`;
+      ctx.beginPath();
+      ctx.ellipse(x, y, width, height, random() * Math.PI, 0, Math.PI * 2);
+      ctx.fill();
+    }
+
+    // Swells
+    for (let i = 0; i < 60; i++) {
+      const y = random() * size;
+
+      ctx.strokeStyle = `rgba(255, 255, 255, ${0.03 + random() * 0.05})`;
+      ctx.lineWidth = 1 + random() * 2;
+      ctx.beginPath();
+      ctx.moveTo(0, y);
+      ctx.lineTo(size, y + (random() - 0.5) * size * 0.05);
+      ctx.stroke();
+    }
+
+    // Islands
+    for (let i = 0; i < 6; i++) {
+      const x = random() * size;
+      const y = random() * size;
+      const radius = size * (0.005 + random() * 0.015);
+
+      ctx.fillStyle = `rgba(110, 100, 70, ${0.3 + random() * 0.2})`;
+      ctx.beginPath();
+      ctx.arc(x, y, radius, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  }
+
   /**
    * Add desert/hot world features
    */
@@ -429,15 +481,15 @@ export class TextureGenerator {
    * Generates noise and type-specific features
    * @param {CanvasRenderingContext2D} ctx - Canvas 2D context
    * @param {Object} planet - Planet data object
+   * @param {string} style - Surface style
    */
-  addProceduralTexture(ctx, planet) {
+  addProceduralTexture(ctx, planet, style) {
     const seed = hashCode(planet.name);
     const random = seededRandom(seed);
+    const isGiant = style === "gas-giant" || style === "ice-giant";
 
-    const noiseIntensity =
-      planet.type === "jupiter" || planet.type === "neptune" ? 0.15 : 0.2;
-    const noiseCount =
-      planet.type === "jupiter" || planet.type === "neptune" ? 7000 : 5000;
+    const noiseIntensity = isGiant ? 0.15 : 0.2;
+    const noiseCount = isGiant ? 7000 : 5000;
 
     for (let i = 0; i < noiseCount; i++) {
       const x = random() * 512;
@@ -450,12 +502,15 @@ export class TextureGenerator {
       ctx.fill();
     }
 
-    // Add features based on planet type
-    if (planet.type === "jupiter") {
+    // Add features based on the surface style
+    if (style === "gas-giant") {
       this.addGasGiantFeatures(ctx, random);
-    } else if (planet.type === "neptune") {
+    } else if (style === "ice-giant") {
       this.addIceGiantFeatures(ctx, random);
-    } else if (planet.type === "terrestrial" || planet.type === "super-earth") {
+    } else if (style === "ocean") {
+      this.addOceanFeatures(ctx, random, 512);
+    } else {
+      // Lava worlds are hot enough for the lava features
       this.addTerrestrialFeatures(ctx, planet, random);
     }
   }
@@ -577,18 +632,18 @@ export class TextureGenerator {
   }
 
   /**
-   * Get planet color based on temperature, type, insolation, and density
+   * Get planet color based on temperature, surface style, insolation, and density
    * @param {Object} planet - Planet data object
+   * @param {string} style - Surface style
    * @returns {string} Hex color string
    */
-  getPlanetColor(planet) {
+  getPlanetColor(planet, style) {
     const temp = planet.temperature;
-    const type = planet.type;
     const insolation = planet.insolationFlux;
     const density = planet.density;
 
     // Gas Giants (Jupiter-like)
-    if (type === "jupiter") {
+    if (style === "gas-giant") {
       if (temp < 150) return "#c8d4e8";
       else if (temp < 400) return "#d4c4a8";
       else if (temp < 800) return "#d4a574";
@@ -597,15 +652,20 @@ export class TextureGenerator {
     }
 
     // Ice Giants (Neptune-like)
-    if (type === "neptune") {
+    if (style === "ice-giant") {
       if (temp < 150) return "#b8d4ff";
       else if (temp < 300) return "#a0c8e8";
       else if (temp < 600) return "#98b8d8";
       else return "#b8a898";
     }
 
-    // Rocky Planets (Terrestrial & Super-Earth)
-    if (type === "terrestrial" || type === "super-earth") {
+    // Ocean worlds
+    if (style === "ocean") {
+      return temp < 273 ? "#9fc4e0" : "#2f5f8f";
+    }
+
+    // Rocky Planets (Terrestrial, Super-Earth & lava worlds)
+    if (style === "rocky" || style === "lava") {
       const isHighDensity = density !== null && density > 4.5;
 
       if (temp < 200) {
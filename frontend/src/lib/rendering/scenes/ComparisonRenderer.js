@@ -22,6 +22,14 @@ export class ComparisonRenderer {
     console.log("📦 ComparisonRenderer initialized");
   }
 
+  /**
+   * Read view settings from a settings manager
+   * @param {SettingsManager} settingsManager
+   */
+  setSettingsManager(settingsManager) {
+    this.planetRenderer.setSettingsManager(settingsManager);
+  }
+
   /**
    * Set up comparison view with multiple planets
    */
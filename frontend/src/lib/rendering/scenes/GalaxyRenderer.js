@@ -1,5 +1,6 @@
 import * as THREE from "three";
 import { getStarColor } from "../../utils/helpers.js";
+import { CANDIDATE_DISPOSITIONS } from "../../utils/constants.js";
 import { StarRenderer } from "../stars/StarRenderer.js";
 
 /**
@@ -29,6 +30,9 @@ export class GalaxyRenderer {
     this.starRenderer = new StarRenderer(scene); // Realistic star rendering
     this.useRealisticStars = false; // Toggle for realistic star rendering (disabled by default for performance)
     this.basicStructureRendered = false; // Track if Milky Way structure has been rendered
+    this.candidates = []; // Planet candidates (TOI / KOI) for the candidate layer
+    this.candidateLayer = null; // Points of the candidates that have a distance
+    this.showCandidates = false; // Toggle for the candidate layer
   }
 
   /**
@@ -78,12 +82,111 @@ export class GalaxyRenderer {
       }
     }
 
+    // Restore the candidate layer after a view switch cleaned it up
+    if (this.showCandidates && !this.candidateLayer) {
+      this.renderCandidates();
+    }
+
     return {
       systemCount: systems.length,
       maxDistance: this.calculateMaxSystemDistance(),
     };
   }
 
+  /**
+   * Set the planet candidates shown by the candidate layer
+   * @param {Array} candidates - Processed candidates (ApiManager.fetchCandidates)
+   */
+  setCandidates(candidates) {
+    this.candidates = candidates || [];
+    if (this.showCandidates) {
+      this.renderCandidates();
+    }
+  }
+
+  /**
+   * Show or hide the candidate layer
+   */
+  setCandidatesVisible(visible) {
+    this.showCandidates = visible;
+    if (visible) {
+      this.renderCandidates();
+    } else {
+      this.cleanupCandidates();
+    }
+  }
+
+  /**
+   * Render the candidate layer
+   * Candidates are drawn as flat points colored by disposition, so they stay
+   * distinguishable from the spherical, star-colored confirmed systems.
+   * Candidates without a distance (KOIs) cannot be placed and are skipped.
+   * @returns {number} Number of candidates drawn
+   */
+  renderCandidates() {
+    this.cleanupCandidates();
+
+    // Only drawn over the galaxy view
+    if (!this.basicStructureRendered) return 0;
+
+    const placed = this.candidates.filter(
+      (candidate) =>
+        candidate.distance && candidate.ra !== null && candidate.dec !== null
+    );
+    if (placed.length === 0) return 0;
+
+    const positions = new Float32Array(placed.length * 3);
+    const colors = new Float32Array(placed.length * 3);
+    const color = new THREE.Color();
+
+    placed.forEach((candidate, index) => {
+      const position = this.calculateSystemPosition({
+        starName: candidate.hostStar,
+        distance: candidate.distance,
+        planets: [candidate],
+      });
+      position.toArray(positions, index * 3);
+
+      color.setHex(
+        CANDIDATE_DISPOSITIONS[candidate.disposition]?.hex ?? 0xffffff
+      );
+      color.toArray(colors, index * 3);
+    });
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute("color", new THREE.BufferAttribute(colors, 3));
+
+    const material = new THREE.PointsMaterial({
+      size: 0.35,
+      vertexColors: true,
+      transparent: true,
+      opacity: 0.85,
+      depthWrite: false,
+    });
+
+    this.candidateLayer = new THREE.Points(geometry, material);
+    this.candidateLayer.userData = {
+      isCandidateLayer: true,
+      candidates: placed,
+    };
+    this.scene.add(this.candidateLayer);
+
+    return placed.length;
+  }
+
+  /**
+   * Remove the candidate layer (the candidates and toggle are kept)
+   */
+  cleanupCandidates() {
+    if (!this.candidateLayer) return;
+
+    this.scene.remove(this.candidateLayer);
+    this.candidateLayer.geometry.dispose();
+    this.candidateLayer.material.dispose();
+    this.candidateLayer = null;
+  }
+
   /**
    * Add complete Milky Way galaxy structure
    */
@@ -864,6 +967,8 @@ export class GalaxyRenderer {
       this.starRenderer.cleanup();
     }
 
+    this.cleanupCandidates();
+
     this.spiralArms = [];
     this.milkyWayDisk = null;
     this.starSystems = [];
@@ -2,6 +2,10 @@ import * as THREE from "three";
 import { getStarColor, hashCode, seededRandom } from "../../utils/helpers.js";
 import { StarRenderer } from "../stars/StarRenderer.js";
 import { OrbitalMechanics } from "./OrbitalMechanics.js";
+import {
+  getCategoryInfo,
+  getPlanetCategory,
+} from "../../classification/index.js";
 
 /**
  * SystemRenderer
@@ -178,6 +182,7 @@ export class SystemRenderer {
 
     // Generate material with realistic shader support
     const material = this.materialGenerator.generatePlanetMaterial(planet, {
+      classificationScheme: this.planetRenderer.classificationScheme,
       starPosition: new THREE.Vector3(0, 0, 0), // Star at origin in system view
       starColor: starColor,
       starIntensity: 2.0 + (planet.stellarLuminosity || 0) * 0.3,
@@ -317,8 +322,10 @@ export class SystemRenderer {
       new THREE.Float32BufferAttribute(orbitPoints, 3)
     );
 
-    // Color-code orbit lines by planet type
-    const orbitColor = this.getOrbitColor(planet.type);
+    // Color-code orbit lines by category in the chosen scheme
+    const orbitColor = this.getOrbitColor(
+      getPlanetCategory(planet, this.planetRenderer.classificationScheme)
+    );
     const orbitMaterial = new THREE.LineBasicMaterial({
       color: orbitColor,
       transparent: true,
@@ -339,16 +346,10 @@ export class SystemRenderer {
   }
 
   /**
-   * Get orbit line color based on planet type
+   * Get orbit line color for a planet category (see CLASSIFICATION_SCHEMES)
    */
-  getOrbitColor(planetType) {
-    const colors = {
-      terrestrial: 0x22c55e, // Green
-      "super-earth": 0x3b82f6, // Blue
-      neptune: 0x6366f1, // Indigo
-      jupiter: 0xf59e0b, // Amber
-    };
-    return colors[planetType] || 0x6b7280; // Gray default
+  getOrbitColor(category) {
+    return getCategoryInfo(category)?.hex ?? 0x6b7280; // Gray default
   }
 
   /**
@@ -574,6 +575,29 @@ export class SystemRenderer {
     this.updateLighting(stellarData);
   }
 
+  /**
+   * Update the central star from refined stellar data (e.g. host star parameters)
+   * Only realistic single stars are rebuilt; other stars keep their visuals
+   * @param {Object} stellarData - Updated stellar data
+   * @returns {boolean} Whether the star was updated
+   */
+  updateCentralStar(stellarData) {
+    if (!this.centralStar) return false;
+
+    const updated = this.starRenderer.updateStar(
+      this.centralStar,
+      stellarData,
+      {
+        showCorona: true,
+        showFlares: stellarData.stellarTemp > 3000,
+      }
+    );
+    if (!updated) return false;
+
+    this.updateLighting(stellarData);
+    return true;
+  }
+
   /**
    * Add realistic Sun with texture
    */
@@ -1108,6 +1132,57 @@ export class SystemRenderer {
     );
   }
 
+  /**
+   * Replace a planet's data and mesh in place (e.g. another parameter set)
+   * Keeps the current orbit position, visibility and animation state
+   * @param {Object} planet - Updated planet data (matched by name)
+   * @returns {boolean} Whether the planet is part of this system
+   */
+  replacePlanet(planet) {
+    const index = this.planetMeshes.findIndex(
+      (mesh) => mesh.userData.planet.name === planet.name
+    );
+    if (index < 0) return false;
+
+    const oldMesh = this.planetMeshes[index];
+    const oldLabel = oldMesh.children.find(
+      (child) => child.userData && child.userData.isLabel
+    );
+
+    const planetRadius = this.calculatePlanetSize(planet);
+    const planetMesh = this.createPlanetMesh(planet, planetRadius);
+    planetMesh.position.copy(oldMesh.position);
+    planetMesh.rotation.copy(oldMesh.rotation);
+    planetMesh.visible = oldMesh.visible;
+    planetMesh.userData = { ...oldMesh.userData, planet: planet };
+
+    this.addPlanetLabel(planetMesh, planet.name, planetRadius);
+    this.addPlanetRings(planet, planetRadius, planetMesh);
+    if (oldLabel) {
+      planetMesh.children.find((child) => child.userData.isLabel).visible =
+        oldLabel.visible;
+    }
+
+    // Dispose of the old mesh
+    this.scene.remove(oldMesh);
+    if (oldMesh.geometry) oldMesh.geometry.dispose();
+    if (oldMesh.material) {
+      if (Array.isArray(oldMesh.material)) {
+        oldMesh.material.forEach((m) => m.dispose());
+      } else {
+        oldMesh.material.dispose();
+      }
+    }
+
+    this.planetMeshes[index] = planetMesh;
+    this.scene.add(planetMesh);
+    this.systemPlanets = this.systemPlanets.map((p) =>
+      p.name === planet.name ? planet : p
+    );
+
+    return true;
+  }
+
   /**
    * Toggle planet labels visibility
    */
@@ -115,6 +115,49 @@ export class StarRenderer {
     return starGroup;
   }
 
+  /**
+   * Rebuild a star's visuals in place from updated stellar data
+   * Keeps the group (and its radius) so camera tracking and scene layout
+   * are unaffected; only surface, color, corona and animation change
+   * @param {THREE.Group} starGroup - Star created by createRealisticStar
+   * @param {Object} stellarData - Updated stellar properties
+   * @param {Object} options - { showCorona, showFlares }
+   * @returns {boolean} Whether the star could be updated
+   */
+  updateStar(starGroup, stellarData, options = {}) {
+    if (!starGroup?.userData?.isStar || starGroup.userData.isSimplified) {
+      return false;
+    }
+
+    const { starRadius, animate } = starGroup.userData;
+    const updated = this.createRealisticStar(stellarData, starGroup.position, {
+      ...options,
+      animate,
+      customRadius: starRadius,
+    });
+
+    // Dispose of the old components and adopt the new ones
+    [...starGroup.children].forEach((child) => {
+      child.traverse((node) => {
+        if (node.geometry) node.geometry.dispose();
+        if (node.material) {
+          if (Array.isArray(node.material)) {
+            node.material.forEach((m) => m.dispose());
+          } else {
+            node.material.dispose();
+          }
+        }
+      });
+      starGroup.remove(child);
+    });
+    [...updated.children].forEach((child) => starGroup.add(child));
+
+    starGroup.userData = updated.userData;
+    this.stars = this.stars.filter((star) => star !== updated);
+
+    return true;
+  }
+
   /**
    * Create star surface with procedural texture
    */
@@ -2,25 +2,26 @@
  * Shared constants for planet classification and display
  */
 
+import { CLASSIFICATION_SCHEMES } from "../classification/index.js";
+
+// Category field by id, over every classification scheme
+const categoryField = (field) =>
+  Object.fromEntries(
+    Object.values(CLASSIFICATION_SCHEMES).flatMap(({ categories }) =>
+      Object.entries(categories).map(([id, category]) => [id, category[field]])
+    )
+  );
+
 /**
- * Planet type display names
+ * Planet type display names, for the categories of every classification
+ * scheme (see getPlanetCategory for the one a planet falls in)
  */
-export const PLANET_TYPE_NAMES = {
-  terrestrial: "Terrestrial",
-  "super-earth": "Super-Earth",
-  neptune: "Neptune-like",
-  jupiter: "Jupiter-like",
-};
+export const PLANET_TYPE_NAMES = categoryField("name");
 
 /**
- * Planet type colors for UI
+ * Planet type colors for UI, for the categories of every scheme
  */
-export const PLANET_TYPE_COLORS = {
-  terrestrial: "success",
-  "super-earth": "info",
-  neptune: "primary",
-  jupiter: "warning",
-};
+export const PLANET_TYPE_COLORS = categoryField("color");
 
 /**
  * Get display name for a planet type
@@ -39,3 +40,94 @@ export function getPlanetTypeName(type) {
 export function getTypeColor(type) {
   return PLANET_TYPE_COLORS[type] || "secondary";
 }
+
+/**
+ * Planet candidate dispositions (TOI / KOI tables, reduced by the backend)
+ * - name: display name
+ * - color: badge color class
+ * - hex: point color in the galaxy candidate layer
+ */
+export const CANDIDATE_DISPOSITIONS = {
+  PC: { name: "Planet Candidate", color: "warning", hex: 0xffb347 },
+  FP: { name: "False Positive", color: "secondary", hex: 0x8a8f98 },
+  CP: { name: "Confirmed Planet", color: "success", hex: 0x5fd38d },
+};
+
+/**
+ * Candidate catalogs by source (/api/candidates/:source)
+ */
+export const CANDIDATE_SOURCES = {
+  toi: "TESS Object of Interest",
+  koi: "Kepler Object of Interest",
+};
+
+/**
+ * Get display name for a candidate disposition
+ * @param {string} disposition - "PC", "FP" or "CP"
+ * @returns {string} Display name
+ */
+export function getDispositionName(disposition) {
+  return CANDIDATE_DISPOSITIONS[disposition]?.name || "Unknown";
+}
+
+/**
+ * Get color class for a candidate disposition
+ * @param {string} disposition - "PC", "FP" or "CP"
+ * @returns {string} Color class
+ */
+export function getDispositionColor(disposition) {
+  return CANDIDATE_DISPOSITIONS[disposition]?.color || "secondary";
+}
+
+/**
+ * Where a planet value comes from (planet.provenance, set by
+ * ApiManager.processPlanetData), with badge names, colors and tooltips
+ * - measured: archive value
+ * - derived: estimated from other values (e.g. a mass from a mass-radius
+ *   relation)
+ * - defaulted: missing from the archive, replaced by the Earth or Sun value
+ */
+export const PROVENANCE = {
+  measured: {
+    name: "Measured",
+    color: "success",
+    description: "Value from the NASA Exoplanet Archive",
+  },
+  derived: {
+    name: "Derived",
+    color: "info",
+    description: "Estimated from other values",
+  },
+  defaulted: {
+    name: "Default",
+    color: "secondary",
+    description: "Not in the archive: the Earth or Sun value is shown",
+  },
+};
+
+/**
+ * Planet properties filled with a default when missing, with display names
+ * (options of the "exclude defaulted values" filter, mirrored by the
+ * backend's DEFAULTABLE_PROPERTIES)
+ */
+export const DEFAULTABLE_PROPERTIES = {
+  radius: "Radius",
+  mass: "Mass",
+  temperature: "Temperature",
+  distance: "Distance",
+  orbitalPeriod: "Orbital Period",
+  stellarTemp: "Stellar Temperature",
+  stellarRadius: "Stellar Radius",
+  stellarMass: "Stellar Mass",
+};
+
+/**
+ * Check whether a planet value is a default rather than archive data
+ * Planets without provenance (the Solar System) count as measured
+ * @param {Object} planet - Processed planet
+ * @param {string} property - Planet property, e.g. "radius"
+ * @returns {boolean}
+ */
+export function isDefaulted(planet, property) {
+  return planet.provenance?.[property] === "defaulted";
+}
@@ -8,9 +8,9 @@
 const getDefaultApiUrl = () => {
   if (typeof window !== "undefined") {
     const protocol = window.location.protocol;
-    return `${protocol}//localhost:5000/api/exoplanets`;
+    return `${protocol}//localhost:5000/api/v1/exoplanets`;
   }
-  return "http://localhost:5000/api/exoplanets"; // SSR fallback
+  return "http://localhost:5000/api/v1/exoplanets"; // SSR fallback
 };
 
 export const EXOPLANET_API_ENDPOINT =